@@ -167,6 +167,18 @@ export const DEFAULT_STATE = {
 	useImportanceSampledEnvironment: true,
 	environmentIntensity: 1,
 	backgroundIntensity: 1,
+	groundMode: 'hidden', // 'hidden', 'visible' or 'shadowCatcher'
+	enableGroundProjection: false,
+	groundProjectionHeight: 1.8, // Height the environment was captured at, in scene units
+	groundProjectionRadius: 50,
+	environmentSource: 'hdri', // 'hdri' or 'sky'
+	skyTurbidity: 3,
+	sunIntensity: 3,
+	sunLatitude: 48.85,
+	sunLongitude: 2.35,
+	sunDate: '2024-06-21',
+	sunTime: 10, // Local hours
+	sunUtcOffset: 2,
 	environmentRotation: 0.0,
 	globalIlluminationIntensity: 1,
 
@@ -174,6 +186,21 @@ export const DEFAULT_STATE = {
 	focusDistance: 2.0,
 	aperture: 16,
 	focalLength: 50.0,
+	physicalCamera: false, // When off ISO and shutter speed are ignored and aperture only sets depth of field
+	iso: 100,
+	shutterSpeed: 1 / 125, // Seconds
+	whiteBalanceTemperature: 6500, // Kelvin
+	whiteBalanceTint: 0,
+	vignetting: 0,
+	apertureBlades: 0, // Fewer than 3 is a round aperture
+	apertureRotation: 0, // Degrees
+	bladeCurvature: 0, // 0 straight blades to 1 round
+	anamorphicRatio: 1, // 1 is a spherical lens
+	catEye: 0,
+	shutterAngle: 0, // Degrees of the frame interval the shutter is open, 0 turns motion blur off
+	frameRate: 24, // Frames per second the shutter angle refers to
+	cameraProjection: 'perspective', // perspective, orthographic, equirectangular, equirectangularStereo or cubemap
+	stereoEyeSeparation: 0.064, // Meters
 
 	enablePathTracer: true,
 	enableAccumulation: true,
@@ -194,6 +221,20 @@ export const DEFAULT_STATE = {
 	performanceModeAdaptive: 'medium',
 
 	fireflyThreshold: 2.2,
+	spectralRendering: false,
+	energyCompensation: true, // Kulla-Conty multiple scattering compensation of the GGX lobes
+
+	autoExposure: false,
+	autoExposureMetering: 'centerWeighted', // 'average', 'centerWeighted' or 'spot'
+	exposureCompensation: 0, // EV
+	autoExposureSpeed: 2, // Adaptation rate, 1 / seconds
+
+	enableFog: false,
+	fogDensity: 0.05,
+	fogColor: "#ffffff",
+	fogAnisotropy: 0.0,
+	fogHeight: 10,
+	densityGridScale: 1.0,
 	renderMode: 0,
 	tiles: 3,
 	tilesHelper: false,
@@ -261,9 +302,56 @@ export const CAMERA_RANGES = {
 		min: 0, // 0 = disable depth of field
 		max: 200, // Telephoto
 		default: DEFAULT_STATE.focalLength // Standard lens
+	},
+	iso: {
+		options: [ 50, 100, 200, 400, 800, 1600, 3200, 6400, 12800 ],
+		default: DEFAULT_STATE.iso
+	},
+	shutterSpeed: {
+		options: [ 1 / 8000, 1 / 4000, 1 / 2000, 1 / 1000, 1 / 500, 1 / 250, 1 / 125, 1 / 60, 1 / 30, 1 / 15, 1 / 8, 1 / 4, 1 / 2, 1, 2, 4, 8 ],
+		default: DEFAULT_STATE.shutterSpeed
+	},
+	whiteBalanceTemperature: {
+		min: 2500, // Candle and tungsten light
+		max: 12000, // Blue sky shade
+		default: DEFAULT_STATE.whiteBalanceTemperature
+	},
+	whiteBalanceTint: {
+		min: - 100, // Green
+		max: 100, // Magenta
+		default: DEFAULT_STATE.whiteBalanceTint
+	},
+	shutterAngle: {
+		min: 0, // No motion blur
+		max: 360, // Shutter open for the whole frame
+		default: DEFAULT_STATE.shutterAngle
+	},
+	apertureBlades: {
+		min: 0, // Round
+		max: 16,
+		default: DEFAULT_STATE.apertureBlades
+	},
+	anamorphicRatio: {
+		options: [ 1, 1.33, 1.5, 1.8, 2 ], // Common anamorphic squeeze factors
+		default: DEFAULT_STATE.anamorphicRatio
+	},
+	stereoEyeSeparation: {
+		min: 0,
+		max: 0.2,
+		default: DEFAULT_STATE.stereoEyeSeparation // Average human interpupillary distance
 	}
 };
 
+// Shader index, image aspect ratio and grid of separately projected cells of each camera projection.
+// Panoramas render to a canvas of their own aspect ratio.
+export const CAMERA_PROJECTIONS = {
+	perspective: { index: 0, aspect: 1, cells: [ 1, 1 ] },
+	orthographic: { index: 1, aspect: 1, cells: [ 1, 1 ] },
+	equirectangular: { index: 2, aspect: 2, cells: [ 1, 1 ] },
+	equirectangularStereo: { index: 3, aspect: 1, cells: [ 1, 2 ] }, // Left eye on top of the right eye
+	cubemap: { index: 4, aspect: 3 / 2, cells: [ 3, 2 ] } // +X -X +Y over -Y +Z -Z
+};
+
 // Define photography presets
 export const CAMERA_PRESETS = {
 	sharp: {
@@ -272,7 +360,14 @@ export const CAMERA_PRESETS = {
 		fov: 65,
 		focusDistance: 0,
 		aperture: 16.0,
-		focalLength: 0 // 0 disables DOF entirely
+		focalLength: 0, // 0 disables DOF entirely
+		iso: 100,
+		shutterSpeed: 1 / 125,
+		vignetting: 0,
+		apertureBlades: 0,
+		bladeCurvature: 0,
+		anamorphicRatio: 1,
+		catEye: 0
 	},
 	portrait: {
 		name: "Portrait",
@@ -280,7 +375,14 @@ export const CAMERA_PRESETS = {
 		fov: 45,
 		focusDistance: 1.5,
 		aperture: 2.0,
-		focalLength: 85
+		focalLength: 85,
+		iso: 100,
+		shutterSpeed: 1 / 8000,
+		vignetting: 0.2,
+		apertureBlades: 9,
+		bladeCurvature: 0.8,
+		anamorphicRatio: 1,
+		catEye: 0.3
 	},
 	landscape: {
 		name: "Landscape",
@@ -288,7 +390,14 @@ export const CAMERA_PRESETS = {
 		fov: 65,
 		focusDistance: 10.0,
 		aperture: 11.0,
-		focalLength: 24
+		focalLength: 24,
+		iso: 100,
+		shutterSpeed: 1 / 250,
+		vignetting: 0,
+		apertureBlades: 7,
+		bladeCurvature: 0,
+		anamorphicRatio: 1,
+		catEye: 0
 	},
 	macro: {
 		name: "Macro",
@@ -296,7 +405,14 @@ export const CAMERA_PRESETS = {
 		fov: 40,
 		focusDistance: 0.3,
 		aperture: 2.8,
-		focalLength: 100
+		focalLength: 100,
+		iso: 100,
+		shutterSpeed: 1 / 4000,
+		vignetting: 0.1,
+		apertureBlades: 6,
+		bladeCurvature: 0.5,
+		anamorphicRatio: 1,
+		catEye: 0.2
 	},
 	product: {
 		name: "Product",
@@ -304,7 +420,14 @@ export const CAMERA_PRESETS = {
 		fov: 50,
 		focusDistance: 0.8,
 		aperture: 5.6,
-		focalLength: 50
+		focalLength: 50,
+		iso: 100,
+		shutterSpeed: 1 / 1000,
+		vignetting: 0,
+		apertureBlades: 8,
+		bladeCurvature: 0.5,
+		anamorphicRatio: 1,
+		catEye: 0
 	},
 	architectural: {
 		name: "Architectural",
@@ -312,7 +435,14 @@ export const CAMERA_PRESETS = {
 		fov: 75,
 		focusDistance: 5.0,
 		aperture: 8.0,
-		focalLength: 16
+		focalLength: 16,
+		iso: 100,
+		shutterSpeed: 1 / 500,
+		vignetting: 0,
+		apertureBlades: 5,
+		bladeCurvature: 0,
+		anamorphicRatio: 1,
+		catEye: 0
 	},
 	cinematic: {
 		name: "Cinematic",
@@ -320,7 +450,14 @@ export const CAMERA_PRESETS = {
 		fov: 40,
 		focusDistance: 3.0,
 		aperture: 1.4,
-		focalLength: 135
+		focalLength: 135,
+		iso: 50,
+		shutterSpeed: 1 / 8000,
+		vignetting: 0.35,
+		apertureBlades: 0,
+		bladeCurvature: 0,
+		anamorphicRatio: 2,
+		catEye: 0.5
 	}
 };
 
@@ -329,26 +466,34 @@ export const TRIANGLE_DATA_LAYOUT = {
 	FLOATS_PER_TRIANGLE: 32, // 8 vec4s: 3 positions + 3 normals + 2 UV/material
 
 	// Positions (3 vec4s = 12 floats)
-	POSITION_A_OFFSET: 0, // vec4: x, y, z, 0
-	POSITION_B_OFFSET: 4, // vec4: x, y, z, 0
-	POSITION_C_OFFSET: 8, // vec4: x, y, z, 0
+	POSITION_A_OFFSET: 0, // vec4: x, y, z, packed tangent
+	POSITION_B_OFFSET: 4, // vec4: x, y, z, packed tangent
+	POSITION_C_OFFSET: 8, // vec4: x, y, z, packed tangent
 
 	// Normals (3 vec4s = 12 floats)
-	NORMAL_A_OFFSET: 12, // vec4: x, y, z, 0
-	NORMAL_B_OFFSET: 16, // vec4: x, y, z, 0
-	NORMAL_C_OFFSET: 20, // vec4: x, y, z, 0
+	NORMAL_A_OFFSET: 12, // vec4: x, y, z, packed tangent
+	NORMAL_B_OFFSET: 16, // vec4: x, y, z, packed tangent
+	NORMAL_C_OFFSET: 20, // vec4: x, y, z, packed tangent
 
 	// UVs and Material (2 vec4s = 8 floats)
 	UV_AB_OFFSET: 24, // vec4: uvA.x, uvA.y, uvB.x, uvB.y
-	UV_C_MAT_OFFSET: 28 // vec4: uvC.x, uvC.y, materialIndex, 0
+	UV_C_MAT_OFFSET: 28, // vec4: uvC.x, uvC.y, materialIndex, source triangle index
+	SOURCE_INDEX_OFFSET: 31, // Triangle index within its geometry, survives BVH reordering for CPU deformation
+
+	// Octahedral encoded tangents in the w of the positions and normals, two floats per vertex with the
+	// handedness in the sign of the first. Zero when the geometry has no UVs.
+	TANGENT_A_OFFSETS: [ 3, 7 ], // posA.w, posB.w
+	TANGENT_B_OFFSETS: [ 11, 15 ], // posC.w, normalA.w
+	TANGENT_C_OFFSETS: [ 19, 23 ] // normalB.w, normalC.w
 };
 
 // Texture processing constants
 export const TEXTURE_CONSTANTS = {
-	PIXELS_PER_MATERIAL: 24,
+	PIXELS_PER_MATERIAL: 56, // 32 for properties and map indices, 24 for the transforms of the extension maps
 	RGBA_COMPONENTS: 4,
-	VEC4_PER_TRIANGLE: 8, // 3 for positions, 3 for normals, 2 for UVs
+	VEC4_PER_TRIANGLE: 8, // 3 for positions with tangents packed in w, 3 for normals likewise, 2 for UVs
 	VEC4_PER_BVH_NODE: 3,
+	VEC4_PER_INSTANCE: 14, // 3 for world-to-object rows, 3 for object-to-world rows, BLAS root + material + moving flag, color, position, rotation and scale at shutter open and close
 	FLOATS_PER_VEC4: 4,
 	MIN_TEXTURE_WIDTH: 4,
 	MAX_CONCURRENT_WORKERS: Math.min( navigator.hardwareConcurrency || 4, 6 ),
@@ -376,6 +521,13 @@ export const TEXTURE_CONSTANTS = {
 // Default texture matrix for materials
 export const DEFAULT_TEXTURE_MATRIX = [ 0, 0, 1, 1, 0, 0, 0, 1 ];
 
+// glTF extension maps, in the order their transforms are packed after the material properties
+export const EXTENSION_MAPS = [
+	'transmissionMap', 'thicknessMap', 'clearcoatMap', 'clearcoatRoughnessMap', 'clearcoatNormalMap',
+	'sheenColorMap', 'sheenRoughnessMap', 'specularIntensityMap', 'specularColorMap',
+	'iridescenceMap', 'iridescenceThicknessMap', 'anisotropyMap'
+];
+
 // Memory management constants
 export const MEMORY_CONSTANTS = {
 	MAX_BUFFER_MEMORY: 256 * 1024 * 1024, // 256MB buffer pool limit
@@ -1,7 +1,7 @@
 import { useState, useEffect, useCallback, memo, useMemo } from 'react';
-import { Plus, Search, Box, Circle, Cylinder, Camera, ChevronRight, ChevronDown, Sun, Flashlight, Boxes, Folder, Shapes, Triangle, LampDesk } from 'lucide-react';
+import { Plus, Search, Box, Circle, Cylinder, Camera, ChevronRight, ChevronDown, Sun, Flashlight, Boxes, Folder, Shapes, Triangle, LampDesk, Grid3X3, Copy, SquareDashed } from 'lucide-react';
 import { Collapsible, CollapsibleContent } from "@/components/ui/collapsible";
-import { useStore } from '@/store';
+import { useStore, useMaterialStore } from '@/store';
 
 import { cn } from "@/lib/utils";
 
@@ -15,6 +15,7 @@ const ObjectIcon = memo( ( { object } ) => {
 
 	if ( object.type === 'Group' || object.type === 'Object3D' ) return <Folder {...iconProps} />;
 	if ( object.type === 'Scene' ) return <Boxes {...iconProps} />;
+	if ( object.type === 'InstancedMesh' ) return <Copy {...iconProps} />;
 
 	if ( object.type === 'Mesh' ) {
 
@@ -31,6 +32,7 @@ const ObjectIcon = memo( ( { object } ) => {
 	if ( object.type === 'DirectionalLight' ) return <Sun {...iconProps} />;
 	if ( object.type === 'PointLight' ) return <LampDesk {...iconProps} />;
 	if ( object.type === 'SpotLight' ) return <Flashlight {...iconProps} />;
+	if ( object.type === 'RectAreaLight' ) return <Grid3X3 {...iconProps} />;
 	if ( object.type.includes( 'Camera' ) ) return <Camera {...iconProps} />;
 
 	return <Shapes {...iconProps} />;
@@ -78,8 +80,28 @@ const ChevronToggle = memo( ( { isOpen, onToggle, hasChildren } ) => {
 
 ChevronToggle.displayName = 'ChevronToggle';
 
+// Shadow catcher toggle shown on mesh rows, always visible while the flag is set
+const ShadowCatcherToggle = memo( ( { isActive, onToggle } ) => {
+
+	return (
+		<div
+			onClick={onToggle}
+			title={isActive ? "Disable shadow catcher" : "Enable shadow catcher"}
+			className={cn(
+				"ml-auto mr-2 flex items-center justify-center w-4 h-4 cursor-pointer",
+				isActive ? "text-primary" : "text-muted-foreground/50 opacity-0 group-hover:opacity-100"
+			)}
+		>
+			<SquareDashed size={12} />
+		</div>
+	);
+
+} );
+
+ShadowCatcherToggle.displayName = 'ShadowCatcherToggle';
+
 // Extract the layer item node header into its own component
-const LayerTreeItemHeader = memo( ( { item, depth, isSelected, isOpen, onNodeClick, onToggle } ) => {
+const LayerTreeItemHeader = memo( ( { item, depth, isSelected, isOpen, isShadowCatcher, onNodeClick, onToggle, onShadowCatcherToggle } ) => {
 
 	const paddingLeft = `${depth * 16 + 8}px`;
 	const hasChildren = item.children.length > 0;
@@ -120,6 +142,7 @@ const LayerTreeItemHeader = memo( ( { item, depth, isSelected, isOpen, onNodeCli
 						</span>
 					</div>
 				</div>
+				{item.isMesh && <ShadowCatcherToggle isActive={isShadowCatcher} onToggle={onShadowCatcherToggle} />}
 			</div>
 		</div>
 	);
@@ -151,6 +174,7 @@ LayerTreeItemContent.displayName = 'LayerTreeItemContent';
 const LayerTreeItem = memo( ( { item, depth } ) => {
 
 	const [ isOpen, setIsOpen ] = useState( true );
+	const [ isShadowCatcher, setIsShadowCatcher ] = useState( item.shadowCatcher );
 	const selectedObject = useStore( ( state ) => state.selectedObject );
 	const setSelectedObject = useStore( ( state ) => state.setSelectedObject );
 
@@ -187,6 +211,34 @@ const LayerTreeItem = memo( ( { item, depth } ) => {
 
 	}, [] );
 
+	const handleShadowCatcherToggle = useCallback( ( e ) => {
+
+		e.stopPropagation();
+
+		const object = window.pathTracerApp?.scene.getObjectByProperty( 'uuid', item.uuid );
+		if ( ! object?.material ) return;
+
+		useMaterialStore.getState().handleShadowCatcherChange( ! object.material.shadowCatcher, object );
+
+	}, [ item.uuid ] );
+
+	// The flag can also be changed from the material tab
+	useEffect( () => {
+
+		if ( ! item.isMesh ) return;
+
+		const handleMaterialUpdate = () => {
+
+			const object = window.pathTracerApp?.scene.getObjectByProperty( 'uuid', item.uuid );
+			setIsShadowCatcher( Boolean( object?.material?.shadowCatcher ) );
+
+		};
+
+		window.addEventListener( 'MaterialUpdate', handleMaterialUpdate );
+		return () => window.removeEventListener( 'MaterialUpdate', handleMaterialUpdate );
+
+	}, [ item.uuid, item.isMesh ] );
+
 	const isSelected = selectedObject && selectedObject.uuid === item.uuid;
 
 	return (
@@ -196,8 +248,10 @@ const LayerTreeItem = memo( ( { item, depth } ) => {
 				depth={depth}
 				isSelected={isSelected}
 				isOpen={isOpen}
+				isShadowCatcher={isShadowCatcher}
 				onNodeClick={handleNodeClick}
 				onToggle={handleChevronClick}
+				onShadowCatcherToggle={handleShadowCatcherToggle}
 			/>
 			<LayerTreeItemContent
 				item={item}
@@ -265,6 +319,8 @@ const Outliner = () => {
 			type: object.type,
 			uuid: object.uuid,
 			geometry: object.geometry?.constructor?.name,
+			isMesh: object.isMesh === true,
+			shadowCatcher: Boolean( object.material?.shadowCatcher ),
 			children: object.children.map( child => createLayerItem( child ) ),
 		};
 
@@ -289,9 +345,16 @@ const Outliner = () => {
 
 		const handleSceneUpdate = () => updateLayers();
 		window.addEventListener( 'SceneRebuild', handleSceneUpdate );
+		// Lights can be added, removed and renamed without a scene rebuild
+		window.addEventListener( 'LightsChanged', handleSceneUpdate );
 		// Initial update
 		updateLayers();
-		return () => window.removeEventListener( 'SceneRebuild', handleSceneUpdate );
+		return () => {
+
+			window.removeEventListener( 'SceneRebuild', handleSceneUpdate );
+			window.removeEventListener( 'LightsChanged', handleSceneUpdate );
+
+		};
 
 	}, [ updateLayers ] );
 
@@ -0,0 +1,137 @@
+import { Play, Pause, SkipBack, Clock } from 'lucide-react';
+import { Slider } from "@/components/ui/slider";
+import { Button } from "@/components/ui/button";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { useEffect, useState } from 'react';
+
+const AnimationTab = () => {
+
+	const [ controller, setController ] = useState( null );
+	const [ clips, setClips ] = useState( [] );
+	const [ clipIndex, setClipIndex ] = useState( - 1 );
+	const [ duration, setDuration ] = useState( 0 );
+	const [ time, setTime ] = useState( 0 );
+	const [ isPlaying, setIsPlaying ] = useState( false );
+
+	const updateFromController = () => {
+
+		const animation = window.pathTracerApp?.animation;
+		if ( ! animation ) return;
+
+		setController( animation );
+		setClips( animation.clips.map( ( clip, index ) => clip.name || `Clip ${index + 1}` ) );
+		setClipIndex( animation.clipIndex );
+		setDuration( animation.duration );
+		setTime( animation.time );
+		setIsPlaying( animation.isPlaying );
+
+	};
+
+	useEffect( () => {
+
+		updateFromController();
+		window.addEventListener( 'AnimationsChanged', updateFromController );
+
+		return () => window.removeEventListener( 'AnimationsChanged', updateFromController );
+
+	}, [] );
+
+	// The controller may only exist once the app finished initializing
+	useEffect( () => {
+
+		if ( ! controller ) return;
+
+		const handleTimeUpdate = ( event ) => setTime( event.time );
+		const handlePlayState = () => setIsPlaying( controller.isPlaying );
+
+		controller.addEventListener( 'timeupdate', handleTimeUpdate );
+		controller.addEventListener( 'play', handlePlayState );
+		controller.addEventListener( 'pause', handlePlayState );
+
+		return () => {
+
+			controller.removeEventListener( 'timeupdate', handleTimeUpdate );
+			controller.removeEventListener( 'play', handlePlayState );
+			controller.removeEventListener( 'pause', handlePlayState );
+
+		};
+
+	}, [ controller ] );
+
+	const handleClipChange = ( value ) => {
+
+		const animation = window.pathTracerApp?.animation;
+		if ( ! animation ) return;
+
+		animation.setClip( parseInt( value ) );
+		updateFromController();
+
+	};
+
+	const handleTogglePlay = () => {
+
+		const animation = window.pathTracerApp?.animation;
+		if ( ! animation ) return;
+
+		animation.isPlaying ? animation.pause() : animation.play();
+
+	};
+
+	const handleRewind = () => {
+
+		window.pathTracerApp?.animation.setTime( 0 );
+
+	};
+
+	// Scrubbing poses the model, the render loop rebuilds the acceleration structures and restarts accumulation
+	const handleScrub = ( value ) => {
+
+		const app = window.pathTracerApp;
+		if ( ! app ) return;
+
+		app.pathTracingPass.enterInteractionMode();
+		app.animation.setTime( value[ 0 ] );
+
+	};
+
+	if ( clips.length === 0 ) {
+
+		return <div className="p-2 text-xs opacity-50">The loaded model has no animations.</div>;
+
+	}
+
+	return (
+		<div className="space-y-4 p-2">
+			<div className="flex items-center justify-between">
+				<Select value={clipIndex.toString()} onValueChange={handleClipChange}>
+					<span className="opacity-50 text-xs truncate">Clip</span>
+					<SelectTrigger className="max-w-40 h-5 rounded-full">
+						<SelectValue placeholder="Select clip" />
+					</SelectTrigger>
+					<SelectContent>
+						{clips.map( ( name, index ) => (
+							<SelectItem key={index} value={index.toString()}>{name}</SelectItem>
+						) )}
+					</SelectContent>
+				</Select>
+			</div>
+			<div className="flex items-center justify-between">
+				<Slider label={"Time"} icon={Clock} min={0} max={duration} step={0.01} value={[ time ]} onValueChange={handleScrub} />
+			</div>
+			<div className="flex items-center justify-between">
+				<span className="opacity-50 text-xs">{time.toFixed( 2 )}s / {duration.toFixed( 2 )}s</span>
+				<div className="flex items-center space-x-1">
+					<Button variant="outline" size="icon" className="h-5 rounded-full" title="Rewind" onClick={handleRewind}>
+						<SkipBack size={12} />
+					</Button>
+					<Button variant={isPlaying ? "default" : "outline"} size="icon" className="h-5 rounded-full" title={isPlaying ? "Pause" : "Play"} onClick={handleTogglePlay}>
+						{isPlaying ? <Pause size={12} /> : <Play size={12} />}
+					</Button>
+				</div>
+			</div>
+		</div>
+	);
+
+};
+
+export default AnimationTab;
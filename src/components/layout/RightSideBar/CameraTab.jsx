@@ -1,7 +1,8 @@
-import { Ruler, Telescope, Aperture, Camera, Target } from 'lucide-react';
+import { Ruler, Telescope, Aperture, Camera, Target, Timer, Thermometer, Sun, Box, Glasses, RotateCw, ImageIcon, X, Wind } from 'lucide-react';
 import { Button } from "@/components/ui/button";
 import { Slider } from "@/components/ui/slider";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Switch } from "@/components/ui/switch";
 import { Trackpad } from "@/components/ui/trackpad";
 import { CAMERA_RANGES, CAMERA_PRESETS } from '@/Constants';
 import { useCameraStore } from '@/store';
@@ -16,6 +17,21 @@ const CameraTab = () => {
 		focusDistance,
 		aperture,
 		focalLength,
+		physicalCamera,
+		iso,
+		shutterSpeed,
+		whiteBalanceTemperature,
+		whiteBalanceTint,
+		vignetting,
+		shutterAngle,
+		apertureBlades,
+		apertureRotation,
+		bladeCurvature,
+		anamorphicRatio,
+		catEye,
+		bokehImage,
+		cameraProjection,
+		stereoEyeSeparation,
 		activePreset,
 		focusMode,
 		cameraNames,
@@ -32,6 +48,21 @@ const CameraTab = () => {
 		handleFovChange,
 		handleApertureChange,
 		handleFocalLengthChange,
+		handlePhysicalCameraChange,
+		handleIsoChange,
+		handleShutterSpeedChange,
+		handleWhiteBalanceTemperatureChange,
+		handleWhiteBalanceTintChange,
+		handleVignettingChange,
+		handleShutterAngleChange,
+		handleApertureBladesChange,
+		handleApertureRotationChange,
+		handleBladeCurvatureChange,
+		handleAnamorphicRatioChange,
+		handleCatEyeChange,
+		handleBokehImageChange,
+		handleCameraProjectionChange,
+		handleStereoEyeSeparationChange,
 		handleCameraMove,
 		handleCameraChange,
 		handleApertureScaleChange,
@@ -63,6 +94,24 @@ const CameraTab = () => {
 
 	}, [] );
 
+	const handleLoadBokehImage = () => {
+
+		const input = document.createElement( 'input' );
+		input.type = 'file';
+		input.accept = '.png,.jpeg,.jpg,.webp';
+		input.onchange = ( event ) => {
+
+			const file = event.target.files[ 0 ];
+			if ( file ) handleBokehImageChange( file );
+
+		};
+
+		input.click();
+
+	};
+
+	const formatShutterSpeed = ( seconds ) => seconds < 1 ? `1/${Math.round( 1 / seconds )}` : `${seconds}"`;
+
 	const cameraPoints = [
 		{ x: 0, y: 50 }, // left view
 		{ x: 50, y: 50 }, // front view
@@ -94,6 +143,39 @@ const CameraTab = () => {
 				</Select>
 			</div>
 
+			<div className="flex items-center justify-between">
+				<Select value={cameraProjection} onValueChange={handleCameraProjectionChange}>
+					<span className="opacity-50 text-xs truncate">Projection</span>
+					<SelectTrigger className="max-w-32 h-5 rounded-full">
+						<div className="h-full pr-1 inline-flex justify-start items-center">
+							<Box size={12} className="z-10" />
+						</div>
+						<SelectValue placeholder="Select projection" />
+					</SelectTrigger>
+					<SelectContent>
+						<SelectItem value="perspective">Perspective</SelectItem>
+						<SelectItem value="orthographic">Orthographic</SelectItem>
+						<SelectItem value="equirectangular">360° Panorama</SelectItem>
+						<SelectItem value="equirectangularStereo">360° Stereo (Top/Bottom)</SelectItem>
+						<SelectItem value="cubemap">Cubemap (3×2)</SelectItem>
+					</SelectContent>
+				</Select>
+			</div>
+
+			{cameraProjection === 'equirectangularStereo' && (
+				<div className="flex items-center justify-between">
+					<Slider
+						label={"Eye Separation (m)"}
+						icon={Glasses}
+						min={CAMERA_RANGES.stereoEyeSeparation.min}
+						max={CAMERA_RANGES.stereoEyeSeparation.max}
+						step={0.001}
+						value={[ stereoEyeSeparation ]}
+						onValueChange={( values ) => handleStereoEyeSeparationChange( values[ 0 ] )}
+					/>
+				</div>
+			)}
+
 			<div className="flex items-center justify-between">
 				<Select value={activePreset} onValueChange={handlePresetChange}>
 					<span className="opacity-50 text-xs truncate">Camera Preset</span>
@@ -191,6 +273,177 @@ const CameraTab = () => {
 				/>
 			</div>
 
+			<div className="flex items-center justify-between">
+				<span className="opacity-50 text-xs truncate">Bokeh Image</span>
+				<div className="flex items-center gap-1">
+					<Button variant="outline" size="sm" className="h-5 max-w-32 rounded-full text-xs" onClick={handleLoadBokehImage}>
+						<ImageIcon size={12} className="mr-1 shrink-0" /><span className="truncate">{bokehImage ?? "Load"}</span>
+					</Button>
+					{bokehImage && (
+						<Button variant="outline" size="icon" className="h-5 rounded-full" title="Use aperture blades" onClick={() => handleBokehImageChange( null )}>
+							<X size={12} />
+						</Button>
+					)}
+				</div>
+			</div>
+
+			{! bokehImage && ( <>
+				<div className="flex items-center justify-between">
+					<Slider
+						label={"Aperture Blades"}
+						icon={Aperture}
+						min={CAMERA_RANGES.apertureBlades.min}
+						max={CAMERA_RANGES.apertureBlades.max}
+						step={1}
+						value={[ apertureBlades ]}
+						onValueChange={( values ) => handleApertureBladesChange( values[ 0 ] )}
+					/>
+				</div>
+
+				{apertureBlades >= 3 && (
+					<div className="flex items-center justify-between">
+						<Slider
+							label={"Blade Curvature"}
+							min={0}
+							max={1}
+							step={0.01}
+							value={[ bladeCurvature ]}
+							onValueChange={( values ) => handleBladeCurvatureChange( values[ 0 ] )}
+						/>
+					</div>
+				)}
+			</> )}
+
+			<div className="flex items-center justify-between">
+				<Slider
+					label={"Aperture Rotation (°)"}
+					icon={RotateCw}
+					min={0}
+					max={180}
+					step={1}
+					value={[ apertureRotation ]}
+					onValueChange={( values ) => handleApertureRotationChange( values[ 0 ] )}
+				/>
+			</div>
+
+			<div className="flex items-center justify-between">
+				<Select value={anamorphicRatio.toString()} onValueChange={handleAnamorphicRatioChange}>
+					<span className="opacity-50 text-xs truncate">Anamorphic Squeeze</span>
+					<SelectTrigger className="max-w-32 h-5 rounded-full">
+						<div className="h-full pr-1 inline-flex justify-start items-center">
+							<Aperture size={12} className="z-10" />
+						</div>
+						<SelectValue placeholder="Select squeeze" />
+					</SelectTrigger>
+					<SelectContent>
+						{CAMERA_RANGES.anamorphicRatio.options.map( ratio => (
+							<SelectItem key={ratio} value={ratio.toString()}>{ratio === 1 ? "None" : `${ratio}×`}</SelectItem>
+						) )}
+					</SelectContent>
+				</Select>
+			</div>
+
+			<div className="flex items-center justify-between">
+				<Slider
+					label={"Cat Eye"}
+					min={0}
+					max={1}
+					step={0.01}
+					value={[ catEye ]}
+					onValueChange={( values ) => handleCatEyeChange( values[ 0 ] )}
+				/>
+			</div>
+
+			<div className="flex items-center justify-between">
+				<Switch label={"Physical Exposure"} checked={physicalCamera} onCheckedChange={handlePhysicalCameraChange} />
+			</div>
+
+			{physicalCamera && ( <>
+				<div className="flex items-center justify-between">
+					<Select value={iso.toString()} onValueChange={handleIsoChange}>
+						<span className="opacity-50 text-xs truncate">ISO</span>
+						<SelectTrigger className="max-w-32 h-5 rounded-full">
+							<div className="h-full pr-1 inline-flex justify-start items-center">
+								<Sun size={12} className="z-10" />
+							</div>
+							<SelectValue placeholder="Select ISO" />
+						</SelectTrigger>
+						<SelectContent>
+							{CAMERA_RANGES.iso.options.map( value => (
+								<SelectItem key={value} value={value.toString()}>{value}</SelectItem>
+							) )}
+						</SelectContent>
+					</Select>
+				</div>
+
+				<div className="flex items-center justify-between">
+					<Select value={shutterSpeed.toString()} onValueChange={handleShutterSpeedChange}>
+						<span className="opacity-50 text-xs truncate">Shutter Speed (s)</span>
+						<SelectTrigger className="max-w-32 h-5 rounded-full">
+							<div className="h-full pr-1 inline-flex justify-start items-center">
+								<Timer size={12} className="z-10" />
+							</div>
+							<SelectValue placeholder="Select shutter speed" />
+						</SelectTrigger>
+						<SelectContent>
+							{CAMERA_RANGES.shutterSpeed.options.map( seconds => (
+								<SelectItem key={seconds} value={seconds.toString()}>{formatShutterSpeed( seconds )}</SelectItem>
+							) )}
+						</SelectContent>
+					</Select>
+				</div>
+			</> )}
+
+			<div className="flex items-center justify-between">
+				<Slider
+					label={"White Balance (K)"}
+					icon={Thermometer}
+					min={CAMERA_RANGES.whiteBalanceTemperature.min}
+					max={CAMERA_RANGES.whiteBalanceTemperature.max}
+					step={50}
+					snapPoints={[ 6500 ]}
+					value={[ whiteBalanceTemperature ]}
+					onValueChange={( values ) => handleWhiteBalanceTemperatureChange( values[ 0 ] )}
+				/>
+			</div>
+
+			<div className="flex items-center justify-between">
+				<Slider
+					label={"Tint"}
+					min={CAMERA_RANGES.whiteBalanceTint.min}
+					max={CAMERA_RANGES.whiteBalanceTint.max}
+					step={1}
+					snapPoints={[ 0 ]}
+					value={[ whiteBalanceTint ]}
+					onValueChange={( values ) => handleWhiteBalanceTintChange( values[ 0 ] )}
+				/>
+			</div>
+
+			<div className="flex items-center justify-between">
+				<Slider
+					label={"Vignetting"}
+					icon={Aperture}
+					min={0}
+					max={1}
+					step={0.01}
+					value={[ vignetting ]}
+					onValueChange={( values ) => handleVignettingChange( values[ 0 ] )}
+				/>
+			</div>
+
+			<div className="flex items-center justify-between">
+				<Slider
+					label={"Shutter Angle (°)"}
+					icon={Wind}
+					min={CAMERA_RANGES.shutterAngle.min}
+					max={CAMERA_RANGES.shutterAngle.max}
+					step={15}
+					snapPoints={[ 180 ]}
+					value={[ shutterAngle ]}
+					onValueChange={( values ) => handleShutterAngleChange( values[ 0 ] )}
+				/>
+			</div>
+
 			{selectedCameraIndex == 0 && (
 				<div className="flex items-center justify-between">
 					<Trackpad
@@ -1,6 +1,8 @@
-import { Grip } from 'lucide-react';
+import { Grip, Film, Timer } from 'lucide-react';
+import { useEffect, useState } from 'react';
 import { Slider } from "@/components/ui/slider";
 import { Switch } from "@/components/ui/switch";
+import { Button } from "@/components/ui/button";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { usePathTracerStore as useStore } from '@/store';
 import { ControlGroup } from '@/components/ui/control-group';
@@ -41,6 +43,65 @@ const FinalRenderPanel = () => {
 		oidnHdr, setOidnHdr,
 	} = useStore();
 
+	// Animation sequence
+	const [ clipDuration, setClipDuration ] = useState( 0 );
+	const [ sequenceFps, setSequenceFps ] = useState( 24 );
+	const [ frameRange, setFrameRange ] = useState( [ 0, 0 ] );
+	const [ sequenceOutput, setSequenceOutput ] = useState( 'png' );
+	const [ sequenceDenoise, setSequenceDenoise ] = useState( enableOIDN );
+	const [ sequenceProgress, setSequenceProgress ] = useState( null );
+	const lastFrame = Math.floor( clipDuration * sequenceFps );
+
+	useEffect( () => {
+
+		const updateClip = () => {
+
+			const duration = window.pathTracerApp?.animation.duration ?? 0;
+			setClipDuration( duration );
+			setFrameRange( [ 0, Math.floor( duration * sequenceFps ) ] );
+
+		};
+
+		const handleFrameRendered = ( event ) => setSequenceProgress( { rendered: event.rendered, total: event.total } );
+		const handleSequenceFinished = () => setSequenceProgress( null );
+
+		updateClip();
+		window.addEventListener( 'AnimationsChanged', updateClip );
+		window.pathTracerApp?.addEventListener( 'SequenceFrameRendered', handleFrameRendered );
+		window.pathTracerApp?.addEventListener( 'SequenceFinished', handleSequenceFinished );
+
+		return () => {
+
+			window.removeEventListener( 'AnimationsChanged', updateClip );
+			window.pathTracerApp?.removeEventListener( 'SequenceFrameRendered', handleFrameRendered );
+			window.pathTracerApp?.removeEventListener( 'SequenceFinished', handleSequenceFinished );
+
+		};
+
+	}, [ sequenceFps ] );
+
+	const handleRenderSequence = () => {
+
+		if ( ! window.pathTracerApp ) return;
+
+		if ( sequenceProgress ) {
+
+			window.pathTracerApp.cancelRenderSequence();
+			return;
+
+		}
+
+		setSequenceProgress( { rendered: 0, total: frameRange[ 1 ] - frameRange[ 0 ] + 1 } );
+		window.pathTracerApp.renderSequence( {
+			fps: sequenceFps,
+			startFrame: frameRange[ 0 ],
+			endFrame: frameRange[ 1 ],
+			denoise: sequenceDenoise,
+			output: sequenceOutput
+		} );
+
+	};
+
 	// Path Tracer
 	const handleBouncesChange = handleChange( setBounces, value => window.pathTracerApp.pathTracingPass.material.uniforms.maxBounceCount.value = value );
 	const handleSamplesPerPixelChange = handleChange( setSamplesPerPixel, value => window.pathTracerApp.pathTracingPass.material.uniforms.numRaysPerPixel.value = value );
@@ -145,6 +206,42 @@ const FinalRenderPanel = () => {
 				</div>
 			</> )}
 			<Separator className="bg-primary/20 mt-3.5 mb-3.5" />
+			{clipDuration > 0 && (
+				<ControlGroup name="Animation Sequence" icon={Film}>
+					<div className="flex items-center justify-between">
+						<Slider label={"Frame Rate"} icon={Timer} min={1} max={60} step={1} value={[ sequenceFps ]} onValueChange={value => setSequenceFps( value[ 0 ] )} disabled={!! sequenceProgress} />
+					</div>
+					<div className="flex items-center justify-between">
+						<Slider label={"Start Frame"} min={0} max={lastFrame} step={1} value={[ frameRange[ 0 ] ]} onValueChange={value => setFrameRange( [ Math.min( value[ 0 ], frameRange[ 1 ] ), frameRange[ 1 ] ] )} disabled={!! sequenceProgress} />
+					</div>
+					<div className="flex items-center justify-between">
+						<Slider label={"End Frame"} min={0} max={lastFrame} step={1} value={[ frameRange[ 1 ] ]} onValueChange={value => setFrameRange( [ frameRange[ 0 ], Math.max( value[ 0 ], frameRange[ 0 ] ) ] )} disabled={!! sequenceProgress} />
+					</div>
+					<div className="flex items-center justify-between">
+						<Select value={sequenceOutput} onValueChange={setSequenceOutput} disabled={!! sequenceProgress}>
+							<span className="opacity-50 text-xs truncate">Output</span>
+							<SelectTrigger className="max-w-32 h-5 rounded-full">
+								<SelectValue placeholder="Select output" />
+							</SelectTrigger>
+							<SelectContent>
+								<SelectItem value="png">PNG Sequence</SelectItem>
+								<SelectItem value="results">Results</SelectItem>
+							</SelectContent>
+						</Select>
+					</div>
+					<div className="flex items-center justify-between">
+						<Switch label={"Denoise Frames"} checked={sequenceDenoise} onCheckedChange={setSequenceDenoise} disabled={!! sequenceProgress} />
+					</div>
+					<div className="flex items-center justify-between">
+						<span className="opacity-50 text-xs">
+							{sequenceProgress ? `Frame ${sequenceProgress.rendered} / ${sequenceProgress.total}` : `${frameRange[ 1 ] - frameRange[ 0 ] + 1} frames`}
+						</span>
+						<Button variant={sequenceProgress ? "destructive" : "default"} size="sm" className="h-5 rounded-full text-xs" onClick={handleRenderSequence}>
+							{sequenceProgress ? "Cancel" : "Render Sequence"}
+						</Button>
+					</div>
+				</ControlGroup>
+			)}
 		</div>
 	);
 
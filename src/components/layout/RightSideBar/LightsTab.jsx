@@ -1,14 +1,31 @@
-import { Sunrise, Rainbow, Sun, Lightbulb, Grid3X3, ArrowsUpFromLine } from 'lucide-react';
+import { Sunrise, Rainbow, Sun, Lightbulb, Grid3X3, ArrowsUpFromLine, Flashlight, Ruler, Sliders, Aperture, Blend, Circle, Plus, Trash2, Move3d, Rotate3d } from 'lucide-react';
 import { Slider } from "@/components/ui/slider";
 import { Vector3Component } from "@/components/ui/vector3";
 import { ColorInput } from "@/components/ui/colorinput";
-import { useLightStore } from '@/store';
+import { Input } from "@/components/ui/input";
+import { Button } from "@/components/ui/button";
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from "@/components/ui/dropdown-menu";
+import { useLightStore, useStore } from '@/store';
 import { Separator } from '@/components/ui/separator';
-import { useEffect } from 'react';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { useEffect, useState } from 'react';
+import { MathUtils } from 'three';
+import { cn } from "@/lib/utils";
+
+const NEW_LIGHT_TYPES = [
+	{ type: 'DirectionalLight', label: 'Directional Light' },
+	{ type: 'PointLight', label: 'Point Light' },
+	{ type: 'SpotLight', label: 'Spot Light' },
+	{ type: 'RectAreaLight', label: 'Area Light' }
+];
 
 const LightsTab = () => {
 
 	const { lights, setLights, updateLight } = useLightStore();
+	const selectedObject = useStore( ( state ) => state.selectedObject );
+	const setSelectedObject = useStore( ( state ) => state.setSelectedObject );
+	const [ iesProfiles, setIESProfiles ] = useState( [] );
+	const [ transformMode, setTransformMode ] = useState( 'translate' );
 
 	const handleLightChange = ( index, property, value ) => {
 
@@ -21,6 +38,19 @@ const LightsTab = () => {
 				if ( property === 'intensity' ) light.intensity = value[ 0 ];
 				else if ( property === 'color' ) light.color.set( value );
 				else if ( property === 'position' ) light.position.set( ...value );
+				else if ( property === 'distance' ) light.distance = value[ 0 ];
+				else if ( property === 'decay' ) light.decay = value[ 0 ];
+				else if ( property === 'angle' ) light.angle = MathUtils.degToRad( value[ 0 ] );
+				else if ( property === 'penumbra' ) light.penumbra = value[ 0 ];
+				else if ( property === 'radius' ) light.userData.radius = value[ 0 ];
+				else if ( property === 'angularRadius' ) light.userData.angularRadius = MathUtils.degToRad( value[ 0 ] );
+				else if ( property === 'iesProfile' ) {
+
+					const profile = window.pathTracerApp.assetLoader.getIESProfiles().find( p => p.name === value );
+					if ( profile ) light.userData.iesProfile = profile;
+					else delete light.userData.iesProfile;
+
+				}
 
 				window.pathTracerApp.pathTracingPass.updateLights();
 				window.pathTracerApp.reset();
@@ -31,12 +61,54 @@ const LightsTab = () => {
 
 	};
 
+	const handleSelectLight = ( uuid ) => {
+
+		if ( ! window.pathTracerApp ) return;
+
+		const object = selectedObject?.uuid === uuid ? null : window.pathTracerApp.scene.getObjectByProperty( 'uuid', uuid );
+		window.pathTracerApp.selectObject( object );
+		window.pathTracerApp.refreshFrame();
+		setSelectedObject( object );
+
+	};
+
+	const handleAddLight = ( type ) => {
+
+		if ( ! window.pathTracerApp ) return;
+
+		const light = window.pathTracerApp.addLight( type );
+		window.pathTracerApp.selectObject( light );
+		setSelectedObject( light );
+
+	};
+
+	const handleRemoveLight = ( uuid ) => {
+
+		window.pathTracerApp?.removeLight( uuid );
+
+	};
+
+	const handleRenameLight = ( uuid, name ) => {
+
+		const trimmed = name.trim();
+		if ( trimmed ) window.pathTracerApp?.renameLight( uuid, trimmed );
+
+	};
+
+	const handleTransformModeChange = ( mode ) => {
+
+		setTransformMode( mode );
+		window.pathTracerApp?.setTransformMode( mode );
+
+	};
+
 	const getLightIcon = ( type ) => {
 
 		switch ( type ) {
 
 			case 'DirectionalLight': return <ArrowsUpFromLine size="14" className="mr-2 rotate-45 -scale-100" />;
 			case 'PointLight': return <Lightbulb size="14" className="mr-2" />;
+			case 'SpotLight': return <Flashlight size="14" className="mr-2" />;
 			case 'RectAreaLight': return <Grid3X3 size="14" className="mr-2" />;
 			default: return <Sun className="mr-2" />;
 
@@ -50,6 +122,8 @@ const LightsTab = () => {
 
 			case 'DirectionalLight': return { min: 0, max: 5, step: 0.1 };
 			case 'RectAreaLight': return { min: 0, max: 1000, step: 50 };
+			case 'PointLight':
+			case 'SpotLight': return { min: 0, max: 1000, step: 1 };
 			default: return { min: 0, max: 5, step: 0.1 };
 
 		}
@@ -66,7 +140,22 @@ const LightsTab = () => {
 				type: light.type,
 				intensity: light.intensity,
 				color: `#${light.color.getHexString()}`,
-				position: [ light.position.x, light.position.y, light.position.z ]
+				position: [ light.position.x, light.position.y, light.position.z ],
+				...( ( light.isPointLight || light.isSpotLight ) && {
+					distance: light.distance,
+					decay: light.decay,
+					radius: light.userData.radius ?? 0
+				} ),
+				...( light.isDirectionalLight && {
+					angularRadius: MathUtils.radToDeg( light.userData.angularRadius ?? 0 )
+				} ),
+				...( light.isSpotLight && {
+					angle: MathUtils.radToDeg( light.angle ),
+					penumbra: light.penumbra
+				} ),
+				...( ( light.isPointLight || light.isSpotLight || light.isRectAreaLight ) && {
+					iesProfile: light.userData.iesProfile?.name ?? 'none'
+				} )
 			} ) );
 			setLights( sceneLights );
 
@@ -74,22 +163,82 @@ const LightsTab = () => {
 
 	};
 
+	const updateIESProfiles = () => {
+
+		if ( window.pathTracerApp ) {
+
+			setIESProfiles( window.pathTracerApp.assetLoader.getIESProfiles().map( profile => profile.name ) );
+
+		}
+
+	};
+
 	useEffect( () => {
 
 		updateLightsFromScene();
+		updateIESProfiles();
 		window.addEventListener( 'SceneRebuild', updateLightsFromScene );
+		window.addEventListener( 'LightsChanged', updateLightsFromScene );
+		window.addEventListener( 'LightTransformed', updateLightsFromScene );
+		window.addEventListener( 'IESProfilesLoaded', updateIESProfiles );
+
+		return () => {
 
-		return () => window.removeEventListener( 'SceneRebuild', updateLightsFromScene );
+			window.removeEventListener( 'SceneRebuild', updateLightsFromScene );
+			window.removeEventListener( 'LightsChanged', updateLightsFromScene );
+			window.removeEventListener( 'LightTransformed', updateLightsFromScene );
+			window.removeEventListener( 'IESProfilesLoaded', updateIESProfiles );
+
+		};
 
 	}, [] );
 
 	return (
 		<div className="p-2">
+			<div className="flex items-center justify-between mb-4">
+				<DropdownMenu>
+					<DropdownMenuTrigger asChild>
+						<Button variant="outline" size="sm" className="h-5 rounded-full text-xs">
+							<Plus size={12} className="mr-1" />Add Light
+						</Button>
+					</DropdownMenuTrigger>
+					<DropdownMenuContent align="start">
+						{NEW_LIGHT_TYPES.map( ( { type, label } ) => (
+							<DropdownMenuItem key={type} className="text-xs" onClick={() => handleAddLight( type )}>
+								{getLightIcon( type )}{label}
+							</DropdownMenuItem>
+						) )}
+					</DropdownMenuContent>
+				</DropdownMenu>
+				<div className="flex items-center space-x-1">
+					<Button variant={transformMode === 'translate' ? "default" : "outline"} size="icon" className="h-5 rounded-full" title="Move selected light" onClick={() => handleTransformModeChange( 'translate' )}>
+						<Move3d size={12} />
+					</Button>
+					<Button variant={transformMode === 'rotate' ? "default" : "outline"} size="icon" className="h-5 rounded-full" title="Rotate selected light" onClick={() => handleTransformModeChange( 'rotate' )}>
+						<Rotate3d size={12} />
+					</Button>
+				</div>
+			</div>
 			{lights.map( ( light, index ) => (
 				<div key={light.uuid} className="space-y-4">
 					<div className="flex items-center justify-between">
-						{getLightIcon( light.type )}
-						<div className="text-xs opacity-65 truncate">{light.name}</div>
+						<div
+							className={cn( "flex items-center cursor-pointer", selectedObject?.uuid === light.uuid ? "opacity-100" : "opacity-65" )}
+							title="Select to move or rotate in the viewport"
+							onClick={() => handleSelectLight( light.uuid )}
+						>
+							{getLightIcon( light.type )}
+						</div>
+						<Input
+							key={light.name}
+							className="h-5 mx-2 px-2 text-xs"
+							defaultValue={light.name}
+							onBlur={e => handleRenameLight( light.uuid, e.target.value )}
+							onKeyDown={e => e.key === 'Enter' && e.currentTarget.blur()}
+						/>
+						<Button variant="ghost" size="icon" className="h-5 w-5" title="Delete light" onClick={() => handleRemoveLight( light.uuid )}>
+							<Trash2 size={12} />
+						</Button>
 					</div>
 					<div className="flex items-center justify-end">
 						<div className="text-xs opacity-65">{light.type}</div>
@@ -103,6 +252,50 @@ const LightsTab = () => {
 					<div className="flex items-center justify-between">
 						<Vector3Component label={`Position ${index + 1}`} value={light.position} onValueChange={value => handleLightChange( index, 'position', value )} />
 					</div>
+					{light.type === 'DirectionalLight' && (
+						<div className="flex items-center justify-between">
+							<Slider label={`Angular Radius ${index + 1}`} icon={Sun} min={0} max={5} step={0.01} value={[ light.angularRadius ]} onValueChange={value => handleLightChange( index, 'angularRadius', value )} />
+						</div>
+					)}
+					{( light.type === 'PointLight' || light.type === 'SpotLight' ) && (
+						<>
+							<div className="flex items-center justify-between">
+								<Slider label={`Range ${index + 1}`} icon={Ruler} min={0} max={100} step={0.5} value={[ light.distance ]} onValueChange={value => handleLightChange( index, 'distance', value )} />
+							</div>
+							<div className="flex items-center justify-between">
+								<Slider label={`Decay ${index + 1}`} icon={Sliders} min={0} max={4} step={0.1} value={[ light.decay ]} onValueChange={value => handleLightChange( index, 'decay', value )} />
+							</div>
+							<div className="flex items-center justify-between">
+								<Slider label={`Radius ${index + 1}`} icon={Circle} min={0} max={2} step={0.01} value={[ light.radius ]} onValueChange={value => handleLightChange( index, 'radius', value )} />
+							</div>
+						</>
+					)}
+					{light.type === 'SpotLight' && (
+						<>
+							<div className="flex items-center justify-between">
+								<Slider label={`Cone Angle ${index + 1}`} icon={Aperture} min={1} max={90} step={1} value={[ light.angle ]} onValueChange={value => handleLightChange( index, 'angle', value )} />
+							</div>
+							<div className="flex items-center justify-between">
+								<Slider label={`Penumbra ${index + 1}`} icon={Blend} min={0} max={1} step={0.01} value={[ light.penumbra ]} onValueChange={value => handleLightChange( index, 'penumbra', value )} />
+							</div>
+						</>
+					)}
+					{light.iesProfile !== undefined && (
+						<div className="flex items-center justify-between">
+							<Select value={light.iesProfile} onValueChange={value => handleLightChange( index, 'iesProfile', value )}>
+								<span className="opacity-50 text-xs truncate">IES Profile</span>
+								<SelectTrigger className="max-w-32 h-5 rounded-full">
+									<SelectValue placeholder="Drop an .ies file" />
+								</SelectTrigger>
+								<SelectContent>
+									<SelectItem value="none">None</SelectItem>
+									{iesProfiles.map( name => (
+										<SelectItem key={name} value={name}>{name}</SelectItem>
+									) )}
+								</SelectContent>
+							</Select>
+						</div>
+					)}
 					<Separator />
 				</div>
 			) )}
@@ -20,6 +20,8 @@ const MATERIAL_PROPERTIES = {
 	// Specular properties
 	specularIntensity: { type: 'slider', default: 1, min: 0, max: 1, step: 0.01, label: 'Specular Intensity', section: 'specular' },
 	specularColor: { type: 'color', default: '#ffffff', label: 'Specular Color', section: 'specular' },
+	anisotropy: { type: 'slider', default: 0, min: 0, max: 1, step: 0.01, label: 'Anisotropy', section: 'specular' },
+	anisotropyRotation: { type: 'slider', default: 0, min: 0, max: Math.PI, step: 0.01, label: 'Anisotropy Rotation', section: 'specular' },
 
 	// Sheen properties
 	sheen: { type: 'slider', default: 0, min: 0, max: 1, step: 0.01, label: 'Sheen', section: 'sheen' },
@@ -44,10 +46,17 @@ const MATERIAL_PROPERTIES = {
 	dispersion: { type: 'slider', default: 0, min: 0, max: 10, step: 0.01, label: 'Dispersion', section: 'transmission' },
 	alphaTest: { type: 'slider', default: 0, min: 0, max: 1, step: 0.01, label: 'Alpha Test', section: 'transmission' },
 
+	// Subsurface properties
+	subsurface: { type: 'slider', default: 0, min: 0, max: 1, step: 0.01, label: 'Subsurface', section: 'subsurface' },
+	subsurfaceColor: { type: 'color', default: '#ffffff', label: 'Subsurface Color', section: 'subsurface' },
+	subsurfaceRadius: { type: 'color', default: '#ff3319', label: 'Subsurface Radius', section: 'subsurface' },
+	subsurfaceScale: { type: 'slider', default: 0.05, min: 0, max: 1, step: 0.001, label: 'Subsurface Scale', section: 'subsurface' },
+
 	// Special properties
 	transparent: { type: 'checkbox', default: false, label: 'Transparent', section: 'other' },
 	side: { type: 'select', default: 0, options: [ { value: 0, label: 'Front' }, { value: 1, label: 'Back' }, { value: 2, label: 'Double' } ], label: 'Side', section: 'other' },
 	visible: { type: 'switch', default: true, label: 'Visible', section: 'basic' },
+	shadowCatcher: { type: 'switch', default: false, label: 'Shadow Catcher', section: 'basic' },
 };
 
 const MaterialTab = () => {
@@ -90,7 +99,7 @@ const MaterialTab = () => {
 
 				if ( config.type === 'color' ) {
 
-					newState[ key ] = getHexString( selectedObject.material[ key ] );
+					newState[ key ] = selectedObject.material[ key ] ? getHexString( selectedObject.material[ key ] ) : config.default;
 
 				} else {
 
@@ -158,7 +167,7 @@ const MaterialTab = () => {
 				return <NumberInput label={config.label} min={config.min} max={config.max} step={config.step} value={value} onValueChange={onChange} />
 
 			case 'switch':
-				return <Switch label={config.label} checked={value} onCheckedChange={onChange} />
+				return <Switch label={config.label} checked={Boolean( value )} onCheckedChange={onChange} />
 
 			case 'checkbox':
 				return (
@@ -299,6 +308,18 @@ const MaterialTab = () => {
 				</>
 			)}
 
+			{/* Subsurface Properties */}
+			{groupedProperties.subsurface && (
+				<>
+					{groupedProperties.subsurface.map( ( [ property, config ] ) => (
+						<div key={property} className="flex items-center justify-between">
+							{renderPropertyComponent( property, config )}
+						</div>
+					) )}
+					<Separator />
+				</>
+			)}
+
 			{/* Other Properties */}
 			{groupedProperties.other && (
 				<>
@@ -1,6 +1,8 @@
 import { Grip, Sun, Sunrise, RefreshCcwDot } from 'lucide-react';
 import { Slider } from "@/components/ui/slider";
+import { ColorInput } from "@/components/ui/colorinput";
 import { Switch } from "@/components/ui/switch";
+import { Input } from "@/components/ui/input";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
 import { usePathTracerStore } from '@/store';
 import { ControlGroup } from '@/components/ui/control-group';
@@ -39,6 +41,14 @@ const PathTracerTab = () => {
 		enableEarlyTermination,
 		earlyTerminationThreshold,
 		fireflyThreshold,
+		spectralRendering,
+		energyCompensation,
+		enableFog,
+		fogDensity,
+		fogColor,
+		fogAnisotropy,
+		fogHeight,
+		densityGridScale,
 		renderMode,
 		tiles,
 		tilesHelper,
@@ -58,9 +68,25 @@ const PathTracerTab = () => {
 		oidnQuality,
 		oidnHdr,
 		exposure,
+		autoExposure,
+		autoExposureMetering,
+		exposureCompensation,
+		autoExposureSpeed,
 		enableEnvironment,
 		useImportanceSampledEnvironment,
 		showBackground,
+		groundMode,
+		enableGroundProjection,
+		groundProjectionHeight,
+		groundProjectionRadius,
+		environmentSource,
+		skyTurbidity,
+		sunIntensity,
+		sunLatitude,
+		sunLongitude,
+		sunDate,
+		sunTime,
+		sunUtcOffset,
 		backgroundIntensity,
 		environmentIntensity,
 		environmentRotation,
@@ -90,6 +116,14 @@ const PathTracerTab = () => {
 		handleEnableEarlyTerminationChange,
 		handleEarlyTerminationThresholdChange,
 		handleFireflyThresholdChange,
+		handleSpectralRenderingChange,
+		handleEnergyCompensationChange,
+		handleEnableFogChange,
+		handleFogDensityChange,
+		handleFogColorChange,
+		handleFogAnisotropyChange,
+		handleFogHeightChange,
+		handleDensityGridScaleChange,
 		handleRenderModeChange,
 		handleTileUpdate,
 		handleTileHelperToggle,
@@ -108,10 +142,26 @@ const PathTracerTab = () => {
 		handleBloomStrengthChange,
 		handleBloomRadiusChange,
 		handleExposureChange,
+		handleAutoExposureChange,
+		handleAutoExposureMeteringChange,
+		handleExposureCompensationChange,
+		handleAutoExposureSpeedChange,
 		handleEnableEnvironmentChange,
 		handleUseImportanceSampledEnvironmentChange,
 		handleShowBackgroundChange,
 		handleBackgroundIntensityChange,
+		handleGroundModeChange,
+		handleEnableGroundProjectionChange,
+		handleGroundProjectionHeightChange,
+		handleGroundProjectionRadiusChange,
+		handleEnvironmentSourceChange,
+		handleSkyTurbidityChange,
+		handleSunIntensityChange,
+		handleSunLatitudeChange,
+		handleSunLongitudeChange,
+		handleSunDateChange,
+		handleSunTimeChange,
+		handleSunUtcOffsetChange,
 		handleEnvironmentIntensityChange,
 		handleEnvironmentRotationChange,
 		handleGIIntensityChange,
@@ -193,8 +243,69 @@ const PathTracerTab = () => {
 					</Select>
 				</div>
 				<div className="flex items-center justify-between">
-					<Slider icon={Exposure} label={"Exposure"} min={0} max={2} step={0.01} value={[ exposure ]} snapPoints={[ 1 ]} onValueChange={handleExposureChange} />
+					<Switch label={"Auto Exposure"} checked={autoExposure} onCheckedChange={handleAutoExposureChange} />
 				</div>
+				{autoExposure ? ( <>
+					<div className="flex items-center justify-between">
+						<Select value={autoExposureMetering} onValueChange={handleAutoExposureMeteringChange}>
+							<span className="opacity-50 text-xs truncate">Metering</span>
+							<SelectTrigger className="max-w-32 h-5 rounded-full" >
+								<SelectValue placeholder="Select Metering" />
+							</SelectTrigger>
+							<SelectContent>
+								<SelectItem value="average">Average</SelectItem>
+								<SelectItem value="centerWeighted">Center Weighted</SelectItem>
+								<SelectItem value="spot">Spot</SelectItem>
+							</SelectContent>
+						</Select>
+					</div>
+					<div className="flex items-center justify-between">
+						<Slider icon={Exposure} label={"Compensation (EV)"} min={- 5} max={5} step={0.1} value={[ exposureCompensation ]} snapPoints={[ 0 ]} onValueChange={handleExposureCompensationChange} />
+					</div>
+					<div className="flex items-center justify-between">
+						<Slider label={"Adaptation Speed"} min={0.1} max={10} step={0.1} value={[ autoExposureSpeed ]} onValueChange={handleAutoExposureSpeedChange} />
+					</div>
+				</> ) : (
+					<div className="flex items-center justify-between">
+						<Slider icon={Exposure} label={"Exposure"} min={0} max={2} step={0.01} value={[ exposure ]} snapPoints={[ 1 ]} onValueChange={handleExposureChange} />
+					</div>
+				)}
+				<div className="flex items-center justify-between">
+					<Select value={environmentSource} onValueChange={handleEnvironmentSourceChange}>
+						<span className="opacity-50 text-xs truncate">Environment</span>
+						<SelectTrigger className="max-w-32 h-5 rounded-full" >
+							<SelectValue placeholder="Select Environment" />
+						</SelectTrigger>
+						<SelectContent>
+							<SelectItem value="hdri">HDRI</SelectItem>
+							<SelectItem value="sky">Physical Sky</SelectItem>
+						</SelectContent>
+					</Select>
+				</div>
+				{environmentSource === 'sky' && ( <>
+					<div className="flex items-center justify-between">
+						<Slider label={"Turbidity"} min={1.7} max={10} step={0.1} value={[ skyTurbidity ]} onValueChange={handleSkyTurbidityChange} />
+					</div>
+					<div className="flex items-center justify-between">
+						<Slider label={"Sun Intensity"} icon={Sun} min={0} max={10} step={0.1} value={[ sunIntensity ]} onValueChange={handleSunIntensityChange} />
+					</div>
+					<div className="flex items-center justify-between">
+						<Slider label={"Latitude"} min={- 90} max={90} step={0.01} value={[ sunLatitude ]} onValueChange={handleSunLatitudeChange} />
+					</div>
+					<div className="flex items-center justify-between">
+						<Slider label={"Longitude"} min={- 180} max={180} step={0.01} value={[ sunLongitude ]} onValueChange={handleSunLongitudeChange} />
+					</div>
+					<div className="flex items-center justify-between">
+						<span className="opacity-50 text-xs truncate">Date</span>
+						<Input type="date" className="max-w-32 h-5 px-2 rounded-full text-xs" value={sunDate} onChange={e => handleSunDateChange( e.target.value )} />
+					</div>
+					<div className="flex items-center justify-between">
+						<Slider label={"Time of Day"} icon={Sunrise} min={0} max={24} step={0.05} value={[ sunTime ]} onValueChange={handleSunTimeChange} />
+					</div>
+					<div className="flex items-center justify-between">
+						<Slider label={"UTC Offset"} min={- 12} max={14} step={0.5} value={[ sunUtcOffset ]} onValueChange={handleSunUtcOffsetChange} />
+					</div>
+				</> )}
 				<div className="flex items-center justify-between">
 					<Switch label={"Use Importance Sampling"} checked={useImportanceSampledEnvironment} onCheckedChange={handleUseImportanceSampledEnvironmentChange} />
 				</div>
@@ -210,6 +321,30 @@ const PathTracerTab = () => {
 				<div className="flex items-center justify-between">
 					<Slider label={"Environment Rotation"} icon={RefreshCcwDot} min={0} max={360} step={1} value={[ environmentRotation ]} snapPoints={[ 90, 180, 270 ]} onValueChange={handleEnvironmentRotationChange} />
 				</div>
+				<div className="flex items-center justify-between">
+					<Select value={groundMode} onValueChange={handleGroundModeChange}>
+						<span className="opacity-50 text-xs truncate">Ground</span>
+						<SelectTrigger className="max-w-32 h-5 rounded-full" >
+							<SelectValue placeholder="Select Ground" />
+						</SelectTrigger>
+						<SelectContent>
+							<SelectItem value="hidden">Hidden</SelectItem>
+							<SelectItem value="visible">Visible</SelectItem>
+							<SelectItem value="shadowCatcher">Shadow Catcher</SelectItem>
+						</SelectContent>
+					</Select>
+				</div>
+				<div className="flex items-center justify-between">
+					<Switch label={"Ground Projection"} checked={enableGroundProjection} onCheckedChange={handleEnableGroundProjectionChange} />
+				</div>
+				{enableGroundProjection && ( <>
+					<div className="flex items-center justify-between">
+						<Slider label={"Projection Height"} min={0.1} max={20} step={0.1} value={[ groundProjectionHeight ]} onValueChange={handleGroundProjectionHeightChange} />
+					</div>
+					<div className="flex items-center justify-between">
+						<Slider label={"Projection Radius"} min={1} max={500} step={1} value={[ groundProjectionRadius ]} onValueChange={handleGroundProjectionRadiusChange} />
+					</div>
+				</> )}
 			</ControlGroup>
 
 			<ControlGroup name="Denoising">
@@ -288,6 +423,12 @@ const PathTracerTab = () => {
 				<div className="flex items-center justify-between">
 					<Slider label={"Firefly Threshold"} min={0} max={10} step={0.1} value={[ fireflyThreshold ]} onValueChange={handleFireflyThresholdChange} />
 				</div>
+				<div className="flex items-center justify-between">
+					<Switch label={"Spectral Rendering"} checked={spectralRendering} onCheckedChange={handleSpectralRenderingChange} />
+				</div>
+				<div className="flex items-center justify-between">
+					<Switch label={"Energy Compensation"} checked={energyCompensation} onCheckedChange={handleEnergyCompensationChange} />
+				</div>
 				<div className="flex items-center justify-between">
 					<Switch label={"Adaptive Sampling"} checked={adaptiveSampling} onCheckedChange={handleAdaptiveSamplingChange} />
 				</div>
@@ -331,6 +472,29 @@ const PathTracerTab = () => {
 				</> )}
 			</ControlGroup>
 
+			<ControlGroup name="Volumetrics">
+				<div className="flex items-center justify-between">
+					<Switch label={"Atmospheric Fog"} checked={enableFog} onCheckedChange={handleEnableFogChange} />
+				</div>
+				{enableFog && ( <>
+					<div className="flex items-center justify-between">
+						<Slider label={"Fog Density"} min={0} max={1} step={0.005} value={[ fogDensity ]} onValueChange={handleFogDensityChange} />
+					</div>
+					<div className="flex items-center justify-between">
+						<Slider label={"Fog Height"} min={- 10} max={100} step={0.5} value={[ fogHeight ]} onValueChange={handleFogHeightChange} />
+					</div>
+				</> )}
+				<div className="flex items-center justify-between">
+					<ColorInput label={"Scattering Albedo"} value={fogColor} onChange={handleFogColorChange} />
+				</div>
+				<div className="flex items-center justify-between">
+					<Slider label={"Anisotropy"} min={- 0.95} max={0.95} step={0.05} value={[ fogAnisotropy ]} onValueChange={handleFogAnisotropyChange} />
+				</div>
+				<div className="flex items-center justify-between">
+					<Slider label={"Density Grid Scale"} min={0} max={10} step={0.1} value={[ densityGridScale ]} onValueChange={handleDensityGridScaleChange} />
+				</div>
+			</ControlGroup>
+
 			<ControlGroup name="Post Processing">
 				<div className="flex items-center justify-between">
 					<SliderToggle label={"Bloom Strength"} enabled={ enableBloom } min={0} max={3} step={0.1} value={[ bloomStrength ]} onValueChange={ handleBloomStrengthChange } onToggleChange={ handleEnableBloomChange } />
@@ -1,5 +1,5 @@
 import { useMemo, memo } from 'react';
-import { Sliders, Camera, Box, Sun, SwatchBook, Blend, PocketKnife } from 'lucide-react';
+import { Sliders, Camera, Box, Sun, SwatchBook, Blend, PocketKnife, Film } from 'lucide-react';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { useStore } from '@/store';
 import CameraTab from './CameraTab';
@@ -8,13 +8,14 @@ import AssetsTab from './AssetsTab';
 import PathTracerTab from './PathTracerTab';
 import FinalRenderPanel from './FinalRenderPanel';
 import MaterialTab from './MaterialTab';
+import AnimationTab from './AnimationTab';
 import ColorCorrectionsTab from './ColorCorrectionsTab';
 
 // Memoized tab content components to prevent unnecessary re-renders
 
 const InteractiveModeTabs = memo( () => (
 	<Tabs defaultValue="pathtracer" className="flex flex-col h-full w-full">
-		<TabsList className="relative grid w-full grid-cols-5 h-12 p-0">
+		<TabsList className="relative grid w-full grid-cols-6 h-12 p-0">
 			<TabsTrigger value="pathtracer" className="flex flex-col items-center py-2">
 				<Sliders size={12} />
 				<span className="text-xs mt-1">Tracer</span>
@@ -35,6 +36,10 @@ const InteractiveModeTabs = memo( () => (
 				<SwatchBook size={12} />
 				<span className="text-xs mt-1">Material</span>
 			</TabsTrigger>
+			<TabsTrigger value="animation" className="flex flex-col items-center py-2">
+				<Film size={12} />
+				<span className="text-xs mt-1">Animate</span>
+			</TabsTrigger>
 		</TabsList>
 
 		<TabsContent value="camera" className="relative h-full data-[state=inactive]:hidden data-[state=active]:flex flex-col overflow-y-auto">
@@ -56,6 +61,10 @@ const InteractiveModeTabs = memo( () => (
 		<TabsContent value="material" className="relative h-full data-[state=inactive]:hidden data-[state=active]:flex flex-col overflow-y-auto">
 			<MaterialTab />
 		</TabsContent>
+
+		<TabsContent value="animation" className="relative h-full data-[state=inactive]:hidden data-[state=active]:flex flex-col overflow-y-auto">
+			<AnimationTab />
+		</TabsContent>
 	</Tabs>
 ) );
 
@@ -26,7 +26,7 @@ const MainViewport = ( { mode = "interactive" } ) => {
 			const handleAssetLoad = ( event ) => {
 
 				toast( {
-					title: event.type === 'model' ? "Model Loaded" : "Environment Loaded",
+					title: event.iesProfiles ? "IES Profile Loaded" : event.densityGrid ? "Density Grid Loaded" : event.type === 'model' ? "Model Loaded" : "Environment Loaded",
 					description: `Successfully loaded ${event.filename || ''}`,
 				} );
 
@@ -124,7 +124,7 @@ const MainViewport = ( { mode = "interactive" } ) => {
 
 			toast( {
 				title: "Unsupported File Type",
-				description: "Please drop a supported 3D model or environment map.",
+				description: "Please drop a supported 3D model, environment map or IES profile.",
 				variant: "destructive",
 			} );
 			return;
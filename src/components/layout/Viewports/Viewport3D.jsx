@@ -5,7 +5,8 @@ import StatsMeter from './StatsMeter';
 import SaveControls from './SaveControls';
 import ViewportToolbar from './ViewportToolbar';
 import { useToast } from '@/hooks/use-toast';
-import { useStore } from '@/store';
+import { useStore, useCameraStore } from '@/store';
+import { CAMERA_PROJECTIONS } from '@/Constants';
 import { saveRender } from '@/utils/database';
 
 
@@ -25,6 +26,8 @@ const Viewport3D = forwardRef( ( { viewportMode = "interactive" }, ref ) => {
 	// Viewport state - now using separate useState hooks
 	const [ viewportScale, setViewportScale ] = useState( 100 );
 	const [ actualCanvasSize, setActualCanvasSize ] = useState( 512 ); // Fixed canvas size
+	const cameraProjection = useCameraStore( state => state.cameraProjection );
+	const canvasHeight = Math.round( actualCanvasSize / CAMERA_PROJECTIONS[ cameraProjection ].aspect );
 	const isDenoising = useStore( state => state.isDenoising );
 	const isRenderComplete = useStore( state => state.isRenderComplete );
 	const setIsRenderComplete = useStore( state => state.setIsRenderComplete );
@@ -41,11 +44,7 @@ const Viewport3D = forwardRef( ( { viewportMode = "interactive" }, ref ) => {
 
 		try {
 
-			const canvas = app.denoiser.enabled && app.denoiser.output
-				? app.denoiser.output
-				: app.renderer.domElement;
-
-			const imageData = canvas.toDataURL( 'image/png' );
+			const imageData = app.getRenderDataURL();
 			const saveData = {
 				image: imageData,
 				colorCorrection: {
@@ -150,24 +149,24 @@ const Viewport3D = forwardRef( ( { viewportMode = "interactive" }, ref ) => {
 	// Memoize style objects to prevent recreating them on each render
 	const wrapperStyle = useMemo( () => ( {
 		width: `${actualCanvasSize}px`,
-		height: `${actualCanvasSize}px`,
+		height: `${canvasHeight}px`,
 		transform: `scale(${viewportScale / 100})`,
 		transformOrigin: 'center center',
 		transition: "transform 0.1s ease-out"
-	} ), [ actualCanvasSize, viewportScale ] );
+	} ), [ actualCanvasSize, canvasHeight, viewportScale ] );
 
 	const containerStyle = useMemo( () => ( {
 		position: "relative",
 		width: `${actualCanvasSize}px`,
-		height: `${actualCanvasSize}px`,
+		height: `${canvasHeight}px`,
 		overflow: "hidden",
 		background: "repeating-conic-gradient(rgb(128 128 128 / 20%) 0%, rgb(128 128 128 / 20%) 25%, transparent 0%, transparent 50%) 50% center / 20px 20px"
-	} ), [ actualCanvasSize ] );
+	} ), [ actualCanvasSize, canvasHeight ] );
 
 	const canvasStyle = useMemo( () => ( {
 		width: `${actualCanvasSize}px`,
-		height: `${actualCanvasSize}px`
-	} ), [ actualCanvasSize ] );
+		height: `${canvasHeight}px`
+	} ), [ actualCanvasSize, canvasHeight ] );
 
 	return (
 		<div ref={viewportRef} className="flex justify-center items-center h-full overflow-scroll" >
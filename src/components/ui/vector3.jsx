@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import { DraggableInput } from "./draggable-input"; // Import the DraggableInput component
 
 const Vector3Component = ( {
@@ -13,6 +13,13 @@ const Vector3Component = ( {
 
 	const [ vector, setVector ] = useState( props.value || [ 0, 0, 0 ] );
 
+	// Sync with external value changes (e.g. objects moved in the viewport)
+	useEffect( () => {
+
+		if ( props.value ) setVector( props.value );
+
+	}, [ props.value ] );
+
 	// Handle component change
 	const handleComponentChange = ( index ) => ( value ) => {
 
@@ -110,7 +110,7 @@ export class ASVGFPass extends Pass {
 					
 					if (isFirstFrame) {
 						// Initialize temporal accumulation
-						gl_FragColor = vec4(currentColor.rgb, getLuma(currentColor.rgb));
+						gl_FragColor = currentColor;
 						return;
 					}
 					
@@ -123,18 +123,14 @@ export class ASVGFPass extends Pass {
 					vec4 prevMoment = texture2D(tPrevMoment, prevUV);
 					
 					float currentLum = getLuma(currentColor.rgb);
-					float prevLum = prevColor.a;
+					float prevLum = getLuma(prevColor.rgb);
 					
 					// Adaptive temporal weight based on luminance difference
 					float lumDiff = abs(currentLum - prevLum);
 					float adaptiveAlpha = temporalAlpha * exp(-lumDiff * 2.0);
 					
-					// Temporal accumulation with variance estimation
-					vec3 temporalColor = mix(currentColor.rgb, prevColor.rgb, adaptiveAlpha);
-					float temporalLum = mix(currentLum, prevLum, adaptiveAlpha);
-					
-					// Store result
-					gl_FragColor = vec4(temporalColor, temporalLum);
+					// Temporal accumulation of the premultiplied color and its alpha
+					gl_FragColor = mix(currentColor, prevColor, adaptiveAlpha);
 				}
 			`
 		} );
@@ -257,11 +253,13 @@ export class ASVGFPass extends Pass {
 
 				void main() {
 					vec2 texelSize = 1.0 / resolution;
-					vec3 centerColor = texture2D(tColor, vUv).rgb;
+					vec4 center = texture2D(tColor, vUv);
+					vec3 centerColor = center.rgb;
 					float centerLum = getLuma(centerColor);
 					vec3 centerVariance = texture2D(tVariance, vUv).rgb;
 					
-					vec3 weightedSum = vec3(0.0);
+					// Alpha is filtered with the same weights as the premultiplied color
+					vec4 weightedSum = vec4(0.0);
 					float weightSum = 0.0;
 					
 					for (int i = 0; i < 25; i++) {
@@ -272,7 +270,8 @@ export class ASVGFPass extends Pass {
 							continue;
 						}
 						
-						vec3 sampleColor = texture2D(tColor, sampleUV).rgb;
+						vec4 sampleValue = texture2D(tColor, sampleUV);
+						vec3 sampleColor = sampleValue.rgb;
 						float sampleLum = getLuma(sampleColor);
 						vec3 sampleVariance = texture2D(tVariance, sampleUV).rgb;
 						
@@ -286,14 +285,14 @@ export class ASVGFPass extends Pass {
 						
 						float weight = kernel[i] * colorWeight * lumWeight;
 						
-						weightedSum += sampleColor * weight;
+						weightedSum += sampleValue * weight;
 						weightSum += weight;
 					}
 					
 					if (weightSum > 0.0) {
-						gl_FragColor = vec4(weightedSum / weightSum, 1.0);
+						gl_FragColor = weightedSum / weightSum;
 					} else {
-						gl_FragColor = vec4(centerColor, 1.0);
+						gl_FragColor = center;
 					}
 				}
 			`
@@ -98,19 +98,19 @@ export class AdvancedAccumulationPass extends Pass {
 					// Firefly reduction on new sample
 					newSample.rgb = clampFireflies(newSample.rgb, uFireflyThreshold);
 
-					vec3 accumulatedColor;
+					vec4 accumulatedColor;
 
-					// Standard progressive accumulation formula
+					// Standard progressive accumulation formula, alpha is averaged like the premultiplied color
 					if (uIteration <= 1.0) {
-						accumulatedColor = newSample.rgb;
+						accumulatedColor = newSample;
 					} else {
 						// Standard averaging: prev + (new - prev) / iteration
 						float t = 1.0 / uIteration;
-						accumulatedColor = prevAccumulation.rgb + (newSample.rgb - prevAccumulation.rgb) * t;
+						accumulatedColor = prevAccumulation + (newSample - prevAccumulation) * t;
 					}
 
 					// Store RAW accumulated values (no tone mapping here!)
-					gl_FragColor = vec4(accumulatedColor, newSample.a);
+					gl_FragColor = accumulatedColor;
 				}
 			`
 		} );
@@ -128,6 +128,7 @@ export class AdvancedAccumulationPass extends Pass {
 				uSceneIsDynamic: { value: false },
 				uResolution: { value: new Vector2( width, height ) },
 				uTime: { value: 0.0 },
+				uImageCells: { value: new Vector2( 1, 1 ) },
 			},
 
 			vertexShader: /* glsl */`
@@ -152,6 +153,7 @@ export class AdvancedAccumulationPass extends Pass {
 				uniform bool uSceneIsDynamic;
 				uniform vec2 uResolution;
 				uniform float uTime;
+				uniform vec2 uImageCells;
 
 				#include <tonemapping_pars_fragment>
 
@@ -160,6 +162,15 @@ export class AdvancedAccumulationPass extends Pass {
 				#define TRUE 1
 				#define FALSE 0
 
+				// Alpha of the accumulation holds coverage, the kernel sees every pixel as an edge pixel.
+				// The kernel stays inside the cell of the center pixel, cube faces and stereo eyes do not blend.
+				vec4 sampleAccumulated(vec2 uv) {
+					vec2 cell = floor(vUv * uImageCells);
+					vec2 halfTexel = 0.5 / uResolution;
+					uv = clamp(uv, cell / uImageCells + halfTexel, (cell + 1.0) / uImageCells - halfTexel);
+					return vec4(texture2D(tAccumulated, uv).rgb, 1.0);
+				}
+
 				void main() {
 					// 37-pixel kernel for edge-aware denoising
 					vec4 m37[37];
@@ -168,43 +179,43 @@ export class AdvancedAccumulationPass extends Pass {
 					vec2 coord = vUv;
 
 					// Sample 37 pixels in roughly circular pattern
-					m37[ 0] = texture2D(tAccumulated, coord + vec2(-1, 3) * texelSize);
-					m37[ 1] = texture2D(tAccumulated, coord + vec2( 0, 3) * texelSize);
-					m37[ 2] = texture2D(tAccumulated, coord + vec2( 1, 3) * texelSize);
-					m37[ 3] = texture2D(tAccumulated, coord + vec2(-2, 2) * texelSize);
-					m37[ 4] = texture2D(tAccumulated, coord + vec2(-1, 2) * texelSize);
-					m37[ 5] = texture2D(tAccumulated, coord + vec2( 0, 2) * texelSize);
-					m37[ 6] = texture2D(tAccumulated, coord + vec2( 1, 2) * texelSize);
-					m37[ 7] = texture2D(tAccumulated, coord + vec2( 2, 2) * texelSize);
-					m37[ 8] = texture2D(tAccumulated, coord + vec2(-3, 1) * texelSize);
-					m37[ 9] = texture2D(tAccumulated, coord + vec2(-2, 1) * texelSize);
-					m37[10] = texture2D(tAccumulated, coord + vec2(-1, 1) * texelSize);
-					m37[11] = texture2D(tAccumulated, coord + vec2( 0, 1) * texelSize);
-					m37[12] = texture2D(tAccumulated, coord + vec2( 1, 1) * texelSize);
-					m37[13] = texture2D(tAccumulated, coord + vec2( 2, 1) * texelSize);
-					m37[14] = texture2D(tAccumulated, coord + vec2( 3, 1) * texelSize);
-					m37[15] = texture2D(tAccumulated, coord + vec2(-3, 0) * texelSize);
-					m37[16] = texture2D(tAccumulated, coord + vec2(-2, 0) * texelSize);
-					m37[17] = texture2D(tAccumulated, coord + vec2(-1, 0) * texelSize);
-					m37[18] = texture2D(tAccumulated, coord + vec2( 0, 0) * texelSize); // center
-					m37[19] = texture2D(tAccumulated, coord + vec2( 1, 0) * texelSize);
-					m37[20] = texture2D(tAccumulated, coord + vec2( 2, 0) * texelSize);
-					m37[21] = texture2D(tAccumulated, coord + vec2( 3, 0) * texelSize);
-					m37[22] = texture2D(tAccumulated, coord + vec2(-3,-1) * texelSize);
-					m37[23] = texture2D(tAccumulated, coord + vec2(-2,-1) * texelSize);
-					m37[24] = texture2D(tAccumulated, coord + vec2(-1,-1) * texelSize);
-					m37[25] = texture2D(tAccumulated, coord + vec2( 0,-1) * texelSize);
-					m37[26] = texture2D(tAccumulated, coord + vec2( 1,-1) * texelSize);
-					m37[27] = texture2D(tAccumulated, coord + vec2( 2,-1) * texelSize);
-					m37[28] = texture2D(tAccumulated, coord + vec2( 3,-1) * texelSize);
-					m37[29] = texture2D(tAccumulated, coord + vec2(-2,-2) * texelSize);
-					m37[30] = texture2D(tAccumulated, coord + vec2(-1,-2) * texelSize);
-					m37[31] = texture2D(tAccumulated, coord + vec2( 0,-2) * texelSize);
-					m37[32] = texture2D(tAccumulated, coord + vec2( 1,-2) * texelSize);
-					m37[33] = texture2D(tAccumulated, coord + vec2( 2,-2) * texelSize);
-					m37[34] = texture2D(tAccumulated, coord + vec2(-1,-3) * texelSize);
-					m37[35] = texture2D(tAccumulated, coord + vec2( 0,-3) * texelSize);
-					m37[36] = texture2D(tAccumulated, coord + vec2( 1,-3) * texelSize);
+					m37[ 0] = sampleAccumulated(coord + vec2(-1, 3) * texelSize);
+					m37[ 1] = sampleAccumulated(coord + vec2( 0, 3) * texelSize);
+					m37[ 2] = sampleAccumulated(coord + vec2( 1, 3) * texelSize);
+					m37[ 3] = sampleAccumulated(coord + vec2(-2, 2) * texelSize);
+					m37[ 4] = sampleAccumulated(coord + vec2(-1, 2) * texelSize);
+					m37[ 5] = sampleAccumulated(coord + vec2( 0, 2) * texelSize);
+					m37[ 6] = sampleAccumulated(coord + vec2( 1, 2) * texelSize);
+					m37[ 7] = sampleAccumulated(coord + vec2( 2, 2) * texelSize);
+					m37[ 8] = sampleAccumulated(coord + vec2(-3, 1) * texelSize);
+					m37[ 9] = sampleAccumulated(coord + vec2(-2, 1) * texelSize);
+					m37[10] = sampleAccumulated(coord + vec2(-1, 1) * texelSize);
+					m37[11] = sampleAccumulated(coord + vec2( 0, 1) * texelSize);
+					m37[12] = sampleAccumulated(coord + vec2( 1, 1) * texelSize);
+					m37[13] = sampleAccumulated(coord + vec2( 2, 1) * texelSize);
+					m37[14] = sampleAccumulated(coord + vec2( 3, 1) * texelSize);
+					m37[15] = sampleAccumulated(coord + vec2(-3, 0) * texelSize);
+					m37[16] = sampleAccumulated(coord + vec2(-2, 0) * texelSize);
+					m37[17] = sampleAccumulated(coord + vec2(-1, 0) * texelSize);
+					m37[18] = sampleAccumulated(coord + vec2( 0, 0) * texelSize); // center
+					m37[19] = sampleAccumulated(coord + vec2( 1, 0) * texelSize);
+					m37[20] = sampleAccumulated(coord + vec2( 2, 0) * texelSize);
+					m37[21] = sampleAccumulated(coord + vec2( 3, 0) * texelSize);
+					m37[22] = sampleAccumulated(coord + vec2(-3,-1) * texelSize);
+					m37[23] = sampleAccumulated(coord + vec2(-2,-1) * texelSize);
+					m37[24] = sampleAccumulated(coord + vec2(-1,-1) * texelSize);
+					m37[25] = sampleAccumulated(coord + vec2( 0,-1) * texelSize);
+					m37[26] = sampleAccumulated(coord + vec2( 1,-1) * texelSize);
+					m37[27] = sampleAccumulated(coord + vec2( 2,-1) * texelSize);
+					m37[28] = sampleAccumulated(coord + vec2( 3,-1) * texelSize);
+					m37[29] = sampleAccumulated(coord + vec2(-2,-2) * texelSize);
+					m37[30] = sampleAccumulated(coord + vec2(-1,-2) * texelSize);
+					m37[31] = sampleAccumulated(coord + vec2( 0,-2) * texelSize);
+					m37[32] = sampleAccumulated(coord + vec2( 1,-2) * texelSize);
+					m37[33] = sampleAccumulated(coord + vec2( 2,-2) * texelSize);
+					m37[34] = sampleAccumulated(coord + vec2(-1,-3) * texelSize);
+					m37[35] = sampleAccumulated(coord + vec2( 0,-3) * texelSize);
+					m37[36] = sampleAccumulated(coord + vec2( 1,-3) * texelSize);
 
 					vec4 centerPixel = m37[18];
 					vec3 filteredPixelColor, edgePixelColor;
@@ -422,8 +433,9 @@ export class AdvancedAccumulationPass extends Pass {
 						filteredPixelColor = centerPixel.rgb;
 					}
 
-					// Final Processing Pipeline
-					vec3 finalColor = filteredPixelColor;
+					// Final Processing Pipeline, tone mapping and the transfer function work on straight color
+					float coverage = texture2D(tAccumulated, vUv).a;
+					vec3 finalColor = coverage > 0.0 ? filteredPixelColor / coverage : vec3(0.0);
 
 					// NOTE: Do NOT divide by iteration here - accumulation already handles averaging!
 
@@ -457,7 +469,7 @@ export class AdvancedAccumulationPass extends Pass {
 					// Gamma correction for proper display brightness
 					// finalColor = sqrt(clamp(finalColor, 0.0, 1.0));
 
-					gl_FragColor = vec4(finalColor, centerPixel.a);
+					gl_FragColor = vec4(finalColor, clamp(coverage, 0.0, 1.0));
 
 					// color space
 					#ifdef SRGB_TRANSFER
@@ -465,6 +477,9 @@ export class AdvancedAccumulationPass extends Pass {
 						gl_FragColor = sRGBTransferOETF( gl_FragColor );
 
 					#endif
+
+					// The canvas expects premultiplied alpha
+					gl_FragColor.rgb *= gl_FragColor.a;
 				}
 			`
 		} );
@@ -502,6 +517,13 @@ export class AdvancedAccumulationPass extends Pass {
 
 	}
 
+	// Image made of separately projected cells, such as the faces of a cube map
+	setImageCells( columns, rows ) {
+
+		this.displayMaterial.uniforms.uImageCells.value.set( columns, rows );
+
+	}
+
 	updateUniforms( params ) {
 
 		const displayUniforms = this.displayMaterial.uniforms;
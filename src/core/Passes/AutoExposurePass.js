@@ -0,0 +1,266 @@
+import {
+	ShaderMaterial,
+	RGBAFormat,
+	FloatType,
+	WebGLRenderTarget,
+	NearestFilter,
+	BufferGeometry,
+	BufferAttribute,
+	Points,
+	Scene,
+	Camera,
+	CustomBlending,
+	AddEquation,
+	OneFactor,
+} from 'three';
+import { Pass } from 'three/addons/postprocessing/Pass.js';
+import { DEFAULT_STATE } from '../../Constants.js';
+
+// Histogram covers log2 luminance from MIN_LOG_LUMINANCE over LOG_LUMINANCE_RANGE stops
+const HISTOGRAM_BINS = 64;
+const MIN_LOG_LUMINANCE = - 10;
+const LOG_LUMINANCE_RANGE = 20;
+
+// Pixels metered per frame, on a regular grid over the image
+const METERING_GRID_SIZE = 96;
+
+// Share of the darkest and brightest pixels left out of the average
+const LOW_PERCENTILE = 0.4;
+const HIGH_PERCENTILE = 0.95;
+
+// Luminance the metered average is exposed to
+const MIDDLE_GREY = 0.18;
+
+const METERING_MODES = { average: 0, centerWeighted: 1, spot: 2 };
+
+/**
+ * AutoExposurePass meters the accumulated HDR buffer with a GPU luminance histogram
+ * and adapts an exposure value over time, in the manner of a camera's metering.
+ *
+ * Every metered pixel is drawn as a point into the bin of its log luminance, weighted
+ * by the metering mode, and the 64 bins are read back asynchronously.
+ */
+export class AutoExposurePass extends Pass {
+
+	constructor( renderer, width, height ) {
+
+		super();
+
+		this.renderer = renderer;
+		this.name = 'AutoExposurePass';
+		this.enabled = DEFAULT_STATE.autoExposure;
+		this.needsSwap = false;
+
+		this.compensation = DEFAULT_STATE.exposureCompensation; // EV
+		this.adaptationSpeed = DEFAULT_STATE.autoExposureSpeed; // 1 / seconds
+		this.exposure = 1;
+
+		this.currentEV = null;
+		this.targetEV = 0;
+		this.lastUpdateTime = performance.now();
+		this.frameCounter = 0;
+		this.readbackPending = false;
+
+		// Points are blended additively into the bins, which needs float blending
+		renderer.extensions.get( 'EXT_float_blend' );
+		this.histogramTarget = new WebGLRenderTarget( HISTOGRAM_BINS, 1, {
+			format: RGBAFormat,
+			type: FloatType,
+			minFilter: NearestFilter,
+			magFilter: NearestFilter,
+			depthBuffer: false,
+			generateMipmaps: false
+		} );
+		this.histogram = new Float32Array( HISTOGRAM_BINS * 4 );
+
+		// One point per metered pixel, positioned by its uv
+		const positions = new Float32Array( METERING_GRID_SIZE * METERING_GRID_SIZE * 3 );
+		for ( let y = 0; y < METERING_GRID_SIZE; y ++ ) {
+
+			for ( let x = 0; x < METERING_GRID_SIZE; x ++ ) {
+
+				const i = ( y * METERING_GRID_SIZE + x ) * 3;
+				positions[ i ] = ( x + 0.5 ) / METERING_GRID_SIZE;
+				positions[ i + 1 ] = ( y + 0.5 ) / METERING_GRID_SIZE;
+
+			}
+
+		}
+
+		const geometry = new BufferGeometry();
+		geometry.setAttribute( 'position', new BufferAttribute( positions, 3 ) );
+
+		this.histogramMaterial = new ShaderMaterial( {
+			uniforms: {
+				tAccumulated: { value: null },
+				meteringMode: { value: METERING_MODES[ DEFAULT_STATE.autoExposureMetering ] },
+				aspect: { value: width / height }
+			},
+			vertexShader: /* glsl */`
+				uniform sampler2D tAccumulated;
+				uniform int meteringMode;
+				uniform float aspect;
+
+				varying float vWeight;
+
+				void main() {
+
+					vec2 uv = position.xy;
+
+					// Accumulation is premultiplied, transparent pixels do not count
+					vec4 color = texture2D( tAccumulated, uv );
+					float lum = color.a > 0.0 ? dot( color.rgb / color.a, vec3( 0.2126, 0.7152, 0.0722 ) ) : 0.0;
+					float logLum = clamp( ( log2( max( lum, 1e-6 ) ) - ( ${MIN_LOG_LUMINANCE.toFixed( 1 )} ) ) / ${LOG_LUMINANCE_RANGE.toFixed( 1 )}, 0.0, 1.0 );
+					float bin = min( floor( logLum * ${HISTOGRAM_BINS.toFixed( 1 )} ), ${( HISTOGRAM_BINS - 1 ).toFixed( 1 )} );
+
+					float dist = length( ( uv - 0.5 ) * vec2( aspect, 1.0 ) );
+					float weight = 1.0;
+					if ( meteringMode == 1 ) {
+
+						weight = 0.1 + exp( - dist * dist * 12.0 );
+
+					} else if ( meteringMode == 2 ) {
+
+						weight = dist < 0.08 ? 1.0 : 0.0;
+
+					}
+
+					vWeight = weight * clamp( color.a, 0.0, 1.0 );
+					gl_Position = vec4( ( bin + 0.5 ) / ${HISTOGRAM_BINS.toFixed( 1 )} * 2.0 - 1.0, 0.0, 0.0, 1.0 );
+					gl_PointSize = 1.0;
+
+				}
+			`,
+			fragmentShader: /* glsl */`
+				varying float vWeight;
+
+				void main() {
+
+					gl_FragColor = vec4( vWeight, 0.0, 0.0, 1.0 );
+
+				}
+			`,
+			blending: CustomBlending,
+			blendEquation: AddEquation,
+			blendSrc: OneFactor,
+			blendDst: OneFactor,
+			depthTest: false,
+			depthWrite: false
+		} );
+
+		this.points = new Points( geometry, this.histogramMaterial );
+		this.points.frustumCulled = false;
+		this.scene = new Scene();
+		this.scene.add( this.points );
+		this.camera = new Camera();
+
+	}
+
+	setMeteringMode( mode ) {
+
+		this.histogramMaterial.uniforms.meteringMode.value = METERING_MODES[ mode ] ?? 0;
+
+	}
+
+	setSize( width, height ) {
+
+		this.histogramMaterial.uniforms.aspect.value = width / height;
+
+	}
+
+	// Start over from the next measurement instead of adapting from the previous scene
+	reset() {
+
+		this.currentEV = null;
+
+	}
+
+	/**
+	 * Meters the accumulated radiance and moves the exposure towards the metered value.
+	 * While the view is interacted with the noisy buffer changes every frame and is metered
+	 * often, a still image converges slowly and is metered less often.
+	 * @param {Texture} accumulatedTexture - Premultiplied HDR accumulation
+	 * @param {boolean} interactionMode - Whether the camera or scene is being interacted with
+	 */
+	update( accumulatedTexture, interactionMode ) {
+
+		if ( ! this.enabled ) return;
+
+		const now = performance.now();
+		const deltaTime = Math.min( ( now - this.lastUpdateTime ) / 1000, 0.25 );
+		this.lastUpdateTime = now;
+
+		if ( ! this.readbackPending && this.frameCounter ++ % ( interactionMode ? 2 : 8 ) === 0 ) {
+
+			this.renderHistogram( accumulatedTexture );
+
+		}
+
+		if ( this.currentEV === null ) return;
+
+		this.currentEV += ( this.targetEV - this.currentEV ) * ( 1 - Math.exp( - deltaTime * this.adaptationSpeed ) );
+		this.exposure = Math.pow( 2, this.compensation - this.currentEV );
+
+	}
+
+	renderHistogram( accumulatedTexture ) {
+
+		const renderer = this.renderer;
+		const currentRenderTarget = renderer.getRenderTarget();
+
+		this.histogramMaterial.uniforms.tAccumulated.value = accumulatedTexture;
+		renderer.setRenderTarget( this.histogramTarget );
+		renderer.clear();
+		renderer.render( this.scene, this.camera );
+		renderer.setRenderTarget( currentRenderTarget );
+
+		this.readbackPending = true;
+		renderer.readRenderTargetPixelsAsync( this.histogramTarget, 0, 0, HISTOGRAM_BINS, 1, this.histogram )
+			.then( () => this.meterHistogram() )
+			.catch( error => console.error( 'Failed to read back the exposure histogram:', error ) )
+			.finally( () => this.readbackPending = false );
+
+	}
+
+	// Weighted average log luminance between the low and high percentiles
+	meterHistogram() {
+
+		let total = 0;
+		for ( let i = 0; i < HISTOGRAM_BINS; i ++ ) total += this.histogram[ i * 4 ];
+		if ( total <= 0 ) return;
+
+		const low = total * LOW_PERCENTILE;
+		const high = total * HIGH_PERCENTILE;
+		let cumulative = 0;
+		let weightedLog = 0;
+		let weightSum = 0;
+
+		for ( let i = 0; i < HISTOGRAM_BINS; i ++ ) {
+
+			const count = this.histogram[ i * 4 ];
+			const inRange = Math.min( cumulative + count, high ) - Math.max( cumulative, low );
+			cumulative += count;
+			if ( inRange <= 0 ) continue;
+
+			const logLuminance = MIN_LOG_LUMINANCE + ( i + 0.5 ) / HISTOGRAM_BINS * LOG_LUMINANCE_RANGE;
+			weightedLog += logLuminance * inRange;
+			weightSum += inRange;
+
+		}
+
+		if ( weightSum <= 0 ) return;
+
+		this.targetEV = weightedLog / weightSum - Math.log2( MIDDLE_GREY );
+		if ( this.currentEV === null ) this.currentEV = this.targetEV;
+
+	}
+
+	dispose() {
+
+		this.histogramTarget.dispose();
+		this.histogramMaterial.dispose();
+		this.points.geometry.dispose();
+
+	}
+
+}
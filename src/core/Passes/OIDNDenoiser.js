@@ -60,6 +60,7 @@ export class OIDNDenoiser extends EventDispatcher {
 		this.currentTZAUrl = null;
 		this.unet = null;
 		this.mapGenerator = null;
+		this.alpha = null;
 
 		// Initialize asynchronously
 		this._initialize().catch( error => {
@@ -301,11 +302,14 @@ export class OIDNDenoiser extends EventDispatcher {
 		// Get image data for denoising
 		const imageData = this.ctx.getImageData( 0, 0, width, height );
 
+		// Only the colour is denoised, the coverage is re-attached to every denoised tile
+		this.alpha = this._extractAlpha( imageData );
+
 		// Prepare denoising configuration
 		const config = {
 			color: imageData,
 			tileSize: this.tileSize,
-			denoiseAlpha: true
+			denoiseAlpha: false
 		};
 
 		// Add G-buffer data if enabled
@@ -380,6 +384,7 @@ export class OIDNDenoiser extends EventDispatcher {
 
 					}
 
+					this._restoreAlpha( tileData, tile.x, tile.y );
 					this.ctx.putImageData( tileData, tile.x, tile.y );
 
 				}
@@ -389,6 +394,35 @@ export class OIDNDenoiser extends EventDispatcher {
 
 	}
 
+	_extractAlpha( imageData ) {
+
+		const { data, width, height } = imageData;
+		const alpha = new Uint8ClampedArray( width * height );
+
+		for ( let i = 0; i < alpha.length; i ++ ) alpha[ i ] = data[ i * 4 + 3 ];
+
+		return { data: alpha, width };
+
+	}
+
+	_restoreAlpha( tileData, offsetX, offsetY ) {
+
+		const { data, width, height } = tileData;
+
+		for ( let y = 0; y < height; y ++ ) {
+
+			const rowOffset = ( offsetY + y ) * this.alpha.width + offsetX;
+
+			for ( let x = 0; x < width; x ++ ) {
+
+				data[ ( y * width + x ) * 4 + 3 ] = this.alpha.data[ rowOffset + x ];
+
+			}
+
+		}
+
+	}
+
 	abort() {
 
 		if ( ! this.enabled || ! this.state.isDenoising ) return;
@@ -444,6 +478,7 @@ export class OIDNDenoiser extends EventDispatcher {
 		this.mapGenerator = null;
 		this.unet = null;
 		this.ctx = null;
+		this.alpha = null;
 		this.state.abortController = null;
 
 		// Remove all event listeners
@@ -0,0 +1,130 @@
+import { AnimationMixer, Clock, EventDispatcher, LoopOnce } from 'three';
+
+/**
+ * Plays and scrubs the animation clips of the loaded model
+ * Posing only moves scene objects, PathTracerPass.updateInstances picks the change up on the
+ * next frame by rebuilding the top-level BVH and refitting skinned or morphed meshes.
+ */
+export class AnimationController extends EventDispatcher {
+
+	constructor() {
+
+		super();
+		this.mixer = null;
+		this.clips = [];
+		this.action = null;
+		this.clipIndex = - 1;
+		this.time = 0;
+		this.isPlaying = false;
+		this.clock = new Clock( false );
+
+	}
+
+	setModel( model ) {
+
+		this.dispose();
+
+		this.clips = model?.animations ?? [];
+		if ( this.clips.length === 0 ) return;
+
+		this.mixer = new AnimationMixer( model );
+		this.setClip( 0 );
+
+	}
+
+	setClip( index ) {
+
+		if ( ! this.mixer || ! this.clips[ index ] ) return;
+
+		this.action?.stop();
+		this.clipIndex = index;
+
+		// Clamped rather than looping so the last frame of a sequence is the end pose
+		this.action = this.mixer.clipAction( this.clips[ index ] );
+		this.action.setLoop( LoopOnce );
+		this.action.clampWhenFinished = true;
+
+		this.setTime( 0 );
+
+	}
+
+	get duration() {
+
+		return this.action ? this.action.getClip().duration : 0;
+
+	}
+
+	setTime( time ) {
+
+		if ( ! this.action ) return;
+
+		this.time = Math.min( Math.max( time, 0 ), this.duration );
+		this.pose( this.time );
+
+		this.dispatchEvent( { type: 'timeupdate', time: this.time } );
+
+	}
+
+	// Pose the model at a time without moving the playhead, motion blur samples the shutter interval with it
+	pose( time ) {
+
+		if ( ! this.action ) return;
+
+		// A clamped action pauses itself, restart it so scrubbing backwards still poses the model
+		this.action.reset().play();
+		this.mixer.setTime( Math.min( Math.max( time, 0 ), this.duration ) );
+
+	}
+
+	play() {
+
+		if ( ! this.action || this.isPlaying ) return;
+
+		this.isPlaying = true;
+		this.clock.start();
+		this.dispatchEvent( { type: 'play' } );
+
+	}
+
+	pause() {
+
+		if ( ! this.isPlaying ) return;
+
+		this.isPlaying = false;
+		this.clock.stop();
+		this.dispatchEvent( { type: 'pause' } );
+
+	}
+
+	// Advance playback by the wall clock, returns true if the pose changed
+	update() {
+
+		if ( ! this.isPlaying ) return false;
+
+		const time = this.time + this.clock.getDelta();
+		this.setTime( this.duration > 0 ? time % this.duration : 0 );
+
+		return true;
+
+	}
+
+	dispose() {
+
+		this.pause();
+
+		if ( this.mixer ) {
+
+			this.mixer.stopAllAction();
+			this.mixer.uncacheRoot( this.mixer.getRoot() );
+
+		}
+
+		this.mixer = null;
+		this.clips = [];
+		this.action = null;
+		this.clipIndex = - 1;
+		this.time = 0;
+
+	}
+
+}
@@ -6,6 +6,8 @@ import { createMeshesFromMultiMaterialMesh } from 'three/addons/utils/SceneUtils
 import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module';
 import { unzipSync, strFromU8 } from 'three/addons/libs/fflate.module.js';
 import { disposeObjectFromMemory, updateLoading, resetLoading } from './utils';
+import { IESParser } from './IESParser';
+import { VolumeGridParser } from './VolumeGridParser';
 import { MODEL_FILES, DEFAULT_STATE } from '@/Constants';
 
 // Define supported file formats
@@ -18,6 +20,8 @@ const SUPPORTED_FORMATS = {
 	'hdr': { type: 'environment', name: 'HDR (High Dynamic Range)' }, 'exr': { type: 'environment', name: 'EXR (OpenEXR)' },
 	'png': { type: 'image', name: 'PNG' }, 'jpg': { type: 'image', name: 'JPEG' },
 	'jpeg': { type: 'image', name: 'JPEG' }, 'webp': { type: 'image', name: 'WebP' },
+	'ies': { type: 'photometry', name: 'IES (LM-63 Photometric Profile)' },
+	'vol': { type: 'volume', name: 'VOL (Mitsuba Density Grid)' },
 	'zip': { type: 'archive', name: 'ZIP Archive' }
 };
 
@@ -60,6 +64,7 @@ class AssetLoader extends EventDispatcher {
 		this.floorPlane = null;
 		this.sceneScale = 1.0;
 		this.loaderCache = {};
+		this.iesProfiles = [];
 		this.optimizeMeshes = DEFAULT_STATE.optimizeMeshes;
 		this.meshoptEncoderLoaded = false;
 		this.initMeshoptEncoder();
@@ -122,6 +127,8 @@ class AssetLoader extends EventDispatcher {
 				case 'model': result = await this.loadModelFromFile( file, filename ); break;
 				case 'environment':
 				case 'image': result = await this.loadEnvironmentFromFile( file, filename ); break;
+				case 'photometry': result = await this.loadIESFromFile( file, filename ); break;
+				case 'volume': result = await this.loadVolumeFromFile( file, filename ); break;
 				case 'archive': result = await this.loadArchiveFromFile( file, filename ); break;
 				default: throw new Error( `Unknown asset type: ${format.type}` );
 
@@ -308,6 +315,78 @@ class AssetLoader extends EventDispatcher {
 
 	}
 
+	// IES photometric profiles
+	async loadIESFromFile( file, filename ) {
+
+		const text = await this.readFileAsText( file );
+		const profile = this.addIESProfile( text, filename );
+		this.dispatchEvent( { type: 'load', iesProfiles: [ profile ], filename } );
+		return profile;
+
+	}
+
+	// Density grids for heterogeneous participating media
+	async loadVolumeFromFile( file, filename ) {
+
+		const buffer = await this.readFileAsArrayBuffer( file );
+		if ( ! this.loaderCache.volume ) this.loaderCache.volume = new VolumeGridParser();
+		const grid = this.loaderCache.volume.parse( buffer, filename );
+
+		if ( this.pathTracingPass ) {
+
+			this.pathTracingPass.setDensityGrid( grid );
+			this.pathTracingPass.reset();
+
+		}
+
+		this.dispatchEvent( { type: 'load', densityGrid: grid, filename } );
+		return grid;
+
+	}
+
+	addIESProfile( text, filename ) {
+
+		if ( ! this.loaderCache.ies ) this.loaderCache.ies = new IESParser();
+		const profile = this.loaderCache.ies.parse( text, filename );
+
+		// Replace a previously loaded profile with the same name
+		this.iesProfiles = this.iesProfiles.filter( existing => existing.name !== profile.name );
+		this.iesProfiles.push( profile );
+		return profile;
+
+	}
+
+	loadIESProfilesFromZip( zip ) {
+
+		const profiles = [];
+		for ( const path in zip ) {
+
+			if ( path.toLowerCase().endsWith( '.ies' ) ) {
+
+				try {
+
+					profiles.push( this.addIESProfile( strFromU8( zip[ path ] ), path.split( '/' ).pop() ) );
+
+				} catch ( error ) {
+
+					console.warn( `Skipping invalid IES file in ZIP: ${path}`, error );
+
+				}
+
+			}
+
+		}
+
+		return profiles;
+
+	}
+
+	getIESProfiles() {
+
+		return this.iesProfiles;
+
+	}
+
 	// Archive handling
 	async loadArchiveFromFile( file, filename ) {
 
@@ -315,6 +394,18 @@ class AssetLoader extends EventDispatcher {
 
 			const arrayBuffer = await this.readFileAsArrayBuffer( file );
 			const zip = unzipSync( new Uint8Array( arrayBuffer ) );
+
+			const iesProfiles = this.loadIESProfilesFromZip( zip );
+			const hasModel = Object.keys( zip ).some( path => SUPPORTED_FORMATS[ path.split( '.' ).pop().toLowerCase() ]?.type === 'model' );
+
+			// Archives containing only photometric profiles
+			if ( iesProfiles.length > 0 && ! hasModel ) {
+
+				this.dispatchEvent( { type: 'load', iesProfiles, filename } );
+				return iesProfiles;
+
+			}
+
 			const result = await this.processObjMtlPairsInZip( zip, filename );
 			if ( result ) return result;
 			return await this.findAndLoadModelFromZip( zip, filename );
@@ -512,6 +603,7 @@ class AssetLoader extends EventDispatcher {
 
 						if ( this.targetModel ) disposeObjectFromMemory( this.targetModel );
 						this.targetModel = gltf.scene;
+						this.targetModel.animations = gltf.animations;
 						this.onModelLoad( this.targetModel ).then( () => resolve( gltf ) );
 
 					},
@@ -767,6 +859,7 @@ class AssetLoader extends EventDispatcher {
 			if ( this.targetModel ) disposeObjectFromMemory( this.targetModel );
 
 			this.targetModel = data.scene;
+			this.targetModel.animations = data.animations;
 			await this.onModelLoad( this.targetModel );
 			this.dispatchEvent( { type: 'load', model: data.scene, filename: modelUrl.split( '/' ).pop() } );
 			return data;
@@ -800,6 +893,7 @@ class AssetLoader extends EventDispatcher {
 			if ( this.targetModel ) disposeObjectFromMemory( this.targetModel );
 
 			this.targetModel = data.scene;
+			this.targetModel.animations = data.animations;
 			updateLoading( { isLoading: true, status: "Processing Data...", progress: 50 } );
 			await this.onModelLoad( this.targetModel );
 
@@ -1156,6 +1250,9 @@ class AssetLoader extends EventDispatcher {
 			this.floorPlane.rotation.x = - Math.PI / 2;
 			this.floorPlane.scale.setScalar( maxDim * 5 );
 
+			// Ground projection shares the floor so the shadow catcher ground lines up with the projected one
+			this.pathTracingPass?.material.uniforms.groundProjectionCenter.value.copy( this.floorPlane.position );
+
 		}
 
 		if ( this.optimizeMeshes ) {
@@ -187,6 +187,7 @@ class TreeletOptimizer {
 		this.treeletSize = 7; // Standard size for optimal enumeration (315 topologies)
 		this.minImprovement = 0.01; // Minimum SAH improvement threshold
 		this.maxTreeletDepth = 4; // Maximum depth to consider for treelets
+		this.logStatistics = true; // Log treelet statistics to the console
 		
 		// Pre-computed topology cache for efficiency
 		this.topologyCache = new Map();
@@ -263,7 +264,7 @@ class TreeletOptimizer {
 		const treeletRoots = this.identifyTreeletRoots( bvhRoot );
 		const totalTreelets = treeletRoots.length;
 
-		console.log( `Found ${totalTreelets} treelets for optimization` );
+		this.logStatistics && console.log( `Found ${totalTreelets} treelets for optimization` );
 
 		for ( let i = 0; i < treeletRoots.length; i ++ ) {
 
@@ -284,7 +285,7 @@ class TreeletOptimizer {
 		this.stats.averageSAHImprovement = this.stats.treeletsProcessed > 0 ? 
 			this.stats.totalSAHImprovement / this.stats.treeletsProcessed : 0;
 
-		console.log( 'Treelet optimization complete:', this.stats );
+		this.logStatistics && console.log( 'Treelet optimization complete:', this.stats );
 		return bvhRoot;
 
 	}
@@ -582,6 +583,7 @@ export default class BVHBuilder {
 		this.totalTriangles = 0;
 		this.lastProgressUpdate = 0;
 		this.progressUpdateInterval = 100;
+		this.logStatistics = true; // Log per build statistics, range builds log one summary instead
 
 		// SAH constants for better quality
 		this.traversalCost = 1.0;
@@ -1022,6 +1024,172 @@ export default class BVHBuilder {
 
 	}
 
+	// Build one bottom-level BVH per mesh range [{ triangleOffset, triangleCount }], reordering
+	// triangles only within their own range so instances keep contiguous triangle data
+	buildRanges( triangles, ranges, depth = 30, progressCallback = null ) {
+
+		if ( this.useWorker && typeof Worker !== 'undefined' ) {
+
+			return new Promise( ( resolve, reject ) => {
+
+				try {
+
+					const worker = new Worker(
+						new URL( './Workers/BVHWorker.js', import.meta.url ),
+						{ type: 'module' }
+					);
+
+					worker.onmessage = ( e ) => {
+
+						const { bvhRoots, triangles: newTriangles, error, progress } = e.data;
+
+						if ( error ) {
+
+							worker.terminate();
+							reject( new Error( error ) );
+							return;
+
+						}
+
+						if ( progress !== undefined && progressCallback ) {
+
+							progressCallback( progress );
+							return;
+
+						}
+
+						triangles.set( newTriangles );
+
+						worker.terminate();
+						resolve( bvhRoots );
+
+					};
+
+					worker.onerror = ( error ) => {
+
+						worker.terminate();
+						reject( error );
+
+					};
+
+					const bufferCopy = triangles.slice().buffer;
+					worker.postMessage( {
+						triangleData: bufferCopy,
+						ranges,
+						depth,
+						reportProgress: !! progressCallback
+					}, [ bufferCopy ] );
+
+				} catch ( error ) {
+
+					console.warn( 'Worker creation failed, falling back to synchronous build:', error );
+					resolve( this.buildRangesSync( triangles, ranges, depth, progressCallback ) );
+
+				}
+
+			} );
+
+		}
+
+		return Promise.resolve( this.buildRangesSync( triangles, ranges, depth, progressCallback ) );
+
+	}
+
+	buildRangesSync( triangles, ranges, depth = 30, progressCallback = null ) {
+
+		const stride = TRIANGLE_DATA_LAYOUT.FLOATS_PER_TRIANGLE;
+		const buildStartTime = performance.now();
+		const logStatistics = this.logStatistics;
+		let totalNodes = 0;
+
+		// One summary for all ranges instead of statistics per mesh
+		this.logStatistics = false;
+
+		const roots = ranges.map( ( { triangleOffset, triangleCount }, rangeIndex ) => {
+
+			const rangeTriangles = triangles.slice( triangleOffset * stride, ( triangleOffset + triangleCount ) * stride );
+			const reorderedTriangles = [];
+			const root = this.buildSync( rangeTriangles, depth, reorderedTriangles );
+			totalNodes += this.totalNodes;
+
+			// Write the reordered triangles back in place, leaf offsets stay relative to the range
+			reorderedTriangles.forEach( ( triangle, i ) => {
+
+				triangles.set( rangeTriangles.subarray( triangle.offset, triangle.offset + stride ), ( triangleOffset + i ) * stride );
+
+			} );
+
+			progressCallback && progressCallback( Math.floor( ( rangeIndex + 1 ) / ranges.length * 100 ) );
+			return root;
+
+		} );
+
+		this.logStatistics = logStatistics;
+
+		this.logStatistics && console.log( 'BVH Range Statistics:', {
+			ranges: ranges.length,
+			totalNodes,
+			triangleCount: triangles.length / stride,
+			totalBuildTime: Math.round( performance.now() - buildStartTime )
+		} );
+
+		return roots;
+
+	}
+
+	// Recompute the bounds of a flattened BVH in place, keeping its topology, after its triangles deformed.
+	// nodeData uses the texture layout (3 vec4s per node) where parents precede their children,
+	// so walking the node range backwards always visits children first
+	refit( nodeData, triangles, firstNode, nodeCount ) {
+
+		const nodeStride = 12;
+		const triangleStride = TRIANGLE_DATA_LAYOUT.FLOATS_PER_TRIANGLE;
+		const positionOffsets = [ TRIANGLE_DATA_LAYOUT.POSITION_A_OFFSET, TRIANGLE_DATA_LAYOUT.POSITION_B_OFFSET, TRIANGLE_DATA_LAYOUT.POSITION_C_OFFSET ];
+		const min = new Vector3();
+		const max = new Vector3();
+		const point = new Vector3();
+
+		for ( let i = firstNode + nodeCount - 1; i >= firstNode; i -- ) {
+
+			const offset = i * nodeStride;
+			const leftChild = nodeData[ offset + 3 ];
+
+			if ( leftChild < 0 ) {
+
+				min.set( Infinity, Infinity, Infinity );
+				max.set( - Infinity, - Infinity, - Infinity );
+
+				const triangleOffset = nodeData[ offset + 8 ];
+				const triangleCount = nodeData[ offset + 9 ];
+
+				for ( let t = triangleOffset; t < triangleOffset + triangleCount; t ++ ) {
+
+					for ( const positionOffset of positionOffsets ) {
+
+						point.fromArray( triangles, t * triangleStride + positionOffset );
+						min.min( point );
+						max.max( point );
+
+					}
+
+				}
+
+			} else {
+
+				const left = leftChild * nodeStride;
+				const right = nodeData[ offset + 7 ] * nodeStride;
+				min.fromArray( nodeData, left ).min( point.fromArray( nodeData, right ) );
+				max.fromArray( nodeData, left + 4 ).max( point.fromArray( nodeData, right + 4 ) );
+
+			}
+
+			min.toArray( nodeData, offset );
+			max.toArray( nodeData, offset + 4 );
+
+		}
+
+	}
+
 	buildSync( triangles, depth = 30, reorderedTriangles = [], progressCallback = null ) {
 
 		const buildStartTime = performance.now();
@@ -1073,8 +1241,9 @@ export default class BVHBuilder {
 			const optimizer = new TreeletOptimizer( this.traversalCost, this.intersectionCost );
 			optimizer.setTreeletSize( this.treeletSize );
 			optimizer.setMinImprovement( this.treeletMinImprovement );
+			optimizer.logStatistics = this.logStatistics;
 
-			console.log( 'Starting treelet optimization...' );
+			this.logStatistics && console.log( 'Starting treelet optimization...' );
 			const optimizationStartTime = performance.now();
 
 			// Run optimization passes
@@ -1102,7 +1271,7 @@ export default class BVHBuilder {
 		// Record total build time
 		this.splitStats.totalBuildTime = performance.now() - buildStartTime;
 
-		console.log( 'BVH Statistics:', {
+		this.logStatistics && console.log( 'BVH Statistics:', {
 			totalNodes: this.totalNodes,
 			triangleCount: reorderedTriangles.length,
 			maxDepth: depth,
@@ -0,0 +1,122 @@
+import {
+	DataTexture,
+	RGBAFormat,
+	FloatType,
+	ClampToEdgeWrapping,
+	LinearFilter
+} from 'three';
+
+// Texels along the cosine of the view angle (u) and the roughness (v)
+const LUT_SIZE = 32;
+
+// Half vectors importance sampled per texel
+const LUT_SAMPLES = 512;
+
+// Radical inverse in base 2, the second coordinate of the Hammersley set
+function radicalInverse( i ) {
+
+	let bits = i;
+	bits = ( ( bits << 16 ) | ( bits >>> 16 ) ) >>> 0;
+	bits = ( ( ( bits & 0x55555555 ) << 1 ) | ( ( bits & 0xAAAAAAAA ) >>> 1 ) ) >>> 0;
+	bits = ( ( ( bits & 0x33333333 ) << 2 ) | ( ( bits & 0xCCCCCCCC ) >>> 2 ) ) >>> 0;
+	bits = ( ( ( bits & 0x0F0F0F0F ) << 4 ) | ( ( bits & 0xF0F0F0F0 ) >>> 4 ) ) >>> 0;
+	bits = ( ( ( bits & 0x00FF00FF ) << 8 ) | ( ( bits & 0xFF00FF00 ) >>> 8 ) ) >>> 0;
+	return bits / 4294967296;
+
+}
+
+// Schlick-Smith masking with k = ( roughness + 1 )² / 8, as GeometrySchlickGGX in brdfs.fs
+function geometrySchlickGGX( NoX, roughness ) {
+
+	const r = roughness + 1;
+	const k = r * r / 8;
+	return NoX / ( NoX * ( 1 - k ) + k );
+
+}
+
+// Directional albedo of the single scattering specular lobe with F = 1
+function directionalAlbedo( NoV, roughness ) {
+
+	const alpha = Math.max( roughness * roughness, 1e-4 );
+	const alpha2 = alpha * alpha;
+	const Vx = Math.sqrt( 1 - NoV * NoV );
+	const Vz = NoV;
+
+	let sum = 0;
+
+	for ( let i = 0; i < LUT_SAMPLES; i ++ ) {
+
+		// Sample the half vector proportional to D * NoH
+		const u = ( i + 0.5 ) / LUT_SAMPLES;
+		const phi = 2 * Math.PI * radicalInverse( i );
+		const cosTheta = Math.sqrt( ( 1 - u ) / ( 1 + ( alpha2 - 1 ) * u ) );
+		const sinTheta = Math.sqrt( 1 - cosTheta * cosTheta );
+
+		const Hx = sinTheta * Math.cos( phi );
+		const Hz = cosTheta;
+
+		const VoH = Vx * Hx + Vz * Hz;
+		const NoL = 2 * VoH * Hz - Vz;
+
+		if ( NoL <= 0 || VoH <= 0 ) continue;
+
+		const G = geometrySchlickGGX( NoV, roughness ) * geometrySchlickGGX( NoL, roughness );
+		sum += G * VoH / ( NoV * Hz );
+
+	}
+
+	return Math.min( sum / LUT_SAMPLES, 1 );
+
+}
+
+/**
+ * Albedo table for Kulla-Conty multiple scattering compensation of the GGX lobes.
+ * R holds the directional albedo E( NoV, roughness ) of the single scattering lobe,
+ * G its cosine weighted average over the hemisphere E_avg( roughness ).
+ * Texel centres sit on NoV = i / ( size - 1 ) and roughness = j / ( size - 1 ).
+ * @returns {DataTexture}
+ */
+export function generateGGXEnergyLUT() {
+
+	const data = new Float32Array( LUT_SIZE * LUT_SIZE * 4 );
+
+	for ( let y = 0; y < LUT_SIZE; y ++ ) {
+
+		const roughness = y / ( LUT_SIZE - 1 );
+		let average = 0;
+
+		for ( let x = 0; x < LUT_SIZE; x ++ ) {
+
+			const NoV = Math.max( x / ( LUT_SIZE - 1 ), 1e-3 );
+			const E = directionalAlbedo( NoV, roughness );
+			data[ ( y * LUT_SIZE + x ) * 4 ] = E;
+
+			// E_avg = 2 ∫ E( μ ) μ dμ with the trapezoidal rule
+			const weight = x === 0 || x === LUT_SIZE - 1 ? 0.5 : 1;
+			average += weight * E * NoV;
+
+		}
+
+		average = Math.min( 2 * average / ( LUT_SIZE - 1 ), 1 );
+
+		for ( let x = 0; x < LUT_SIZE; x ++ ) {
+
+			const i = ( y * LUT_SIZE + x ) * 4;
+			data[ i + 1 ] = average;
+			data[ i + 3 ] = 1;
+
+		}
+
+	}
+
+	const texture = new DataTexture( data, LUT_SIZE, LUT_SIZE, RGBAFormat, FloatType );
+	texture.wrapS = ClampToEdgeWrapping;
+	texture.wrapT = ClampToEdgeWrapping;
+	texture.minFilter = LinearFilter;
+	texture.magFilter = LinearFilter;
+	texture.generateMipmaps = false;
+	texture.needsUpdate = true;
+
+	return texture;
+
+}
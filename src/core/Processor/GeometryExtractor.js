@@ -1,4 +1,4 @@
-import { Vector3, Vector2, Color, Matrix3, Matrix4, FrontSide, BackSide, DoubleSide } from "three";
+import { Vector4, Vector3, Vector2, Color, Matrix3, Matrix4, BufferAttribute, FrontSide, BackSide, DoubleSide } from "three";
 import { TRIANGLE_DATA_LAYOUT } from '../../Constants.js';
 
 const MAX_TEXTURES_LIMIT = 128;
@@ -9,6 +9,7 @@ export default class GeometryExtractor {
 
 		// Object pools for reusing objects
 		this._vectorPool = {
+			vec4: Array( 3 ).fill().map( () => new Vector4() ),
 			vec3: Array( 9 ).fill().map( () => new Vector3() ),
 			vec2: Array( 6 ).fill().map( () => new Vector2() )
 		};
@@ -27,6 +28,13 @@ export default class GeometryExtractor {
 
 	}
 
+	// Get a Vector4 from the pool
+	_getVec4( index = 0 ) {
+
+		return this._vectorPool.vec4[ index % this._vectorPool.vec4.length ];
+
+	}
+
 	// Get a Vector3 from the pool
 	_getVec3( index = 0 ) {
 
@@ -45,6 +53,9 @@ export default class GeometryExtractor {
 
 		this.resetArrays();
 
+		// Skinned meshes are posed from their bones' world matrices
+		object.updateMatrixWorld( true );
+
 		// First pass: count triangles to pre-allocate Float32Array
 		this.triangleCount = this.countTriangles( object );
 		console.log( `Pre-allocating for ${this.triangleCount} triangles (texture-aligned format)` );
@@ -64,10 +75,14 @@ export default class GeometryExtractor {
 	countTriangles( object ) {
 
 		let count = 0;
+		const counted = new Set();
 
 		const countInObject = ( obj ) => {
 
-			if ( obj.isMesh && obj.geometry ) {
+			// Shared geometry is only stored once
+			if ( obj.isMesh && obj.geometry && ! counted.has( this.getGeometryKey( obj ) ) ) {
+
+				counted.add( this.getGeometryKey( obj ) );
 
 				const geometry = obj.geometry;
 				const positions = geometry.attributes.position;
@@ -109,6 +124,14 @@ export default class GeometryExtractor {
 
 			this.directionalLights.push( object );
 
+		} else if ( object.isSpotLight ) {
+
+			this.spotLights.push( object );
+
+		} else if ( object.isPointLight ) {
+
+			this.pointLights.push( object );
+
 		} else if ( object.isCamera ) {
 
 			this.cameras.push( object );
@@ -141,8 +164,49 @@ export default class GeometryExtractor {
 		const materialIndex = this.processMaterial( mesh.material );
 		mesh.userData.materialIndex = materialIndex;
 
-		// Extract geometry
-		this.extractGeometry( mesh, materialIndex );
+		// Extract geometry once, later meshes sharing it only add instances
+		const geometryKey = this.getGeometryKey( mesh );
+		let geometry = this.geometryRecords.get( geometryKey );
+		if ( ! geometry ) {
+
+			this.extractGeometry( mesh, materialIndex );
+			geometry = this.geometries[ this.geometries.length - 1 ];
+			this.geometryRecords.set( geometryKey, geometry );
+
+			// Start from the current pose rather than the bind pose
+			if ( geometry.deformable ) this.updateDeformedTriangles( this.triangleData, geometry );
+
+		}
+
+		// Triangles carry the material of the first mesh, other materials become per-instance overrides
+		const materialOverride = materialIndex === geometry.materialIndex ? - 1 : materialIndex;
+
+		if ( mesh.isInstancedMesh ) {
+
+			for ( let i = 0; i < mesh.count; i ++ ) {
+
+				this.instances.push( { mesh, instanceId: i, geometry, materialIndex: materialOverride } );
+
+			}
+
+		} else {
+
+			this.instances.push( { mesh, instanceId: - 1, geometry, materialIndex: materialOverride } );
+
+		}
+
+	}
+
+	// Skinned and morphed meshes deform their own copy of the geometry so it is never shared
+	isDeformable( mesh ) {
+
+		return ! mesh.isInstancedMesh && ( mesh.isSkinnedMesh || !! mesh.geometry.morphAttributes.position );
+
+	}
+
+	getGeometryKey( mesh ) {
+
+		return this.isDeformable( mesh ) ? mesh.uuid : mesh.geometry.uuid;
 
 	}
 
@@ -204,10 +268,24 @@ export default class GeometryExtractor {
 			clearcoat: 0.0,
 			clearcoatRoughness: 0.0,
 			normalScale: { x: 1, y: 1 },
+			clearcoatNormalScale: { x: 1, y: 1 },
+			anisotropy: 0.0,
+			anisotropyRotation: 0.0,
 			bumpScale: 1,
-			alphaTest: 0.0
+			alphaTest: 0.0,
+			multiscatterColor: new Color( 0, 0, 0 ),
+			scatterAnisotropy: 0.0,
+			subsurface: 0.0,
+			subsurfaceColor: new Color( 1, 1, 1 ),
+			subsurfaceRadius: new Color( 1.0, 0.2, 0.1 ),
+			subsurfaceScale: 0.05,
+			shadowCatcher: 0
 		};
 
+		// GLTFLoader does not parse KHR_materials_volume_scatter, it keeps the raw extension in userData
+		const volumeScatter = material.userData?.gltfExtensions?.KHR_materials_volume_scatter;
+		const diffuseTransmission = material.userData?.gltfExtensions?.KHR_materials_diffuse_transmission;
+
 		// Create material object, using defaults for missing properties
 		return {
 			uuid: material.uuid,
@@ -233,14 +311,23 @@ export default class GeometryExtractor {
 			iridescence: material.iridescence ?? defaultValues.iridescence,
 			iridescenceIOR: material.iridescenceIOR ?? defaultValues.iridescenceIOR,
 			iridescenceThicknessRange: material.iridescenceThicknessRange ?? defaultValues.iridescenceThicknessRange,
-			side: this.getMaterialSide( material ),
+			side: this.getMaterialSide( material, diffuseTransmission ),
 			normalScale: material.normalScale ?? defaultValues.normalScale,
+			clearcoatNormalScale: material.clearcoatNormalScale ?? defaultValues.clearcoatNormalScale,
+			anisotropy: material.anisotropy ?? defaultValues.anisotropy,
+			anisotropyRotation: material.anisotropyRotation ?? defaultValues.anisotropyRotation,
 			bumpScale: material.bumpScale ?? defaultValues.bumpScale,
 			transparent: material.transparent ? 1 : 0,
 			alphaTest: material.alphaTest ?? defaultValues.alphaTest,
 			alphaMode: this.getMaterialAlphaMode( material ),
 			depthWrite: material.depthWrite ? 1 : 0,
 			visible: material.visible ? 1 : 0,
+			multiscatterColor: material.multiscatterColor ?? ( volumeScatter?.multiscatterColor ? new Color().fromArray( volumeScatter.multiscatterColor ) : defaultValues.multiscatterColor ),
+			scatterAnisotropy: material.scatterAnisotropy ?? volumeScatter?.scatterAnisotropy ?? defaultValues.scatterAnisotropy,
+			subsurface: material.subsurface ?? diffuseTransmission?.diffuseTransmissionFactor ?? defaultValues.subsurface,
+			subsurfaceColor: material.subsurfaceColor ?? ( diffuseTransmission?.diffuseTransmissionColorFactor ? new Color().fromArray( diffuseTransmission.diffuseTransmissionColorFactor ) : defaultValues.subsurfaceColor ),
+			...this.getSubsurfaceRadius( material, diffuseTransmission, defaultValues ),
+			shadowCatcher: material.shadowCatcher ? 1 : 0,
 
 			// Process textures
 			map: this.processTexture( material.map, this.maps ),
@@ -249,8 +336,20 @@ export default class GeometryExtractor {
 			roughnessMap: this.processTexture( material.roughnessMap, this.roughnessMaps ),
 			metalnessMap: this.processTexture( material.metalnessMap, this.metalnessMaps ),
 			emissiveMap: this.processTexture( material.emissiveMap, this.emissiveMaps ),
-			clearcoatMap: this.processTexture( material.clearcoatMap, [] ),
-			clearcoatRoughnessMap: this.processTexture( material.clearcoatRoughnessMap, [] ),
+
+			// Textures of the material extensions share one array
+			transmissionMap: this.processTexture( material.transmissionMap, this.extensionMaps ),
+			thicknessMap: this.processTexture( material.thicknessMap, this.extensionMaps ),
+			clearcoatMap: this.processTexture( material.clearcoatMap, this.extensionMaps ),
+			clearcoatRoughnessMap: this.processTexture( material.clearcoatRoughnessMap, this.extensionMaps ),
+			clearcoatNormalMap: this.processTexture( material.clearcoatNormalMap, this.extensionMaps ),
+			sheenColorMap: this.processTexture( material.sheenColorMap, this.extensionMaps ),
+			sheenRoughnessMap: this.processTexture( material.sheenRoughnessMap, this.extensionMaps ),
+			specularIntensityMap: this.processTexture( material.specularIntensityMap, this.extensionMaps ),
+			specularColorMap: this.processTexture( material.specularColorMap, this.extensionMaps ),
+			iridescenceMap: this.processTexture( material.iridescenceMap, this.extensionMaps ),
+			iridescenceThicknessMap: this.processTexture( material.iridescenceThicknessMap, this.extensionMaps ),
+			anisotropyMap: this.processTexture( material.anisotropyMap, this.extensionMaps ),
 
 			// Process texture matrices
 			mapMatrix: this.getTextureMatrix( material.map ),
@@ -259,6 +358,47 @@ export default class GeometryExtractor {
 			roughnessMapMatrices: this.getTextureMatrix( material.roughnessMap ),
 			metalnessMapMatrices: this.getTextureMatrix( material.metalnessMap ),
 			emissiveMapMatrices: this.getTextureMatrix( material.emissiveMap ),
+			transmissionMapMatrices: this.getTextureMatrix( material.transmissionMap ),
+			thicknessMapMatrices: this.getTextureMatrix( material.thicknessMap ),
+			clearcoatMapMatrices: this.getTextureMatrix( material.clearcoatMap ),
+			clearcoatRoughnessMapMatrices: this.getTextureMatrix( material.clearcoatRoughnessMap ),
+			clearcoatNormalMapMatrices: this.getTextureMatrix( material.clearcoatNormalMap ),
+			sheenColorMapMatrices: this.getTextureMatrix( material.sheenColorMap ),
+			sheenRoughnessMapMatrices: this.getTextureMatrix( material.sheenRoughnessMap ),
+			specularIntensityMapMatrices: this.getTextureMatrix( material.specularIntensityMap ),
+			specularColorMapMatrices: this.getTextureMatrix( material.specularColorMap ),
+			iridescenceMapMatrices: this.getTextureMatrix( material.iridescenceMap ),
+			iridescenceThicknessMapMatrices: this.getTextureMatrix( material.iridescenceThicknessMap ),
+			anisotropyMapMatrices: this.getTextureMatrix( material.anisotropyMap ),
+		};
+
+	}
+
+	// Diffuse transmission with a KHR_materials_volume attenuation becomes a random walk whose mean free path
+	// per channel reaches the attenuation color after attenuationDistance
+	getSubsurfaceRadius( material, diffuseTransmission, defaultValues ) {
+
+		if ( material.subsurfaceRadius ) {
+
+			return { subsurfaceRadius: material.subsurfaceRadius, subsurfaceScale: material.subsurfaceScale ?? defaultValues.subsurfaceScale };
+
+		}
+
+		const distance = material.attenuationDistance;
+		if ( ! diffuseTransmission || ! ( distance > 0 && distance < 1e20 ) ) {
+
+			return { subsurfaceRadius: defaultValues.subsurfaceRadius, subsurfaceScale: material.subsurfaceScale ?? defaultValues.subsurfaceScale };
+
+		}
+
+		const attenuation = material.attenuationColor ?? defaultValues.attenuationColor;
+		const radius = [ attenuation.r, attenuation.g, attenuation.b ].map( value => 1 / Math.max( - Math.log( Math.max( value, 0.001 ) ), 0.01 ) );
+		const maxRadius = Math.max( ...radius );
+
+		// Normalized radius with the largest channel folded into the scale
+		return {
+			subsurfaceRadius: new Color( radius[ 0 ] / maxRadius, radius[ 1 ] / maxRadius, radius[ 2 ] / maxRadius ),
+			subsurfaceScale: distance * maxRadius
 		};
 
 	}
@@ -271,9 +411,11 @@ export default class GeometryExtractor {
 
 	}
 
-	getMaterialSide( material ) {
+	// Transmissive and subsurface materials are entered, their back faces must be hit from inside
+	getMaterialSide( material, diffuseTransmission ) {
 
 		if ( material.transmission > 0.0 ) return 2;
+		if ( ( material.subsurface ?? diffuseTransmission?.diffuseTransmissionFactor ?? 0 ) > 0.0 ) return 2;
 		switch ( material.side ) {
 
 			case FrontSide: return 0;
@@ -312,19 +454,28 @@ export default class GeometryExtractor {
 		const uvs = geometry.attributes.uv;
 		const indices = geometry.index ? geometry.index.array : null;
 
-		// Compute matrices
-		this._matrixPool.mat4.copy( mesh.matrixWorld );
-		this._matrixPool.mat3.getNormalMatrix( this._matrixPool.mat4 );
+		// Authored tangents are kept, otherwise they are derived from the UV layout
+		let tangents = geometry.attributes.tangent ?? null;
+		if ( ! tangents && uvs ) {
+
+			tangents = new BufferAttribute( this.generateTangents( positions.array, normals.array, uvs.array, indices ), 4 );
+
+		}
 
 		const triangleCount = indices ? indices.length / 3 : positions.count / 3;
+		const triangleOffset = this.currentTriangleIndex;
+
+		// Triangles stay in object space, the world transform is applied per instance when tracing
+		this.extractTrianglesInBatch( positions, normals, uvs, tangents, indices, triangleCount, materialIndex );
 
-		// Extract triangles
-		this.extractTrianglesInBatch( positions, normals, uvs, indices, triangleCount, materialIndex );
+		const record = { triangleOffset, triangleCount: this.currentTriangleIndex - triangleOffset, materialIndex };
+		if ( this.isDeformable( mesh ) ) Object.assign( record, { deformable: true, mesh, tangents } );
+		this.geometries.push( record );
 
 	}
 
 	// triangle extraction that stores directly in texture format
-	extractTrianglesInBatch( positions, normals, uvs, indices, triangleCount, materialIndex ) {
+	extractTrianglesInBatch( positions, normals, uvs, tangents, indices, triangleCount, materialIndex ) {
 
 		// Pre-allocate objects for positions, normals, and UVs
 		const posA = this._getVec3( 0 );
@@ -339,6 +490,10 @@ export default class GeometryExtractor {
 		const uvB = this._getVec2( 1 );
 		const uvC = this._getVec2( 2 );
 
+		const tangentA = this._getVec4( 0 ).set( 0, 0, 0, 1 );
+		const tangentB = this._getVec4( 1 ).set( 0, 0, 0, 1 );
+		const tangentC = this._getVec4( 2 ).set( 0, 0, 0, 1 );
+
 		// Batch process triangles to avoid excessive function calls
 		for ( let i = 0; i < triangleCount; i ++ ) {
 
@@ -376,6 +531,14 @@ export default class GeometryExtractor {
 
 				}
 
+				if ( tangents ) {
+
+					this.getVertexFromIndices( tangents, indices[ i3 + 0 ], tangentA );
+					this.getVertexFromIndices( tangents, indices[ i3 + 1 ], tangentB );
+					this.getVertexFromIndices( tangents, indices[ i3 + 2 ], tangentC );
+
+				}
+
 			} else {
 
 				this.getVertex( positions, i3 + 0, posA );
@@ -400,16 +563,19 @@ export default class GeometryExtractor {
 
 				}
 
-			}
+				if ( tangents ) {
 
-			// Apply world transformation
-			posA.applyMatrix4( this._matrixPool.mat4 );
-			posB.applyMatrix4( this._matrixPool.mat4 );
-			posC.applyMatrix4( this._matrixPool.mat4 );
+					this.getVertex( tangents, i3 + 0, tangentA );
+					this.getVertex( tangents, i3 + 1, tangentB );
+					this.getVertex( tangents, i3 + 2, tangentC );
 
-			normalA.applyMatrix3( this._matrixPool.mat3 ).normalize();
-			normalB.applyMatrix3( this._matrixPool.mat3 ).normalize();
-			normalC.applyMatrix3( this._matrixPool.mat3 ).normalize();
+				}
+
+			}
+
+			normalA.normalize();
+			normalB.normalize();
+			normalC.normalize();
 
 			// Pack triangle datas
 			this.packTriangleDataTextureFormat(
@@ -417,7 +583,9 @@ export default class GeometryExtractor {
 				posA, posB, posC,
 				normalA, normalB, normalC,
 				uvA, uvB, uvC,
-				materialIndex
+				tangentA, tangentB, tangentC,
+				materialIndex,
+				i
 			);
 
 			this.currentTriangleIndex ++;
@@ -427,7 +595,7 @@ export default class GeometryExtractor {
 	}
 
 	// Pack triangle data directly in texture format (32 floats with vec4 alignment)
-	packTriangleDataTextureFormat( triangleIndex, posA, posB, posC, normalA, normalB, normalC, uvA, uvB, uvC, materialIndex ) {
+	packTriangleDataTextureFormat( triangleIndex, posA, posB, posC, normalA, normalB, normalC, uvA, uvB, uvC, tangentA, tangentB, tangentC, materialIndex, sourceIndex ) {
 
 		const offset = triangleIndex * TRIANGLE_DATA_LAYOUT.FLOATS_PER_TRIANGLE;
 
@@ -435,33 +603,27 @@ export default class GeometryExtractor {
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.POSITION_A_OFFSET + 0 ] = posA.x;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.POSITION_A_OFFSET + 1 ] = posA.y;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.POSITION_A_OFFSET + 2 ] = posA.z;
-		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.POSITION_A_OFFSET + 3 ] = 0; // vec4 padding
 
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.POSITION_B_OFFSET + 0 ] = posB.x;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.POSITION_B_OFFSET + 1 ] = posB.y;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.POSITION_B_OFFSET + 2 ] = posB.z;
-		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.POSITION_B_OFFSET + 3 ] = 0; // vec4 padding
 
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.POSITION_C_OFFSET + 0 ] = posC.x;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.POSITION_C_OFFSET + 1 ] = posC.y;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.POSITION_C_OFFSET + 2 ] = posC.z;
-		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.POSITION_C_OFFSET + 3 ] = 0; // vec4 padding
 
 		// Normals as vec4s (3 vec4s = 12 floats)
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_A_OFFSET + 0 ] = normalA.x;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_A_OFFSET + 1 ] = normalA.y;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_A_OFFSET + 2 ] = normalA.z;
-		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_A_OFFSET + 3 ] = 0; // vec4 padding
 
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_B_OFFSET + 0 ] = normalB.x;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_B_OFFSET + 1 ] = normalB.y;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_B_OFFSET + 2 ] = normalB.z;
-		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_B_OFFSET + 3 ] = 0; // vec4 padding
 
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_C_OFFSET + 0 ] = normalC.x;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_C_OFFSET + 1 ] = normalC.y;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_C_OFFSET + 2 ] = normalC.z;
-		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_C_OFFSET + 3 ] = 0; // vec4 padding
 
 		// UVs and material index (2 vec4s = 8 floats)
 		// First vec4: uvA.x, uvA.y, uvB.x, uvB.y
@@ -474,7 +636,343 @@ export default class GeometryExtractor {
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.UV_C_MAT_OFFSET + 0 ] = uvC.x;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.UV_C_MAT_OFFSET + 1 ] = uvC.y;
 		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.UV_C_MAT_OFFSET + 2 ] = materialIndex;
-		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.UV_C_MAT_OFFSET + 3 ] = 0; // vec4 padding
+		this.triangleData[ offset + TRIANGLE_DATA_LAYOUT.SOURCE_INDEX_OFFSET ] = sourceIndex;
+
+		// Tangents in the w of the positions and normals
+		this.packTangent( tangentA, this.triangleData, offset, TRIANGLE_DATA_LAYOUT.TANGENT_A_OFFSETS );
+		this.packTangent( tangentB, this.triangleData, offset, TRIANGLE_DATA_LAYOUT.TANGENT_B_OFFSETS );
+		this.packTangent( tangentC, this.triangleData, offset, TRIANGLE_DATA_LAYOUT.TANGENT_C_OFFSETS );
+
+	}
+
+	// Octahedral encoding of a tangent direction into two floats. The first is moved to 1..2 and signed by the
+	// bitangent handedness, so a zero tangent stays zero. Decoded by unpackTangent in bvhtraverse.fs.
+	packTangent( tangent, triangleData, offset, [ offsetU, offsetV ] ) {
+
+		const sum = Math.abs( tangent.x ) + Math.abs( tangent.y ) + Math.abs( tangent.z );
+		if ( sum < 1e-8 ) {
+
+			triangleData[ offset + offsetU ] = 0;
+			triangleData[ offset + offsetV ] = 0;
+			return;
+
+		}
+
+		let u = tangent.x / sum;
+		let v = tangent.y / sum;
+
+		// The lower hemisphere folds over the diagonals
+		if ( tangent.z < 0 ) {
+
+			const foldedU = ( 1 - Math.abs( v ) ) * ( u >= 0 ? 1 : - 1 );
+			v = ( 1 - Math.abs( u ) ) * ( v >= 0 ? 1 : - 1 );
+			u = foldedU;
+
+		}
+
+		triangleData[ offset + offsetU ] = ( u * 0.5 + 1.5 ) * ( tangent.w < 0 ? - 1 : 1 );
+		triangleData[ offset + offsetV ] = v;
+
+	}
+
+	// Per vertex tangents in the direction of increasing u, in the manner of MikkTSpace: the UV gradients
+	// of the triangles around a vertex are accumulated, then orthogonalized against the vertex normal.
+	// The handedness of the bitangent is stored in w. Degenerate UVs leave a zero tangent.
+	generateTangents( positions, normals, uvs, indices ) {
+
+		const vertexCount = positions.length / 3;
+		const triangleCount = indices ? indices.length / 3 : vertexCount / 3;
+		const tangents = new Float32Array( vertexCount * 4 );
+		const tan1 = new Float32Array( vertexCount * 3 );
+		const tan2 = new Float32Array( vertexCount * 3 );
+
+		const edge1 = new Vector3();
+		const edge2 = new Vector3();
+		const sdir = new Vector3();
+		const tdir = new Vector3();
+		const normal = new Vector3();
+		const tangent = new Vector3();
+
+		for ( let t = 0; t < triangleCount; t ++ ) {
+
+			const a = indices ? indices[ t * 3 ] : t * 3;
+			const b = indices ? indices[ t * 3 + 1 ] : t * 3 + 1;
+			const c = indices ? indices[ t * 3 + 2 ] : t * 3 + 2;
+
+			edge1.fromArray( positions, b * 3 ).sub( tangent.fromArray( positions, a * 3 ) );
+			edge2.fromArray( positions, c * 3 ).sub( tangent );
+
+			const du1 = uvs[ b * 2 ] - uvs[ a * 2 ];
+			const dv1 = uvs[ b * 2 + 1 ] - uvs[ a * 2 + 1 ];
+			const du2 = uvs[ c * 2 ] - uvs[ a * 2 ];
+			const dv2 = uvs[ c * 2 + 1 ] - uvs[ a * 2 + 1 ];
+
+			const det = du1 * dv2 - du2 * dv1;
+			if ( Math.abs( det ) < 1e-12 ) continue;
+
+			const r = 1 / det;
+			sdir.copy( edge1 ).multiplyScalar( dv2 ).addScaledVector( edge2, - dv1 ).multiplyScalar( r );
+			tdir.copy( edge2 ).multiplyScalar( du1 ).addScaledVector( edge1, - du2 ).multiplyScalar( r );
+
+			for ( const v of [ a, b, c ] ) {
+
+				tan1[ v * 3 ] += sdir.x;
+				tan1[ v * 3 + 1 ] += sdir.y;
+				tan1[ v * 3 + 2 ] += sdir.z;
+				tan2[ v * 3 ] += tdir.x;
+				tan2[ v * 3 + 1 ] += tdir.y;
+				tan2[ v * 3 + 2 ] += tdir.z;
+
+			}
+
+		}
+
+		for ( let v = 0; v < vertexCount; v ++ ) {
+
+			normal.fromArray( normals, v * 3 ).normalize();
+			tangent.fromArray( tan1, v * 3 );
+			tangent.addScaledVector( normal, - normal.dot( tangent ) );
+
+			const length = tangent.length();
+			if ( length < 1e-8 ) {
+
+				tangents[ v * 4 + 3 ] = 1;
+				continue;
+
+			}
+
+			tangent.divideScalar( length ).toArray( tangents, v * 4 );
+			const handedness = normal.cross( tangent ).dot( tdir.fromArray( tan2, v * 3 ) );
+			tangents[ v * 4 + 3 ] = handedness < 0 ? - 1 : 1;
+
+		}
+
+		return tangents;
+
+	}
+
+	// Evaluate skinning and morph targets on the CPU and write the posed object space positions,
+	// normals and tangents over the geometry's triangle slots, wherever the BVH moved them to.
+	// The authored normals and the rest pose tangents are deformed, never recomputed, so split
+	// vertices and flat shaded geometry keep their look.
+	updateDeformedTriangles( triangleData, { mesh, triangleOffset, triangleCount, tangents } ) {
+
+		const geometry = mesh.geometry;
+		const vertexCount = geometry.attributes.position.count;
+		const indices = geometry.index ? geometry.index.array : null;
+		const vertexIndex = ( triangle, corner ) => indices ? indices[ triangle * 3 + corner ] : triangle * 3 + corner;
+
+		const positions = new Float32Array( vertexCount * 3 );
+		const normals = new Float32Array( vertexCount * 3 );
+		const posedTangents = tangents ? new Float32Array( vertexCount * 4 ) : null;
+		const vertex = this._getVec3( 0 );
+		const tangent = this._getVec4( 0 );
+
+		for ( let i = 0; i < vertexCount; i ++ ) {
+
+			mesh.getVertexPosition( i, vertex ).toArray( positions, i * 3 );
+			this.getDeformedNormal( mesh, i, vertex ).toArray( normals, i * 3 );
+
+			if ( posedTangents ) {
+
+				tangent.fromBufferAttribute( tangents, i );
+				vertex.set( tangent.x, tangent.y, tangent.z );
+				this.applyBoneTransformToDirection( mesh, i, vertex ).toArray( posedTangents, i * 4 );
+				posedTangents[ i * 4 + 3 ] = tangent.w;
+
+			}
+
+		}
+
+		const stride = TRIANGLE_DATA_LAYOUT.FLOATS_PER_TRIANGLE;
+		const positionOffsets = [ TRIANGLE_DATA_LAYOUT.POSITION_A_OFFSET, TRIANGLE_DATA_LAYOUT.POSITION_B_OFFSET, TRIANGLE_DATA_LAYOUT.POSITION_C_OFFSET ];
+		const normalOffsets = [ TRIANGLE_DATA_LAYOUT.NORMAL_A_OFFSET, TRIANGLE_DATA_LAYOUT.NORMAL_B_OFFSET, TRIANGLE_DATA_LAYOUT.NORMAL_C_OFFSET ];
+		const tangentOffsets = [ TRIANGLE_DATA_LAYOUT.TANGENT_A_OFFSETS, TRIANGLE_DATA_LAYOUT.TANGENT_B_OFFSETS, TRIANGLE_DATA_LAYOUT.TANGENT_C_OFFSETS ];
+
+		for ( let i = triangleOffset; i < triangleOffset + triangleCount; i ++ ) {
+
+			const offset = i * stride;
+			const source = triangleData[ offset + TRIANGLE_DATA_LAYOUT.SOURCE_INDEX_OFFSET ];
+
+			for ( let corner = 0; corner < 3; corner ++ ) {
+
+				const vertex = vertexIndex( source, corner );
+				const v = vertex * 3;
+				triangleData.set( positions.subarray( v, v + 3 ), offset + positionOffsets[ corner ] );
+				triangleData.set( normals.subarray( v, v + 3 ), offset + normalOffsets[ corner ] );
+				if ( posedTangents ) this.packTangent( tangent.fromArray( posedTangents, vertex * 4 ), triangleData, offset, tangentOffsets[ corner ] );
+
+			}
+
+		}
+
+	}
+
+	// Normal of a vertex with morph targets applied like Mesh.getVertexPosition, then skinned
+	getDeformedNormal( mesh, index, target ) {
+
+		const geometry = mesh.geometry;
+		const morphNormals = geometry.morphAttributes.normal;
+		const morphInfluences = mesh.morphTargetInfluences;
+		target.fromBufferAttribute( geometry.attributes.normal, index );
+
+		if ( morphNormals && morphInfluences ) {
+
+			const morphed = this._getVec3( 1 ).set( 0, 0, 0 );
+			const morphNormal = this._getVec3( 2 );
+
+			for ( let i = 0; i < morphNormals.length; i ++ ) {
+
+				const influence = morphInfluences[ i ];
+				if ( influence === 0 ) continue;
+
+				morphNormal.fromBufferAttribute( morphNormals[ i ], index );
+				if ( geometry.morphTargetsRelative ) {
+
+					morphed.addScaledVector( morphNormal, influence );
+
+				} else {
+
+					morphed.addScaledVector( morphNormal.sub( target ), influence );
+
+				}
+
+			}
+
+			target.add( morphed );
+
+		}
+
+		return this.applyBoneTransformToDirection( mesh, index, target );
+
+	}
+
+	// SkinnedMesh.applyBoneTransform for directions, the bone matrices blend the way the skinning
+	// vertex shader blends them for normals
+	applyBoneTransformToDirection( mesh, index, target ) {
+
+		if ( ! mesh.isSkinnedMesh ) return target.normalize();
+
+		const { skeleton, bindMatrix, bindMatrixInverse } = mesh;
+		const skinIndex = mesh.geometry.attributes.skinIndex;
+		const skinWeight = mesh.geometry.attributes.skinWeight;
+		const boneMatrix = this._matrixPool.mat4;
+		const basis = this._matrixPool.mat3;
+
+		const bindDirection = this._getVec3( 3 ).copy( target ).applyMatrix3( basis.setFromMatrix4( bindMatrix ) );
+		const boneDirection = this._getVec3( 4 );
+		target.set( 0, 0, 0 );
+
+		for ( let i = 0; i < 4; i ++ ) {
+
+			const weight = skinWeight.getComponent( index, i );
+			if ( weight === 0 ) continue;
+
+			const boneIndex = skinIndex.getComponent( index, i );
+			boneMatrix.multiplyMatrices( skeleton.bones[ boneIndex ].matrixWorld, skeleton.boneInverses[ boneIndex ] );
+			target.addScaledVector( boneDirection.copy( bindDirection ).applyMatrix3( basis.setFromMatrix4( boneMatrix ) ), weight );
+
+		}
+
+		return target.applyMatrix3( basis.setFromMatrix4( bindMatrixInverse ) ).normalize();
+
+	}
+
+	// Collect triangles with emissive materials from the final (BVH-ordered) triangle data.
+	// Emissive triangles of every instance weighted by world space power, the pairs stay fixed
+	// and updateEmissiveTriangles only recomputes the areas of instances that moved or deformed.
+	// Instances are { matrix, materialIndex, triangleOffset, triangleCount }
+	collectEmissiveTriangles( triangleData, instances, materials ) {
+
+		const stride = TRIANGLE_DATA_LAYOUT.FLOATS_PER_TRIANGLE;
+		const materialPower = materials.map( material => {
+
+			if ( ! material.visible || ! material.emissive ) return 0;
+			const { r, g, b } = material.emissive;
+			return ( 0.2126 * r + 0.7152 * g + 0.0722 * b ) * material.emissiveIntensity;
+
+		} );
+
+		const indices = [];
+		const instanceIndices = [];
+		const radiances = [];
+		const powers = [];
+		const matrices = new Map();
+		let totalPower = 0;
+
+		instances.forEach( ( { matrix, materialIndex, triangleOffset, triangleCount }, instanceIndex ) => {
+
+			for ( let i = triangleOffset; i < triangleOffset + triangleCount; i ++ ) {
+
+				const offset = i * stride;
+				const power = materialPower[ materialIndex >= 0 ? materialIndex : triangleData[ offset + TRIANGLE_DATA_LAYOUT.UV_C_MAT_OFFSET + 2 ] ];
+				if ( ! ( power > 0 ) ) continue;
+
+				const area = this.getWorldTriangleArea( triangleData, i, matrix );
+				if ( area <= 0 ) continue;
+
+				indices.push( i );
+				instanceIndices.push( instanceIndex );
+				radiances.push( power );
+				powers.push( power * area );
+				totalPower += power * area;
+
+				if ( ! matrices.has( instanceIndex ) ) matrices.set( instanceIndex, matrix.clone() );
+
+			}
+
+		} );
+
+		return { indices, instanceIndices, radiances, powers, matrices, totalPower };
+
+	}
+
+	// Recompute the power of the emissive triangles of instances that were transformed since the last
+	// update, or whose geometry is in posedGeometries. Returns whether any power changed.
+	updateEmissiveTriangles( emissiveTriangles, triangleData, instances, posedGeometries ) {
+
+		const { indices, instanceIndices, radiances, powers, matrices } = emissiveTriangles;
+		const changed = new Set();
+
+		matrices.forEach( ( matrix, instanceIndex ) => {
+
+			const instance = instances[ instanceIndex ];
+			if ( matrix.equals( instance.matrix ) && ! posedGeometries.has( instance.geometry ) ) return;
+
+			matrix.copy( instance.matrix );
+			changed.add( instanceIndex );
+
+		} );
+
+		if ( changed.size === 0 ) return false;
+
+		let totalPower = 0;
+
+		for ( let i = 0; i < indices.length; i ++ ) {
+
+			if ( changed.has( instanceIndices[ i ] ) ) {
+
+				powers[ i ] = radiances[ i ] * this.getWorldTriangleArea( triangleData, indices[ i ], instances[ instanceIndices[ i ] ].matrix );
+
+			}
+
+			totalPower += powers[ i ];
+
+		}
+
+		emissiveTriangles.totalPower = totalPower;
+		return true;
+
+	}
+
+	getWorldTriangleArea( triangleData, triangleIndex, matrix ) {
+
+		const offset = triangleIndex * TRIANGLE_DATA_LAYOUT.FLOATS_PER_TRIANGLE;
+		const posA = this._getVec3( 6 ).fromArray( triangleData, offset + TRIANGLE_DATA_LAYOUT.POSITION_A_OFFSET ).applyMatrix4( matrix );
+		const posB = this._getVec3( 7 ).fromArray( triangleData, offset + TRIANGLE_DATA_LAYOUT.POSITION_B_OFFSET ).applyMatrix4( matrix );
+		const posC = this._getVec3( 8 ).fromArray( triangleData, offset + TRIANGLE_DATA_LAYOUT.POSITION_C_OFFSET ).applyMatrix4( matrix );
+
+		return posB.sub( posA ).cross( posC.sub( posA ) ).length() * 0.5;
 
 	}
 
@@ -507,6 +1005,13 @@ export default class GeometryExtractor {
 			target.y = attribute.array[ index * 3 + 1 ];
 			target.z = attribute.array[ index * 3 + 2 ];
 
+		} else if ( attribute.itemSize === 4 ) {
+
+			target.x = attribute.array[ index * 4 ];
+			target.y = attribute.array[ index * 4 + 1 ];
+			target.z = attribute.array[ index * 4 + 2 ];
+			target.w = attribute.array[ index * 4 + 3 ];
+
 		}
 
 		return target;
@@ -526,6 +1031,13 @@ export default class GeometryExtractor {
 			target.y = attribute.array[ index * 3 + 1 ];
 			target.z = attribute.array[ index * 3 + 2 ];
 
+		} else if ( attribute.itemSize === 4 ) {
+
+			target.x = attribute.array[ index * 4 ];
+			target.y = attribute.array[ index * 4 + 1 ];
+			target.z = attribute.array[ index * 4 + 2 ];
+			target.w = attribute.array[ index * 4 + 3 ];
+
 		}
 
 		return target;
@@ -556,8 +1068,14 @@ export default class GeometryExtractor {
 		this.metalnessMaps = [];
 		this.emissiveMaps = [];
 		this.roughnessMaps = [];
+		this.extensionMaps = [];
 		this.directionalLights = [];
+		this.pointLights = [];
+		this.spotLights = [];
 		this.cameras = [];
+		this.geometries = [];
+		this.geometryRecords = new Map();
+		this.instances = [];
 
 	}
 
@@ -573,8 +1091,13 @@ export default class GeometryExtractor {
 			metalnessMaps: this.metalnessMaps,
 			emissiveMaps: this.emissiveMaps,
 			roughnessMaps: this.roughnessMaps,
+			extensionMaps: this.extensionMaps,
 			directionalLights: this.directionalLights,
-			cameras: this.cameras
+			pointLights: this.pointLights,
+			spotLights: this.spotLights,
+			cameras: this.cameras,
+			geometries: this.geometries,
+			instances: this.instances
 		};
 
 	}
@@ -0,0 +1,264 @@
+import {
+	DataArrayTexture,
+	RGBAFormat,
+	FloatType,
+	RepeatWrapping,
+	ClampToEdgeWrapping,
+	LinearFilter
+} from 'three';
+
+// Resolution of the resampled candela table (horizontal x vertical angles)
+const IES_TEXTURE_WIDTH = 64;
+const IES_TEXTURE_HEIGHT = 64;
+
+/**
+ * IES LM-63 photometric file parser
+ * Produces normalized candela tables that can be packed into a texture array for lights.fs
+ */
+export class IESParser {
+
+	parse( text, name = 'profile.ies' ) {
+
+		const lines = text.split( /\r?\n/ );
+
+		// Skip header and keyword lines until the TILT declaration
+		let lineIndex = lines.findIndex( line => line.trim().toUpperCase().startsWith( 'TILT=' ) );
+		if ( lineIndex < 0 ) throw new Error( `Invalid IES file (missing TILT line): ${name}` );
+
+		const tilt = lines[ lineIndex ].trim().substring( 5 ).trim().toUpperCase();
+		const tokens = lines.slice( lineIndex + 1 ).join( ' ' ).split( /[\s,]+/ ).filter( token => token.length > 0 ).map( Number );
+
+		let cursor = 0;
+		const next = () => {
+
+			if ( cursor >= tokens.length ) throw new Error( `Unexpected end of IES data: ${name}` );
+			return tokens[ cursor ++ ];
+
+		};
+
+		// Lamp-to-luminaire geometry and tilt table are not used for rendering
+		if ( tilt === 'INCLUDE' ) {
+
+			next(); // lamp-to-luminaire geometry
+			const tiltCount = next();
+			cursor += tiltCount * 2;
+
+		}
+
+		const lampCount = next();
+		const lumensPerLamp = next();
+		const candelaMultiplier = next();
+		const verticalCount = next();
+		const horizontalCount = next();
+		const photometricType = next();
+		next(); // units type
+		next(); // width
+		next(); // length
+		next(); // height
+		const ballastFactor = next();
+		next(); // future use / ballast-lamp photometric factor
+		next(); // input watts
+
+		if ( photometricType !== 1 ) {
+
+			console.warn( `IESParser: Only type C photometry is fully supported (${name} is type ${photometricType})` );
+
+		}
+
+		const verticalAngles = Array.from( { length: verticalCount }, next );
+		const horizontalAngles = Array.from( { length: horizontalCount }, next );
+
+		const scale = candelaMultiplier * ( ballastFactor || 1 );
+		const candela = Array.from( { length: horizontalCount }, () => Array.from( { length: verticalCount }, () => next() * scale ) );
+
+		let maxCandela = 0;
+		candela.forEach( row => row.forEach( value => maxCandela = Math.max( maxCandela, value ) ) );
+
+		const profile = {
+			name,
+			lampCount,
+			lumens: lampCount * lumensPerLamp,
+			verticalAngles,
+			horizontalAngles,
+			candela,
+			maxCandela
+		};
+
+		profile.data = this.resample( profile );
+		profile.averageIntensity = this.computeAverageIntensity( profile.data );
+
+		return profile;
+
+	}
+
+	// Resample the candela table to a regular (phi, theta) grid normalized to the peak intensity
+	resample( profile ) {
+
+		const data = new Float32Array( IES_TEXTURE_WIDTH * IES_TEXTURE_HEIGHT );
+		const invMax = profile.maxCandela > 0 ? 1 / profile.maxCandela : 0;
+
+		for ( let y = 0; y < IES_TEXTURE_HEIGHT; y ++ ) {
+
+			const theta = ( y + 0.5 ) / IES_TEXTURE_HEIGHT * 180;
+
+			for ( let x = 0; x < IES_TEXTURE_WIDTH; x ++ ) {
+
+				const phi = ( x + 0.5 ) / IES_TEXTURE_WIDTH * 360;
+				data[ y * IES_TEXTURE_WIDTH + x ] = this.sample( profile, phi, theta ) * invMax;
+
+			}
+
+		}
+
+		return data;
+
+	}
+
+	// Bilinear lookup in the original table, honouring LM-63 horizontal symmetry
+	sample( profile, phi, theta ) {
+
+		const { verticalAngles, horizontalAngles, candela } = profile;
+		const lastHorizontal = horizontalAngles[ horizontalAngles.length - 1 ];
+
+		if ( lastHorizontal === 0 ) {
+
+			// Rotationally symmetric
+			phi = 0;
+
+		} else if ( lastHorizontal === 90 ) {
+
+			// Quadrant symmetric
+			if ( phi > 180 ) phi = 360 - phi;
+			if ( phi > 90 ) phi = 180 - phi;
+
+		} else if ( lastHorizontal === 180 ) {
+
+			// Bilaterally symmetric about the 0-180 plane
+			if ( phi > 180 ) phi = 360 - phi;
+
+		}
+
+		if ( theta < verticalAngles[ 0 ] || theta > verticalAngles[ verticalAngles.length - 1 ] ) return 0;
+
+		const [ h0, h1, ht ] = this.findInterval( horizontalAngles, phi );
+		const [ v0, v1, vt ] = this.findInterval( verticalAngles, theta );
+
+		const a = candela[ h0 ][ v0 ] * ( 1 - vt ) + candela[ h0 ][ v1 ] * vt;
+		const b = candela[ h1 ][ v0 ] * ( 1 - vt ) + candela[ h1 ][ v1 ] * vt;
+		return a * ( 1 - ht ) + b * ht;
+
+	}
+
+	findInterval( angles, value ) {
+
+		if ( angles.length === 1 || value <= angles[ 0 ] ) return [ 0, 0, 0 ];
+
+		for ( let i = 0; i < angles.length - 1; i ++ ) {
+
+			if ( value <= angles[ i + 1 ] ) {
+
+				const span = angles[ i + 1 ] - angles[ i ];
+				return [ i, i + 1, span > 0 ? ( value - angles[ i ] ) / span : 0 ];
+
+			}
+
+		}
+
+		const last = angles.length - 1;
+		return [ last, last, 0 ];
+
+	}
+
+	// Solid-angle weighted mean of the normalized distribution, used for light importance
+	computeAverageIntensity( data ) {
+
+		let sum = 0;
+		let weightSum = 0;
+
+		for ( let y = 0; y < IES_TEXTURE_HEIGHT; y ++ ) {
+
+			const sinTheta = Math.sin( ( y + 0.5 ) / IES_TEXTURE_HEIGHT * Math.PI );
+
+			for ( let x = 0; x < IES_TEXTURE_WIDTH; x ++ ) {
+
+				sum += data[ y * IES_TEXTURE_WIDTH + x ] * sinTheta;
+				weightSum += sinTheta;
+
+			}
+
+		}
+
+		return weightSum > 0 ? sum / weightSum : 0;
+
+	}
+
+	// Write one profile as RGBA texels: normalized intensity, conditional CDF over phi within the theta row,
+	// probability of the texel and marginal CDF of the row. The probabilities are weighted by sin(theta) so
+	// lights.fs can importance sample emission directions and turn texel probabilities into solid angle pdfs.
+	static packProfile( intensity, target, offset ) {
+
+		const rowWeights = new Float64Array( IES_TEXTURE_HEIGHT );
+		const sinTheta = y => Math.sin( ( y + 0.5 ) / IES_TEXTURE_HEIGHT * Math.PI );
+		let totalWeight = 0;
+
+		for ( let y = 0; y < IES_TEXTURE_HEIGHT; y ++ ) {
+
+			for ( let x = 0; x < IES_TEXTURE_WIDTH; x ++ ) {
+
+				rowWeights[ y ] += intensity[ y * IES_TEXTURE_WIDTH + x ] * sinTheta( y );
+
+			}
+
+			totalWeight += rowWeights[ y ];
+
+		}
+
+		// A dark profile falls back to uniform texel probabilities
+		let marginal = 0;
+		for ( let y = 0; y < IES_TEXTURE_HEIGHT; y ++ ) {
+
+			marginal += totalWeight > 0 ? rowWeights[ y ] / totalWeight : 1 / IES_TEXTURE_HEIGHT;
+			let conditional = 0;
+
+			for ( let x = 0; x < IES_TEXTURE_WIDTH; x ++ ) {
+
+				const i = y * IES_TEXTURE_WIDTH + x;
+				const weight = intensity[ i ] * sinTheta( y );
+				conditional += rowWeights[ y ] > 0 ? weight / rowWeights[ y ] : 1 / IES_TEXTURE_WIDTH;
+
+				const texel = offset + i * 4;
+				target[ texel ] = intensity[ i ];
+				target[ texel + 1 ] = x === IES_TEXTURE_WIDTH - 1 ? 1 : conditional;
+				target[ texel + 2 ] = totalWeight > 0 ? weight / totalWeight : 1 / ( IES_TEXTURE_WIDTH * IES_TEXTURE_HEIGHT );
+				target[ texel + 3 ] = y === IES_TEXTURE_HEIGHT - 1 ? 1 : marginal;
+
+			}
+
+		}
+
+	}
+
+	// Pack profiles into one texture array layer each, sampled as (phi / 2PI, theta / PI, layer)
+	static createProfileTexture( profiles ) {
+
+		if ( ! profiles.length ) return null;
+
+		const layerSize = IES_TEXTURE_WIDTH * IES_TEXTURE_HEIGHT * 4;
+		const data = new Float32Array( layerSize * profiles.length );
+		profiles.forEach( ( profile, index ) => IESParser.packProfile( profile.data, data, index * layerSize ) );
+
+		const texture = new DataArrayTexture( data, IES_TEXTURE_WIDTH, IES_TEXTURE_HEIGHT, profiles.length );
+		texture.format = RGBAFormat;
+		texture.type = FloatType;
+		texture.wrapS = RepeatWrapping;
+		texture.wrapT = ClampToEdgeWrapping;
+		texture.minFilter = LinearFilter;
+		texture.magFilter = LinearFilter;
+		texture.generateMipmaps = false;
+		texture.needsUpdate = true;
+
+		return texture;
+
+	}
+
+}
@@ -0,0 +1,157 @@
+import { DataTexture, RGBAFormat, FloatType, Vector3 } from 'three';
+
+// Light type ids stored in light BVH leaves, must match lights.fs
+export const LIGHT_TYPES = {
+	AREA: 1,
+	POINT: 2,
+	SPOT: 3
+};
+
+// 4 vec4s per node: boundsMin + power, boundsMax + cosThetaO, axis + cosThetaE, links + flags
+const FLOATS_PER_NODE = 16;
+
+/**
+ * Light bounding volume hierarchy for many-light sampling
+ * Each node bounds the position, power and emission directions of its lights so the
+ * shader can descend the tree choosing children by their estimated contribution.
+ * Light bounds are { min, max, phi, axis, cosThetaO, cosThetaE, twoSided } where the
+ * emission cone is described by its axis, the spread of light normals (thetaO) and
+ * the falloff angle around each normal (thetaE).
+ */
+export class LightBVHBuilder {
+
+	constructor() {
+
+		this.nodes = [];
+
+	}
+
+	// Build from [{ type, index, bounds }] and return the packed node data
+	build( lights ) {
+
+		this.nodes = [];
+
+		const emitters = lights.filter( light => light.bounds.phi > 0 );
+		if ( emitters.length > 0 ) this.buildRecursive( emitters );
+
+		return this.pack();
+
+	}
+
+	buildRecursive( lights ) {
+
+		const nodeIndex = this.nodes.length;
+
+		if ( lights.length === 1 ) {
+
+			this.nodes.push( { bounds: lights[ 0 ].bounds, isLeaf: true, type: lights[ 0 ].type, index: lights[ 0 ].index } );
+			return nodeIndex;
+
+		}
+
+		const node = { bounds: lights.map( light => light.bounds ).reduce( ( a, b ) => this.unionBounds( a, b ) ), isLeaf: false };
+		this.nodes.push( node );
+
+		// Median split along the widest axis of the light centroids
+		const centroidMin = new Vector3( Infinity, Infinity, Infinity );
+		const centroidMax = new Vector3( - Infinity, - Infinity, - Infinity );
+		const centroids = lights.map( light => {
+
+			const centroid = light.bounds.min.clone().add( light.bounds.max ).multiplyScalar( 0.5 );
+			centroidMin.min( centroid );
+			centroidMax.max( centroid );
+			return centroid;
+
+		} );
+
+		const extent = centroidMax.sub( centroidMin );
+		const axis = extent.x > extent.y ? ( extent.x > extent.z ? 'x' : 'z' ) : ( extent.y > extent.z ? 'y' : 'z' );
+		const order = lights.map( ( _, i ) => i ).sort( ( a, b ) => centroids[ a ][ axis ] - centroids[ b ][ axis ] );
+		const sorted = order.map( i => lights[ i ] );
+		const mid = sorted.length >> 1;
+
+		node.left = this.buildRecursive( sorted.slice( 0, mid ) );
+		node.right = this.buildRecursive( sorted.slice( mid ) );
+
+		return nodeIndex;
+
+	}
+
+	unionBounds( a, b ) {
+
+		const cone = this.unionCones( a.axis, a.cosThetaO, b.axis, b.cosThetaO );
+
+		return {
+			min: a.min.clone().min( b.min ),
+			max: a.max.clone().max( b.max ),
+			phi: a.phi + b.phi,
+			axis: cone.axis,
+			cosThetaO: cone.cosTheta,
+			cosThetaE: Math.min( a.cosThetaE, b.cosThetaE ),
+			twoSided: a.twoSided || b.twoSided
+		};
+
+	}
+
+	// Smallest cone containing both direction cones
+	unionCones( axisA, cosA, axisB, cosB ) {
+
+		const thetaA = Math.acos( Math.min( Math.max( cosA, - 1 ), 1 ) );
+		const thetaB = Math.acos( Math.min( Math.max( cosB, - 1 ), 1 ) );
+		const thetaD = axisA.angleTo( axisB );
+
+		if ( Math.min( thetaD + thetaB, Math.PI ) <= thetaA ) return { axis: axisA.clone(), cosTheta: cosA };
+		if ( Math.min( thetaD + thetaA, Math.PI ) <= thetaB ) return { axis: axisB.clone(), cosTheta: cosB };
+
+		const thetaO = ( thetaA + thetaD + thetaB ) / 2;
+		const rotationAxis = new Vector3().crossVectors( axisA, axisB );
+		if ( thetaO >= Math.PI || rotationAxis.lengthSq() === 0 ) return { axis: axisA.clone(), cosTheta: - 1 };
+
+		// Rotate axis A towards axis B so the new cone just covers both
+		const axis = axisA.clone().applyAxisAngle( rotationAxis.normalize(), thetaO - thetaA );
+		return { axis, cosTheta: Math.cos( thetaO ) };
+
+	}
+
+	pack() {
+
+		const data = new Float32Array( this.nodes.length * FLOATS_PER_NODE );
+
+		this.nodes.forEach( ( node, i ) => {
+
+			const { min, max, phi, axis, cosThetaO, cosThetaE, twoSided } = node.bounds;
+			data.set( [
+				min.x, min.y, min.z, phi,
+				max.x, max.y, max.z, cosThetaO,
+				axis.x, axis.y, axis.z, cosThetaE,
+				node.isLeaf ? node.type : node.left,
+				node.isLeaf ? node.index : node.right,
+				node.isLeaf ? 1 : 0,
+				twoSided ? 1 : 0
+			], i * FLOATS_PER_NODE );
+
+		} );
+
+		return { data, nodeCount: this.nodes.length };
+
+	}
+
+	static createTexture( { data, nodeCount } ) {
+
+		if ( nodeCount === 0 ) return null;
+
+		const pixelCount = nodeCount * FLOATS_PER_NODE / 4;
+		const width = Math.ceil( Math.sqrt( pixelCount ) );
+		const height = Math.ceil( pixelCount / width );
+
+		const textureData = new Float32Array( width * height * 4 );
+		textureData.set( data );
+
+		const texture = new DataTexture( textureData, width, height, RGBAFormat, FloatType );
+		texture.needsUpdate = true;
+
+		return texture;
+
+	}
+
+}
@@ -1,26 +1,64 @@
-import { Vector3, Quaternion } from 'three';
+import { Vector3, Quaternion, DataTexture, RGBAFormat, FloatType } from 'three';
+import { IESParser } from './IESParser';
+import { LightBVHBuilder, LIGHT_TYPES } from './LightBVHBuilder';
+
+// Every light occupies 4 RGBA texels of the light texture, see getLightData in lights.fs
+const FLOATS_PER_LIGHT = 16;
 
 export class LightDataTransfer {
 
 	constructor() {
 
-		this.lightData = {
-			directional: [],
-			rectArea: []
-		};
+		// Packed light data ordered directional, area, point, spot
+		this.lightData = new Float32Array( 0 );
+		this.lightCounts = { directional: 0, area: 0, point: 0, spot: 0 };
+		this.lightTexture = null;
 
 		// Cache for preprocessed lights
 		this.directionalLightCache = [];
 		this.areaLightCache = [];
+		this.pointLightCache = [];
+		this.spotLightCache = [];
+
+		// Unique IES profiles referenced by lights, packed into one texture array
+		this.iesProfiles = [];
+		this.iesTexture = null;
+
+		// Light BVH over area, point and spot lights for many-light sampling
+		this.lightBVHBuilder = new LightBVHBuilder();
+		this.lightBVH = { data: new Float32Array( 0 ), nodeCount: 0 };
+		this.lightBVHTexture = null;
 
 	}
 
 	clear() {
 
-		this.lightData.directional = [];
-		this.lightData.rectArea = [];
+		this.lightData = new Float32Array( 0 );
+		this.lightCounts = { directional: 0, area: 0, point: 0, spot: 0 };
 		this.directionalLightCache = [];
 		this.areaLightCache = [];
+		this.pointLightCache = [];
+		this.spotLightCache = [];
+		this.iesProfiles = [];
+		this.lightBVH = { data: new Float32Array( 0 ), nodeCount: 0 };
+
+	}
+
+	// Returns the texture layer of the light's IES profile, or -1 if it has none
+	getIESProfileIndex( light ) {
+
+		const profile = light.userData.iesProfile;
+		if ( ! profile ) return - 1;
+
+		let index = this.iesProfiles.indexOf( profile );
+		if ( index < 0 ) {
+
+			index = this.iesProfiles.length;
+			this.iesProfiles.push( profile );
+
+		}
+
+		return index;
 
 	}
 
@@ -36,19 +74,41 @@ export class LightDataTransfer {
 			const area = light.width * light.height;
 			importance *= Math.sqrt( area ); // Larger lights are more important
 
+		} else if ( type === 'spot' ) {
+
+			// Spot lights only emit into their cone
+			importance *= 1.0 - Math.cos( light.angle );
+
+		}
+
+		// Photometric profiles redistribute the peak intensity
+		if ( light.userData.iesProfile ) {
+
+			importance *= light.userData.iesProfile.averageIntensity;
+
 		}
 
 		return importance;
 
 	}
 
+	// Emitted power used by the light BVH, in the same units as received irradiance
+	calculateLightPower( light ) {
+
+		const luminance = 0.2126 * light.color.r + 0.7152 * light.color.g + 0.0722 * light.color.b;
+		const profileScale = light.userData.iesProfile ? light.userData.iesProfile.averageIntensity : 1;
+		return light.intensity * luminance * profileScale;
+
+	}
+
 	addDirectionalLight( light ) {
 
 		if ( light.intensity <= 0.0 ) return; // Skip zero intensity lights
 
-		// Convert world position to direction
+		// Direction from the target towards the light, as in three.js
 		light.updateMatrixWorld();
-		const position = light.getWorldPosition( new Vector3() );
+		light.target.updateMatrixWorld();
+		const direction = light.getWorldPosition( new Vector3() ).sub( light.target.getWorldPosition( new Vector3() ) ).normalize();
 
 		// Calculate importance for sorting
 		const importance = this.calculateLightImportance( light, 'directional' );
@@ -56,9 +116,10 @@ export class LightDataTransfer {
 		// Store in cache with importance
 		this.directionalLightCache.push( {
 			data: [
-				position.x, position.y, position.z, // position (3)
+				direction.x, direction.y, direction.z, // direction (3)
 				light.color.r, light.color.g, light.color.b, // color (3)
-				light.intensity // intensity (1)
+				light.intensity, // intensity (1)
+				light.userData.angularRadius ?? 0 // angular radius of the disc in radians, 0 = infinitely distant point (1)
 			],
 			importance: importance,
 			light: light
@@ -84,6 +145,19 @@ export class LightDataTransfer {
 		// Calculate importance for sorting
 		const importance = this.calculateLightImportance( light, 'area' );
 
+		// One-sided emitter, the corners lie within position +- (|u| + |v|) per axis
+		const normal = new Vector3().crossVectors( u, v );
+		const halfExtent = new Vector3( Math.abs( u.x ) + Math.abs( v.x ), Math.abs( u.y ) + Math.abs( v.y ), Math.abs( u.z ) + Math.abs( v.z ) );
+		const bounds = {
+			min: position.clone().sub( halfExtent ),
+			max: position.clone().add( halfExtent ),
+			phi: this.calculateLightPower( light ) * normal.length() * 4,
+			axis: normal.normalize(),
+			cosThetaO: 1,
+			cosThetaE: 0,
+			twoSided: false
+		};
+
 		// Store in cache with importance
 		this.areaLightCache.push( {
 			data: [
@@ -91,9 +165,100 @@ export class LightDataTransfer {
 				u.x, u.y, u.z, // u vector (3)
 				v.x, v.y, v.z, // v vector (3)
 				light.color.r, light.color.g, light.color.b, // color (3)
-				light.intensity // intensity (1)
+				light.intensity, // intensity (1)
+				this.getIESProfileIndex( light ) // IES profile layer, -1 = none (1)
+			],
+			importance: importance,
+			bounds: bounds,
+			light: light
+		} );
+
+	}
+
+	addPointLight( light ) {
+
+		if ( light.intensity <= 0.0 ) return; // Skip zero intensity lights
+
+		light.updateMatrixWorld();
+		const position = light.getWorldPosition( new Vector3() );
+
+		// Calculate importance for sorting
+		const importance = this.calculateLightImportance( light, 'point' );
+
+		// Emits in all directions from a sphere of the light radius
+		const radius = light.userData.radius ?? 0;
+		const bounds = {
+			min: position.clone().subScalar( radius ),
+			max: position.clone().addScalar( radius ),
+			phi: this.calculateLightPower( light ),
+			axis: new Vector3( 0, 0, 1 ),
+			cosThetaO: - 1,
+			cosThetaE: 0,
+			twoSided: false
+		};
+
+		// Store in cache with importance
+		this.pointLightCache.push( {
+			data: [
+				position.x, position.y, position.z, // position (3)
+				light.color.r, light.color.g, light.color.b, // color (3)
+				light.intensity, // intensity (1)
+				light.distance, // range, 0 = infinite (1)
+				light.decay, // decay exponent (1)
+				radius, // emitter radius, 0 = punctual (1)
+				this.getIESProfileIndex( light ) // IES profile layer, -1 = none (1)
 			],
 			importance: importance,
+			bounds: bounds,
+			light: light
+		} );
+
+	}
+
+	addSpotLight( light ) {
+
+		if ( light.intensity <= 0.0 ) return; // Skip zero intensity lights
+
+		light.updateMatrixWorld();
+		light.target.updateMatrixWorld();
+		const position = light.getWorldPosition( new Vector3() );
+		const direction = light.target.getWorldPosition( new Vector3() ).sub( position ).normalize();
+
+		// Cone falloff matches three.js: smoothstep between outer and inner cone cosines
+		const cosOuter = Math.cos( light.angle );
+		const cosInner = Math.cos( light.angle * ( 1 - light.penumbra ) );
+
+		// Calculate importance for sorting
+		const importance = this.calculateLightImportance( light, 'spot' );
+
+		// Full intensity inside the inner cone, falling off over the penumbra
+		const radius = light.userData.radius ?? 0;
+		const bounds = {
+			min: position.clone().subScalar( radius ),
+			max: position.clone().addScalar( radius ),
+			phi: this.calculateLightPower( light ),
+			axis: direction.clone(),
+			cosThetaO: cosInner,
+			cosThetaE: Math.cos( light.angle * light.penumbra ),
+			twoSided: false
+		};
+
+		// Store in cache with importance
+		this.spotLightCache.push( {
+			data: [
+				position.x, position.y, position.z, // position (3)
+				direction.x, direction.y, direction.z, // direction (3)
+				light.color.r, light.color.g, light.color.b, // color (3)
+				light.intensity, // intensity (1)
+				light.distance, // range, 0 = infinite (1)
+				light.decay, // decay exponent (1)
+				cosOuter, // outer cone cosine (1)
+				cosInner, // inner cone cosine (1)
+				radius, // emitter radius, 0 = punctual (1)
+				this.getIESProfileIndex( light ) // IES profile layer, -1 = none (1)
+			],
+			importance: importance,
+			bounds: bounds,
 			light: light
 		} );
 
@@ -107,21 +272,28 @@ export class LightDataTransfer {
 		// Sort area lights by importance (highest first)
 		this.areaLightCache.sort( ( a, b ) => b.importance - a.importance );
 
-		// Flatten sorted data arrays
-		this.lightData.directional = [];
-		this.lightData.rectArea = [];
+		// Sort point and spot lights by importance (highest first)
+		this.pointLightCache.sort( ( a, b ) => b.importance - a.importance );
+		this.spotLightCache.sort( ( a, b ) => b.importance - a.importance );
 
-		this.directionalLightCache.forEach( lightCache => {
+		// Pack sorted lights back to back, one fixed size slot per light
+		const caches = [ this.directionalLightCache, this.areaLightCache, this.pointLightCache, this.spotLightCache ];
+		const lightCount = caches.reduce( ( count, cache ) => count + cache.length, 0 );
+		this.lightData = new Float32Array( lightCount * FLOATS_PER_LIGHT );
 
-			this.lightData.directional.push( ...lightCache.data );
+		let lightIndex = 0;
+		caches.forEach( cache => cache.forEach( lightCache => {
 
-		} );
-
-		this.areaLightCache.forEach( lightCache => {
+			this.lightData.set( lightCache.data, lightIndex ++ * FLOATS_PER_LIGHT );
 
-			this.lightData.rectArea.push( ...lightCache.data );
+		} ) );
 
-		} );
+		this.lightCounts = {
+			directional: this.directionalLightCache.length,
+			area: this.areaLightCache.length,
+			point: this.pointLightCache.length,
+			spot: this.spotLightCache.length
+		};
 
 		if ( this.areaLightCache.length > 0 ) {
 
@@ -129,23 +301,64 @@ export class LightDataTransfer {
 
 		}
 
+		// Leaves reference lights by type and index into the sorted arrays above
+		const toLeaf = type => ( lightCache, index ) => ( { type, index, bounds: lightCache.bounds } );
+		this.lightBVH = this.lightBVHBuilder.build( [
+			...this.areaLightCache.map( toLeaf( LIGHT_TYPES.AREA ) ),
+			...this.pointLightCache.map( toLeaf( LIGHT_TYPES.POINT ) ),
+			...this.spotLightCache.map( toLeaf( LIGHT_TYPES.SPOT ) )
+		] );
+
 	}
 
 	updateShaderUniforms( material ) {
 
-		// Use size constants to calculate counts
-		const directionalCount = this.lightData.directional.length;
-		const areaCount = this.lightData.rectArea.length;
+		// Light counts are uniforms so adding or removing lights never recompiles the shader
+		this.updateLightTexture();
+		material.uniforms.lightTexture.value = this.lightTexture;
+		material.uniforms.lightTexSize.value.set( this.lightTexture.image.width, this.lightTexture.image.height );
+		material.uniforms.directionalLightCount.value = this.lightCounts.directional;
+		material.uniforms.areaLightCount.value = this.lightCounts.area;
+		material.uniforms.pointLightCount.value = this.lightCounts.point;
+		material.uniforms.spotLightCount.value = this.lightCounts.spot;
+
+		// Rebuild the IES profile texture array
+		this.iesTexture?.dispose();
+		this.iesTexture = IESParser.createProfileTexture( this.iesProfiles );
+		material.uniforms.iesProfiles.value = this.iesTexture;
+
+		// Rebuild the light BVH texture
+		this.lightBVHTexture?.dispose();
+		this.lightBVHTexture = LightBVHBuilder.createTexture( this.lightBVH );
+		material.uniforms.lightBVHTexture.value = this.lightBVHTexture;
+		material.uniforms.lightBVHNodeCount.value = this.lightBVH.nodeCount;
+		if ( this.lightBVHTexture ) {
+
+			material.uniforms.lightBVHTexSize.value.set( this.lightBVHTexture.image.width, this.lightBVHTexture.image.height );
+
+		}
+
+	}
+
+	// Upload packed light data, reusing the texture while the lights still fit
+	updateLightTexture() {
+
+		const texelCount = Math.max( this.lightData.length / 4, 4 );
+
+		if ( ! this.lightTexture || this.lightTexture.image.width * this.lightTexture.image.height < texelCount ) {
 
-		// Update light counts in shader defines
-		material.defines.MAX_DIRECTIONAL_LIGHTS = directionalCount;
-		material.defines.MAX_AREA_LIGHTS = areaCount;
+			this.lightTexture?.dispose();
 
-		// Update uniforms with type arrays
-		material.uniforms.directionalLights.value = new Float32Array( this.lightData.directional );
-		material.uniforms.areaLights.value = new Float32Array( this.lightData.rectArea );
+			const width = Math.ceil( Math.sqrt( texelCount ) );
+			const height = Math.ceil( texelCount / width );
+			this.lightTexture = new DataTexture( new Float32Array( width * height * 4 ), width, height, RGBAFormat, FloatType );
 
-		material.needsUpdate = true;
+		}
+
+		const textureData = this.lightTexture.image.data;
+		textureData.fill( 0 );
+		textureData.set( this.lightData );
+		this.lightTexture.needsUpdate = true;
 
 	}
 
@@ -164,6 +377,14 @@ export class LightDataTransfer {
 
 				this.addRectAreaLight( object );
 
+			} else if ( object.isSpotLight ) {
+
+				this.addSpotLight( object );
+
+			} else if ( object.isPointLight ) {
+
+				this.addPointLight( object );
+
 			}
 
 		} );
@@ -190,6 +411,19 @@ export class LightDataTransfer {
 				importance: cache.importance,
 				color: cache.light.color,
 				size: cache.light.width * cache.light.height
+			} ) ),
+			pointLights: this.pointLightCache.map( cache => ( {
+				intensity: cache.light.intensity,
+				importance: cache.importance,
+				color: cache.light.color,
+				distance: cache.light.distance
+			} ) ),
+			spotLights: this.spotLightCache.map( cache => ( {
+				intensity: cache.light.intensity,
+				importance: cache.importance,
+				color: cache.light.color,
+				distance: cache.light.distance,
+				angle: cache.light.angle
 			} ) )
 		};
 
@@ -0,0 +1,146 @@
+import { MathUtils, Vector3, DataTexture, RGBAFormat, FloatType, NearestFilter } from 'three';
+
+// Settings that expose scene radiance 1 as middle of the range, the "sunny 16" rule:
+// f/16, 1/125 s at ISO 100
+const REFERENCE_EV100 = Math.log2( 16 * 16 / ( 1 / 125 ) );
+
+// White point the white balance temperature is neutral at
+const NEUTRAL_TEMPERATURE = 6500;
+
+// Resolution aperture images are resampled to for importance sampling
+const BOKEH_TEXTURE_SIZE = 128;
+
+/**
+ * Exposure value at ISO 100 of a camera setting
+ * @param {number} aperture - f-number
+ * @param {number} shutterSpeed - Seconds
+ * @param {number} iso - Sensor sensitivity
+ */
+export function computeEV100( aperture, shutterSpeed, iso ) {
+
+	return Math.log2( aperture * aperture / shutterSpeed * 100 / iso );
+
+}
+
+// Linear scale applied to radiance for a camera setting, 1 at the reference setting
+export function computeCameraExposure( aperture, shutterSpeed, iso ) {
+
+	return Math.pow( 2, REFERENCE_EV100 - computeEV100( aperture, shutterSpeed, iso ) );
+
+}
+
+// Linear sRGB color of the Planckian locus at a temperature in kelvin (Kim et al. 2002)
+function planckianToLinearSRGB( temperature, target ) {
+
+	const T = MathUtils.clamp( temperature, 1667, 25000 );
+	const T2 = T * T;
+	const T3 = T2 * T;
+
+	const x = T <= 4000
+		? - 0.2661239e9 / T3 - 0.2343589e6 / T2 + 0.8776956e3 / T + 0.179910
+		: - 3.0258469e9 / T3 + 2.1070379e6 / T2 + 0.2226347e3 / T + 0.240390;
+
+	const x2 = x * x;
+	const x3 = x2 * x;
+	let y;
+	if ( T <= 2222 ) y = - 1.1063814 * x3 - 1.34811020 * x2 + 2.18555832 * x - 0.20219683;
+	else if ( T <= 4000 ) y = - 0.9549476 * x3 - 1.37418593 * x2 + 2.09137015 * x - 0.16748867;
+	else y = 3.0817580 * x3 - 5.87338670 * x2 + 3.75112997 * x - 0.37001483;
+
+	// xyY with Y = 1 to XYZ to linear sRGB
+	const X = x / y;
+	const Z = ( 1 - x - y ) / y;
+	return target.set(
+		3.2404542 * X - 1.5371385 - 0.4985314 * Z,
+		- 0.9692660 * X + 1.8760108 + 0.0415560 * Z,
+		0.0556434 * X - 0.2040259 + 1.0572252 * Z
+	);
+
+}
+
+/**
+ * Per channel gains that neutralize light of the given color temperature, as a camera's
+ * white balance setting does. Tint moves along the green-magenta axis, positive is magenta.
+ * The gains keep luminance unchanged.
+ * @param {number} temperature - Kelvin
+ * @param {number} tint - -100 to 100
+ * @param {Vector3} target
+ */
+export function computeWhiteBalance( temperature, tint, target = new Vector3() ) {
+
+	const neutral = planckianToLinearSRGB( NEUTRAL_TEMPERATURE, new Vector3() );
+	const illuminant = planckianToLinearSRGB( temperature, new Vector3() );
+
+	target.set(
+		neutral.x / Math.max( illuminant.x, 1e-4 ),
+		neutral.y / Math.max( illuminant.y, 1e-4 ) * Math.pow( 2, - tint / 200 ),
+		neutral.z / Math.max( illuminant.z, 1e-4 )
+	);
+
+	return target.divideScalar( 0.2126 * target.x + 0.7152 * target.y + 0.0722 * target.z );
+
+}
+
+/**
+ * Sampling table of an aperture image, white is open. Per texel the r channel holds the transmission,
+ * g the CDF over x within its row and a the CDF over the rows, so the shader draws aperture points in
+ * proportion to the light they let through. Rows run bottom up like the uv of the image.
+ * @param {HTMLImageElement|ImageBitmap} image - Aperture image
+ * @returns {DataTexture}
+ */
+export function createBokehTexture( image ) {
+
+	const size = BOKEH_TEXTURE_SIZE;
+	const canvas = document.createElement( 'canvas' );
+	canvas.width = size;
+	canvas.height = size;
+	const context = canvas.getContext( '2d', { willReadFrequently: true } );
+	context.drawImage( image, 0, 0, size, size );
+	const pixels = context.getImageData( 0, 0, size, size ).data;
+
+	const data = new Float32Array( size * size * 4 );
+	const rowWeights = new Float64Array( size );
+	let totalWeight = 0;
+
+	for ( let y = 0; y < size; y ++ ) {
+
+		for ( let x = 0; x < size; x ++ ) {
+
+			const source = ( ( size - 1 - y ) * size + x ) * 4;
+			const transmission = ( 0.2126 * pixels[ source ] + 0.7152 * pixels[ source + 1 ] + 0.0722 * pixels[ source + 2 ] ) / 255;
+			data[ ( y * size + x ) * 4 ] = transmission;
+			rowWeights[ y ] += transmission;
+
+		}
+
+		totalWeight += rowWeights[ y ];
+
+	}
+
+	// A black image falls back to the open square
+	let marginal = 0;
+	for ( let y = 0; y < size; y ++ ) {
+
+		marginal += totalWeight > 0 ? rowWeights[ y ] / totalWeight : 1 / size;
+		let conditional = 0;
+
+		for ( let x = 0; x < size; x ++ ) {
+
+			const texel = ( y * size + x ) * 4;
+			conditional += rowWeights[ y ] > 0 ? data[ texel ] / rowWeights[ y ] : 1 / size;
+			data[ texel + 1 ] = x === size - 1 ? 1 : conditional;
+			data[ texel + 3 ] = y === size - 1 ? 1 : marginal;
+
+		}
+
+	}
+
+	const texture = new DataTexture( data, size, size, RGBAFormat, FloatType );
+	texture.minFilter = NearestFilter;
+	texture.magFilter = NearestFilter;
+	texture.generateMipmaps = false;
+	texture.needsUpdate = true;
+
+	return texture;
+
+}
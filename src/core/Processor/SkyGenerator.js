@@ -0,0 +1,231 @@
+import {
+	DataTexture,
+	RGBAFormat,
+	FloatType,
+	EquirectangularReflectionMapping,
+	RepeatWrapping,
+	ClampToEdgeWrapping,
+	LinearFilter,
+	MathUtils,
+	Vector3
+} from 'three';
+
+const SKY_TEXTURE_WIDTH = 512;
+const SKY_TEXTURE_HEIGHT = 256;
+
+// Preetham luminances are in kcd/m², scaled to sit next to the bundled HDRIs at intensity 1
+const SKY_LUMINANCE_SCALE = 0.1;
+
+// Angular radius of the solar disc seen from the earth
+export const SUN_ANGULAR_RADIUS = MathUtils.degToRad( 0.2666 );
+
+// Wavelengths in micrometers used for the red, green and blue sun transmittance
+const SUN_WAVELENGTHS = [ 0.68, 0.55, 0.44 ];
+
+/**
+ * Solar elevation and azimuth for a place and time, after the NOAA low precision algorithm
+ * (about 0.01° over 1950-2050). Azimuth is measured clockwise from north.
+ * @param {number} latitude - Degrees, north positive
+ * @param {number} longitude - Degrees, east positive
+ * @param {Date} date - Moment of observation
+ * @returns {{ elevation: number, azimuth: number }} Angles in radians
+ */
+export function getSunPosition( latitude, longitude, date ) {
+
+	const rad = MathUtils.DEG2RAD;
+	const days = date.getTime() / 86400000 + 2440587.5 - 2451545.0;
+
+	// Ecliptic coordinates of the sun
+	const meanLongitude = MathUtils.euclideanModulo( 280.460 + 0.9856474 * days, 360 );
+	const meanAnomaly = MathUtils.euclideanModulo( 357.528 + 0.9856003 * days, 360 ) * rad;
+	const eclipticLongitude = ( meanLongitude + 1.915 * Math.sin( meanAnomaly ) + 0.020 * Math.sin( 2 * meanAnomaly ) ) * rad;
+	const obliquity = ( 23.439 - 0.0000004 * days ) * rad;
+
+	// Equatorial coordinates
+	const rightAscension = Math.atan2( Math.cos( obliquity ) * Math.sin( eclipticLongitude ), Math.cos( eclipticLongitude ) );
+	const declination = Math.asin( Math.sin( obliquity ) * Math.sin( eclipticLongitude ) );
+
+	// Local hour angle from the sidereal time
+	const siderealTime = MathUtils.euclideanModulo( 18.697374558 + 24.06570982441908 * days, 24 ) * 15;
+	const hourAngle = ( siderealTime + longitude ) * rad - rightAscension;
+
+	const phi = latitude * rad;
+	const elevation = Math.asin( Math.sin( phi ) * Math.sin( declination ) + Math.cos( phi ) * Math.cos( declination ) * Math.cos( hourAngle ) );
+	const azimuth = Math.atan2(
+		- Math.sin( hourAngle ) * Math.cos( declination ),
+		Math.sin( declination ) * Math.cos( phi ) - Math.cos( declination ) * Math.sin( phi ) * Math.cos( hourAngle )
+	);
+
+	return { elevation, azimuth: MathUtils.euclideanModulo( azimuth, 2 * Math.PI ) };
+
+}
+
+/**
+ * World direction towards the sun, with north along -Z and east along +X
+ */
+export function getSunDirection( elevation, azimuth, target = new Vector3() ) {
+
+	const cosElevation = Math.cos( elevation );
+	return target.set( Math.sin( azimuth ) * cosElevation, Math.sin( elevation ), - Math.cos( azimuth ) * cosElevation );
+
+}
+
+/**
+ * Preetham et al. "A Practical Analytic Model for Daylight" evaluated into an equirectangular
+ * float texture, so the sky is lit, displayed and importance sampled like any HDRI.
+ * The sun itself is left out of the texture and rendered by a directional light.
+ */
+export class SkyGenerator {
+
+	constructor() {
+
+		this.texture = new DataTexture(
+			new Float32Array( SKY_TEXTURE_WIDTH * SKY_TEXTURE_HEIGHT * 4 ),
+			SKY_TEXTURE_WIDTH,
+			SKY_TEXTURE_HEIGHT,
+			RGBAFormat,
+			FloatType
+		);
+		this.texture.mapping = EquirectangularReflectionMapping;
+		this.texture.wrapS = RepeatWrapping;
+		this.texture.wrapT = ClampToEdgeWrapping;
+		this.texture.minFilter = LinearFilter;
+		this.texture.magFilter = LinearFilter;
+		this.texture.generateMipmaps = false;
+		this.texture.name = 'Physical Sky';
+
+	}
+
+	/**
+	 * Fills the sky texture for a sun direction given in the environment frame
+	 * @param {Vector3} sunDirection - Normalized direction towards the sun
+	 * @param {number} turbidity - Atmospheric haze, 2 is a clear sky and 10 a hazy one
+	 * @param {number} groundAlbedo - Reflectance of the ground below the horizon
+	 */
+	generate( sunDirection, turbidity, groundAlbedo = 0.3 ) {
+
+		const data = this.texture.image.data;
+
+		// The model is only defined for a sun above the horizon, twilight fades it out
+		const sunElevation = Math.asin( MathUtils.clamp( sunDirection.y, - 1, 1 ) );
+		const sun = new Vector3( sunDirection.x, Math.max( sunDirection.y, 0 ), sunDirection.z ).normalize();
+		const twilight = MathUtils.smoothstep( sunElevation, MathUtils.degToRad( - 6 ), 0 );
+
+		const thetaS = Math.acos( sun.y );
+		const coefficients = this.getPerezCoefficients( turbidity );
+		const zenith = this.getZenithValues( turbidity, thetaS );
+
+		// Normalization of each channel so that the zenith matches the zenith values
+		const zenithNormalization = coefficients.map( c => 1 / this.perez( 0, thetaS, c ) );
+
+		const direction = new Vector3();
+		for ( let j = 0; j < SKY_TEXTURE_HEIGHT; j ++ ) {
+
+			// Rows and columns follow directionToUV in environment.fs
+			const theta = ( 1 - ( j + 0.5 ) / SKY_TEXTURE_HEIGHT ) * Math.PI;
+			const belowHorizon = theta > Math.PI / 2;
+			const skyTheta = Math.min( theta, Math.PI / 2 - 1e-3 );
+
+			for ( let i = 0; i < SKY_TEXTURE_WIDTH; i ++ ) {
+
+				const phi = ( ( i + 0.5 ) / SKY_TEXTURE_WIDTH - 0.5 ) * 2 * Math.PI;
+				direction.set( Math.sin( skyTheta ) * Math.cos( phi ), Math.cos( skyTheta ), Math.sin( skyTheta ) * Math.sin( phi ) );
+				const gamma = Math.acos( MathUtils.clamp( direction.dot( sun ), - 1, 1 ) );
+
+				const Y = zenith.Y * this.perez( skyTheta, gamma, coefficients[ 0 ] ) * zenithNormalization[ 0 ];
+				const x = zenith.x * this.perez( skyTheta, gamma, coefficients[ 1 ] ) * zenithNormalization[ 1 ];
+				const y = zenith.y * this.perez( skyTheta, gamma, coefficients[ 2 ] ) * zenithNormalization[ 2 ];
+
+				const scale = SKY_LUMINANCE_SCALE * twilight * ( belowHorizon ? groundAlbedo : 1 );
+				const index = ( j * SKY_TEXTURE_WIDTH + i ) * 4;
+				this.xyYToLinearSRGB( x, y, Y * scale, data, index );
+				data[ index + 3 ] = 1;
+
+			}
+
+		}
+
+		this.texture.needsUpdate = true;
+		return this.texture;
+
+	}
+
+	/**
+	 * Color of direct sunlight after extinction by Rayleigh and aerosol scattering
+	 * @returns {number[]} Linear RGB transmittance, zero when the sun is below the horizon
+	 */
+	getSunTransmittance( sunDirection, turbidity ) {
+
+		if ( sunDirection.y <= 0 ) return [ 0, 0, 0 ];
+
+		// Relative optical air mass (Kasten and Young)
+		const zenithAngle = Math.acos( sunDirection.y ) * MathUtils.RAD2DEG;
+		const airMass = 1 / ( sunDirection.y + 0.50572 * Math.pow( 96.07995 - zenithAngle, - 1.6364 ) );
+
+		// Angstrom turbidity from the Linke turbidity used by the sky model
+		const beta = 0.04608 * turbidity - 0.04586;
+
+		return SUN_WAVELENGTHS.map( lambda => {
+
+			const rayleigh = 0.008735 * Math.pow( lambda, - 4.08 );
+			const aerosol = beta * Math.pow( lambda, - 1.3 );
+			return Math.exp( - airMass * ( rayleigh + aerosol ) );
+
+		} );
+
+	}
+
+	// Perez distribution coefficients A-E for luminance Y and chromaticities x and y
+	getPerezCoefficients( T ) {
+
+		return [
+			[ 0.1787 * T - 1.4630, - 0.3554 * T + 0.4275, - 0.0227 * T + 5.3251, 0.1206 * T - 2.5771, - 0.0670 * T + 0.3703 ],
+			[ - 0.0193 * T - 0.2592, - 0.0665 * T + 0.0008, - 0.0004 * T + 0.2125, - 0.0641 * T - 0.8989, - 0.0033 * T + 0.0452 ],
+			[ - 0.0167 * T - 0.2608, - 0.0950 * T + 0.0092, - 0.0079 * T + 0.2102, - 0.0441 * T - 1.6537, - 0.0109 * T + 0.0529 ]
+		];
+
+	}
+
+	getZenithValues( T, thetaS ) {
+
+		const chi = ( 4 / 9 - T / 120 ) * ( Math.PI - 2 * thetaS );
+		const t2 = thetaS * thetaS;
+		const t3 = t2 * thetaS;
+
+		return {
+			Y: Math.max( ( 4.0453 * T - 4.9710 ) * Math.tan( chi ) - 0.2155 * T + 2.4192, 0 ),
+			x: T * T * ( 0.00166 * t3 - 0.00375 * t2 + 0.00209 * thetaS )
+				+ T * ( - 0.02903 * t3 + 0.06377 * t2 - 0.03202 * thetaS + 0.00394 )
+				+ ( 0.11693 * t3 - 0.21196 * t2 + 0.06052 * thetaS + 0.25886 ),
+			y: T * T * ( 0.00275 * t3 - 0.00610 * t2 + 0.00317 * thetaS )
+				+ T * ( - 0.04214 * t3 + 0.08970 * t2 - 0.04153 * thetaS + 0.00516 )
+				+ ( 0.15346 * t3 - 0.26756 * t2 + 0.06670 * thetaS + 0.26688 )
+		};
+
+	}
+
+	perez( theta, gamma, [ A, B, C, D, E ] ) {
+
+		const cosGamma = Math.cos( gamma );
+		return ( 1 + A * Math.exp( B / Math.max( Math.cos( theta ), 0.01 ) ) ) * ( 1 + C * Math.exp( D * gamma ) + E * cosGamma * cosGamma );
+
+	}
+
+	xyYToLinearSRGB( x, y, Y, target, offset ) {
+
+		const X = x * Y / y;
+		const Z = ( 1 - x - y ) * Y / y;
+
+		target[ offset ] = Math.max( 3.2404542 * X - 1.5371385 * Y - 0.4985314 * Z, 0 );
+		target[ offset + 1 ] = Math.max( - 0.9692660 * X + 1.8760108 * Y + 0.0415560 * Z, 0 );
+		target[ offset + 2 ] = Math.max( 0.0556434 * X - 0.2040259 * Y + 1.0572252 * Z, 0 );
+
+	}
+
+	dispose() {
+
+		this.texture.dispose();
+
+	}
+
+}
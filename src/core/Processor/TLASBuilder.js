@@ -0,0 +1,294 @@
+import { DataTexture, RGBAFormat, FloatType, Box3, Color, Matrix4, Vector3, Quaternion } from 'three';
+import { TEXTURE_CONSTANTS } from '../../Constants.js';
+
+const FLOATS_PER_NODE = TEXTURE_CONSTANTS.VEC4_PER_BVH_NODE * TEXTURE_CONSTANTS.FLOATS_PER_VEC4;
+const FLOATS_PER_INSTANCE = TEXTURE_CONSTANTS.VEC4_PER_INSTANCE * TEXTURE_CONSTANTS.FLOATS_PER_VEC4;
+
+// Poses a moving instance's bounds are taken at across the shutter interval
+const MOTION_BOUNDS_STEPS = 8;
+
+/**
+ * Top-level acceleration structure over mesh instances
+ * Every instance points at a bottom-level BVH built once in object space, so moving an
+ * object only re-packs its transform and rebuilds this small tree over the world bounds.
+ * Nodes use the bottom-level layout (bounds + children, leaves store the instance index)
+ * and instances store world-to-object rows, object-to-world rows, the BLAS root node with
+ * a material override and the InstancedMesh instance color.
+ *
+ * For motion blur an instance can also move from its current transform at shutter open to
+ * another one at shutter close. Both are stored as position, rotation and scale, which the
+ * shader interpolates at the time of each path, and the tree bounds cover the whole motion.
+ */
+export class TLASBuilder {
+
+	constructor() {
+
+		this.instances = [];
+		this.nodes = [];
+		this.nodeTexture = null;
+		this.instanceTexture = null;
+		this.needsUpdate = false;
+
+	}
+
+	// Instances are [{ mesh, instanceId, materialIndex, blasRoot, bounds }] with bounds in object space,
+	// instanceId indexes the InstancedMesh matrices or is -1 for plain meshes
+	setInstances( instances ) {
+
+		this.dispose();
+
+		this.instances = instances;
+		this.instances.forEach( instance => {
+
+			instance.matrix = new Matrix4();
+			instance.motionMatrix = null;
+
+		} );
+		this.nodeTexture = this.createTexture( Math.max( instances.length * 2 - 1, 1 ) * FLOATS_PER_NODE );
+		this.instanceTexture = this.createTexture( Math.max( instances.length, 1 ) * FLOATS_PER_INSTANCE );
+		this.needsUpdate = true;
+
+	}
+
+	// Rebuild when any instance moved since the last call, returns true if it did
+	update() {
+
+		let changed = this.needsUpdate;
+		const matrix = new Matrix4();
+
+		this.instances.forEach( instance => {
+
+			this.getWorldMatrix( instance, matrix );
+			if ( ! instance.matrix.equals( matrix ) ) {
+
+				instance.matrix.copy( matrix );
+				changed = true;
+
+			}
+
+		} );
+
+		if ( ! changed || this.instances.length === 0 ) return false;
+
+		this.needsUpdate = false;
+		this.packInstances();
+		this.build();
+
+		return true;
+
+	}
+
+	// Remember the current world transforms as the ones at shutter close
+	setMotionEnd() {
+
+		this.instances.forEach( instance => {
+
+			instance.motionMatrix = this.getWorldMatrix( instance, instance.motionMatrix ?? new Matrix4() );
+
+		} );
+
+		this.needsUpdate = true;
+
+	}
+
+	clearMotion() {
+
+		if ( ! this.instances.some( instance => instance.motionMatrix ) ) return;
+
+		this.instances.forEach( instance => instance.motionMatrix = null );
+		this.needsUpdate = true;
+
+	}
+
+	isMoving( instance ) {
+
+		return instance.motionMatrix !== null && ! instance.motionMatrix.equals( instance.matrix );
+
+	}
+
+	getWorldMatrix( { mesh, instanceId }, target ) {
+
+		if ( instanceId < 0 ) return target.copy( mesh.matrixWorld );
+
+		mesh.getMatrixAt( instanceId, target );
+		return target.premultiply( mesh.matrixWorld );
+
+	}
+
+	packInstances() {
+
+		const data = this.instanceTexture.image.data;
+		const inverse = new Matrix4();
+		const color = new Color();
+		const open = { position: new Vector3(), rotation: new Quaternion(), scale: new Vector3() };
+		const close = { position: new Vector3(), rotation: new Quaternion(), scale: new Vector3() };
+
+		this.instances.forEach( ( instance, i ) => {
+
+			const m = instance.matrix.elements;
+			const mi = inverse.copy( instance.matrix ).invert().elements;
+
+			if ( instance.instanceId >= 0 && instance.mesh.instanceColor ) {
+
+				instance.mesh.getColorAt( instance.instanceId, color );
+
+			} else {
+
+				color.setRGB( 1, 1, 1 );
+
+			}
+
+			// Column-major elements written as the three affine rows
+			data.set( [
+				mi[ 0 ], mi[ 4 ], mi[ 8 ], mi[ 12 ],
+				mi[ 1 ], mi[ 5 ], mi[ 9 ], mi[ 13 ],
+				mi[ 2 ], mi[ 6 ], mi[ 10 ], mi[ 14 ],
+				m[ 0 ], m[ 4 ], m[ 8 ], m[ 12 ],
+				m[ 1 ], m[ 5 ], m[ 9 ], m[ 13 ],
+				m[ 2 ], m[ 6 ], m[ 10 ], m[ 14 ],
+				instance.blasRoot, instance.materialIndex, this.isMoving( instance ) ? 1 : 0, 0,
+				color.r, color.g, color.b, 0
+			], i * FLOATS_PER_INSTANCE );
+
+			if ( ! this.isMoving( instance ) ) return;
+
+			instance.matrix.decompose( open.position, open.rotation, open.scale );
+			instance.motionMatrix.decompose( close.position, close.rotation, close.scale );
+
+			data.set( [
+				...open.position.toArray(), 0,
+				...open.rotation.toArray(),
+				...open.scale.toArray(), 0,
+				...close.position.toArray(), 0,
+				...close.rotation.toArray(),
+				...close.scale.toArray(), 0
+			], i * FLOATS_PER_INSTANCE + 32 );
+
+		} );
+
+		this.instanceTexture.needsUpdate = true;
+
+	}
+
+	build() {
+
+		const items = this.instances.map( ( instance, i ) => {
+
+			const bounds = this.isMoving( instance ) ? this.getMotionBounds( instance ) : new Box3().copy( instance.bounds ).applyMatrix4( instance.matrix );
+			return { index: i, bounds, centroid: bounds.getCenter( new Vector3() ) };
+
+		} );
+
+		this.nodes = [];
+		this.buildRecursive( items );
+		this.pack();
+
+	}
+
+	// World bounds swept by a moving instance, interpolated like the shader does
+	getMotionBounds( instance ) {
+
+		const open = { position: new Vector3(), rotation: new Quaternion(), scale: new Vector3() };
+		const close = { position: new Vector3(), rotation: new Quaternion(), scale: new Vector3() };
+		instance.matrix.decompose( open.position, open.rotation, open.scale );
+		instance.motionMatrix.decompose( close.position, close.rotation, close.scale );
+
+		const bounds = new Box3();
+		const pose = new Matrix4();
+		const position = new Vector3();
+		const rotation = new Quaternion();
+		const scale = new Vector3();
+
+		for ( let step = 0; step <= MOTION_BOUNDS_STEPS; step ++ ) {
+
+			const t = step / MOTION_BOUNDS_STEPS;
+			position.lerpVectors( open.position, close.position, t );
+			rotation.slerpQuaternions( open.rotation, close.rotation, t );
+			scale.lerpVectors( open.scale, close.scale, t );
+
+			pose.compose( position, rotation, scale );
+			bounds.union( new Box3().copy( instance.bounds ).applyMatrix4( pose ) );
+
+		}
+
+		// Corners swing out between the sampled poses by at most the sagitta of one step of the rotation
+		const radius = bounds.getSize( new Vector3() ).length() / 2;
+		const stepAngle = open.rotation.angleTo( close.rotation ) / MOTION_BOUNDS_STEPS;
+		return bounds.expandByScalar( radius * ( 1 - Math.cos( stepAngle / 2 ) ) );
+
+	}
+
+	buildRecursive( items ) {
+
+		const nodeIndex = this.nodes.length;
+		const node = { bounds: new Box3(), left: - 1, right: - 1, instance: - 1 };
+		items.forEach( item => node.bounds.union( item.bounds ) );
+		this.nodes.push( node );
+
+		if ( items.length === 1 ) {
+
+			node.instance = items[ 0 ].index;
+			return nodeIndex;
+
+		}
+
+		// Median split along the widest axis of the instance centroids
+		const centroidBounds = new Box3();
+		items.forEach( item => centroidBounds.expandByPoint( item.centroid ) );
+		const extent = centroidBounds.getSize( new Vector3() );
+		const axis = extent.x > extent.y ? ( extent.x > extent.z ? 'x' : 'z' ) : ( extent.y > extent.z ? 'y' : 'z' );
+
+		const sorted = items.slice().sort( ( a, b ) => a.centroid[ axis ] - b.centroid[ axis ] );
+		const mid = sorted.length >> 1;
+
+		node.left = this.buildRecursive( sorted.slice( 0, mid ) );
+		node.right = this.buildRecursive( sorted.slice( mid ) );
+
+		return nodeIndex;
+
+	}
+
+	pack() {
+
+		const data = this.nodeTexture.image.data;
+
+		this.nodes.forEach( ( node, i ) => {
+
+			const { min, max } = node.bounds;
+			data.set( [
+				min.x, min.y, min.z, node.left,
+				max.x, max.y, max.z, node.right,
+				node.instance, node.instance < 0 ? 0 : 1, 0, 0
+			], i * FLOATS_PER_NODE );
+
+		} );
+
+		this.nodeTexture.needsUpdate = true;
+
+	}
+
+	createTexture( floatCount ) {
+
+		const pixelCount = floatCount / TEXTURE_CONSTANTS.RGBA_COMPONENTS;
+		const width = Math.ceil( Math.sqrt( pixelCount ) );
+		const height = Math.ceil( pixelCount / width );
+
+		const texture = new DataTexture( new Float32Array( width * height * TEXTURE_CONSTANTS.RGBA_COMPONENTS ), width, height, RGBAFormat, FloatType );
+		texture.needsUpdate = true;
+
+		return texture;
+
+	}
+
+	dispose() {
+
+		this.nodeTexture?.dispose();
+		this.instanceTexture?.dispose();
+		this.nodeTexture = null;
+		this.instanceTexture = null;
+		this.instances = [];
+		this.nodes = [];
+
+	}
+
+}
@@ -1,5 +1,5 @@
 import { DataTexture, DataArrayTexture, RGBAFormat, LinearFilter, FloatType, UnsignedByteType } from "three";
-import { TEXTURE_CONSTANTS, MEMORY_CONSTANTS, TRIANGLE_DATA_LAYOUT, DEFAULT_TEXTURE_MATRIX } from '../../Constants.js';
+import { TEXTURE_CONSTANTS, MEMORY_CONSTANTS, TRIANGLE_DATA_LAYOUT, DEFAULT_TEXTURE_MATRIX, EXTENSION_MAPS } from '../../Constants.js';
 import { updateLoading } from '../Processor/utils.js';
 
 // Canvas pooling for efficient reuse of canvas elements
@@ -417,9 +417,10 @@ export default class TextureCreator {
 		let totalTasks = 0;
 		if ( params.materials?.length ) totalTasks ++;
 		if ( params.triangles && params.triangles.byteLength > 0 ) totalTasks ++;
-		if ( params.bvhRoot ) totalTasks ++;
+		if ( params.bvhRoots?.length ) totalTasks ++;
+		if ( params.emissiveTriangles?.indices.length > 0 ) totalTasks ++;
 
-		const mapTypes = [ 'maps', 'normalMaps', 'bumpMaps', 'roughnessMaps', 'metalnessMaps', 'emissiveMaps' ];
+		const mapTypes = [ 'maps', 'normalMaps', 'bumpMaps', 'roughnessMaps', 'metalnessMaps', 'emissiveMaps', 'extensionMaps' ];
 		for ( const mapType of mapTypes ) {
 
 			if ( params[ mapType ]?.length > 0 ) totalTasks ++;
@@ -473,7 +474,8 @@ export default class TextureCreator {
 			{ data: params.bumpMaps, type: 'bump' },
 			{ data: params.roughnessMaps, type: 'roughness' },
 			{ data: params.metalnessMaps, type: 'metalness' },
-			{ data: params.emissiveMaps, type: 'emissive' }
+			{ data: params.emissiveMaps, type: 'emissive' },
+			{ data: params.extensionMaps, type: 'extension' }
 		];
 
 		for ( const { data, type } of mapTypesList ) {
@@ -495,10 +497,10 @@ export default class TextureCreator {
 		}
 
 		// BVH texture
-		if ( params.bvhRoot ) {
+		if ( params.bvhRoots?.length ) {
 
 			promises.push(
-				this.createBVHDataTexture( params.bvhRoot )
+				this.createBVHDataTexture( params.bvhRoots )
 					.then( texture => {
 
 						updateProgress( "BVH texture" );
@@ -509,6 +511,21 @@ export default class TextureCreator {
 
 		}
 
+		// Emissive triangle light sampling table
+		if ( params.emissiveTriangles?.indices.length > 0 ) {
+
+			promises.push(
+				this.createEmissiveTriangleDataTexture( params.emissiveTriangles )
+					.then( texture => {
+
+						updateProgress( "emissive triangle texture" );
+						return { type: 'emissiveTriangle', texture };
+
+					} )
+			);
+
+		}
+
 		const results = await Promise.all( promises );
 
 		this.updateTextureProgress( 100, "Texture creation complete!" );
@@ -951,9 +968,90 @@ export default class TextureCreator {
 
 	}
 
-	async createBVHDataTexture( bvhRoot ) {
+	async createBVHDataTexture( bvhRoots ) {
+
+		return this.createBVHDataTextureSync( bvhRoots );
+
+	}
+
+	async createEmissiveTriangleDataTexture( emissiveTriangles ) {
 
-		return this.createBVHDataTextureSync( bvhRoot );
+		return this.createEmissiveTriangleDataTextureSync( emissiveTriangles );
+
+	}
+
+	// Power-weighted alias table over emissive triangles, one pixel per entry:
+	// triangle index, alias threshold, alias entry, instance index
+	createEmissiveTriangleDataTextureSync( emissiveTriangles ) {
+
+		const count = emissiveTriangles.indices.length;
+		const width = Math.ceil( Math.sqrt( count ) );
+		const height = Math.ceil( count / width );
+		const size = width * height * TEXTURE_CONSTANTS.RGBA_COMPONENTS;
+		const data = this.bufferPool.getBuffer( size, Float32Array );
+
+		this.fillEmissiveTriangleData( data, emissiveTriangles );
+
+		const texture = new DataTexture( data, width, height, RGBAFormat, FloatType );
+		texture.needsUpdate = true;
+
+		// Store the buffer for release when texture is disposed
+		texture.userData = { buffer: data, bufferType: Float32Array };
+		const originalDispose = texture.dispose.bind( texture );
+		texture.dispose = () => {
+
+			if ( texture.userData.buffer ) {
+
+				this.bufferPool.releaseBuffer( texture.userData.buffer, texture.userData.bufferType );
+				texture.userData.buffer = null;
+
+			}
+
+			originalDispose();
+
+		};
+
+		return texture;
+
+	}
+
+	// Rebuild the alias table in place after the powers changed, the emissive triangles stay the same
+	updateEmissiveTriangleDataTexture( texture, emissiveTriangles ) {
+
+		this.fillEmissiveTriangleData( texture.image.data, emissiveTriangles );
+		texture.needsUpdate = true;
+
+	}
+
+	fillEmissiveTriangleData( data, { indices, instanceIndices, powers, totalPower } ) {
+
+		const count = indices.length;
+		const probabilities = powers.map( power => totalPower > 0 ? power / totalPower : 1 / count );
+
+		// Vose's alias method
+		const scaled = probabilities.map( p => p * count );
+		const threshold = new Float32Array( count ).fill( 1 );
+		const alias = new Int32Array( count ).map( ( _, i ) => i );
+		const small = [];
+		const large = [];
+		scaled.forEach( ( p, i ) => ( p < 1 ? small : large ).push( i ) );
+
+		while ( small.length && large.length ) {
+
+			const less = small.pop();
+			const more = large.pop();
+			threshold[ less ] = scaled[ less ];
+			alias[ less ] = more;
+			scaled[ more ] = scaled[ more ] + scaled[ less ] - 1;
+			( scaled[ more ] < 1 ? small : large ).push( more );
+
+		}
+
+		for ( let i = 0; i < count; i ++ ) {
+
+			data.set( [ indices[ i ], threshold[ i ], alias[ i ], instanceIndices[ i ] ], i * TEXTURE_CONSTANTS.RGBA_COMPONENTS );
+
+		}
 
 	}
 
@@ -1008,8 +1106,27 @@ export default class TextureCreator {
 				emissiveMapMatrices[ 4 ], 	emissiveMapMatrices[ 5 ], 	emissiveMapMatrices[ 6 ], 	1,							// pixel 22 - Emissive matrices - 2
 				bumpMapMatrices[ 0 ], 		bumpMapMatrices[ 1 ], 		bumpMapMatrices[ 2 ], 		bumpMapMatrices[ 3 ],		// pixel 23 - Bump map matrices - 1
 				bumpMapMatrices[ 4 ], 		bumpMapMatrices[ 5 ],	 	bumpMapMatrices[ 6 ], 		1,							// pixel 24 - Bump map matrices - 2
+				mat.multiscatterColor.r, 	mat.multiscatterColor.g, 	mat.multiscatterColor.b, 	mat.scatterAnisotropy,		// pixel 25 - Volume scattering albedo and anisotropy
+				mat.subsurfaceColor.r, 		mat.subsurfaceColor.g, 		mat.subsurfaceColor.b, 		mat.subsurface,				// pixel 26 - Subsurface color and weight
+				mat.subsurfaceRadius.r, 	mat.subsurfaceRadius.g, 	mat.subsurfaceRadius.b, 	mat.subsurfaceScale,		// pixel 27 - Subsurface radius and scale
+				mat.shadowCatcher, 			mat.clearcoatNormalScale?.x ?? 1, mat.clearcoatNormalScale?.y ?? 1, 0,			// pixel 28 - Shadow catcher and clearcoat normal scale
+				mat.transmissionMap ?? - 1, mat.thicknessMap ?? - 1, 	mat.clearcoatMap ?? - 1, 	mat.clearcoatRoughnessMap ?? - 1, // pixel 29 - Extension map indices
+				mat.clearcoatNormalMap ?? - 1, mat.sheenColorMap ?? - 1, mat.sheenRoughnessMap ?? - 1, mat.specularIntensityMap ?? - 1, // pixel 30 - Extension map indices
+				mat.specularColorMap ?? - 1, mat.iridescenceMap ?? - 1, mat.iridescenceThicknessMap ?? - 1, 0,				// pixel 31 - Extension map indices
+				mat.anisotropy ?? 0, 		mat.anisotropyRotation ?? 0, mat.anisotropyMap ?? - 1, 	0,							// pixel 32 - Anisotropy strength, rotation and map index
 			];
 
+			// pixels 33 to 56 - Extension map matrices
+			for ( const map of EXTENSION_MAPS ) {
+
+				const matrix = mat[ `${map}Matrices` ] ?? DEFAULT_TEXTURE_MATRIX;
+				materialData.push(
+					matrix[ 0 ], matrix[ 1 ], matrix[ 2 ], matrix[ 3 ],
+					matrix[ 4 ], matrix[ 5 ], matrix[ 6 ], 1
+				);
+
+			}
+
 			data.set( materialData, stride );
 
 		}
@@ -1037,7 +1154,8 @@ export default class TextureCreator {
 
 	}
 
-	createBVHDataTextureSync( bvhRoot ) {
+	// Bottom-level BVHs are flattened back to back, each root directly followed by its subtree
+	createBVHDataTextureSync( bvhRoots ) {
 
 		const nodes = [];
 		const flattenBVH = ( node ) => {
@@ -1057,7 +1175,7 @@ export default class TextureCreator {
 
 		};
 
-		flattenBVH( bvhRoot );
+		bvhRoots.forEach( flattenBVH );
 
 		const dataLength = nodes.length * TEXTURE_CONSTANTS.VEC4_PER_BVH_NODE * TEXTURE_CONSTANTS.FLOATS_PER_VEC4;
 		const width = Math.ceil( Math.sqrt( dataLength / TEXTURE_CONSTANTS.RGBA_COMPONENTS ) );
@@ -1,9 +1,11 @@
 // TriangleSDF.js - Minimal changes to integrate optimized texture processing
-import { Color } from "three";
+import { Color, Box3, Vector3 } from "three";
 import BVHBuilder from './BVHBuilder.js';
+import { TLASBuilder } from './TLASBuilder.js';
 import TextureCreator from './TextureCreator.js'; // Using optimized TextureCreator
 import GeometryExtractor from './GeometryExtractor.js';
 import { updateLoading } from '../Processor/utils.js';
+import { TRIANGLE_DATA_LAYOUT, TEXTURE_CONSTANTS } from '../../Constants.js';
 
 /**
  * TriangleSDF - Handles the triangle-based signed distance field
@@ -52,10 +54,17 @@ export default class TriangleSDF {
 		this.roughnessMaps = [];
 		this.metalnessMaps = [];
 		this.emissiveMaps = [];
+		this.extensionMaps = [];
 		this.directionalLights = [];
+		this.pointLights = [];
+		this.spotLights = [];
 		this.cameras = [];
 		this.spheres = [];
-		this.bvhRoot = null;
+		this.geometries = [];
+		this.instances = [];
+		this.bvhRoots = [];
+		this.emissiveTriangles = null;
+		this.posedGeometries = new Set(); // Deformed since the emissive triangles were last updated
 
 		// Initialize texture references
 		this.materialTexture = null;
@@ -66,7 +75,9 @@ export default class TriangleSDF {
 		this.roughnessTextures = null;
 		this.metalnessTextures = null;
 		this.emissiveTextures = null;
+		this.extensionTextures = null;
 		this.bvhTexture = null;
+		this.emissiveTriangleTexture = null;
 
 		// Initialize processing components
 		this._initProcessors();
@@ -106,6 +117,9 @@ export default class TriangleSDF {
 			minImprovement: this.config.treeletMinImprovement
 		} );
 
+		// Top-level BVH over the mesh instances, rebuilt when objects move
+		this.tlas = new TLASBuilder();
+
 		// Create and configure texture creator
 		this.textureCreator = new TextureCreator();
 		// The optimized TextureCreator will auto-detect capabilities and select optimal methods
@@ -162,6 +176,9 @@ export default class TriangleSDF {
 			await this._buildBVH();
 			this.performanceMetrics.bvhBuildTime = performance.now() - bvhStartTime;
 
+			// Collect emitters after the BVH has reordered the triangles
+			this.emissiveTriangles = this.geometryExtractor.collectEmissiveTriangles( this.triangleData, this.instances, this.materials );
+
 			// Step 3: Create textures (80-100%)
 			this.processingStage = 'textures';
 			const textureStartTime = performance.now();
@@ -240,12 +257,21 @@ export default class TriangleSDF {
 			this.roughnessMaps = extractedData.roughnessMaps;
 			this.metalnessMaps = extractedData.metalnessMaps;
 			this.emissiveMaps = extractedData.emissiveMaps;
+			this.extensionMaps = extractedData.extensionMaps;
 			this.directionalLights = extractedData.directionalLights;
+			this.pointLights = extractedData.pointLights;
+			this.spotLights = extractedData.spotLights;
 			this.cameras = extractedData.cameras;
 
+			// Geometry without triangles gets neither a bottom-level BVH nor instances
+			this.geometries = extractedData.geometries.filter( geometry => geometry.triangleCount > 0 );
+			this.instances = extractedData.instances.filter( instance => instance.geometry.triangleCount > 0 );
+
 			const duration = performance.now() - startTime;
 			this._log( `Geometry extraction complete (${duration.toFixed( 2 )}ms)`, {
 				triangleCount: this.triangleCount,
+				geometries: this.geometries.length,
+				instances: this.instances.length,
 				materials: this.materials.length,
 			} );
 
@@ -301,13 +327,40 @@ export default class TriangleSDF {
 
 			};
 
-			// Build the BVH
-			this.bvhRoot = await this.bvhBuilder.build(
+			// One bottom-level BVH per unique geometry in object space
+			this.bvhRoots = await this.bvhBuilder.buildRanges(
 				this.triangleData,
+				this.geometries,
 				this.config.bvhDepth,
 				progressCallback
 			);
 
+			// The trees are flattened one after another into the same texture
+			let nodeOffset = 0;
+			this.geometries.forEach( ( geometry, i ) => {
+
+				const root = this.bvhRoots[ i ];
+				geometry.blasRoot = nodeOffset;
+				geometry.blasNodeCount = this._offsetBLASLeaves( root, geometry.triangleOffset );
+				geometry.bounds = new Box3( new Vector3().copy( root.boundsMin ), new Vector3().copy( root.boundsMax ) );
+				nodeOffset += geometry.blasNodeCount;
+
+				// Remember the pose the triangles were extracted in
+				if ( geometry.deformable ) this._hasPoseChanged( geometry );
+
+			} );
+
+			// Every instance of a geometry shares its triangles and bottom-level BVH
+			this.instances.forEach( instance => {
+
+				const { blasRoot, bounds, triangleOffset, triangleCount } = instance.geometry;
+				Object.assign( instance, { blasRoot, bounds, triangleOffset, triangleCount } );
+
+			} );
+
+			this.tlas.setInstances( this.instances );
+			this.tlas.update();
+
 			const duration = performance.now() - startTime;
 			this._log( `BVH building complete (${duration.toFixed( 2 )}ms)` );
 
@@ -329,6 +382,103 @@ export default class TriangleSDF {
 
 	}
 
+	/**
+     * Make leaf triangle offsets global and count the nodes of a bottom-level BVH
+     * @private
+     */
+	_offsetBLASLeaves( node, triangleOffset ) {
+
+		if ( ! node.leftChild ) {
+
+			node.triangleOffset += triangleOffset;
+			return 1;
+
+		}
+
+		return 1 + this._offsetBLASLeaves( node.leftChild, triangleOffset ) + this._offsetBLASLeaves( node.rightChild, triangleOffset );
+
+	}
+
+	/**
+     * Compare bone matrices and morph influences with the last refitted pose
+     * @private
+     */
+	_hasPoseChanged( geometry ) {
+
+		const { mesh } = geometry;
+		const pose = [ ...( mesh.morphTargetInfluences ?? [] ) ];
+		mesh.skeleton?.bones.forEach( bone => pose.push( ...bone.matrixWorld.elements ) );
+
+		const changed = ! geometry.pose || pose.length !== geometry.pose.length || pose.some( ( value, i ) => value !== geometry.pose[ i ] );
+		geometry.pose = pose;
+
+		return changed;
+
+	}
+
+	/**
+     * Re-pose skinned and morphed meshes on the CPU and refit their bottom-level BVHs in place,
+     * keeping the topology so only the triangle and BVH textures are re-uploaded
+     * @returns {boolean} - Whether any geometry changed pose
+     */
+	refitDeformedGeometry() {
+
+		if ( ! this.bvhTexture || ! this.triangleTexture ) return false;
+
+		const deformed = this.geometries.filter( geometry => geometry.deformable && this._hasPoseChanged( geometry ) );
+		if ( deformed.length === 0 ) return false;
+
+		const triangleStride = TRIANGLE_DATA_LAYOUT.FLOATS_PER_TRIANGLE;
+		const nodeStride = TEXTURE_CONSTANTS.VEC4_PER_BVH_NODE * TEXTURE_CONSTANTS.FLOATS_PER_VEC4;
+		const triangleTextureData = this.triangleTexture.image.data;
+		const bvhData = this.bvhTexture.image.data;
+
+		deformed.forEach( geometry => {
+
+			this.posedGeometries.add( geometry );
+			this.geometryExtractor.updateDeformedTriangles( this.triangleData, geometry );
+			this.bvhBuilder.refit( bvhData, this.triangleData, geometry.blasRoot, geometry.blasNodeCount );
+
+			// The texture only owns a copy of the triangles when it needed padding
+			if ( triangleTextureData !== this.triangleData ) {
+
+				const start = geometry.triangleOffset * triangleStride;
+				triangleTextureData.set( this.triangleData.subarray( start, start + geometry.triangleCount * triangleStride ), start );
+
+			}
+
+			// Instances share this box, the top-level BVH picks up the new bounds on its next update
+			geometry.bounds.min.fromArray( bvhData, geometry.blasRoot * nodeStride );
+			geometry.bounds.max.fromArray( bvhData, geometry.blasRoot * nodeStride + 4 );
+
+		} );
+
+		this.triangleTexture.needsUpdate = true;
+		this.bvhTexture.needsUpdate = true;
+		this.tlas.needsUpdate = true;
+
+		return true;
+
+	}
+
+	/**
+     * Update the power of emissive triangles whose instance moved or deformed, their power depends on world space area
+     * @returns {boolean} - Whether the emissive triangle texture was updated
+     */
+	updateEmissiveTriangles() {
+
+		const posedGeometries = this.posedGeometries;
+		this.posedGeometries = new Set();
+
+		if ( ! this.emissiveTriangles?.indices.length || ! this.emissiveTriangleTexture ) return false;
+		if ( ! this.geometryExtractor.updateEmissiveTriangles( this.emissiveTriangles, this.triangleData, this.instances, posedGeometries ) ) return false;
+
+		this.textureCreator.updateEmissiveTriangleDataTexture( this.emissiveTriangleTexture, this.emissiveTriangles );
+
+		return true;
+
+	}
+
 	/**
      * Create texture data from geometry and materials
      * @private
@@ -355,7 +505,9 @@ export default class TriangleSDF {
 				roughnessMaps: this.roughnessMaps,
 				metalnessMaps: this.metalnessMaps,
 				emissiveMaps: this.emissiveMaps,
-				bvhRoot: this.bvhRoot
+				extensionMaps: this.extensionMaps,
+				bvhRoots: this.bvhRoots,
+				emissiveTriangles: this.emissiveTriangles
 			};
 
 			// Create all textures
@@ -370,7 +522,9 @@ export default class TriangleSDF {
 			this.roughnessTextures = textures.roughnessTexture;
 			this.metalnessTextures = textures.metalnessTexture;
 			this.emissiveTextures = textures.emissiveTexture;
+			this.extensionTextures = textures.extensionTexture;
 			this.bvhTexture = textures.bvhTexture;
+			this.emissiveTriangleTexture = textures.emissiveTriangleTexture ?? null;
 
 			const duration = performance.now() - startTime;
 			this._log( `Texture creation complete (${duration.toFixed( 2 )}ms)`, {
@@ -439,10 +593,18 @@ export default class TriangleSDF {
 		this.roughnessMaps = [];
 		this.metalnessMaps = [];
 		this.emissiveMaps = [];
+		this.extensionMaps = [];
 		this.directionalLights = [];
+		this.pointLights = [];
+		this.spotLights = [];
 		this.cameras = [];
 		this.spheres = [];
-		this.bvhRoot = null;
+		this.geometries = [];
+		this.instances = [];
+		this.bvhRoots = [];
+		this.emissiveTriangles = null;
+		this.posedGeometries = new Set();
+		this.tlas.dispose();
 
 		// Reset performance metrics
 		this.performanceMetrics = {
@@ -463,7 +625,8 @@ export default class TriangleSDF {
 		const textureProps = [
 			'materialTexture', 'triangleTexture', 'albedoTextures',
 			'normalTextures', 'bumpTextures', 'roughnessTextures',
-			'metalnessTextures', 'emissiveTextures', 'bvhTexture'
+			'metalnessTextures', 'emissiveTextures', 'extensionTextures',
+			'bvhTexture', 'emissiveTriangleTexture'
 		];
 
 		// Dispose each texture if it exists
@@ -495,10 +658,10 @@ export default class TriangleSDF {
 			triangleCount: this.triangleCount,
 			materialCount: this.materials.length,
 			textureCount: this.maps.length,
-			lightCount: this.directionalLights.length,
+			lightCount: this.directionalLights.length + this.pointLights.length + this.spotLights.length,
 			cameraCount: this.cameras.length,
 			processingComplete: this.processingStage === 'complete',
-			hasBVH: !! this.bvhRoot,
+			hasBVH: this.bvhRoots.length > 0,
 			hasTextures: !! this.materialTexture && !! this.triangleTexture,
 			useFloat32Array: this.config.useFloat32Array,
 			triangleDataSize: this.triangleData ? ( this.triangleData.byteLength / ( 1024 * 1024 ) ).toFixed( 2 ) + 'MB' : '0MB'
@@ -0,0 +1,94 @@
+import {
+	Data3DTexture,
+	RedFormat,
+	FloatType,
+	ClampToEdgeWrapping,
+	LinearFilter,
+	Box3,
+	Vector3
+} from 'three';
+
+// Voxel encodings of the Mitsuba grid volume format
+const ENCODING_FLOAT32 = 1;
+const ENCODING_UINT8 = 3;
+
+const HEADER_SIZE = 48;
+
+/**
+ * Mitsuba grid volume (.vol) parser
+ * Header: 'VOL', version 3, encoding, x/y/z resolution, channel count and the world space bounding box,
+ * followed by the voxels in x-fastest order. Only the first channel is used as density.
+ */
+export class VolumeGridParser {
+
+	parse( buffer, name = 'density.vol' ) {
+
+		const view = new DataView( buffer );
+		if ( buffer.byteLength < HEADER_SIZE ) throw new Error( `Invalid volume file (truncated header): ${name}` );
+
+		const magic = String.fromCharCode( view.getUint8( 0 ), view.getUint8( 1 ), view.getUint8( 2 ) );
+		const version = view.getUint8( 3 );
+		if ( magic !== 'VOL' || version !== 3 ) throw new Error( `Invalid volume file (expected VOL version 3): ${name}` );
+
+		const encoding = view.getInt32( 4, true );
+		const width = view.getInt32( 8, true );
+		const height = view.getInt32( 12, true );
+		const depth = view.getInt32( 16, true );
+		const channels = view.getInt32( 20, true );
+
+		if ( encoding !== ENCODING_FLOAT32 && encoding !== ENCODING_UINT8 ) {
+
+			throw new Error( `Unsupported volume encoding ${encoding} (only float32 and uint8 grids are supported): ${name}` );
+
+		}
+
+		const bounds = new Box3(
+			new Vector3( view.getFloat32( 24, true ), view.getFloat32( 28, true ), view.getFloat32( 32, true ) ),
+			new Vector3( view.getFloat32( 36, true ), view.getFloat32( 40, true ), view.getFloat32( 44, true ) )
+		);
+
+		const voxelCount = width * height * depth;
+		const bytesPerValue = encoding === ENCODING_FLOAT32 ? 4 : 1;
+		if ( buffer.byteLength < HEADER_SIZE + voxelCount * channels * bytesPerValue ) {
+
+			throw new Error( `Unexpected end of volume data: ${name}` );
+
+		}
+
+		const data = new Float32Array( voxelCount );
+		let maxDensity = 0;
+
+		for ( let i = 0; i < voxelCount; i ++ ) {
+
+			const offset = HEADER_SIZE + i * channels * bytesPerValue;
+			const value = encoding === ENCODING_FLOAT32 ? view.getFloat32( offset, true ) : view.getUint8( offset ) / 255;
+
+			data[ i ] = Math.max( value, 0 );
+			maxDensity = Math.max( maxDensity, data[ i ] );
+
+		}
+
+		return { name, width, height, depth, bounds, data, maxDensity };
+
+	}
+
+	// Trilinear filtering never exceeds the largest voxel, which makes it the majorant for delta tracking
+	static createDensityTexture( grid ) {
+
+		const texture = new Data3DTexture( grid.data, grid.width, grid.height, grid.depth );
+		texture.format = RedFormat;
+		texture.type = FloatType;
+		texture.wrapS = ClampToEdgeWrapping;
+		texture.wrapT = ClampToEdgeWrapping;
+		texture.wrapR = ClampToEdgeWrapping;
+		texture.minFilter = LinearFilter;
+		texture.magFilter = LinearFilter;
+		texture.generateMipmaps = false;
+		texture.unpackAlignment = 1;
+		texture.needsUpdate = true;
+
+		return texture;
+
+	}
+
+}
@@ -21,7 +21,7 @@ const TRIANGLE_DATA_LAYOUT = {
 
 self.onmessage = function ( e ) {
 
-	const { triangleData, triangleCount, depth, reportProgress, treeletOptimization } = e.data;
+	const { triangleData, triangleCount, ranges, depth, reportProgress, treeletOptimization } = e.data;
 	const builder = new BVHBuilder();
 
 	try {
@@ -42,6 +42,16 @@ self.onmessage = function ( e ) {
 
 		// Determine input format and prepare data
 		let inputTriangles = new Float32Array( triangleData );
+
+		// One bottom-level BVH per mesh, reordered in place within each range
+		if ( ranges ) {
+
+			const bvhRoots = builder.buildRangesSync( inputTriangles, ranges, depth, progressCallback );
+			self.postMessage( { bvhRoots, triangles: inputTriangles }, [ inputTriangles.buffer ] );
+			return;
+
+		}
+
 		console.log( `[BVHWorker] Processing ${triangleCount} triangles from Float32Array (${inputTriangles.byteLength} bytes, ${TRIANGLE_DATA_LAYOUT.FLOATS_PER_TRIANGLE} floats per triangle)` );
 
 		// Build BVH - builder can handle both formats
@@ -88,33 +98,33 @@ function convertObjectsToFloat32Array( triangleObjects ) {
 		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_A_OFFSET + 0 ] = tri.posA.x;
 		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_A_OFFSET + 1 ] = tri.posA.y;
 		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_A_OFFSET + 2 ] = tri.posA.z;
-		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_A_OFFSET + 3 ] = 0; // vec4 padding
+		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_A_OFFSET + 3 ] = tri.data[ tri.offset + TRIANGLE_DATA_LAYOUT.POSITION_A_OFFSET + 3 ]; // packed tangent
 
 		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_B_OFFSET + 0 ] = tri.posB.x;
 		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_B_OFFSET + 1 ] = tri.posB.y;
 		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_B_OFFSET + 2 ] = tri.posB.z;
-		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_B_OFFSET + 3 ] = 0; // vec4 padding
+		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_B_OFFSET + 3 ] = tri.data[ tri.offset + TRIANGLE_DATA_LAYOUT.POSITION_B_OFFSET + 3 ]; // packed tangent
 
 		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_C_OFFSET + 0 ] = tri.posC.x;
 		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_C_OFFSET + 1 ] = tri.posC.y;
 		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_C_OFFSET + 2 ] = tri.posC.z;
-		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_C_OFFSET + 3 ] = 0; // vec4 padding
+		data[ offset + TRIANGLE_DATA_LAYOUT.POSITION_C_OFFSET + 3 ] = tri.data[ tri.offset + TRIANGLE_DATA_LAYOUT.POSITION_C_OFFSET + 3 ]; // packed tangent
 
 		// Normals as vec4s (3 vec4s = 12 floats)
 		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_A_OFFSET + 0 ] = tri.normalA.x;
 		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_A_OFFSET + 1 ] = tri.normalA.y;
 		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_A_OFFSET + 2 ] = tri.normalA.z;
-		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_A_OFFSET + 3 ] = 0; // vec4 padding
+		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_A_OFFSET + 3 ] = tri.data[ tri.offset + TRIANGLE_DATA_LAYOUT.NORMAL_A_OFFSET + 3 ]; // packed tangent
 
 		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_B_OFFSET + 0 ] = tri.normalB.x;
 		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_B_OFFSET + 1 ] = tri.normalB.y;
 		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_B_OFFSET + 2 ] = tri.normalB.z;
-		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_B_OFFSET + 3 ] = 0; // vec4 padding
+		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_B_OFFSET + 3 ] = tri.data[ tri.offset + TRIANGLE_DATA_LAYOUT.NORMAL_B_OFFSET + 3 ]; // packed tangent
 
 		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_C_OFFSET + 0 ] = tri.normalC.x;
 		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_C_OFFSET + 1 ] = tri.normalC.y;
 		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_C_OFFSET + 2 ] = tri.normalC.z;
-		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_C_OFFSET + 3 ] = 0; // vec4 padding
+		data[ offset + TRIANGLE_DATA_LAYOUT.NORMAL_C_OFFSET + 3 ] = tri.data[ tri.offset + TRIANGLE_DATA_LAYOUT.NORMAL_C_OFFSET + 3 ]; // packed tangent
 
 		// UVs and material index (2 vec4s = 8 floats)
 		// First vec4: uvA.x, uvA.y, uvB.x, uvB.y
@@ -1,10 +1,10 @@
 self.onmessage = function ( e ) {
 
-	const { materials, DEFAULT_TEXTURE_MATRIX } = e.data;
+	const { materials, DEFAULT_TEXTURE_MATRIX, EXTENSION_MAPS } = e.data;
 
 	try {
 
-		const pixelsRequired = 24;
+		const pixelsRequired = 56;
 		const dataInEachPixel = 4;
 		const dataLengthPerMaterial = pixelsRequired * dataInEachPixel;
 		const totalMaterials = materials.length;
@@ -73,8 +73,27 @@ self.onmessage = function ( e ) {
 				emissiveMapMatrices[ 4 ], 	emissiveMapMatrices[ 5 ], 	emissiveMapMatrices[ 6 ], 	1,							// pixel 22 - Emissive matrices - 2
 				bumpMapMatrices[ 0 ], 		bumpMapMatrices[ 1 ], 		bumpMapMatrices[ 2 ], 		bumpMapMatrices[ 3 ],		// pixel 23 - Bump map matrices - 1
 				bumpMapMatrices[ 4 ], 		bumpMapMatrices[ 5 ],	 	bumpMapMatrices[ 6 ], 		1,							// pixel 24 - Bump map matrices - 2
+				mat.multiscatterColor.r, 	mat.multiscatterColor.g, 	mat.multiscatterColor.b, 	mat.scatterAnisotropy,		// pixel 25 - Volume scattering albedo and anisotropy
+				mat.subsurfaceColor.r, 		mat.subsurfaceColor.g, 		mat.subsurfaceColor.b, 		mat.subsurface,				// pixel 26 - Subsurface color and weight
+				mat.subsurfaceRadius.r, 	mat.subsurfaceRadius.g, 	mat.subsurfaceRadius.b, 	mat.subsurfaceScale,		// pixel 27 - Subsurface radius and scale
+				mat.shadowCatcher, 			mat.clearcoatNormalScale?.x ?? 1, mat.clearcoatNormalScale?.y ?? 1, 0,			// pixel 28 - Shadow catcher and clearcoat normal scale
+				mat.transmissionMap ?? - 1, mat.thicknessMap ?? - 1, 	mat.clearcoatMap ?? - 1, 	mat.clearcoatRoughnessMap ?? - 1, // pixel 29 - Extension map indices
+				mat.clearcoatNormalMap ?? - 1, mat.sheenColorMap ?? - 1, mat.sheenRoughnessMap ?? - 1, mat.specularIntensityMap ?? - 1, // pixel 30 - Extension map indices
+				mat.specularColorMap ?? - 1, mat.iridescenceMap ?? - 1, mat.iridescenceThicknessMap ?? - 1, 0,				// pixel 31 - Extension map indices
+				mat.anisotropy ?? 0, 		mat.anisotropyRotation ?? 0, mat.anisotropyMap ?? - 1, 	0,							// pixel 32 - Anisotropy strength, rotation and map index
 			];
 
+			// pixels 33 to 56 - Extension map matrices
+			for ( const map of EXTENSION_MAPS ) {
+
+				const matrix = mat[ `${map}Matrices` ] ?? DEFAULT_TEXTURE_MATRIX;
+				materialData.push(
+					matrix[ 0 ], matrix[ 1 ], matrix[ 2 ], matrix[ 3 ],
+					matrix[ 4 ], matrix[ 5 ], matrix[ 6 ], 1
+				);
+
+			}
+
 			data.set( materialData, stride );
 
 		}
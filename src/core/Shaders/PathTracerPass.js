@@ -1,5 +1,5 @@
 import {
-	ShaderMaterial, Vector2, Matrix4, WebGLRenderTarget,
+	ShaderMaterial, Vector2, Vector3, Matrix4, Quaternion, WebGLRenderTarget, Color,
 	FloatType,
 	NearestFilter,
 	TextureLoader,
@@ -14,8 +14,10 @@ import FragmentShader from './pathtracer.fs';
 import VertexShader from './pathtracer.vs';
 import TriangleSDF from '../Processor/TriangleSDF';
 import { EnvironmentCDFBuilder } from '../Processor/EnvironmentCDFBuilder';
+import { VolumeGridParser } from '../Processor/VolumeGridParser';
+import { generateGGXEnergyLUT } from '../Processor/GGXEnergyLUT';
 import blueNoiseImage from '../../../public/noise/simple_bluenoise.png'; //simple blue noise image
-import { DEFAULT_STATE } from '../../Constants';
+import { DEFAULT_STATE, TEXTURE_CONSTANTS } from '../../Constants';
 
 export class PathTracerPass extends Pass {
 
@@ -70,9 +72,7 @@ export class PathTracerPass extends Pass {
 			name: 'PathTracingShader',
 
 			defines: {
-				MAX_SPHERE_COUNT: 0,
-				MAX_DIRECTIONAL_LIGHTS: 0,
-				MAX_AREA_LIGHTS: 0
+				MAX_SPHERE_COUNT: 0
 			},
 
 			uniforms: {
@@ -92,15 +92,37 @@ export class PathTracerPass extends Pass {
 
 				cameraWorldMatrix: { value: new Matrix4() },
 				cameraProjectionMatrixInverse: { value: new Matrix4() },
+				motionBlur: { value: false },
+				cameraMotionPosition: { value: new Vector3() },
+				cameraMotionRotation: { value: new Quaternion() },
 				focusDistance: { value: DEFAULT_STATE.focusDistance }, // Subject 3 meters away
 				focalLength: { value: DEFAULT_STATE.focalLength }, // 2mm lens
 				aperture: { value: DEFAULT_STATE.aperture }, // f/2.8 aperture
 				apertureScale: { value: 2.0 },
-
-				directionalLights: { value: null },
-				pointLights: { value: null },
-				spotLights: { value: null },
-				areaLights: { value: null },
+				apertureBlades: { value: DEFAULT_STATE.apertureBlades },
+				apertureRotation: { value: DEFAULT_STATE.apertureRotation * Math.PI / 180 },
+				bladeCurvature: { value: DEFAULT_STATE.bladeCurvature },
+				anamorphicRatio: { value: DEFAULT_STATE.anamorphicRatio },
+				catEye: { value: DEFAULT_STATE.catEye },
+				useBokehTexture: { value: false },
+				bokehTexture: { value: null },
+				cameraExposure: { value: 1.0 },
+				whiteBalance: { value: new Vector3( 1, 1, 1 ) },
+				vignetting: { value: DEFAULT_STATE.vignetting },
+				cameraProjection: { value: 0 },
+				orthographicSize: { value: 1.0 },
+				stereoEyeSeparation: { value: DEFAULT_STATE.stereoEyeSeparation },
+
+				lightTexture: { value: null },
+				lightTexSize: { value: new Vector2() },
+				directionalLightCount: { value: 0 },
+				areaLightCount: { value: 0 },
+				pointLightCount: { value: 0 },
+				spotLightCount: { value: 0 },
+				iesProfiles: { value: null },
+				lightBVHTexture: { value: null },
+				lightBVHTexSize: { value: new Vector2() },
+				lightBVHNodeCount: { value: 0 },
 
 				frame: { value: 0 },
 				maxFrames: { value: DEFAULT_STATE.maxSamples },
@@ -113,6 +135,9 @@ export class PathTracerPass extends Pass {
 				adaptiveSamplingTexture: { value: null },
 				adaptiveSamplingMax: { value: DEFAULT_STATE.adaptiveSamplingMax },
 				fireflyThreshold: { value: DEFAULT_STATE.fireflyThreshold },
+				spectralRendering: { value: DEFAULT_STATE.spectralRendering },
+				energyCompensation: { value: DEFAULT_STATE.energyCompensation },
+				ggxEnergyLUT: { value: generateGGXEnergyLUT() },
 
 				renderMode: { value: DEFAULT_STATE.renderMode },
 				tiles: { value: this.tiles },
@@ -129,6 +154,7 @@ export class PathTracerPass extends Pass {
 
 				albedoMaps: { value: null },
 				emissiveMaps: { value: null },
+				extensionMaps: { value: null },
 				normalMaps: { value: null },
 				bumpMaps: { value: null },
 				roughnessMaps: { value: null },
@@ -136,11 +162,36 @@ export class PathTracerPass extends Pass {
 
 				triangleTexture: { value: null },
 				bvhTexture: { value: null },
+				tlasTexture: { value: null },
+				instanceTexture: { value: null },
 				materialTexture: { value: null },
+				emissiveTriangleTexture: { value: null },
 
 				triangleTexSize: { value: new Vector2() },
 				bvhTexSize: { value: new Vector2() },
+				tlasTexSize: { value: new Vector2() },
+				instanceTexSize: { value: new Vector2() },
 				materialTexSize: { value: new Vector2() },
+				emissiveTriangleTexSize: { value: new Vector2() },
+				emissiveTriangleCount: { value: 0 },
+				emissiveTotalPower: { value: 0 },
+
+				enableFog: { value: DEFAULT_STATE.enableFog },
+				fogDensity: { value: DEFAULT_STATE.fogDensity },
+				fogColor: { value: new Color( DEFAULT_STATE.fogColor ) },
+				fogAnisotropy: { value: DEFAULT_STATE.fogAnisotropy },
+				fogHeight: { value: DEFAULT_STATE.fogHeight },
+				enableDensityGrid: { value: false },
+				densityGrid: { value: null },
+				densityGridMin: { value: new Vector3() },
+				densityGridMax: { value: new Vector3() },
+				densityGridMajorant: { value: 0 },
+				densityGridScale: { value: DEFAULT_STATE.densityGridScale },
+
+				enableGroundProjection: { value: DEFAULT_STATE.enableGroundProjection },
+				groundProjectionHeight: { value: DEFAULT_STATE.groundProjectionHeight },
+				groundProjectionRadius: { value: DEFAULT_STATE.groundProjectionRadius },
+				groundProjectionCenter: { value: new Vector3() },
 
 				useEnvMipMap: { value: true },
 				envSamplingBias: { value: 1.2 },
@@ -407,6 +458,7 @@ export class PathTracerPass extends Pass {
 		this.material.uniforms.bumpMaps.value = this.sdfs.bumpTextures;
 		this.material.uniforms.roughnessMaps.value = this.sdfs.roughnessTextures;
 		this.material.uniforms.metalnessMaps.value = this.sdfs.metalnessTextures;
+		this.material.uniforms.extensionMaps.value = this.sdfs.extensionTextures;
 
 		// Update geometry uniforms
 		this.material.uniforms.triangleTexture.value = this.sdfs.triangleTexture;
@@ -418,11 +470,66 @@ export class PathTracerPass extends Pass {
 		this.material.uniforms.bvhTexSize.value.set( this.sdfs.bvhTexture.image.width, this.sdfs.bvhTexture.image.height );
 		this.material.uniforms.materialTexSize.value.set( this.sdfs.materialTexture.image.width, this.sdfs.materialTexture.image.height );
 
+		// Top-level BVH and instance transforms, updated in place when objects move
+		const tlas = this.sdfs.tlas;
+		this.material.uniforms.tlasTexture.value = tlas.nodeTexture;
+		this.material.uniforms.instanceTexture.value = tlas.instanceTexture;
+		this.material.uniforms.tlasTexSize.value.set( tlas.nodeTexture.image.width, tlas.nodeTexture.image.height );
+		this.material.uniforms.instanceTexSize.value.set( tlas.instanceTexture.image.width, tlas.instanceTexture.image.height );
+
+		this.updateEmissiveTriangleUniforms();
+
 		// Update light uniforms
 		this.updateLights();
 
 	}
 
+	// Heterogeneous medium filling the bounds of the grid, null removes it
+	setDensityGrid( grid ) {
+
+		const uniforms = this.material.uniforms;
+		uniforms.densityGrid.value?.dispose();
+		uniforms.densityGrid.value = grid ? VolumeGridParser.createDensityTexture( grid ) : null;
+		uniforms.enableDensityGrid.value = !! grid && grid.maxDensity > 0;
+
+		if ( grid ) {
+
+			uniforms.densityGridMin.value.copy( grid.bounds.min );
+			uniforms.densityGridMax.value.copy( grid.bounds.max );
+			uniforms.densityGridMajorant.value = grid.maxDensity;
+
+		}
+
+	}
+
+	updateEmissiveTriangleUniforms() {
+
+		const emissiveTriangleTexture = this.sdfs.emissiveTriangleTexture;
+		this.material.uniforms.emissiveTriangleTexture.value = emissiveTriangleTexture;
+		this.material.uniforms.emissiveTriangleCount.value = emissiveTriangleTexture ? this.sdfs.emissiveTriangles.indices.length : 0;
+		this.material.uniforms.emissiveTotalPower.value = emissiveTriangleTexture ? this.sdfs.emissiveTriangles.totalPower : 0;
+		if ( emissiveTriangleTexture ) {
+
+			this.material.uniforms.emissiveTriangleTexSize.value.set( emissiveTriangleTexture.image.width, emissiveTriangleTexture.image.height );
+
+		}
+
+	}
+
+	// Called every frame: moving objects only rebuilds the top-level BVH and posed skinned or
+	// morphed meshes are refitted in place, returns true if anything changed
+	updateInstances() {
+
+		this.scene.updateMatrixWorld();
+		this.sdfs.refitDeformedGeometry();
+		if ( ! this.sdfs.tlas.update() ) return false;
+
+		if ( this.sdfs.updateEmissiveTriangles() ) this.updateEmissiveTriangleUniforms();
+
+		return true;
+
+	}
+
 	updateLights() {
 
 		this.lightDataTransfer.processSceneLights( this.scene, this.material );
@@ -432,7 +539,7 @@ export class PathTracerPass extends Pass {
 	updateMaterialDataTexture( materialIndex, property, value ) {
 
 		const data = this.material.uniforms.materialTexture.value.image.data;
-		const stride = materialIndex * 96; // 24 pixels * 4 components per pixel
+		const stride = materialIndex * TEXTURE_CONSTANTS.PIXELS_PER_MATERIAL * TEXTURE_CONSTANTS.RGBA_COMPONENTS;
 
 		switch ( property ) {
 
@@ -465,6 +572,19 @@ export class PathTracerPass extends Pass {
 			case 'side': 				data[ stride + 41 ] = value; break;
 			case 'transparent': 		data[ stride + 42 ] = value; break;
 			case 'alphaTest': 			data[ stride + 43 ] = value; break;
+			case 'multiscatterColor': 	data.set( [ value.r, value.g, value.b ], stride + 96 ); break;
+			case 'scatterAnisotropy': 	data[ stride + 99 ] = value; break;
+			case 'subsurfaceColor': 	data.set( [ value.r, value.g, value.b ], stride + 100 ); break;
+			case 'subsurface': 			data[ stride + 103 ] = value; break;
+			case 'subsurfaceRadius': 	data.set( [ value.r, value.g, value.b ], stride + 104 ); break;
+			case 'subsurfaceScale': 	data[ stride + 107 ] = value; break;
+			case 'shadowCatcher': 		data[ stride + 108 ] = value; break;
+			case 'clearcoatNormalScale':
+				data[ stride + 109 ] = value.x;
+				data[ stride + 110 ] = value.y;
+				break;
+			case 'anisotropy': 			data[ stride + 124 ] = value; break;
+			case 'anisotropyRotation': 	data[ stride + 125 ] = value; break;
 
 		}
 
@@ -744,10 +864,19 @@ export class PathTracerPass extends Pass {
 		this.material.uniforms.bumpMaps.value?.dispose();
 		this.material.uniforms.roughnessMaps.value?.dispose();
 		this.material.uniforms.metalnessMaps.value?.dispose();
+		this.material.uniforms.extensionMaps.value?.dispose();
 		this.material.uniforms.triangleTexture.value?.dispose();
 		this.material.uniforms.bvhTexture.value?.dispose();
+		this.material.uniforms.tlasTexture.value?.dispose();
+		this.material.uniforms.instanceTexture.value?.dispose();
 		this.material.uniforms.materialTexture.value?.dispose();
+		this.material.uniforms.emissiveTriangleTexture.value?.dispose();
 		this.material.uniforms.envCDF.value?.dispose();
+		this.material.uniforms.iesProfiles.value?.dispose();
+		this.material.uniforms.lightBVHTexture.value?.dispose();
+		this.material.uniforms.lightTexture.value?.dispose();
+		this.material.uniforms.densityGrid.value?.dispose();
+		this.material.uniforms.ggxEnergyLUT.value?.dispose();
 		this.material.dispose();
 		this.fsQuad.dispose();
 		this.renderTargetA.dispose();
@@ -225,11 +225,10 @@ vec3 ImportanceSampleCosine( vec3 N, vec2 xi ) {
 	return normalize( T * localDir.x + B * localDir.y + N * localDir.z );
 }
 
-// VNDF sampling helper functions
-vec3 sampleGGXVNDF( vec3 V, float roughness, vec2 Xi ) {
-	float alpha = roughness * roughness;
+// VNDF sampling helper functions, alpha holds the roughness along the tangent and the bitangent
+vec3 sampleGGXVNDF( vec3 V, vec2 alpha, vec2 Xi ) {
     // Transform view direction to local space
-	vec3 Vh = normalize( vec3( alpha * V.x, alpha * V.y, V.z ) );
+	vec3 Vh = normalize( vec3( alpha.x * V.x, alpha.y * V.y, V.z ) );
 
     // Construct orthonormal basis around view direction
 	float lensq = Vh.x * Vh.x + Vh.y * Vh.y;
@@ -248,10 +247,15 @@ vec3 sampleGGXVNDF( vec3 V, float roughness, vec2 Xi ) {
 	vec3 Nh = t1 * T1 + t2 * T2 + sqrt( max( 0.0, 1.0 - t1 * t1 - t2 * t2 ) ) * Vh;
 
     // Transform the normal back to the ellipsoid configuration
-	vec3 Ne = normalize( vec3( alpha * Nh.x, alpha * Nh.y, max( 0.0, Nh.z ) ) );
+	vec3 Ne = normalize( vec3( alpha.x * Nh.x, alpha.y * Nh.y, max( 0.0, Nh.z ) ) );
 	return Ne;
 }
 
+vec3 sampleGGXVNDF( vec3 V, float roughness, vec2 Xi ) {
+	float alpha = roughness * roughness;
+	return sampleGGXVNDF( V, vec2( alpha ), Xi );
+}
+
 float DistributionGGX( float NoH, float roughness ) {
 	float alpha = roughness * roughness;
 	float alpha2 = alpha * alpha;
@@ -271,6 +275,80 @@ float GeometrySmith( float NoV, float NoL, float roughness ) {
 	return ggx1 * ggx2;
 }
 
+// Kulla-Conty multiple scattering compensation. The single scattering lobe loses the energy of
+// microfacet interreflections, most visibly on rough metals. ggxEnergyLUT holds the directional
+// albedo E( NoV, roughness ) in r and its hemispherical average in g.
+uniform bool energyCompensation;
+uniform sampler2D ggxEnergyLUT;
+
+vec2 sampleGGXEnergy( float NoV, float roughness ) {
+	float size = float( textureSize( ggxEnergyLUT, 0 ).x );
+	vec2 uv = ( clamp( vec2( NoV, roughness ), 0.0, 1.0 ) * ( size - 1.0 ) + 0.5 ) / size;
+	return texture( ggxEnergyLUT, uv ).rg;
+}
+
+// Lobe that adds back the lost energy, tinted by the average Fresnel over the hemisphere
+vec3 evaluateMultiscatterGGX( float NoV, float NoL, float roughness, vec3 F0 ) {
+	if( ! energyCompensation ) {
+		return vec3( 0.0 );
+	}
+
+	vec2 energyV = sampleGGXEnergy( NoV, roughness );
+	float energyL = sampleGGXEnergy( NoL, roughness ).r;
+	float averageEnergy = energyV.g;
+
+	float fms = ( 1.0 - energyV.r ) * ( 1.0 - energyL ) / ( PI * max( 1.0 - averageEnergy, 1e-4 ) );
+	vec3 averageFresnel = F0 + ( vec3( 1.0 ) - F0 ) / 21.0;
+	vec3 Fms = averageFresnel * averageFresnel * averageEnergy / ( vec3( 1.0 ) - averageFresnel * ( 1.0 - averageEnergy ) );
+
+	return fms * Fms;
+}
+
+// Anisotropic GGX (KHR_materials_anisotropy). The lobe is stretched along the anisotropy direction,
+// across it the roughness of the material is kept.
+vec2 anisotropicAlpha( float roughness, float anisotropy ) {
+	float alpha = roughness * roughness;
+	return vec2( mix( alpha, 1.0, anisotropy * anisotropy ), max( alpha, 1e-3 ) );
+}
+
+// Frame with x along the anisotropy direction and z along the normal
+mat3 anisotropyTBN( vec3 N, vec3 direction ) {
+	vec3 T = direction - N * dot( N, direction );
+	T = dot( T, T ) > 1e-8 ? normalize( T ) : constructTBN( N )[ 0 ];
+	return mat3( T, cross( N, T ), N );
+}
+
+// H and W are in the anisotropy frame
+float DistributionAnisotropicGGX( vec3 H, vec2 alpha ) {
+	vec3 h = vec3( H.x / alpha.x, H.y / alpha.y, H.z );
+	float d = dot( h, h );
+	return 1.0 / ( PI * alpha.x * alpha.y * d * d );
+}
+
+float SmithG1AnisotropicGGX( vec3 W, vec2 alpha ) {
+	float tan2Theta = ( square( alpha.x * W.x ) + square( alpha.y * W.y ) ) / max( W.z * W.z, 1e-8 );
+	return 2.0 / ( 1.0 + sqrt( 1.0 + tan2Theta ) );
+}
+
+// D * G of the anisotropic specular lobe for world space directions
+float anisotropicSpecularDG( vec3 V, vec3 L, vec3 N, RayTracingMaterial material ) {
+	mat3 toLocal = transpose( anisotropyTBN( N, material.anisotropyDirection ) );
+	vec2 alpha = anisotropicAlpha( material.roughness, material.anisotropy );
+	vec3 localV = toLocal * V;
+	vec3 localL = toLocal * L;
+	vec3 localH = normalize( localV + localL );
+	return DistributionAnisotropicGGX( localH, alpha ) * SmithG1AnisotropicGGX( localV, alpha ) * SmithG1AnisotropicGGX( localL, alpha );
+}
+
+// Solid angle pdf of L when the visible normals of the anisotropic lobe are sampled
+float anisotropicGGXPDF( vec3 V, vec3 L, vec3 N, RayTracingMaterial material ) {
+	mat3 toLocal = transpose( anisotropyTBN( N, material.anisotropyDirection ) );
+	vec2 alpha = anisotropicAlpha( material.roughness, material.anisotropy );
+	vec3 localV = toLocal * V;
+	vec3 localH = normalize( localV + toLocal * L );
+	return DistributionAnisotropicGGX( localH, alpha ) * SmithG1AnisotropicGGX( localV, alpha ) / ( 4.0 * max( localV.z, 0.001 ) );
+}
+
 float SheenDistribution( float NoH, float roughness ) {
 	float alpha = roughness * roughness;
 	float invAlpha = 1.0 / alpha;
@@ -292,6 +370,32 @@ vec3 evalSensitivity( float OPD, vec3 shift ) {
 	return XYZ_TO_REC709 * ( xyz / 1.0685e-7 );
 }
 
+// Thin film reflectance evaluated exactly at each path wavelength (Airy summation of the interference
+// between the film and base layer reflections), averaged over both polarizations
+vec3 evalIridescenceSpectral( float outsideIOR, float filmIOR, float cosTheta1, float cosTheta2, float thinFilmThickness, vec3 baseF0 ) {
+	vec4 baseReflectance = clamp( upsampleRGB( baseF0, pathWavelengths ), 0.0, 0.9999 );
+	vec4 sqrtF0 = sqrt( baseReflectance );
+	vec4 baseIOR = ( vec4( 1.0 ) + sqrtF0 ) / ( vec4( 1.0 ) - sqrtF0 );
+	vec4 relativeIOR = filmIOR / baseIOR;
+	vec4 cosTheta3 = sqrt( max( vec4( 1.0 ) - relativeIOR * relativeIOR * ( 1.0 - square( cosTheta2 ) ), vec4( 0.0 ) ) );
+
+	// Fresnel amplitude coefficients of both interfaces
+	float r12s = ( outsideIOR * cosTheta1 - filmIOR * cosTheta2 ) / ( outsideIOR * cosTheta1 + filmIOR * cosTheta2 );
+	float r12p = ( filmIOR * cosTheta1 - outsideIOR * cosTheta2 ) / ( filmIOR * cosTheta1 + outsideIOR * cosTheta2 );
+	vec4 r23s = ( filmIOR * cosTheta2 - baseIOR * cosTheta3 ) / ( filmIOR * cosTheta2 + baseIOR * cosTheta3 );
+	vec4 r23p = ( baseIOR * cosTheta2 - filmIOR * cosTheta3 ) / ( baseIOR * cosTheta2 + filmIOR * cosTheta3 );
+
+	// Phase difference of a round trip through the film
+	vec4 cosPhase = cos( 2.0 * TWO_PI * filmIOR * thinFilmThickness * cosTheta2 / pathWavelengths );
+
+	vec4 Rs = ( r12s * r12s + r23s * r23s + 2.0 * r12s * r23s * cosPhase ) /
+		( 1.0 + r12s * r12s * r23s * r23s + 2.0 * r12s * r23s * cosPhase );
+	vec4 Rp = ( r12p * r12p + r23p * r23p + 2.0 * r12p * r23p * cosPhase ) /
+		( 1.0 + r12p * r12p * r23p * r23p + 2.0 * r12p * r23p * cosPhase );
+
+	return spectrumToRGB( clamp( 0.5 * ( Rs + Rp ), 0.0, 1.0 ) );
+}
+
 vec3 evalIridescence( float outsideIOR, float eta2, float cosTheta1, float thinFilmThickness, vec3 baseF0 ) {
     // Force iridescenceIor -> outsideIOR when thinFilmThickness -> 0.0
 	float iridescenceIor = mix( outsideIOR, eta2, smoothstep( 0.0, 0.03, thinFilmThickness ) );
@@ -307,6 +411,10 @@ vec3 evalIridescence( float outsideIOR, float eta2, float cosTheta1, float thinF
 
 	float cosTheta2 = sqrt( cosTheta2Sq );
 
+	if( spectralRendering ) {
+		return evalIridescenceSpectral( outsideIOR, iridescenceIor, cosTheta1, cosTheta2, thinFilmThickness, baseF0 );
+	}
+
     // First interface
 	float R0 = iorToFresnel0( iridescenceIor, outsideIOR );
 	float R12 = fresnelSchlick( cosTheta1, R0 );
@@ -366,13 +474,14 @@ vec3 evaluateMaterialResponse( vec3 V, vec3 L, vec3 N, RayTracingMaterial materi
 		F0 = mix( F0, iridescenceFresnel, material.iridescence );
 	}
 
-    // Precalculate shared terms
-	float D = DistributionGGX( dots.NoH, material.roughness );
-	float G = GeometrySmith( dots.NoV, dots.NoL, material.roughness );
+    // Precalculate shared terms, anisotropic materials stretch the lobe along their direction
+	float DG = material.anisotropy > 0.0
+		? anisotropicSpecularDG( V, L, N, material )
+		: DistributionGGX( dots.NoH, material.roughness ) * GeometrySmith( dots.NoV, dots.NoL, material.roughness );
 	vec3 F = fresnelSchlick( dots.VoH, F0 );
 
     // Combined specular calculation
-	vec3 specular = ( D * G * F ) / ( 4.0 * dots.NoV * dots.NoL );
+	vec3 specular = ( DG * F ) / ( 4.0 * dots.NoV * dots.NoL ) + evaluateMultiscatterGGX( dots.NoV, dots.NoL, material.roughness, F0 );
 	vec3 kD = ( vec3( 1.0 ) - F ) * ( 1.0 - material.metalness );
 	vec3 diffuse = kD * material.color.rgb * PI_INV;
 
@@ -484,9 +593,10 @@ vec3 evaluateMaterialResponseCached( vec3 V, vec3 L, vec3 N, RayTracingMaterial
 	float ggx1 = NoL / ( NoL * ( 1.0 - cache.k ) + cache.k );
 	float ggx2 = cache.NoV / ( cache.NoV * ( 1.0 - cache.k ) + cache.k );
 	float G = ggx1 * ggx2;
+	float DG = material.anisotropy > 0.0 ? anisotropicSpecularDG( V, L, N, material ) : D * G;
 
 	vec3 F = fresnelSchlick( VoH, F0 );
-	vec3 specular = ( D * G * F ) / ( 4.0 * cache.NoV * NoL );
+	vec3 specular = ( DG * F ) / ( 4.0 * cache.NoV * NoL ) + evaluateMultiscatterGGX( cache.NoV, NoL, material.roughness, F0 );
 
 	vec3 kD = ( vec3( 1.0 ) - F ) * ( 1.0 - material.metalness );
 	vec3 diffuse = kD * material.color.rgb * PI_INV;
@@ -526,4 +636,29 @@ vec3 cosineWeightedSample( vec3 N, vec2 xi ) {
 
 float cosineWeightedPDF( float NoL ) {
 	return max( NoL, MIN_PDF ) * PI_INV;
-}
\ No newline at end of file
+}
+
+// White Lambertian stand-in for surfaces whose color is accounted for elsewhere (subsurface exits, shadow catchers)
+RayTracingMaterial getWhiteDiffuseMaterial( RayTracingMaterial material ) {
+	RayTracingMaterial diffuseMaterial = material;
+	diffuseMaterial.color = vec4( 1.0 );
+	diffuseMaterial.emissiveIntensity = 0.0;
+	diffuseMaterial.roughness = 1.0;
+	diffuseMaterial.metalness = 0.0;
+	diffuseMaterial.transmission = 0.0;
+	diffuseMaterial.clearcoat = 0.0;
+	diffuseMaterial.sheen = 0.0;
+	diffuseMaterial.iridescence = 0.0;
+	diffuseMaterial.specularIntensity = 0.0;
+	return diffuseMaterial;
+}
+
+// Only the specular layer of a material, a metal colored with the original F0 has no diffuse lobe
+RayTracingMaterial getSpecularLayerMaterial( RayTracingMaterial material ) {
+	RayTracingMaterial specularMaterial = material;
+	specularMaterial.color.rgb = mix( vec3( 0.04 ) * material.specularColor, material.color.rgb, material.metalness ) * material.specularIntensity;
+	specularMaterial.metalness = 1.0;
+	specularMaterial.specularIntensity = 1.0;
+	specularMaterial.subsurface = 0.0;
+	return specularMaterial;
+}
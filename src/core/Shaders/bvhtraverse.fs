@@ -1,10 +1,29 @@
 uniform sampler2D triangleTexture;
 uniform sampler2D materialTexture;
 uniform sampler2D bvhTexture;
+uniform sampler2D tlasTexture;
+uniform sampler2D instanceTexture;
 
 uniform ivec2 triangleTexSize;
 uniform ivec2 materialTexSize;
 uniform ivec2 bvhTexSize;
+uniform ivec2 tlasTexSize;
+uniform ivec2 instanceTexSize;
+
+// Number of vec4 slots per material in the material texture
+const int MATERIAL_SLOTS = 56;
+// Slots read for every hit, the transforms of the extension maps after them are read when sampled
+const int MATERIAL_PROPERTY_SLOTS = 32;
+const int EXTENSION_MAP_TRANSFORM_SLOT = 32;
+
+// Number of vec4 slots per triangle in the triangle texture, the tangents are packed in the w of the positions and normals
+const int TRIANGLE_SLOTS = 8;
+
+// Number of vec4 slots per instance in the instance texture, the last six hold the motion
+const int INSTANCE_SLOTS = 14;
+
+// Point in the shutter interval of the current path, 0 is shutter open and 1 shutter close
+float rayTime = 0.0;
 
 struct BVHNode {
 	vec3 boundsMin;
@@ -15,15 +34,26 @@ struct BVHNode {
 	vec2 padding;
 };
 
+// Mesh instance referencing a bottom-level BVH built in object space, geometry shared
+// between meshes or InstancedMesh copies is stored once and referenced by every instance
+struct Instance {
+	mat4 worldToObject;
+	mat4 objectToWorld;
+	int blasRoot;
+	int materialIndex; // Overrides the triangle material when >= 0
+	vec3 color; // InstancedMesh instance color
+};
+
 vec4 getDatafromDataTexture( sampler2D tex, ivec2 texSize, int stride, int sampleIndex, int dataOffset ) {
 	int pixelIndex = stride * dataOffset + sampleIndex;
 	return texelFetch( tex, ivec2( pixelIndex % texSize.x, pixelIndex / texSize.x ), 0 );
 }
 
-BVHNode getBVHNode( int index ) {
+// Bottom-level and top-level nodes share the same layout, top-level leaves store an instance index
+BVHNode readBVHNode( sampler2D tex, ivec2 texSize, int index ) {
 	vec4 data[ 3 ];
 	for( int i = 0; i < 3; i ++ ) {
-		data[ i ] = getDatafromDataTexture( bvhTexture, bvhTexSize, index, i, 3 );
+		data[ i ] = getDatafromDataTexture( tex, texSize, index, i, 3 );
 	}
 
 	BVHNode node;
@@ -36,6 +66,86 @@ BVHNode getBVHNode( int index ) {
 	return node;
 }
 
+BVHNode getBVHNode( int index ) {
+	return readBVHNode( bvhTexture, bvhTexSize, index );
+}
+
+BVHNode getTLASNode( int index ) {
+	return readBVHNode( tlasTexture, tlasTexSize, index );
+}
+
+vec4 slerpQuaternion( vec4 a, vec4 b, float t ) {
+	float cosTheta = dot( a, b );
+
+	// Take the short way around
+	if( cosTheta < 0.0 ) {
+		b = - b;
+		cosTheta = - cosTheta;
+	}
+
+	if( cosTheta > 0.9995 ) {
+		return normalize( mix( a, b, t ) );
+	}
+
+	float theta = acos( cosTheta );
+	return ( sin( ( 1.0 - t ) * theta ) * a + sin( t * theta ) * b ) / sin( theta );
+}
+
+mat3 quaternionToMat3( vec4 q ) {
+	vec3 q2 = q.xyz * 2.0;
+	vec3 qq = q.xyz * q2;
+	float xy = q.x * q2.y;
+	float xz = q.x * q2.z;
+	float yz = q.y * q2.z;
+	vec3 w = q.w * q2;
+
+	return mat3(
+		1.0 - qq.y - qq.z, xy + w.z, xz - w.y,
+		xy - w.z, 1.0 - qq.x - qq.z, yz + w.x,
+		xz + w.y, yz - w.x, 1.0 - qq.x - qq.y
+	);
+}
+
+Instance getInstance( int index ) {
+	vec4 data[ 8 ];
+	for( int i = 0; i < 8; i ++ ) {
+		data[ i ] = getDatafromDataTexture( instanceTexture, instanceTexSize, index, i, INSTANCE_SLOTS );
+	}
+
+	// Transforms are stored as their three affine rows
+	Instance instance;
+	instance.worldToObject = transpose( mat4( data[ 0 ], data[ 1 ], data[ 2 ], vec4( 0.0, 0.0, 0.0, 1.0 ) ) );
+	instance.objectToWorld = transpose( mat4( data[ 3 ], data[ 4 ], data[ 5 ], vec4( 0.0, 0.0, 0.0, 1.0 ) ) );
+	instance.blasRoot = int( data[ 6 ].x );
+	instance.materialIndex = int( data[ 6 ].y );
+	instance.color = data[ 7 ].rgb;
+
+	// A moving instance is posed at the time of the path. Position and scale are interpolated linearly and
+	// rotation on the quaternion sphere, so spinning parts keep their shape (up to half a turn per shutter).
+	if( data[ 6 ].z > 0.5 ) {
+		vec4 motion[ 6 ];
+		for( int i = 0; i < 6; i ++ ) {
+			motion[ i ] = getDatafromDataTexture( instanceTexture, instanceTexSize, index, 8 + i, INSTANCE_SLOTS );
+		}
+
+		vec3 position = mix( motion[ 0 ].xyz, motion[ 3 ].xyz, rayTime );
+		mat3 rotation = quaternionToMat3( slerpQuaternion( motion[ 1 ], motion[ 4 ], rayTime ) );
+		vec3 scale = mix( motion[ 2 ].xyz, motion[ 5 ].xyz, rayTime );
+
+		mat3 linear = mat3( rotation[ 0 ] * scale.x, rotation[ 1 ] * scale.y, rotation[ 2 ] * scale.z );
+		mat3 inverseLinear = transpose( mat3( rotation[ 0 ] / scale.x, rotation[ 1 ] / scale.y, rotation[ 2 ] / scale.z ) );
+
+		instance.objectToWorld = mat4( vec4( linear[ 0 ], 0.0 ), vec4( linear[ 1 ], 0.0 ), vec4( linear[ 2 ], 0.0 ), vec4( position, 1.0 ) );
+		instance.worldToObject = mat4( vec4( inverseLinear[ 0 ], 0.0 ), vec4( inverseLinear[ 1 ], 0.0 ), vec4( inverseLinear[ 2 ], 0.0 ), vec4( - ( inverseLinear * position ), 1.0 ) );
+	}
+
+	return instance;
+}
+
+vec3 instanceNormalToWorld( Instance instance, vec3 normal ) {
+	return normalize( transpose( mat3( instance.worldToObject ) ) * normal );
+}
+
 mat3 arrayToMat3( vec4 data1, vec4 data2 ) {
 	return mat3( data1.xyz, vec3( data1.w, data2.xy ), vec3( data2.zw, 1.0 ) );
 }
@@ -43,9 +153,9 @@ mat3 arrayToMat3( vec4 data1, vec4 data2 ) {
 RayTracingMaterial getMaterial( int materialIndex ) {
 	RayTracingMaterial material;
 
-	vec4 data[ 24 ];
-	for( int i = 0; i < 24; i ++ ) {
-		data[ i ] = getDatafromDataTexture( materialTexture, materialTexSize, materialIndex, i, 24 );
+	vec4 data[ MATERIAL_PROPERTY_SLOTS ];
+	for( int i = 0; i < MATERIAL_PROPERTY_SLOTS; i ++ ) {
+		data[ i ] = getDatafromDataTexture( materialTexture, materialTexSize, materialIndex, i, MATERIAL_SLOTS );
 	}
 
 	material.color = vec4( data[ 0 ].rgb, 1.0 );
@@ -101,13 +211,44 @@ RayTracingMaterial getMaterial( int materialIndex ) {
 	material.emissiveTransform = arrayToMat3( data[ 20 ], data[ 21 ] );
 	material.bumpTransform = arrayToMat3( data[ 22 ], data[ 23 ] );
 
+	material.multiscatterColor = data[ 24 ].rgb;
+	material.scatterAnisotropy = data[ 24 ].a;
+
+	material.subsurfaceColor = data[ 25 ].rgb;
+	material.subsurface = data[ 25 ].a;
+	material.subsurfaceRadius = data[ 26 ].rgb * data[ 26 ].a;
+
+	material.shadowCatcher = bool( data[ 27 ].r );
+	material.clearcoatNormalScale = data[ 27 ].gb;
+
+	material.transmissionMapIndex = int( data[ 28 ].r );
+	material.thicknessMapIndex = int( data[ 28 ].g );
+	material.clearcoatMapIndex = int( data[ 28 ].b );
+	material.clearcoatRoughnessMapIndex = int( data[ 28 ].a );
+
+	material.clearcoatNormalMapIndex = int( data[ 29 ].r );
+	material.sheenColorMapIndex = int( data[ 29 ].g );
+	material.sheenRoughnessMapIndex = int( data[ 29 ].b );
+	material.specularIntensityMapIndex = int( data[ 29 ].a );
+
+	material.specularColorMapIndex = int( data[ 30 ].r );
+	material.iridescenceMapIndex = int( data[ 30 ].g );
+	material.iridescenceThicknessMapIndex = int( data[ 30 ].b );
+
+	material.anisotropy = data[ 31 ].r;
+	material.anisotropyRotation = data[ 31 ].g;
+	material.anisotropyMapIndex = int( data[ 31 ].b );
+
+	material.clearcoatNormal = vec3( 0.0 );
+	material.anisotropyDirection = vec3( 0.0 );
+
 	return material;
 }
 
 Triangle getTriangle( int triangleIndex ) {
 	vec4 data[ 8 ];
 	for( int i = 0; i < 8; i ++ ) {
-		data[ i ] = getDatafromDataTexture( triangleTexture, triangleTexSize, triangleIndex, i, 8 );
+		data[ i ] = getDatafromDataTexture( triangleTexture, triangleTexSize, triangleIndex, i, TRIANGLE_SLOTS );
 	}
 
 	Triangle tri;
@@ -125,16 +266,60 @@ Triangle getTriangle( int triangleIndex ) {
 	return tri;
 }
 
+// Inverse of GeometryExtractor.packTangent: octahedral direction, the first float is 1..2 signed by the handedness
+vec4 unpackTangent( float packedU, float packedV ) {
+	if( abs( packedU ) < 0.5 ) {
+		return vec4( 0.0, 0.0, 0.0, 1.0 );
+	}
+
+	vec3 tangent = vec3( ( abs( packedU ) - 1.5 ) * 2.0, packedV, 0.0 );
+	tangent.z = 1.0 - abs( tangent.x ) - abs( tangent.y );
+	if( tangent.z < 0.0 ) {
+		tangent.xy = ( 1.0 - abs( tangent.yx ) ) * vec2( tangent.x >= 0.0 ? 1.0 : - 1.0, tangent.y >= 0.0 ? 1.0 : - 1.0 );
+	}
+
+	return vec4( normalize( tangent ), sign( packedU ) );
+}
+
+// Tangent interpolated over the triangle. Only decoded for the closest hit since traversal never needs it.
+vec4 getTriangleTangent( int triangleIndex, vec2 barycentrics ) {
+	float packed[ 6 ];
+	for( int i = 0; i < 6; i ++ ) {
+		packed[ i ] = getDatafromDataTexture( triangleTexture, triangleTexSize, triangleIndex, i, TRIANGLE_SLOTS ).w;
+	}
+
+	vec4 tangentA = unpackTangent( packed[ 0 ], packed[ 1 ] );
+	vec4 tangentB = unpackTangent( packed[ 2 ], packed[ 3 ] );
+	vec4 tangentC = unpackTangent( packed[ 4 ], packed[ 5 ] );
+	vec3 tangent = ( 1.0 - barycentrics.x - barycentrics.y ) * tangentA.xyz + barycentrics.x * tangentB.xyz + barycentrics.y * tangentC.xyz;
+	return vec4( tangent, tangentA.w );
+}
+
+// Triangle moved into world space by the transform of the instance it belongs to
+Triangle getInstanceTriangle( int triangleIndex, int instanceIndex ) {
+	Triangle tri = getTriangle( triangleIndex );
+	Instance instance = getInstance( instanceIndex );
+
+	tri.posA = ( instance.objectToWorld * vec4( tri.posA, 1.0 ) ).xyz;
+	tri.posB = ( instance.objectToWorld * vec4( tri.posB, 1.0 ) ).xyz;
+	tri.posC = ( instance.objectToWorld * vec4( tri.posC, 1.0 ) ).xyz;
+	tri.normalA = instanceNormalToWorld( instance, tri.normalA );
+	tri.normalB = instanceNormalToWorld( instance, tri.normalB );
+	tri.normalC = instanceNormalToWorld( instance, tri.normalC );
+	tri.materialIndex = instance.materialIndex >= 0 ? instance.materialIndex : tri.materialIndex;
+	return tri;
+}
+
 bool isMaterialVisible( int materialIndex, vec3 rayDirection, vec3 normal ) {
 	// Only fetch the data we need for visibility check
-	vec4 visibilityData = getDatafromDataTexture( materialTexture, materialTexSize, materialIndex, 4, 24 );
+	vec4 visibilityData = getDatafromDataTexture( materialTexture, materialTexSize, materialIndex, 4, MATERIAL_SLOTS );
 
 	if( ! bool( visibilityData.g ) )
 		return false;
 
 	// Check side visibility
 	float rayDotNormal = dot( rayDirection, normal );
-	vec4 sideData = getDatafromDataTexture( materialTexture, materialTexSize, materialIndex, 10, 24 );
+	vec4 sideData = getDatafromDataTexture( materialTexture, materialTexSize, materialIndex, 10, MATERIAL_SLOTS );
 	int side = int( sideData.g );
 
 	return ( side == 2 || // DoubleSide - most common case first
@@ -143,23 +328,17 @@ bool isMaterialVisible( int materialIndex, vec3 rayDirection, vec3 normal ) {
 	);
 }
 
-// Modified traverseBVH function
-HitInfo traverseBVH( Ray ray, inout ivec2 stats ) {
-	HitInfo closestHit;
-	closestHit.didHit = false;
-	closestHit.dst = 1e20;
-	closestHit.materialIndex = - 1; // Initialize material index
-
+// Closest hit in one instance's bottom-level BVH, the ray is in the instance's object space
+void traverseBLAS( Ray ray, Instance instance, int instanceIndex, inout HitInfo closestHit, inout ivec2 stats ) {
 	// Reduced stack size - most scenes don't need 32 levels
 	int stack[ 24 ];
 	int stackPtr = 0;
-	stack[ stackPtr ++ ] = 0; // Root node
+	stack[ stackPtr ++ ] = instance.blasRoot;
 
 	// Precompute inverse direction and handle edge cases
 	vec3 invDir = 1.0 / max( abs( ray.direction ), vec3( 1e-8 ) ) * sign( ray.direction );
 
 	// Cache ray properties to reduce redundant calculations
-	vec3 rayOrigin = ray.origin;
 	vec3 rayDirection = ray.direction;
 
 	while( stackPtr > 0 ) {
@@ -179,10 +358,14 @@ HitInfo traverseBVH( Ray ray, inout ivec2 stats ) {
 				HitInfo hit = RayTriangle( ray, tri );
 
 				if( hit.didHit && hit.dst < closestHit.dst ) {
-					// Check visibility without loading full material
-					if( isMaterialVisible( tri.materialIndex, rayDirection, hit.normal ) ) {
+					int materialIndex = instance.materialIndex >= 0 ? instance.materialIndex : tri.materialIndex;
+
+					// Check visibility without loading full material, the facing sign is the same in object space
+					if( isMaterialVisible( materialIndex, rayDirection, hit.normal ) ) {
 						closestHit = hit;
-						closestHit.materialIndex = tri.materialIndex; // Store material index
+						closestHit.materialIndex = materialIndex; // Store material index
+						closestHit.triangleIndex = triStart + i;
+						closestHit.instanceIndex = instanceIndex;
 
 						// Early termination for very close hits
 						if( hit.dst < 0.001 ) {
@@ -233,16 +416,282 @@ HitInfo traverseBVH( Ray ray, inout ivec2 stats ) {
 			stack[ stackPtr ++ ] = nearChild;
 		}
 	}
+}
+
+// Two-level traversal: top-level BVH over instance world bounds, then each instance's BVH in object space
+HitInfo traverseBVH( Ray ray, inout ivec2 stats ) {
+	HitInfo closestHit;
+	closestHit.didHit = false;
+	closestHit.dst = 1e20;
+	closestHit.materialIndex = - 1; // Initialize material index
+	closestHit.triangleIndex = - 1;
+	closestHit.instanceIndex = - 1;
+
+	int stack[ 24 ];
+	int stackPtr = 0;
+	stack[ stackPtr ++ ] = 0; // Root node
+
+	vec3 invDir = 1.0 / max( abs( ray.direction ), vec3( 1e-8 ) ) * sign( ray.direction );
+
+	while( stackPtr > 0 ) {
+		int nodeIndex = stack[ -- stackPtr ];
+		BVHNode node = getTLASNode( nodeIndex );
+		stats[ 0 ] ++;
+
+		if( node.leftChild < 0 ) { // Instance leaf
+			int instanceIndex = node.triOffset.x;
+			Instance instance = getInstance( instanceIndex );
+
+			// The direction is not renormalized so hit distances stay in world units
+			Ray localRay;
+			localRay.origin = ( instance.worldToObject * vec4( ray.origin, 1.0 ) ).xyz;
+			localRay.direction = mat3( instance.worldToObject ) * ray.direction;
+			traverseBLAS( localRay, instance, instanceIndex, closestHit, stats );
 
-	// Load full material data only for the closest hit
-	if( closestHit.didHit && closestHit.materialIndex >= 0 ) {
-		closestHit.material = getMaterial( closestHit.materialIndex );
+			if( closestHit.didHit && closestHit.dst < 0.001 ) {
+				break;
+			}
+
+			continue;
+		}
+
+		int leftChild = node.leftChild;
+		int rightChild = node.rightChild;
+
+		BVHNode childA = getTLASNode( leftChild );
+		BVHNode childB = getTLASNode( rightChild );
+
+		float dstA = fastRayAABBDst( ray, invDir, childA.boundsMin, childA.boundsMax );
+		float dstB = fastRayAABBDst( ray, invDir, childB.boundsMin, childB.boundsMax );
+
+		if( min( dstA, dstB ) >= closestHit.dst )
+			continue;
+
+		bool aCloser = dstA < dstB;
+		int nearChild = aCloser ? leftChild : rightChild;
+		int farChild = aCloser ? rightChild : leftChild;
+		float nearDst = aCloser ? dstA : dstB;
+		float farDst = aCloser ? dstB : dstA;
+
+		if( farDst < closestHit.dst ) {
+			stack[ stackPtr ++ ] = farChild;
+		}
+
+		if( nearDst < closestHit.dst ) {
+			stack[ stackPtr ++ ] = nearChild;
+		}
+	}
+
+	if( closestHit.didHit ) {
+		// Bring the object space hit back to world space
+		Instance instance = getInstance( closestHit.instanceIndex );
+		closestHit.hitPoint = ray.origin + closestHit.dst * ray.direction;
+		closestHit.normal = instanceNormalToWorld( instance, closestHit.normal );
+
+		// Load full material data only for the closest hit
+		if( closestHit.materialIndex >= 0 ) {
+			closestHit.material = getMaterial( closestHit.materialIndex );
+			closestHit.material.color.rgb *= instance.color;
+
+			closestHit.tangent = vec4( 0.0, 0.0, 0.0, 1.0 );
+			if( closestHit.material.anisotropy > 0.0 ) {
+				vec4 tangent = getTriangleTangent( closestHit.triangleIndex, closestHit.barycentrics );
+				closestHit.tangent = vec4( mat3( instance.objectToWorld ) * tangent.xyz, tangent.w );
+			}
+		}
 	}
 
 	return closestHit;
 }
 
-Ray generateRayFromCamera( vec2 screenPosition, inout uint rngState ) {
+// Camera transform at the time of the path, the camera motion over the shutter is a rigid transform
+// applied on top of the camera at shutter open
+mat4 cameraMatrix;
+
+mat4 getCameraMatrixAtTime( float time ) {
+	if( ! motionBlur ) {
+		return cameraWorldMatrix;
+	}
+
+	mat3 rotation = quaternionToMat3( slerpQuaternion( vec4( 0.0, 0.0, 0.0, 1.0 ), cameraMotionRotation, time ) );
+	mat4 motion = mat4( vec4( rotation[ 0 ], 0.0 ), vec4( rotation[ 1 ], 0.0 ), vec4( rotation[ 2 ], 0.0 ), vec4( cameraMotionPosition * time, 1.0 ) );
+	return motion * cameraWorldMatrix;
+}
+
+// Parallel rays along the view direction from the camera plane, sized by the orthographic half height
+Ray generateOrthographicRay( vec2 screenPosition ) {
+	vec3 right = normalize( cameraMatrix[ 0 ].xyz );
+	vec3 up = normalize( cameraMatrix[ 1 ].xyz );
+	vec3 forward = normalize( - cameraMatrix[ 2 ].xyz );
+
+	vec2 offset = screenPosition * vec2( resolution.x / resolution.y, 1.0 ) * orthographicSize;
+	return Ray( vec3( cameraMatrix[ 3 ] ) + right * offset.x + up * offset.y, forward );
+}
+
+// Panoramas stay level with the horizon, only the heading of the camera turns them
+mat3 getPanoramaBasis( ) {
+	vec3 forward = - cameraMatrix[ 2 ].xyz;
+	forward.y = 0.0;
+	forward = dot( forward, forward ) > 1e-8 ? normalize( forward ) : normalize( vec3( cameraMatrix[ 1 ].x, 0.0, cameraMatrix[ 1 ].z ) + vec3( 0.0, 0.0, - 1e-4 ) );
+	vec3 right = vec3( - forward.z, 0.0, forward.x );
+	return mat3( right, vec3( 0.0, 1.0, 0.0 ), - forward );
+}
+
+// Longitude runs across the image with the camera heading in the middle, latitude from bottom to top.
+// Stereo panoramas are stacked with the left eye on top, each eye sits on a circle of the eye separation
+// and looks along its tangent (omni-directional stereo).
+Ray generateEquirectangularRay( vec2 screenPosition ) {
+	vec2 uv = clamp( screenPosition * 0.5 + 0.5, 0.0, 1.0 );
+
+	float eye = 0.0;
+	if( cameraProjection == CAMERA_PROJECTION_EQUIRECTANGULAR_STEREO ) {
+		// The eye comes from the pixel so that jittered samples stay in its half
+		bool leftEye = gl_FragCoord.y >= resolution.y * 0.5;
+		eye = leftEye ? - 1.0 : 1.0;
+		uv.y = clamp( leftEye ? uv.y * 2.0 - 1.0 : uv.y * 2.0, 0.0, 1.0 );
+	}
+
+	float longitude = ( uv.x - 0.5 ) * TWO_PI;
+	float latitude = ( uv.y - 0.5 ) * PI;
+	vec3 direction = vec3( sin( longitude ) * cos( latitude ), sin( latitude ), - cos( longitude ) * cos( latitude ) );
+	vec3 eyeOffset = vec3( cos( longitude ), 0.0, sin( longitude ) ) * eye * 0.5 * stereoEyeSeparation;
+
+	mat3 basis = getPanoramaBasis( );
+	return Ray( vec3( cameraMatrix[ 3 ] ) + basis * eyeOffset, normalize( basis * direction ) );
+}
+
+// Six faces in a 3 x 2 grid, +X -X +Y on the top row and -Y +Z -Z below. Faces follow the world axes and
+// the cube map orientation convention so the image can be used as an environment probe.
+Ray generateCubemapRay( vec2 screenPosition ) {
+	// The face comes from the pixel so that jittered samples stay on it
+	vec2 cell = min( floor( gl_FragCoord.xy / resolution * vec2( 3.0, 2.0 ) ), vec2( 2.0, 1.0 ) );
+	int face = int( cell.x ) + ( 1 - int( cell.y ) ) * 3;
+
+	// Face coordinates with t running down the face
+	vec2 faceUV = clamp( ( screenPosition * 0.5 + 0.5 ) * vec2( 3.0, 2.0 ) - cell, 0.0, 1.0 );
+	float s = faceUV.x * 2.0 - 1.0;
+	float t = 1.0 - faceUV.y * 2.0;
+
+	vec3 direction;
+	if( face == 0 ) direction = vec3( 1.0, - t, - s );
+	else if( face == 1 ) direction = vec3( - 1.0, - t, s );
+	else if( face == 2 ) direction = vec3( s, 1.0, t );
+	else if( face == 3 ) direction = vec3( s, - 1.0, - t );
+	else if( face == 4 ) direction = vec3( s, - t, 1.0 );
+	else direction = vec3( - s, - t, - 1.0 );
+
+	return Ray( vec3( cameraMatrix[ 3 ] ), normalize( direction ) );
+}
+
+// Whether a point of the unit square around the lens lies inside the aperture blades. Bokeh images are
+// importance sampled, so only the blades are tested here.
+bool isInsideApertureShape( vec2 point ) {
+	if( useBokehTexture ) {
+		return true;
+	}
+
+	float c = cos( apertureRotation );
+	float s = sin( apertureRotation );
+	vec2 local = mat2( c, - s, s, c ) * point;
+
+	if( length( local ) > 1.0 ) {
+		return false;
+	}
+
+	if( apertureBlades >= 3 ) {
+		// Distance to the edge of a regular polygon with a vertex on the x axis, curved blades bulge
+		// towards the circumscribed circle
+		float sector = TWO_PI / float( apertureBlades );
+		float angle = mod( atan( local.y, local.x ), sector ) - 0.5 * sector;
+		float edge = cos( 0.5 * sector ) / cos( angle );
+		return length( local ) <= mix( edge, 1.0, bladeCurvature );
+	}
+
+	return true;
+}
+
+// Point of the aperture image drawn in proportion to its transmission. The g channel of a texel holds
+// the CDF over x within its row, a the CDF over the rows (see createBokehTexture).
+vec2 sampleBokehImage( inout uint rngState ) {
+	ivec2 size = textureSize( bokehTexture, 0 );
+	vec2 xi = vec2( RandomValue( rngState ), RandomValue( rngState ) );
+
+	// Row from the marginal CDF
+	int left = 0;
+	int right = size.y - 1;
+	for( int i = 0; i < 8; i ++ ) {
+		if( left >= right )
+			break;
+		int mid = ( left + right ) / 2;
+		if( xi.y <= texelFetch( bokehTexture, ivec2( 0, mid ), 0 ).a ) {
+			right = mid;
+		} else {
+			left = mid + 1;
+		}
+	}
+	int row = left;
+	float rowStart = row > 0 ? texelFetch( bokehTexture, ivec2( 0, row - 1 ), 0 ).a : 0.0;
+	float rowEnd = texelFetch( bokehTexture, ivec2( 0, row ), 0 ).a;
+
+	// Column from the conditional CDF of the row
+	left = 0;
+	right = size.x - 1;
+	for( int i = 0; i < 8; i ++ ) {
+		if( left >= right )
+			break;
+		int mid = ( left + right ) / 2;
+		if( xi.x <= texelFetch( bokehTexture, ivec2( mid, row ), 0 ).g ) {
+			right = mid;
+		} else {
+			left = mid + 1;
+		}
+	}
+	int column = left;
+	float columnStart = column > 0 ? texelFetch( bokehTexture, ivec2( column - 1, row ), 0 ).g : 0.0;
+	float columnEnd = texelFetch( bokehTexture, ivec2( column, row ), 0 ).g;
+
+	// Reuse the position of the random numbers inside their CDF step to place the point in the texel
+	vec2 offset = clamp( vec2( ( xi.x - columnStart ) / max( columnEnd - columnStart, 1e-6 ), ( xi.y - rowStart ) / max( rowEnd - rowStart, 1e-6 ) ), 0.0, 1.0 );
+	vec2 local = ( vec2( column, row ) + offset ) / vec2( size ) * 2.0 - 1.0;
+
+	// The image turns with the aperture rotation
+	float c = cos( apertureRotation );
+	float s = sin( apertureRotation );
+	return mat2( c, s, - s, c ) * local;
+}
+
+// Point on the aperture in units of its radius. Bokeh images are drawn through their CDF and the blades by
+// rejection, so every open part of the aperture is equally likely and the bokeh is evenly lit.
+// False when no point inside the blades was found.
+bool sampleAperture( inout uint rngState, out vec2 point ) {
+	for( int i = 0; i < MAX_APERTURE_SAMPLE_TRIES; i ++ ) {
+		point = useBokehTexture ? sampleBokehImage( rngState ) : RandomPointInCircle( rngState );
+		if( isInsideApertureShape( point ) ) {
+			return true;
+		}
+	}
+
+	point = vec2( 0.0 );
+	return false;
+}
+
+// The weight is the lens vignetting of the ray, the image darkens with cos^4 of the angle to the optical axis
+// and off axis the lens barrel clips the aperture into a cat's eye. Valid is false when no aperture point was found.
+Ray generateRayFromCamera( vec2 screenPosition, inout uint rngState, out float weight, out bool valid ) {
+	weight = 1.0;
+	valid = true;
+	cameraMatrix = getCameraMatrixAtTime( rayTime );
+
+	if( cameraProjection == CAMERA_PROJECTION_ORTHOGRAPHIC ) {
+		return generateOrthographicRay( screenPosition );
+	}
+	if( cameraProjection == CAMERA_PROJECTION_EQUIRECTANGULAR || cameraProjection == CAMERA_PROJECTION_EQUIRECTANGULAR_STEREO ) {
+		return generateEquirectangularRay( screenPosition );
+	}
+	if( cameraProjection == CAMERA_PROJECTION_CUBEMAP ) {
+		return generateCubemapRay( screenPosition );
+	}
+
     // Convert screen position to NDC (Normalized Device Coordinates)
 	vec3 ndcPos = vec3( screenPosition.xy, 1.0 );
 
@@ -250,8 +699,12 @@ Ray generateRayFromCamera( vec2 screenPosition, inout uint rngState ) {
 	vec4 rayDirCS = cameraProjectionMatrixInverse * vec4( ndcPos, 1.0 );
 
 	// Convert to world space
-	vec3 rayDirectionWorld = normalize( mat3( cameraWorldMatrix ) * ( rayDirCS.xyz / rayDirCS.w ) );
-	vec3 rayOriginWorld = vec3( cameraWorldMatrix[ 3 ] );
+	vec3 rayDirectionWorld = normalize( mat3( cameraMatrix ) * ( rayDirCS.xyz / rayDirCS.w ) );
+	vec3 rayOriginWorld = vec3( cameraMatrix[ 3 ] );
+
+	float cosAxis = dot( rayDirectionWorld, normalize( - cameraMatrix[ 2 ].xyz ) );
+	float cos2Axis = cosAxis * cosAxis;
+	weight = mix( 1.0, cos2Axis * cos2Axis, vignetting );
 
 	// Disable depth of field if aperture is very small (pinhole) or focal length is 0
 	if( aperture >= 16.0 || focalLength <= 0.0 || focusDistance <= 0.001 ) {
@@ -269,13 +722,22 @@ Ray generateRayFromCamera( vec2 screenPosition, inout uint rngState ) {
 	// Scale by scene scale to maintain proper proportions
 	// apertureRadius *= 0.1; // Adjust this factor based on your scene scale
 
-	// Generate random point on aperture disk
-	vec2 randomPoint = RandomPointInCircle( rngState );
+	// Generate random point on the aperture, shaped by the blades or the bokeh image
+	vec2 randomPoint;
+	valid = sampleAperture( rngState, randomPoint );
+
+	// The barrel blocks the light through the part of the aperture outside of the cat's eye. A single trial
+	// weights that loss instead of resampling the point, so on average the frame edges darken smoothly.
+	if( catEye > 0.0 && length( randomPoint + screenPosition * catEye ) > 1.0 ) {
+		weight = 0.0;
+	}
+
+	// Anamorphic lenses squeeze the aperture horizontally, which stretches the bokeh vertically
+	randomPoint.x /= anamorphicRatio;
 
-	// Create camera coordinate system
-	vec3 forward = normalize( rayDirectionWorld );
-	vec3 right = normalize( cross( forward, vec3( 0.0, 1.0, 0.0 ) ) );
-	vec3 up = normalize( cross( right, forward ) );
+	// The aperture lies in the lens plane, so the bokeh shape turns with the camera
+	vec3 right = normalize( cameraMatrix[ 0 ].xyz );
+	vec3 up = normalize( cameraMatrix[ 1 ].xyz );
 
 	// Apply aperture offset
 	vec3 offset = ( right * randomPoint.x + up * randomPoint.y ) * apertureRadius;
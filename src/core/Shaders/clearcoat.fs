@@ -6,18 +6,19 @@ float calculateLayerAttenuation( float clearcoat, float VoH ) {
 	return ( 1.0 - clearcoat * F );
 }
 
-// Evaluate both clearcoat and base layer BRDFs
-vec3 evaluateLayeredBRDF( DotProducts dots, RayTracingMaterial material ) {
+// Evaluate both clearcoat and base layer BRDFs, the clearcoat with the dot products of its own normal
+vec3 evaluateLayeredBRDF( vec3 V, vec3 L, vec3 N, DotProducts dots, DotProducts clearcoatDots, RayTracingMaterial material ) {
 
     // Base F0 calculation with specular parameters
 	vec3 baseF0 = vec3( 0.04 );
 	vec3 F0 = mix( baseF0 * material.specularColor, material.color.rgb, material.metalness );
 	F0 *= material.specularIntensity;
 
-	float D = DistributionGGX( dots.NoH, material.roughness );
-	float G = GeometrySmith( dots.NoV, dots.NoL, material.roughness );
+	float DG = material.anisotropy > 0.0
+		? anisotropicSpecularDG( V, L, N, material )
+		: DistributionGGX( dots.NoH, material.roughness ) * GeometrySmith( dots.NoV, dots.NoL, material.roughness );
 	vec3 F = fresnelSchlick( dots.VoH, F0 );
-	vec3 baseBRDF = ( D * G * F ) / ( 4.0 * dots.NoV * dots.NoL );
+	vec3 baseBRDF = ( DG * F ) / ( 4.0 * dots.NoV * dots.NoL ) + evaluateMultiscatterGGX( dots.NoV, dots.NoL, material.roughness, F0 );
 
     // Fresnel masking for diffuse component
 	vec3 kD = ( vec3( 1.0 ) - F ) * ( 1.0 - material.metalness );
@@ -26,11 +27,12 @@ vec3 evaluateLayeredBRDF( DotProducts dots, RayTracingMaterial material ) {
 
     // Clearcoat layer
 	float clearcoatRoughness = max( material.clearcoatRoughness, 0.089 );
-	float clearcoatD = DistributionGGX( dots.NoH, clearcoatRoughness );
-	float clearcoatG = GeometrySmith( dots.NoV, dots.NoL, clearcoatRoughness );
-	float clearcoatF = fresnelSchlick( dots.VoH, 0.04 );
+	float clearcoatD = DistributionGGX( clearcoatDots.NoH, clearcoatRoughness );
+	float clearcoatG = GeometrySmith( clearcoatDots.NoV, clearcoatDots.NoL, clearcoatRoughness );
+	float clearcoatF = fresnelSchlick( clearcoatDots.VoH, 0.04 );
 	float clearcoatBRDF = ( clearcoatD * clearcoatG * clearcoatF ) /
-		( 4.0 * dots.NoV * dots.NoL );
+		( 4.0 * clearcoatDots.NoV * clearcoatDots.NoL ) +
+		evaluateMultiscatterGGX( clearcoatDots.NoV, clearcoatDots.NoL, clearcoatRoughness, vec3( 0.04 ) ).r;
 
     //  Energy conservation for clearcoat
 	float clearcoatAttenuation = 1.0 - material.clearcoat * clearcoatF;
@@ -43,6 +45,9 @@ vec3 sampleClearcoat( inout Ray ray, HitInfo hitInfo, RayTracingMaterial materia
 	vec3 N = hitInfo.normal;
 	vec3 V = - ray.direction;
 
+	// A clearcoat normal map tilts the coating independently of the base layer
+	vec3 clearcoatN = dot( material.clearcoatNormal, material.clearcoatNormal ) > 0.0 ? material.clearcoatNormal : N;
+
     // Clamp clearcoat roughness to avoid artifacts
 	float clearcoatRoughness = max( material.clearcoatRoughness, 0.089 );
 	float baseRoughness = max( material.roughness, 0.089 );
@@ -64,11 +69,16 @@ vec3 sampleClearcoat( inout Ray ray, HitInfo hitInfo, RayTracingMaterial materia
 
 	if( rand < clearcoatWeight ) {
         // Sample clearcoat layer
-		H = ImportanceSampleGGX( N, clearcoatRoughness, randomSample );
+		H = ImportanceSampleGGX( clearcoatN, clearcoatRoughness, randomSample );
 		L = reflect( - V, H );
 	} else if( rand < clearcoatWeight + specularWeight ) {
         // Sample base specular
-		H = ImportanceSampleGGX( N, baseRoughness, randomSample );
+		if( material.anisotropy > 0.0 ) {
+			mat3 anisotropicTBN = anisotropyTBN( N, material.anisotropyDirection );
+			H = anisotropicTBN * sampleGGXVNDF( transpose( anisotropicTBN ) * V, anisotropicAlpha( material.roughness, material.anisotropy ), randomSample );
+		} else {
+			H = ImportanceSampleGGX( N, baseRoughness, randomSample );
+		}
 		L = reflect( - V, H );
 	} else {
         // Sample diffuse
@@ -78,10 +88,13 @@ vec3 sampleClearcoat( inout Ray ray, HitInfo hitInfo, RayTracingMaterial materia
 
 	// Calculate dot products
 	DotProducts dots = computeDotProducts( N, V, L );
+	DotProducts clearcoatDots = computeDotProducts( clearcoatN, V, L );
 
     // Calculate individual PDFs
-	float clearcoatPDF = DistributionGGX( dots.NoH, clearcoatRoughness ) * dots.NoH / ( 4.0 * dots.VoH ) * clearcoatWeight;
-	float specularPDF = DistributionGGX( dots.NoH, baseRoughness ) * dots.NoH / ( 4.0 * dots.VoH ) * specularWeight;
+	float clearcoatPDF = DistributionGGX( clearcoatDots.NoH, clearcoatRoughness ) * clearcoatDots.NoH / ( 4.0 * clearcoatDots.VoH ) * clearcoatWeight;
+	float specularPDF = ( material.anisotropy > 0.0
+		? anisotropicGGXPDF( V, L, N, material )
+		: DistributionGGX( dots.NoH, baseRoughness ) * dots.NoH / ( 4.0 * dots.VoH ) ) * specularWeight;
 	float diffusePDF = dots.NoL / PI * diffuseWeight;
 
     // Combined PDF using MIS
@@ -89,5 +102,5 @@ vec3 sampleClearcoat( inout Ray ray, HitInfo hitInfo, RayTracingMaterial materia
 	pdf = max( pdf, 0.001 ); // Ensure PDF is never zero
 
     // Evaluate complete BRDF
-	return evaluateLayeredBRDF( dots, material );
+	return evaluateLayeredBRDF( V, L, N, dots, clearcoatDots, material );
 }
\ No newline at end of file
@@ -11,6 +11,11 @@ uniform bool useEnvMipMap;
 uniform float envSamplingBias;
 uniform int maxEnvSamplingBounce;
 
+uniform bool enableGroundProjection;
+uniform float groundProjectionHeight;  // Height of the environment capture point above the ground
+uniform float groundProjectionRadius;  // Radius of the dome the environment is projected onto
+uniform vec3 groundProjectionCenter;   // Point on the ground below the capture point
+
 // Structure to store sampling results
 struct EnvMapSample {
     vec3 direction;
@@ -63,6 +68,38 @@ vec4 sampleEnvironment( vec3 direction ) {
     return texSample;
 }
 
+// Direction to look the environment up in for a ray leaving origin. With ground projection the environment
+// is treated as a dome of groundProjectionRadius closed off by a ground plane, and the point the ray hits on
+// that proxy is looked up as seen from the capture point, so the lower hemisphere reads as a floor. Only the
+// lookup moves, sampling pdfs stay those of the environment map.
+vec3 getEnvironmentLookupDirection( vec3 origin, vec3 direction ) {
+    if( ! enableGroundProjection ) {
+        return direction;
+    }
+
+    vec3 p = origin - groundProjectionCenter;
+
+    // Exit point of the dome
+    float b = dot( p, direction );
+    float c = dot( p, p ) - groundProjectionRadius * groundProjectionRadius;
+    float discriminant = b * b - c;
+    if( discriminant < 0.0 ) {
+        return direction;
+    }
+    float t = - b + sqrt( discriminant );
+    if( t <= 0.0 ) {
+        return direction;
+    }
+
+    // The ground closes the dome for rays heading down from above it
+    if( direction.y < 0.0 && p.y > 0.0 ) {
+        t = min( t, - p.y / direction.y );
+    }
+
+    vec3 proxyHit = p + direction * t;
+    return normalize( proxyHit - vec3( 0.0, groundProjectionHeight, 0.0 ) );
+}
+
 // Invert CDF using fixed iteration binary search for better GPU performance
 float invertCDF( sampler2D cdfTexture, float u, float v, float mipLevel, vec2 cdfSize, bool isMarginal ) {
     vec2 invSize = 1.0 / cdfSize;
@@ -2,17 +2,30 @@
 // Uniform Declarations & Structures
 // -----------------------------------------------------------------------------
 
-#if MAX_DIRECTIONAL_LIGHTS > 0
-uniform float directionalLights[ MAX_DIRECTIONAL_LIGHTS * 7 ];
-#else
-uniform float directionalLights[ 1 ]; // Dummy array to avoid compilation error
-#endif
-
-#if MAX_AREA_LIGHTS > 0
-uniform float areaLights[ MAX_AREA_LIGHTS * 13 ];
-#else
-uniform float areaLights[ 1 ]; // Dummy array to avoid compilation error
-#endif
+// Lights packed back to back in 4 texels each: directional, area, point, spot
+uniform sampler2D lightTexture;
+uniform ivec2 lightTexSize;
+uniform int directionalLightCount;
+uniform int areaLightCount;
+uniform int pointLightCount;
+uniform int spotLightCount;
+
+uniform sampler2DArray iesProfiles;
+
+// Alias table over emissive triangles: triangle index, threshold, alias entry, pdf
+uniform sampler2D emissiveTriangleTexture;
+uniform ivec2 emissiveTriangleTexSize;
+uniform int emissiveTriangleCount;
+uniform float emissiveTotalPower;
+
+// Light BVH over area, point and spot lights (see LightBVHBuilder.js)
+uniform sampler2D lightBVHTexture;
+uniform ivec2 lightBVHTexSize;
+uniform int lightBVHNodeCount;
+
+const int LIGHT_TYPE_AREA = 1;
+const int LIGHT_TYPE_POINT = 2;
+const int LIGHT_TYPE_SPOT = 3;
 
 uniform float globalIlluminationIntensity;
 
@@ -20,6 +33,7 @@ struct DirectionalLight {
     vec3 direction;
     vec3 color;
     float intensity;
+    float angularRadius; // Half angle of the emitting disc, 0 = delta light
 };
 
 struct AreaLight {
@@ -30,6 +44,43 @@ struct AreaLight {
     float intensity;
     vec3 normal;
     float area;
+    float iesProfile; // IES profile layer, -1 = none
+};
+
+struct PointLight {
+    vec3 position;
+    vec3 color;
+    float intensity;
+    float distance; // Range cutoff, 0 = infinite
+    float decay;    // Distance falloff exponent
+    float radius;   // Emitter radius, 0 = punctual
+    float iesProfile;
+};
+
+struct SpotLight {
+    vec3 position;
+    vec3 direction; // Cone axis, pointing away from the light
+    vec3 color;
+    float intensity;
+    float distance;
+    float decay;
+    float cosOuter; // Cosine of the cone angle
+    float cosInner; // Cosine of the penumbra start
+    float radius;
+    float iesProfile;
+};
+
+struct LightBVHNode {
+    vec3 boundsMin;
+    float phi;           // Total emitted power of the subtree
+    vec3 boundsMax;
+    float cosThetaO;     // Spread of emission normals around the axis
+    vec3 axis;
+    float cosThetaE;     // Emission falloff around each normal
+    int leftOrType;      // Left child, or light type for leaves
+    int rightOrIndex;    // Right child, or light index for leaves
+    bool isLeaf;
+    bool twoSided;
 };
 
 struct IndirectLightingResult {
@@ -43,28 +94,172 @@ struct IndirectLightingResult {
 // Light Data Access Functions
 // -----------------------------------------------------------------------------
 
+// Reads the 16 floats of a light slot from the light texture
+void getLightData( int lightIndex, out float data[ 16 ] ) {
+    for( int i = 0; i < 4; i ++ ) {
+        vec4 texel = getDatafromDataTexture( lightTexture, lightTexSize, lightIndex, i, 4 );
+        data[ i * 4 ] = texel.x;
+        data[ i * 4 + 1 ] = texel.y;
+        data[ i * 4 + 2 ] = texel.z;
+        data[ i * 4 + 3 ] = texel.w;
+    }
+}
+
 DirectionalLight getDirectionalLight( int index ) {
-    int baseIndex = index * 7;
+    float data[ 16 ];
+    getLightData( index, data );
+
     DirectionalLight light;
-    light.direction = vec3( directionalLights[ baseIndex ], directionalLights[ baseIndex + 1 ], directionalLights[ baseIndex + 2 ] );
-    light.color = vec3( directionalLights[ baseIndex + 3 ], directionalLights[ baseIndex + 4 ], directionalLights[ baseIndex + 5 ] );
-    light.intensity = directionalLights[ baseIndex + 6 ];
+    light.direction = vec3( data[ 0 ], data[ 1 ], data[ 2 ] );
+    light.color = vec3( data[ 3 ], data[ 4 ], data[ 5 ] );
+    light.intensity = data[ 6 ];
+    light.angularRadius = data[ 7 ];
     return light;
 }
 
+// Direction towards a uniformly chosen point of the light's disc, the irradiance of the
+// light stays that of a delta light while shadows get a penumbra
+vec3 sampleDirectionalLightDirection( DirectionalLight light, vec2 xi ) {
+    if( light.angularRadius <= 0.0 ) {
+        return light.direction;
+    }
+
+    float cosThetaMax = cos( light.angularRadius );
+    float cosTheta = 1.0 - xi.x * ( 1.0 - cosThetaMax );
+    float sinTheta = sqrt( max( 0.0, 1.0 - cosTheta * cosTheta ) );
+    float phi = TWO_PI * xi.y;
+    return constructTBN( light.direction ) * vec3( cos( phi ) * sinTheta, sin( phi ) * sinTheta, cosTheta );
+}
+
 AreaLight getAreaLight( int index ) {
-    int baseIndex = index * 13;
+    float data[ 16 ];
+    getLightData( directionalLightCount + index, data );
+
     AreaLight light;
-    light.position = vec3( areaLights[ baseIndex ], areaLights[ baseIndex + 1 ], areaLights[ baseIndex + 2 ] );
-    light.u = vec3( areaLights[ baseIndex + 3 ], areaLights[ baseIndex + 4 ], areaLights[ baseIndex + 5 ] );
-    light.v = vec3( areaLights[ baseIndex + 6 ], areaLights[ baseIndex + 7 ], areaLights[ baseIndex + 8 ] );
-    light.color = vec3( areaLights[ baseIndex + 9 ], areaLights[ baseIndex + 10 ], areaLights[ baseIndex + 11 ] );
-    light.intensity = areaLights[ baseIndex + 12 ];
+    light.position = vec3( data[ 0 ], data[ 1 ], data[ 2 ] );
+    light.u = vec3( data[ 3 ], data[ 4 ], data[ 5 ] );
+    light.v = vec3( data[ 6 ], data[ 7 ], data[ 8 ] );
+    light.color = vec3( data[ 9 ], data[ 10 ], data[ 11 ] );
+    light.intensity = data[ 12 ];
+    light.iesProfile = data[ 13 ];
     light.normal = normalize( cross( light.u, light.v ) );
     light.area = length( cross( light.u, light.v ) );
     return light;
 }
 
+PointLight getPointLight( int index ) {
+    float data[ 16 ];
+    getLightData( directionalLightCount + areaLightCount + index, data );
+
+    PointLight light;
+    light.position = vec3( data[ 0 ], data[ 1 ], data[ 2 ] );
+    light.color = vec3( data[ 3 ], data[ 4 ], data[ 5 ] );
+    light.intensity = data[ 6 ];
+    light.distance = data[ 7 ];
+    light.decay = data[ 8 ];
+    light.radius = data[ 9 ];
+    light.iesProfile = data[ 10 ];
+    return light;
+}
+
+SpotLight getSpotLight( int index ) {
+    float data[ 16 ];
+    getLightData( directionalLightCount + areaLightCount + pointLightCount + index, data );
+
+    SpotLight light;
+    light.position = vec3( data[ 0 ], data[ 1 ], data[ 2 ] );
+    light.direction = vec3( data[ 3 ], data[ 4 ], data[ 5 ] );
+    light.color = vec3( data[ 6 ], data[ 7 ], data[ 8 ] );
+    light.intensity = data[ 9 ];
+    light.distance = data[ 10 ];
+    light.decay = data[ 11 ];
+    light.cosOuter = data[ 12 ];
+    light.cosInner = data[ 13 ];
+    light.radius = data[ 14 ];
+    light.iesProfile = data[ 15 ];
+    return light;
+}
+
+// Normalized IES intensity for a direction leaving the light.
+// axis is the photometric nadir (theta = 0), tangent the phi = 0 reference.
+float sampleIESProfile( float profileIndex, vec3 axis, vec3 tangent, vec3 emitDir ) {
+    if( profileIndex < 0.0 )
+        return 1.0;
+
+    vec3 bitangent = cross( axis, tangent );
+    float theta = acos( clamp( dot( emitDir, axis ), - 1.0, 1.0 ) );
+    float phi = atan( dot( emitDir, bitangent ), dot( emitDir, tangent ) );
+
+    // Negative phi wraps around through the repeat wrapping of the texture
+    return texture( iesProfiles, vec3( phi / TWO_PI, theta / PI, profileIndex ) ).r;
+}
+
+// Emission direction drawn from the candela distribution of a profile. The g channel of a texel holds
+// the CDF over phi within its theta row, a the CDF over the rows (see IESParser.packProfile).
+vec3 sampleIESDirection( float profileIndex, vec3 axis, vec3 tangent, vec2 xi ) {
+    ivec2 size = textureSize( iesProfiles, 0 ).xy;
+    int layer = int( profileIndex );
+
+    // Theta row from the marginal CDF
+    int left = 0;
+    int right = size.y - 1;
+    for( int i = 0; i < 8; i ++ ) {
+        if( left >= right )
+            break;
+        int mid = ( left + right ) / 2;
+        if( xi.x <= texelFetch( iesProfiles, ivec3( 0, mid, layer ), 0 ).a ) {
+            right = mid;
+        } else {
+            left = mid + 1;
+        }
+    }
+    int row = left;
+    float rowStart = row > 0 ? texelFetch( iesProfiles, ivec3( 0, row - 1, layer ), 0 ).a : 0.0;
+    float rowEnd = texelFetch( iesProfiles, ivec3( 0, row, layer ), 0 ).a;
+
+    // Phi column from the conditional CDF of the row
+    left = 0;
+    right = size.x - 1;
+    for( int i = 0; i < 8; i ++ ) {
+        if( left >= right )
+            break;
+        int mid = ( left + right ) / 2;
+        if( xi.y <= texelFetch( iesProfiles, ivec3( mid, row, layer ), 0 ).g ) {
+            right = mid;
+        } else {
+            left = mid + 1;
+        }
+    }
+    int column = left;
+    float columnStart = column > 0 ? texelFetch( iesProfiles, ivec3( column - 1, row, layer ), 0 ).g : 0.0;
+    float columnEnd = texelFetch( iesProfiles, ivec3( column, row, layer ), 0 ).g;
+
+    // Reuse the position of the random numbers inside their CDF step to place the direction in the texel
+    vec2 offset = clamp( vec2( ( xi.y - columnStart ) / max( columnEnd - columnStart, 1e-6 ), ( xi.x - rowStart ) / max( rowEnd - rowStart, 1e-6 ) ), 0.0, 1.0 );
+    float phi = ( float( column ) + offset.x ) / float( size.x ) * TWO_PI;
+    float theta = ( float( row ) + offset.y ) / float( size.y ) * PI;
+
+    vec3 bitangent = cross( axis, tangent );
+    return cos( theta ) * axis + sin( theta ) * ( cos( phi ) * tangent + sin( phi ) * bitangent );
+}
+
+// Solid angle pdf of sampleIESDirection, the b channel holds the probability of the texel
+float iesDirectionPDF( float profileIndex, vec3 axis, vec3 tangent, vec3 emitDir ) {
+    ivec2 size = textureSize( iesProfiles, 0 ).xy;
+    vec3 bitangent = cross( axis, tangent );
+    float theta = acos( clamp( dot( emitDir, axis ), - 1.0, 1.0 ) );
+    float phi = atan( dot( emitDir, bitangent ), dot( emitDir, tangent ) );
+    phi = phi < 0.0 ? phi + TWO_PI : phi;
+
+    float sinTheta = sin( theta );
+    if( sinTheta <= 1e-4 )
+        return 0.0;
+
+    ivec2 texel = clamp( ivec2( vec2( phi / TWO_PI, theta / PI ) * vec2( size ) ), ivec2( 0 ), size - 1 );
+    float probability = texelFetch( iesProfiles, ivec3( texel, int( profileIndex ) ), 0 ).b;
+    return probability * float( size.x * size.y ) / ( TWO_PI * PI * sinTheta );
+}
+
 // -----------------------------------------------------------------------------
 // Shadow & Intersection Test Functions
 // -----------------------------------------------------------------------------
@@ -91,6 +286,10 @@ float getMaterialTransparency( HitInfo shadowHit, Ray shadowRay, inout uint rngS
     }
 }
 
+// When set, shadow rays are only blocked by shadow catchers, giving the lighting a catcher
+// would receive without the rest of the scene (see shadowcatcher.fs)
+bool shadowRaysCatchersOnly = false;
+
 float traceShadowRay( vec3 origin, vec3 dir, float maxDist, inout uint rngState, inout ivec2 stats ) {
     Ray shadowRay;
     shadowRay.origin = origin;
@@ -113,6 +312,17 @@ float traceShadowRay( vec3 origin, vec3 dir, float maxDist, inout uint rngState,
         if( ! shadowHit.didHit || length( shadowHit.hitPoint - origin ) > maxDist )
             break;
 
+        // Segments that end on the way out of a transmissive object were inside it, all others cross the global medium
+        bool exitingObject = shadowHit.material.transmission > 0.0 && dot( shadowRay.direction, shadowHit.normal ) >= 0.0;
+        if( ! exitingObject ) {
+            transmittance *= getGlobalMediumTransmittance( shadowRay.origin, dir, length( shadowHit.hitPoint - shadowRay.origin ), rngState );
+        }
+
+        if( shadowRaysCatchersOnly && ! shadowHit.material.shadowCatcher ) {
+            shadowRay.origin = shadowHit.hitPoint + shadowRay.direction * 0.001;
+            continue;
+        }
+
         // Special handling for transmissive materials
         if( shadowHit.material.transmission > 0.0 ) {
             // Determine if entering or exiting medium
@@ -154,6 +364,9 @@ float traceShadowRay( vec3 origin, vec3 dir, float maxDist, inout uint rngState,
         }
     }
 
+    // Remaining segment up to the light
+    transmittance *= getGlobalMediumTransmittance( shadowRay.origin, dir, max( maxDist - length( shadowRay.origin - origin ), 0.0 ), rngState );
+
     return transmittance;
 }
 
@@ -242,24 +455,28 @@ vec3 calculateDirectionalLightContribution(
         return vec3( 0.0 );
     }
 
-    float NoL = dot( normal, light.direction );
+    vec3 lightDir = sampleDirectionalLightDirection( light, vec2( RandomValue( rngState ), RandomValue( rngState ) ) );
+    float NoL = dot( normal, lightDir );
+    if( NoL <= 0.0 ) {
+        return vec3( 0.0 );
+    }
     vec3 rayOrigin = hitPoint + normal * 0.001;
 
     // Shadow test
-    float visibility = traceShadowRay( rayOrigin, light.direction, 1000.0, rngState, stats );
+    float visibility = traceShadowRay( rayOrigin, lightDir, 1000.0, rngState, stats );
     if( visibility <= 0.0 ) {
         return vec3( 0.0 );
     }
 
     // BRDF evaluation using cache
-    vec3 brdfValue = evaluateMaterialResponseCached( viewDir, light.direction, normal, material, matCache );
+    vec3 brdfValue = evaluateMaterialResponseCached( viewDir, lightDir, normal, material, matCache );
 
     // Base contribution
     vec3 contribution = light.color * light.intensity * brdfValue * NoL * visibility;
 
     // Simple MIS only for first bounce where it matters most
     if( bounceIndex == 0 && brdfSample.pdf > 0.0 ) {
-        float brdfAlignment = max( 0.0, dot( brdfSample.direction, light.direction ) );
+        float brdfAlignment = max( 0.0, dot( brdfSample.direction, lightDir ) );
         float misWeight = mix( 0.9, 0.1, brdfAlignment );
         contribution *= misWeight;
     }
@@ -308,6 +525,42 @@ float estimateLightImportance(
     return distanceFactor * NoL * lightFacing * sizeFactor * intensity * materialFactor;
 }
 
+// Light sample of a rectangular light seen from origin. Lights with an IES profile mix uniform area
+// sampling with emission directions drawn from their candela distribution.
+struct AreaLightSample {
+    vec3 direction;
+    float distance;
+    float lightFacing;
+    bool valid;
+};
+
+AreaLightSample sampleAreaLight( AreaLight light, vec3 origin, vec2 ruv, inout uint rngState ) {
+    AreaLightSample lightSample;
+
+    if( light.iesProfile >= 0.0 && RandomValue( rngState ) < 0.5 ) {
+        lightSample.direction = - sampleIESDirection( light.iesProfile, light.normal, normalize( light.u ), ruv );
+        lightSample.valid = intersectAreaLight( light, origin, lightSample.direction, lightSample.distance );
+    } else {
+        vec3 toLight = light.position + light.u * ( ruv.x - 0.5 ) + light.v * ( ruv.y - 0.5 ) - origin;
+        lightSample.distance = length( toLight );
+        lightSample.direction = toLight / lightSample.distance;
+        lightSample.valid = true;
+    }
+
+    lightSample.lightFacing = - dot( lightSample.direction, light.normal );
+    lightSample.valid = lightSample.valid && lightSample.lightFacing > 0.0;
+    return lightSample;
+}
+
+// Solid angle pdf of sampleAreaLight for a direction reaching the light at lightDistance
+float areaLightPDF( AreaLight light, vec3 direction, float lightDistance, float lightFacing ) {
+    float areaPdf = lightDistance * lightDistance / ( light.area * lightFacing );
+    if( light.iesProfile < 0.0 )
+        return areaPdf;
+
+    return 0.5 * areaPdf + 0.5 * iesDirectionPDF( light.iesProfile, light.normal, normalize( light.u ), - direction );
+}
+
 // Highly optimized area light contribution calculation
 vec3 calculateAreaLightContribution(
     AreaLight light,
@@ -346,23 +599,16 @@ vec3 calculateAreaLightContribution(
         // Get stratified sample point for better coverage
         vec2 ruv = getRandomSample( gl_FragCoord.xy, sampleIndex, bounceIndex, rngState, - 1 );
 
-        // Generate position on light surface (stratified to improve sampling)
-        vec3 lightPos = light.position +
-            light.u * ( ruv.x - 0.5 ) +
-            light.v * ( ruv.y - 0.5 );
-
-        // Calculate light direction and properties
-        vec3 toLight = lightPos - hitPoint;
-        float lightDistSq = dot( toLight, toLight );
-        float lightDist = sqrt( lightDistSq );
-        vec3 lightDir = toLight / lightDist;
+        // Point on the light surface, or a direction from the IES distribution
+        AreaLightSample lightSample = sampleAreaLight( light, hitPoint, ruv, rngState );
+        vec3 lightDir = lightSample.direction;
+        float lightDist = lightSample.distance;
 
         // Geometric terms
         float NoL = dot( normal, lightDir );
-        float lightFacing = - dot( lightDir, light.normal );
 
         // Early exit for geometry facing away
-        if( NoL > 0.0 && lightFacing > 0.0 ) {
+        if( lightSample.valid && NoL > 0.0 ) {
             // Shadow test with single ray
             float visibility = traceShadowRay( rayOrigin, lightDir, lightDist, rngState, stats );
 
@@ -371,12 +617,12 @@ vec3 calculateAreaLightContribution(
                 vec3 brdfValue = evaluateMaterialResponseCached( viewDir, lightDir, normal, material, matCache );
 
                 // Calculate PDFs for both strategies
-                float lightPdf = lightDistSq / ( light.area * lightFacing );
+                float lightPdf = areaLightPDF( light, lightDir, lightDist, lightSample.lightFacing );
                 float brdfPdf = brdfSample.pdf;
 
-                // Light contribution with inverse-square falloff
-                float falloff = light.area / ( 4.0 * PI * lightDistSq );
-                vec3 lightContribution = light.color * light.intensity * falloff * lightFacing;
+                // Light contribution, with uniform area sampling 1 / ( 4 PI lightPdf ) is the inverse-square falloff
+                float iesFactor = sampleIESProfile( light.iesProfile, light.normal, normalize( light.u ), - lightDir );
+                vec3 lightContribution = light.color * light.intensity * iesFactor / ( 4.0 * PI * lightPdf );
 
                 // MIS weight using power heuristic for better noise reduction
                 float misWeight = ( brdfPdf > 0.0 && isFirstBounce ) ? powerHeuristic( lightPdf, brdfPdf ) : 1.0;
@@ -409,13 +655,14 @@ vec3 calculateAreaLightContribution(
 
                     if( lightFacing > 0.0 ) {
                         // PDFs for MIS
-                        float lightPdf = ( hitDistance * hitDistance ) / ( light.area * lightFacing );
+                        float lightPdf = areaLightPDF( light, brdfSample.direction, hitDistance, lightFacing );
 
                         // MIS weight using power heuristic
                         float misWeight = powerHeuristic( brdfSample.pdf, lightPdf );
 
                         // Direct light emission
-                        vec3 lightEmission = light.color * light.intensity;
+                        float iesFactor = sampleIESProfile( light.iesProfile, light.normal, normalize( light.u ), - brdfSample.direction );
+                        vec3 lightEmission = light.color * light.intensity * iesFactor;
                         float NoL = max( dot( normal, brdfSample.direction ), 0.0 );
 
                         contribution += lightEmission * brdfSample.value * NoL * visibility * misWeight;
@@ -428,10 +675,509 @@ vec3 calculateAreaLightContribution(
     return contribution;
 }
 
+// -----------------------------------------------------------------------------
+// POINT & SPOT LIGHT FUNCTIONS
+// -----------------------------------------------------------------------------
+
+// Inverse power falloff with a smooth window at the range cutoff (matches three.js)
+float getLightDistanceAttenuation( float lightDistance, float cutoffDistance, float decayExponent ) {
+    float distanceFalloff = 1.0 / max( pow( lightDistance, decayExponent ), 0.01 );
+    if( cutoffDistance > 0.0 ) {
+        float ratio = lightDistance / cutoffDistance;
+        distanceFalloff *= square( clamp( 1.0 - ratio * ratio * ratio * ratio, 0.0, 1.0 ) );
+    }
+    return distanceFalloff;
+}
+
+// Inner/outer cone falloff (matches three.js)
+float getSpotConeAttenuation( float cosOuter, float cosInner, float angleCos ) {
+    return smoothstep( cosOuter, cosInner, angleCos );
+}
+
+// Approximate PDF of the BRDF sampling strategy for an arbitrary direction
+float estimateBRDFSamplingPDF( vec3 V, vec3 L, vec3 N, RayTracingMaterial material ) {
+    float NoL = dot( N, L );
+    if( NoL <= 0.0 )
+        return 0.0;
+
+    BRDFWeights weights = calculateBRDFWeights( material );
+    float specularWeight = clamp( weights.specular + weights.clearcoat, 0.0, 1.0 );
+
+    vec3 H = normalize( V + L );
+    float NoH = max( dot( N, H ), 0.001 );
+    float VoH = max( dot( V, H ), 0.001 );
+    float roughness = max( material.roughness, MIN_ROUGHNESS );
+    float specularPdf = material.anisotropy > 0.0
+        ? anisotropicGGXPDF( V, L, N, material )
+        : DistributionGGX( NoH, roughness ) * NoH / ( 4.0 * VoH );
+
+    return specularWeight * specularPdf + ( 1.0 - specularWeight ) * NoL / PI;
+}
+
+// Shared point/spot light evaluation. Lights with a radius are treated as spheres
+// so they can be hit by BRDF samples and combined with light samples via MIS;
+// punctual lights are delta distributions and only reachable through light sampling.
+vec3 calculateLocalLightContribution(
+    vec3 lightPosition,
+    vec3 lightIntensity,   // color * intensity (candela)
+    float range,
+    float decay,
+    float radius,
+    float emissionProfile, // Cone and IES falloff toward the shading point
+    vec3 hitPoint,
+    vec3 normal,
+    vec3 viewDir,
+    RayTracingMaterial material,
+    MaterialCache matCache,
+    DirectionSample brdfSample,
+    int sampleIndex,
+    int bounceIndex,
+    inout uint rngState,
+    inout ivec2 stats
+) {
+    vec3 toLight = lightPosition - hitPoint;
+    float centerDistSq = dot( toLight, toLight );
+    float centerDist = sqrt( centerDistSq );
+
+    // Range, cone and IES falloff are evaluated at the light centre so both strategies agree
+    float attenuation = getLightDistanceAttenuation( centerDist, range, decay ) * emissionProfile;
+    if( attenuation <= 0.0 ) {
+        return vec3( 0.0 );
+    }
+
+    vec3 rayOrigin = hitPoint + normal * 0.001;
+
+    // ---------------------------
+    // PUNCTUAL LIGHT
+    // ---------------------------
+    if( radius <= 0.0 || centerDist <= radius ) {
+        vec3 lightDir = toLight / centerDist;
+        float NoL = dot( normal, lightDir );
+        if( NoL <= 0.0 ) {
+            return vec3( 0.0 );
+        }
+
+        float visibility = traceShadowRay( rayOrigin, lightDir, centerDist, rngState, stats );
+        if( visibility <= 0.0 ) {
+            return vec3( 0.0 );
+        }
+
+        vec3 brdfValue = evaluateMaterialResponseCached( viewDir, lightDir, normal, material, matCache );
+        return lightIntensity * attenuation * brdfValue * NoL * visibility;
+    }
+
+    // ---------------------------
+    // SPHERICAL LIGHT
+    // ---------------------------
+    vec3 contribution = vec3( 0.0 );
+
+    // Radiance that gives the same irradiance as the punctual light at distance
+    vec3 radiance = lightIntensity * attenuation * centerDistSq / ( PI * radius * radius );
+
+    // Uniform cone sampling of the subtended solid angle
+    float sinThetaMaxSq = radius * radius / centerDistSq;
+    float cosThetaMax = sqrt( max( 0.0, 1.0 - sinThetaMaxSq ) );
+    float lightPdf = 1.0 / ( TWO_PI * ( 1.0 - cosThetaMax ) );
+
+    bool isFirstBounce = bounceIndex == 0;
+    bool isSpecular = material.roughness < 0.3 || material.metalness > 0.7;
+    bool useBrdfStrategy = ( isFirstBounce || isSpecular ) && brdfSample.pdf > 0.0;
+
+    // Light sampling strategy
+    vec2 ruv = getRandomSample( gl_FragCoord.xy, sampleIndex, bounceIndex, rngState, - 1 );
+    float cosTheta = 1.0 - ruv.x * ( 1.0 - cosThetaMax );
+    float sinTheta = sqrt( max( 0.0, 1.0 - cosTheta * cosTheta ) );
+    float phi = TWO_PI * ruv.y;
+    vec3 lightDir = constructTBN( toLight / centerDist ) * vec3( cos( phi ) * sinTheta, sin( phi ) * sinTheta, cosTheta );
+
+    float NoL = dot( normal, lightDir );
+    if( NoL > 0.0 ) {
+        // Distance to the near side of the sphere along the sampled direction
+        float b = centerDist * cosTheta;
+        float lightDist = b - sqrt( max( 0.0, radius * radius - centerDistSq * sinTheta * sinTheta ) );
+
+        float visibility = traceShadowRay( rayOrigin, lightDir, lightDist, rngState, stats );
+        if( visibility > 0.0 ) {
+            vec3 brdfValue = evaluateMaterialResponseCached( viewDir, lightDir, normal, material, matCache );
+            float brdfPdf = estimateBRDFSamplingPDF( viewDir, lightDir, normal, material );
+            float misWeight = useBrdfStrategy ? powerHeuristic( lightPdf, brdfPdf ) : 1.0;
+
+            contribution += radiance * brdfValue * NoL * visibility * misWeight / lightPdf;
+        }
+    }
+
+    // BRDF sampling strategy
+    if( useBrdfStrategy ) {
+        vec3 toCenter = lightPosition - rayOrigin;
+        float b = dot( toCenter, brdfSample.direction );
+        float disc = b * b - dot( toCenter, toCenter ) + radius * radius;
+
+        if( b > 0.0 && disc > 0.0 ) {
+            float hitDistance = b - sqrt( disc );
+            float brdfNoL = dot( normal, brdfSample.direction );
+
+            if( brdfNoL > 0.0 ) {
+                float visibility = traceShadowRay( rayOrigin, brdfSample.direction, hitDistance, rngState, stats );
+
+                if( visibility > 0.0 ) {
+                    // Same BRDF pdf as the light sample's weight, so the two weights sum to one
+                    float brdfPdf = estimateBRDFSamplingPDF( viewDir, brdfSample.direction, normal, material );
+                    float misWeight = powerHeuristic( brdfPdf, lightPdf );
+                    contribution += radiance * brdfSample.value * brdfNoL * visibility * misWeight / brdfSample.pdf;
+                }
+            }
+        }
+    }
+
+    return contribution;
+}
+
+vec3 calculatePointLightContribution(
+    PointLight light,
+    vec3 hitPoint,
+    vec3 normal,
+    vec3 viewDir,
+    RayTracingMaterial material,
+    MaterialCache matCache,
+    DirectionSample brdfSample,
+    int sampleIndex,
+    int bounceIndex,
+    inout uint rngState,
+    inout ivec2 stats
+) {
+    // Point light profiles are oriented with their nadir pointing down
+    float iesFactor = sampleIESProfile( light.iesProfile, vec3( 0.0, - 1.0, 0.0 ), vec3( 1.0, 0.0, 0.0 ), normalize( hitPoint - light.position ) );
+
+    return calculateLocalLightContribution( light.position, light.color * light.intensity, light.distance, light.decay, light.radius, iesFactor, hitPoint, normal, viewDir, material, matCache, brdfSample, sampleIndex, bounceIndex, rngState, stats );
+}
+
+vec3 calculateSpotLightContribution(
+    SpotLight light,
+    vec3 hitPoint,
+    vec3 normal,
+    vec3 viewDir,
+    RayTracingMaterial material,
+    MaterialCache matCache,
+    DirectionSample brdfSample,
+    int sampleIndex,
+    int bounceIndex,
+    inout uint rngState,
+    inout ivec2 stats
+) {
+    // Angle between the cone axis and the direction from light to surface
+    vec3 emitDir = normalize( hitPoint - light.position );
+    float coneAttenuation = getSpotConeAttenuation( light.cosOuter, light.cosInner, dot( emitDir, light.direction ) );
+    if( coneAttenuation <= 0.0 ) {
+        return vec3( 0.0 );
+    }
+
+    // Spot light profiles are oriented with their nadir along the cone axis
+    float iesFactor = sampleIESProfile( light.iesProfile, light.direction, constructTBN( light.direction )[ 0 ], emitDir );
+
+    return calculateLocalLightContribution( light.position, light.color * light.intensity, light.distance, light.decay, light.radius, coneAttenuation * iesFactor, hitPoint, normal, viewDir, material, matCache, brdfSample, sampleIndex, bounceIndex, rngState, stats );
+}
+
+// -----------------------------------------------------------------------------
+// EMISSIVE TRIANGLE (MESH) LIGHTS
+// -----------------------------------------------------------------------------
+
+// Shared by light sampling and BRDF hits so both strategies see the same emitting side
+bool isEmittingSide( int side, vec3 shadingNormal, vec3 emitDir ) {
+    float cosEmit = dot( shadingNormal, emitDir );
+    return side == 2 || ( side == 0 && cosEmit > 0.0 ) || ( side == 1 && cosEmit < 0.0 );
+}
+
+// Selection probability of a triangle, the same power weights the alias table was built from
+float getEmissiveTriangleSelectPdf( int materialIndex, float area ) {
+    // Hidden emitters are left out of the power table, and can be hidden after it was built
+    if( getDatafromDataTexture( materialTexture, materialTexSize, materialIndex, 4, MATERIAL_SLOTS ).g < 0.5 ) {
+        return 0.0;
+    }
+
+    vec3 emissive = getDatafromDataTexture( materialTexture, materialTexSize, materialIndex, 1, MATERIAL_SLOTS ).rgb;
+    float emissiveIntensity = getDatafromDataTexture( materialTexture, materialTexSize, materialIndex, 2, MATERIAL_SLOTS ).a;
+    return dot( emissive, vec3( 0.2126, 0.7152, 0.0722 ) ) * emissiveIntensity * area / emissiveTotalPower;
+}
+
+// Solid angle pdf of light sampling reaching a point on the given triangle from origin
+float getEmissiveTriangleLightPdf( int triangleIndex, int instanceIndex, vec3 origin, vec3 lightPoint ) {
+    if( triangleIndex < 0 || emissiveTotalPower <= 0.0 ) {
+        return 0.0;
+    }
+
+    Triangle tri = getInstanceTriangle( triangleIndex, instanceIndex );
+    vec3 crossEdges = cross( tri.posB - tri.posA, tri.posC - tri.posA );
+    float doubleArea = length( crossEdges );
+
+    if( doubleArea <= 0.0 ) {
+        return 0.0;
+    }
+
+    float selectPdf = getEmissiveTriangleSelectPdf( tri.materialIndex, 0.5 * doubleArea );
+    if( selectPdf <= 0.0 ) {
+        return 0.0;
+    }
+
+    vec3 toLight = lightPoint - origin;
+    float distSq = dot( toLight, toLight );
+    float cosLight = abs( dot( crossEdges / doubleArea, toLight ) ) * inversesqrt( distSq );
+    if( cosLight < 1e-6 ) {
+        return 0.0;
+    }
+
+    return selectPdf * distSq / ( 0.5 * doubleArea * cosLight );
+}
+
+vec4 getEmissiveTriangleEntry( int entry ) {
+    return texelFetch( emissiveTriangleTexture, ivec2( entry % emissiveTriangleTexSize.x, entry / emissiveTriangleTexSize.x ), 0 );
+}
+
+struct EmissiveTriangleSample {
+    vec3 direction;
+    float distance;
+    float pdf;      // Solid angle pdf
+    vec3 emission;
+};
+
+// Samples one emissive triangle proportional to its power, then a uniform point on it.
+// Returns false if the point can't light the receiver, a zero normal receives from all directions.
+bool sampleEmissiveTriangle(
+    vec3 receiverPoint,
+    vec3 normal,
+    int sampleIndex,
+    int bounceIndex,
+    inout uint rngState,
+    out EmissiveTriangleSample lightSample
+) {
+    // Alias table lookup: one uniform number picks the column and the coin flip
+    float u = RandomValue( rngState ) * float( emissiveTriangleCount );
+    int entryIndex = min( int( u ), emissiveTriangleCount - 1 );
+    vec4 entry = getEmissiveTriangleEntry( entryIndex );
+    if( fract( u ) >= entry.y ) {
+        entry = getEmissiveTriangleEntry( int( entry.z ) );
+    }
+
+    Triangle tri = getInstanceTriangle( int( entry.x ), int( entry.w ) );
+
+    // Uniform barycentric sample
+    vec2 ruv = getRandomSample( gl_FragCoord.xy, sampleIndex, bounceIndex, rngState, - 1 );
+    float su = sqrt( ruv.x );
+    float b1 = ( 1.0 - ruv.y ) * su;
+    float b2 = ruv.y * su;
+    float b0 = 1.0 - b1 - b2;
+
+    vec3 lightPoint = b0 * tri.posA + b1 * tri.posB + b2 * tri.posC;
+    vec3 toLight = lightPoint - receiverPoint;
+    float distSq = dot( toLight, toLight );
+    lightSample.distance = sqrt( distSq );
+    lightSample.direction = toLight / lightSample.distance;
+
+    if( dot( normal, normal ) > 0.0 && dot( normal, lightSample.direction ) <= 0.0 ) {
+        return false;
+    }
+
+    vec3 crossEdges = cross( tri.posB - tri.posA, tri.posC - tri.posA );
+    float doubleArea = length( crossEdges );
+    if( doubleArea <= 0.0 ) {
+        return false;
+    }
+
+    float cosLight = abs( dot( crossEdges / doubleArea, lightSample.direction ) );
+    if( cosLight < 1e-6 ) {
+        return false;
+    }
+
+    RayTracingMaterial lightMaterial = getMaterial( tri.materialIndex );
+    vec3 lightNormal = b0 * tri.normalA + b1 * tri.normalB + b2 * tri.normalC;
+    if( ! isEmittingSide( lightMaterial.side, lightNormal, - lightSample.direction ) ) {
+        return false;
+    }
+
+    lightSample.emission = sampleEmissiveMap( lightMaterial, b0 * tri.uvA + b1 * tri.uvB + b2 * tri.uvC );
+    if( max( max( lightSample.emission.r, lightSample.emission.g ), lightSample.emission.b ) <= 0.0 ) {
+        return false;
+    }
+
+    // Materials edited after the table was built can leave a triangle without selection weight
+    float selectPdf = getEmissiveTriangleSelectPdf( tri.materialIndex, 0.5 * doubleArea );
+    if( selectPdf <= 0.0 ) {
+        return false;
+    }
+
+    lightSample.pdf = selectPdf * distSq / ( 0.5 * doubleArea * cosLight );
+    return true;
+}
+
+vec3 calculateEmissiveTriangleContribution(
+    vec3 hitPoint,
+    vec3 normal,
+    vec3 viewDir,
+    RayTracingMaterial material,
+    MaterialCache matCache,
+    int sampleIndex,
+    int bounceIndex,
+    inout uint rngState,
+    inout ivec2 stats
+) {
+    EmissiveTriangleSample lightSample;
+    if( ! sampleEmissiveTriangle( hitPoint, normal, sampleIndex, bounceIndex, rngState, lightSample ) ) {
+        return vec3( 0.0 );
+    }
+
+    // Stop just short of the emitter so it does not shadow itself
+    float visibility = traceShadowRay( hitPoint + normal * 0.001, lightSample.direction, lightSample.distance * 0.999, rngState, stats );
+    if( visibility <= 0.0 ) {
+        return vec3( 0.0 );
+    }
+
+    float NoL = dot( normal, lightSample.direction );
+    vec3 brdfValue = evaluateMaterialResponseCached( viewDir, lightSample.direction, normal, material, matCache );
+    float brdfPdf = estimateBRDFSamplingPDF( viewDir, lightSample.direction, normal, material );
+    float misWeight = powerHeuristic( lightSample.pdf, brdfPdf );
+
+    return lightSample.emission * brdfValue * NoL * visibility * misWeight / lightSample.pdf;
+}
+
+// -----------------------------------------------------------------------------
+// LIGHT BVH SAMPLING
+// -----------------------------------------------------------------------------
+
+LightBVHNode getLightBVHNode( int index ) {
+    vec4 data[ 4 ];
+    for( int i = 0; i < 4; i ++ ) {
+        data[ i ] = getDatafromDataTexture( lightBVHTexture, lightBVHTexSize, index, i, 4 );
+    }
+
+    LightBVHNode node;
+    node.boundsMin = data[ 0 ].xyz;
+    node.phi = data[ 0 ].w;
+    node.boundsMax = data[ 1 ].xyz;
+    node.cosThetaO = data[ 1 ].w;
+    node.axis = data[ 2 ].xyz;
+    node.cosThetaE = data[ 2 ].w;
+    node.leftOrType = int( data[ 3 ].x );
+    node.rightOrIndex = int( data[ 3 ].y );
+    node.isLeaf = data[ 3 ].z > 0.5;
+    node.twoSided = data[ 3 ].w > 0.5;
+    return node;
+}
+
+// cos( max( 0, thetaA - thetaB ) ) from sines and cosines
+float cosSubClamped( float sinA, float cosA, float sinB, float cosB ) {
+    return cosA > cosB ? 1.0 : cosA * cosB + sinA * sinB;
+}
+
+float sinSubClamped( float sinA, float cosA, float sinB, float cosB ) {
+    return cosA > cosB ? 0.0 : sinA * cosB - cosA * sinB;
+}
+
+// Conservative estimate of the contribution of all lights in a node to a shading point,
+// bounding the angles to the node's box and emission cone (Conty & Kulla light tree importance)
+float getLightBVHNodeImportance( LightBVHNode node, vec3 p, vec3 n ) {
+    vec3 center = 0.5 * ( node.boundsMin + node.boundsMax );
+    vec3 toPoint = p - center;
+    float radiusSq = 0.25 * dot( node.boundsMax - node.boundsMin, node.boundsMax - node.boundsMin );
+
+    // Clamp the distance so points close to or inside the bounds don't blow up
+    float distSq = max( dot( toPoint, toPoint ), 0.5 * sqrt( radiusSq ) );
+    vec3 wi = normalize( toPoint );
+
+    // Angle between the emission axis and the direction to the point
+    float cosThetaW = dot( node.axis, wi );
+    if( node.twoSided ) {
+        cosThetaW = abs( cosThetaW );
+    }
+    float sinThetaW = sqrt( max( 0.0, 1.0 - cosThetaW * cosThetaW ) );
+
+    // Half angle subtended by the bounds as seen from the point
+    float cosThetaB = - 1.0;
+    if( any( lessThan( p, node.boundsMin ) ) || any( greaterThan( p, node.boundsMax ) ) ) {
+        float sinThetaBSq = radiusSq / dot( toPoint, toPoint );
+        cosThetaB = sinThetaBSq < 1.0 ? sqrt( 1.0 - sinThetaBSq ) : - 1.0;
+    }
+    float sinThetaB = sqrt( max( 0.0, 1.0 - cosThetaB * cosThetaB ) );
+
+    // Smallest angle between the direction to the point and any emission direction
+    float sinThetaO = sqrt( max( 0.0, 1.0 - node.cosThetaO * node.cosThetaO ) );
+    float cosThetaX = cosSubClamped( sinThetaW, cosThetaW, sinThetaO, node.cosThetaO );
+    float sinThetaX = sinSubClamped( sinThetaW, cosThetaW, sinThetaO, node.cosThetaO );
+    float cosThetaP = cosSubClamped( sinThetaX, cosThetaX, sinThetaB, cosThetaB );
+    if( cosThetaP <= node.cosThetaE ) {
+        return 0.0;
+    }
+
+    // Smallest incident angle at the receiving surface, points in media (zero normal) receive from all directions
+    float cosThetaPI = 1.0;
+    if( dot( n, n ) > 0.0 ) {
+        float cosThetaI = dot( - wi, n );
+        float sinThetaI = sqrt( max( 0.0, 1.0 - cosThetaI * cosThetaI ) );
+        cosThetaPI = cosSubClamped( sinThetaI, cosThetaI, sinThetaB, cosThetaB );
+    }
+
+    return max( node.phi * cosThetaP * cosThetaPI / distSq, 0.0 );
+}
+
+// Descends the light BVH choosing children proportional to their importance.
+// Returns false if no light in the tree can contribute to the shading point.
+bool sampleLightBVH( vec3 p, vec3 n, inout uint rngState, out LightBVHNode leaf, out float pmf ) {
+    pmf = 1.0;
+    LightBVHNode node = getLightBVHNode( 0 );
+
+    if( node.isLeaf ) {
+        leaf = node;
+        return getLightBVHNodeImportance( node, p, n ) > 0.0;
+    }
+
+    for( int depth = 0; depth < 64; depth ++ ) {
+        LightBVHNode left = getLightBVHNode( node.leftOrType );
+        LightBVHNode right = getLightBVHNode( node.rightOrIndex );
+        float leftImportance = getLightBVHNodeImportance( left, p, n );
+        float rightImportance = getLightBVHNodeImportance( right, p, n );
+        float totalImportance = leftImportance + rightImportance;
+
+        if( totalImportance <= 0.0 ) {
+            return false;
+        }
+
+        float leftProbability = leftImportance / totalImportance;
+        if( RandomValue( rngState ) < leftProbability ) {
+            node = left;
+            pmf *= leftProbability;
+        } else {
+            node = right;
+            pmf *= 1.0 - leftProbability;
+        }
+
+        if( node.isLeaf ) {
+            leaf = node;
+            return true;
+        }
+    }
+
+    return false;
+}
+
+float getDirectionalLightImportance( DirectionalLight light, vec3 n ) {
+    float cosTheta = dot( n, n ) > 0.0 ? max( dot( n, light.direction ), 0.0 ) : 1.0;
+    return light.intensity * luminance( light.color ) * cosTheta;
+}
+
 // -----------------------------------------------------------------------------
 // MASTER LIGHTING FUNCTION
 // -----------------------------------------------------------------------------
 
+// Materials for which next event estimation is skipped. The path tracer checks the same
+// condition to decide whether emitters hit by the following BRDF sample need MIS weighting.
+bool skipDirectLighting( RayTracingMaterial material, int bounceIndex ) {
+    // Highly emissive materials don't need direct lighting contribution
+    if( material.emissiveIntensity > 10.0 ) {
+        return true;
+    }
+
+    // Skip direct lighting for pure glass/transparent materials at deeper bounces
+    return bounceIndex > 1 && material.transmission > 0.95 && material.roughness < 0.1;
+}
+
 vec3 calculateDirectLightingMIS(
     HitInfo hitInfo,
     vec3 V,
@@ -447,95 +1193,206 @@ vec3 calculateDirectLightingMIS(
     MaterialCache matCache = createMaterialCacheLegacy( N, V, hitInfo.material );
 
     // Early termination for materials that don't need direct lighting
-    if( hitInfo.material.emissiveIntensity > 10.0 ) {
-        // Highly emissive materials don't need direct lighting contribution
+    if( skipDirectLighting( hitInfo.material, bounceIndex ) ) {
         return vec3( 0.0 );
     }
 
-    // Skip direct lighting for pure glass/transparent materials at deeper bounces
-    if( bounceIndex > 1 && hitInfo.material.transmission > 0.95 && hitInfo.material.roughness < 0.1 ) {
-        return vec3( 0.0 );
+    // -------------------------------------------------------------------
+    // Analytic lights: one light per shading point, chosen proportional to
+    // its estimated contribution. Directional lights compete with the root
+    // of the light BVH, which then selects a single area, point or spot light.
+    // -------------------------------------------------------------------
+    float treeImportance = lightBVHNodeCount > 0 ? getLightBVHNodeImportance( getLightBVHNode( 0 ), hitInfo.hitPoint, N ) : 0.0;
+    float totalImportance = treeImportance;
+
+    for( int i = 0; i < directionalLightCount; i ++ ) {
+        totalImportance += getDirectionalLightImportance( getDirectionalLight( i ), N );
     }
 
-    // Importance threshold that increases with bounce depth
-    float importanceThreshold = 0.001 * ( 1.0 + float( bounceIndex ) * 0.5 );
+    if( totalImportance > 0.0 ) {
+        float u = RandomValue( rngState ) * totalImportance;
+        bool sampledDirectional = false;
 
-    // -----------------------------
-    // Directional lights processing
-    // -----------------------------
-    #if MAX_DIRECTIONAL_LIGHTS > 0
-    int maxDirectionalLights = MAX_DIRECTIONAL_LIGHTS / 7; // Total number of directional lights
+        for( int i = 0; i < directionalLightCount; i ++ ) {
+            DirectionalLight light = getDirectionalLight( i );
+            float importance = getDirectionalLightImportance( light, N );
 
-    // Adaptive light count based on bounce depth and material
-    int directionalLightCount = maxDirectionalLights;
-    if( bounceIndex > 0 ) {
-        // Reduce light count for secondary bounces
-        if( bounceIndex == 1 ) {
-            directionalLightCount = min( 4, maxDirectionalLights );
-        } else if( bounceIndex == 2 ) {
-            directionalLightCount = min( 2, maxDirectionalLights );
-        } else {
-            // For very deep bounces, only process the most important light
-            directionalLightCount = min( 1, maxDirectionalLights );
+            if( u < importance ) {
+                float pmf = importance / totalImportance;
+                totalLighting += calculateDirectionalLightContribution( light, hitInfo.hitPoint, N, V, hitInfo.material, matCache, brdfSample, bounceIndex, rngState, stats ) / pmf;
+                sampledDirectional = true;
+                break;
+            }
+            u -= importance;
+        }
+
+        LightBVHNode leaf;
+        float leafPmf;
+        if( ! sampledDirectional && treeImportance > 0.0 && sampleLightBVH( hitInfo.hitPoint, N, rngState, leaf, leafPmf ) ) {
+            float pmf = leafPmf * treeImportance / totalImportance;
+            int lightIndex = leaf.rightOrIndex;
+
+            if( leaf.leftOrType == LIGHT_TYPE_AREA ) {
+                totalLighting += calculateAreaLightContribution( getAreaLight( lightIndex ), hitInfo.hitPoint, N, V, hitInfo.material, matCache, brdfSample, sampleIndex, bounceIndex, rngState, stats ) / pmf;
+            } else if( leaf.leftOrType == LIGHT_TYPE_POINT ) {
+                totalLighting += calculatePointLightContribution( getPointLight( lightIndex ), hitInfo.hitPoint, N, V, hitInfo.material, matCache, brdfSample, sampleIndex, bounceIndex, rngState, stats ) / pmf;
+            } else if( leaf.leftOrType == LIGHT_TYPE_SPOT ) {
+                totalLighting += calculateSpotLightContribution( getSpotLight( lightIndex ), hitInfo.hitPoint, N, V, hitInfo.material, matCache, brdfSample, sampleIndex, bounceIndex, rngState, stats ) / pmf;
+            }
         }
     }
 
-    // Process lights in importance order (they're already sorted)
-    #pragma unroll_loop_start
-    for( int i = 0; i < min( 16, directionalLightCount ); i ++ ) {
-        if( i >= maxDirectionalLights )
-            break;
+    // -------------------------------
+    // Emissive mesh lights processing
+    // -------------------------------
+    if( emissiveTriangleCount > 0 ) {
+        totalLighting += calculateEmissiveTriangleContribution( hitInfo.hitPoint, N, V, hitInfo.material, matCache, sampleIndex, bounceIndex, rngState, stats );
+    }
 
-        DirectionalLight light = getDirectionalLight( i );
+    return totalLighting;
+}
 
-        // Quick importance check for directional lights
-        float quickDirImportance = light.intensity * max( dot( N, light.direction ), 0.0 );
-        if( quickDirImportance < importanceThreshold ) {
-            continue;
-        }
+// -----------------------------------------------------------------------------
+// PARTICIPATING MEDIA LIGHTING
+// -----------------------------------------------------------------------------
 
-        totalLighting += calculateDirectionalLightContribution( light, hitInfo.hitPoint, N, V, hitInfo.material, matCache, brdfSample, bounceIndex, rngState, stats );
+// Area light seen from a point in a medium, the phase function replaces BRDF and cosine
+vec3 calculateMediumAreaLightContribution(
+    AreaLight light,
+    vec3 scatterPoint,
+    vec3 rayDir,
+    float anisotropy,
+    int sampleIndex,
+    int bounceIndex,
+    inout uint rngState,
+    inout ivec2 stats
+) {
+    vec2 ruv = getRandomSample( gl_FragCoord.xy, sampleIndex, bounceIndex, rngState, - 1 );
+    AreaLightSample lightSample = sampleAreaLight( light, scatterPoint, ruv, rngState );
+    if( ! lightSample.valid ) {
+        return vec3( 0.0 );
     }
-    #pragma unroll_loop_end
-    #endif // MAX_DIRECTIONAL_LIGHTS > 0
 
-    // ----------------------
-    // Area lights processing
-    // ----------------------
-    #if MAX_AREA_LIGHTS > 0 
-    // For deeper bounces, limit area light count
-    int maxAreaLightCount = ( MAX_AREA_LIGHTS / 13 );
-    if( bounceIndex > 2 ) {
-        maxAreaLightCount = min( 2, maxAreaLightCount );
-    } else if( bounceIndex > 1 ) {
-        maxAreaLightCount = min( 4, maxAreaLightCount );
+    vec3 lightDir = lightSample.direction;
+    float visibility = traceShadowRay( scatterPoint, lightDir, lightSample.distance, rngState, stats );
+    if( visibility <= 0.0 ) {
+        return vec3( 0.0 );
     }
 
-    for( int i = 0; i < maxAreaLightCount; i ++ ) {
-        AreaLight light = getAreaLight( i );
-        if( light.intensity <= 0.0 )
-            continue;
+    // Same falloff as the surface light sampling strategy
+    float lightPdf = areaLightPDF( light, lightDir, lightSample.distance, lightSample.lightFacing );
+    float iesFactor = sampleIESProfile( light.iesProfile, light.normal, normalize( light.u ), - lightDir );
+    float phase = evaluateHenyeyGreenstein( dot( rayDir, lightDir ), anisotropy );
 
-        // Quick distance and facing checks
-        vec3 lightCenter = light.position - hitInfo.hitPoint;
-        float distSq = dot( lightCenter, lightCenter );
+    return light.color * light.intensity * iesFactor * phase * visibility / ( 4.0 * PI * lightPdf );
+}
 
-        // Quick importance calculation for early culling
-        float quickImportance = light.intensity * light.area / max( distSq, 1.0 );
-        if( quickImportance < importanceThreshold ) {
-            continue;
-        }
+// Point and spot lights seen from a point in a medium. Spherical lights are approximated by
+// their centre, they are never hit by paths so there is no BRDF strategy to combine with.
+vec3 calculateMediumLocalLightContribution(
+    vec3 lightPosition,
+    vec3 lightIntensity,
+    float range,
+    float decay,
+    float emissionProfile,
+    vec3 scatterPoint,
+    vec3 rayDir,
+    float anisotropy,
+    inout uint rngState,
+    inout ivec2 stats
+) {
+    vec3 toLight = lightPosition - scatterPoint;
+    float lightDist = length( toLight );
+    vec3 lightDir = toLight / lightDist;
 
-        float cosTheta = dot( normalize( lightCenter ), N );
+    float attenuation = getLightDistanceAttenuation( lightDist, range, decay ) * emissionProfile;
+    if( attenuation <= 0.0 ) {
+        return vec3( 0.0 );
+    }
 
-        // Early exit for lights that won't contribute much
-        if( distSq > ( light.intensity * 100.0 ) || ( hitInfo.material.metalness > 0.9 && cosTheta <= 0.0 ) ) {
-            continue;
+    float visibility = traceShadowRay( scatterPoint, lightDir, lightDist, rngState, stats );
+    if( visibility <= 0.0 ) {
+        return vec3( 0.0 );
+    }
+
+    return lightIntensity * attenuation * evaluateHenyeyGreenstein( dot( rayDir, lightDir ), anisotropy ) * visibility;
+}
+
+// Next event estimation from a scattering event inside a medium. Lights are chosen like in
+// calculateDirectLightingMIS with a zero normal, so no cosine term biases the selection.
+vec3 calculateMediumDirectLighting(
+    vec3 scatterPoint,
+    vec3 rayDir,
+    float anisotropy,
+    int sampleIndex,
+    int bounceIndex,
+    inout uint rngState,
+    inout ivec2 stats
+) {
+    vec3 totalLighting = vec3( 0.0 );
+    vec3 noNormal = vec3( 0.0 );
+
+    float treeImportance = lightBVHNodeCount > 0 ? getLightBVHNodeImportance( getLightBVHNode( 0 ), scatterPoint, noNormal ) : 0.0;
+    float totalImportance = treeImportance;
+
+    for( int i = 0; i < directionalLightCount; i ++ ) {
+        totalImportance += getDirectionalLightImportance( getDirectionalLight( i ), noNormal );
+    }
+
+    if( totalImportance > 0.0 ) {
+        float u = RandomValue( rngState ) * totalImportance;
+        bool sampledDirectional = false;
+
+        for( int i = 0; i < directionalLightCount; i ++ ) {
+            DirectionalLight light = getDirectionalLight( i );
+            float importance = getDirectionalLightImportance( light, noNormal );
+
+            if( u < importance ) {
+                float pmf = importance / totalImportance;
+                vec3 lightDir = sampleDirectionalLightDirection( light, vec2( RandomValue( rngState ), RandomValue( rngState ) ) );
+                float visibility = traceShadowRay( scatterPoint, lightDir, 1000.0, rngState, stats );
+                float phase = evaluateHenyeyGreenstein( dot( rayDir, lightDir ), anisotropy );
+                totalLighting += light.color * light.intensity * phase * visibility / pmf;
+                sampledDirectional = true;
+                break;
+            }
+            u -= importance;
+        }
+
+        LightBVHNode leaf;
+        float leafPmf;
+        if( ! sampledDirectional && treeImportance > 0.0 && sampleLightBVH( scatterPoint, noNormal, rngState, leaf, leafPmf ) ) {
+            float pmf = leafPmf * treeImportance / totalImportance;
+            int lightIndex = leaf.rightOrIndex;
+
+            if( leaf.leftOrType == LIGHT_TYPE_AREA ) {
+                totalLighting += calculateMediumAreaLightContribution( getAreaLight( lightIndex ), scatterPoint, rayDir, anisotropy, sampleIndex, bounceIndex, rngState, stats ) / pmf;
+            } else if( leaf.leftOrType == LIGHT_TYPE_POINT ) {
+                PointLight light = getPointLight( lightIndex );
+                float iesFactor = sampleIESProfile( light.iesProfile, vec3( 0.0, - 1.0, 0.0 ), vec3( 1.0, 0.0, 0.0 ), normalize( scatterPoint - light.position ) );
+                totalLighting += calculateMediumLocalLightContribution( light.position, light.color * light.intensity, light.distance, light.decay, iesFactor, scatterPoint, rayDir, anisotropy, rngState, stats ) / pmf;
+            } else if( leaf.leftOrType == LIGHT_TYPE_SPOT ) {
+                SpotLight light = getSpotLight( lightIndex );
+                vec3 emitDir = normalize( scatterPoint - light.position );
+                float coneAttenuation = getSpotConeAttenuation( light.cosOuter, light.cosInner, dot( emitDir, light.direction ) );
+                float iesFactor = sampleIESProfile( light.iesProfile, light.direction, constructTBN( light.direction )[ 0 ], emitDir );
+                totalLighting += calculateMediumLocalLightContribution( light.position, light.color * light.intensity, light.distance, light.decay, coneAttenuation * iesFactor, scatterPoint, rayDir, anisotropy, rngState, stats ) / pmf;
+            }
         }
+    }
 
-        totalLighting += calculateAreaLightContribution( light, hitInfo.hitPoint, N, V, hitInfo.material, matCache, brdfSample, sampleIndex, bounceIndex, rngState, stats );
+    // Emissive triangles are also reached by the sampled phase direction, both strategies are MIS weighted
+    if( emissiveTriangleCount > 0 ) {
+        EmissiveTriangleSample lightSample;
+        if( sampleEmissiveTriangle( scatterPoint, noNormal, sampleIndex, bounceIndex, rngState, lightSample ) ) {
+            float visibility = traceShadowRay( scatterPoint, lightSample.direction, lightSample.distance * 0.999, rngState, stats );
+            if( visibility > 0.0 ) {
+                float phase = evaluateHenyeyGreenstein( dot( rayDir, lightSample.direction ), anisotropy );
+                float misWeight = powerHeuristic( lightSample.pdf, phase );
+                totalLighting += lightSample.emission * phase * visibility * misWeight / lightSample.pdf;
+            }
+        }
     }
-    #endif // MAX_AREA_LIGHTS > 0
 
     return totalLighting;
 }
@@ -1,5 +1,6 @@
 precision highp float;
 precision highp sampler2DArray;
+precision highp sampler3D;
 
 out vec4 fragColor; 
 
@@ -33,15 +34,19 @@ uniform int transmissiveBounces;  // Controls the number of allowed transmission
 #include struct.fs
 #include common.fs
 #include random.fs
+#include spectral.fs
 #include rayintersection.fs
 #include environment.fs
 #include bvhtraverse.fs
 #include texture_sampling.fs
 #include fresnel.fs
 #include brdfs.fs
+#include volume.fs
+#include subsurface.fs
 #include transmission.fs
 #include clearcoat.fs
 #include lights.fs
+#include shadowcatcher.fs
 
 // Global variables
 ivec2 stats; // num triangle tests, num bounding box tests
@@ -89,6 +94,17 @@ DirectionSample generateSampledDirection( vec3 V, vec3 N, RayTracingMaterial mat
 
     // Specular sampling
 	if( rand < cumulativeSpecular ) {
+		// Anisotropic lobes sample their visible normals in the frame of the anisotropy direction
+		if( material.anisotropy > 0.0 ) {
+			mat3 anisotropicTBN = anisotropyTBN( N, material.anisotropyDirection );
+			H = anisotropicTBN * sampleGGXVNDF( transpose( anisotropicTBN ) * V, anisotropicAlpha( material.roughness, material.anisotropy ), xi );
+
+			result.direction = reflect( - V, H );
+			result.pdf = max( anisotropicGGXPDF( V, result.direction, N, material ), MIN_PDF );
+			result.value = evaluateMaterialResponse( V, result.direction, N, material );
+			return result;
+		}
+
         // Use TBN construction only when needed (optimization)
 		mat3 TBN = constructTBN( N );
 		vec3 localV = transpose( TBN ) * V;
@@ -252,7 +268,8 @@ bool handleRussianRoulette( int depth, vec3 throughput, RayTracingMaterial mater
 	return seed < threshold;
 }
 
-vec4 sampleBackgroundLighting( int bounceIndex, vec3 direction ) {
+vec4 sampleBackgroundLighting( int bounceIndex, vec3 origin, vec3 direction ) {
+	direction = getEnvironmentLookupDirection( origin, direction );
 	if( bounceIndex == 0 ) {
         // Primary rays: use background intensity scaling
 		if( showBackground ) {
@@ -311,22 +328,95 @@ vec4 Trace( Ray ray, inout uint rngState, int rayIndex, int pixelIndex ) {
 	PathState pathState;
 	pathState.weightsComputed = false;
 
+	// BRDF pdf and origin of the last scattering event, used to MIS-weight emitters
+	// that were also reachable through light sampling (0 when no light sample was taken)
+	float lastBrdfPdf = 0.0;
+	vec3 lastScatterPoint = ray.origin;
+
+	// Shadow catchers are only special for rays coming from the camera, what they reflect is
+	// traced further while the environment they reflect is already part of the background
+	bool cameraPath = true;
+	bool catcherReflection = false;
+
+	// Radiance gathered before the path depended on the wavelength, valid for all of them
+	vec3 unresolvedRadiance = vec3( 0.0 );
+
 	for( int bounceIndex = 0; bounceIndex <= maxBounceCount; bounceIndex ++ ) {
+		if( ! wavelengthsResolved ) {
+			unresolvedRadiance = radiance;
+		}
+
         // Update state for this bounce
 		state.traversals = maxBounceCount - bounceIndex;
 		state.firstRay = ( bounceIndex == 0 ) && ( state.transmissiveTraversals == transmissiveBounces );
 
 		HitInfo hitInfo = traverseBVH( ray, stats );
 
+		// Participating media up to the surface: the innermost object medium if it scatters,
+		// otherwise the global fog and density grid while the ray is outside of all objects
+		bool inScatteringObject = mediumStack.depth > 0 && isScatteringMedium( mediumStack.media[ mediumStack.depth ].multiscatterColor );
+		if( inScatteringObject || ( mediumStack.depth == 0 && hasGlobalMedium( ) ) ) {
+			float tMax = hitInfo.didHit ? hitInfo.dst : 1e20;
+			MediumSample mediumSample;
+
+			if( inScatteringObject ) {
+				Medium medium = mediumStack.media[ mediumStack.depth ];
+				vec3 sigmaT = getMediumExtinction( medium.attenuationColor, medium.attenuationDistance );
+				mediumSample = sampleHomogeneousMedium( sigmaT, multiscatterToAlbedo( medium.multiscatterColor ), medium.anisotropy, tMax, rngState );
+			} else {
+				mediumSample = sampleGlobalMedium( ray, tMax, rngState );
+			}
+
+			throughput = heroWavelengthThroughput( throughput * mediumSample.weight );
+
+			// Absorbed before reaching the surface
+			if( maxComponent( throughput ) <= 0.0 ) {
+				break;
+			}
+
+			if( mediumSample.scattered ) {
+				vec3 scatterPoint = ray.origin + ray.direction * mediumSample.t;
+
+				// Next event estimation from inside the medium
+				vec3 directLight = calculateMediumDirectLighting( scatterPoint, ray.direction, mediumSample.anisotropy, rayIndex, bounceIndex, rngState, stats );
+				radiance += regularizePathContribution( directLight * throughput, throughput, float( bounceIndex ) );
+
+				// The phase function is sampled exactly, its weight is one and its pdf is used for MIS with emitters
+				vec2 phaseSample = getRandomSample( gl_FragCoord.xy, rayIndex, bounceIndex, rngState, - 1 );
+				vec3 scatterDirection = sampleHenyeyGreenstein( ray.direction, mediumSample.anisotropy, phaseSample );
+
+				lastBrdfPdf = evaluateHenyeyGreenstein( dot( ray.direction, scatterDirection ), mediumSample.anisotropy );
+				lastScatterPoint = scatterPoint;
+
+				ray.origin = scatterPoint;
+				ray.direction = scatterDirection;
+				pathState.weightsComputed = false;
+				cameraPath = false;
+
+				if( maxComponent( throughput ) < 0.001 ) {
+					break;
+				}
+				continue;
+			}
+		}
+
 		if( ! hitInfo.didHit ) {
+			if( catcherReflection ) {
+				break;
+			}
+
             // Environment lighting
-			vec4 envColor = sampleBackgroundLighting( bounceIndex, ray.direction );
+			vec4 envColor = sampleBackgroundLighting( bounceIndex, ray.origin, ray.direction );
 			radiance += regularizePathContribution( envColor.rgb * throughput, throughput, float( bounceIndex ) );
 			alpha *= envColor.a;
             // return vec4(envColor, 1.0);
 			break;
 		}
 
+		// glTF extension textures scale their factors in place, so direct lighting sees them too
+		applyExtensionMaps( hitInfo.material, hitInfo.materialIndex, hitInfo.uv, hitInfo.normal );
+		applyAnisotropy( hitInfo.material, hitInfo.materialIndex, hitInfo.uv, hitInfo.normal, hitInfo.tangent );
+
 		// Sample all textures in one batch
 		MaterialSamples matSamples = sampleAllMaterialTextures( hitInfo.material, hitInfo.uv, hitInfo.normal );
 
@@ -353,11 +443,18 @@ vec4 Trace( Ray ray, inout uint rngState, int rayIndex, int pixelIndex ) {
 			}
 
 			// Update ray and continue
-			throughput *= interaction.throughput;
+			throughput = heroWavelengthThroughput( throughput * interaction.throughput );
 			alpha *= interaction.alpha;
 			ray.origin = hitInfo.hitPoint + ray.direction * 0.001;
 			ray.direction = interaction.direction;
 
+			// A transmissive bounce scatters without a light sample, an emitter it reaches keeps its full weight.
+			// Alpha skips continue the same straight ray, so the previous vertex still applies.
+			if( interaction.isTransmissive ) {
+				lastScatterPoint = hitInfo.hitPoint;
+				lastBrdfPdf = 0.0;
+			}
+
 			// Reset path state for new material
 			pathState.weightsComputed = false;
 			continue;
@@ -366,6 +463,81 @@ vec4 Trace( Ray ray, inout uint rngState, int rayIndex, int pixelIndex ) {
         // Apply transparency alpha
 		alpha *= interaction.alpha;
 
+		// A shadow catcher shows the background darkened by the shadows of the scene, fully opaque where
+		// the light is blocked. Scene objects seen in its reflection cover the background as well.
+		bool catchingShadows = material.shadowCatcher && cameraPath;
+		if( catchingShadows ) {
+			float occlusion = estimateShadowCatcherOcclusion( hitInfo, N, rayIndex, bounceIndex, rngState, stats );
+			vec4 background = sampleBackgroundLighting( bounceIndex, ray.origin, ray.direction );
+			radiance += background.rgb * throughput * ( 1.0 - occlusion );
+			alpha *= mix( background.a, 1.0, occlusion );
+			catcherReflection = true;
+		} else if( catcherReflection ) {
+			alpha += ( 1.0 - alpha ) * clamp( maxComponent( throughput ), 0.0, 1.0 );
+			catcherReflection = false;
+		}
+
+        // Add emissive contribution
+		vec3 emission = catchingShadows ? vec3( 0.0 ) : matSamples.emissive;
+		if( lastBrdfPdf > 0.0 && emissiveTriangleCount > 0 ) {
+			float lightPdf = getEmissiveTriangleLightPdf( hitInfo.triangleIndex, hitInfo.instanceIndex, lastScatterPoint, hitInfo.hitPoint );
+			emission *= powerHeuristic( lastBrdfPdf, lightPdf );
+		}
+		radiance += emission * throughput;
+
+		// Subsurface lobe, chosen with probability of its weight so the mix needs no reweighting. The walk
+		// replaces the diffuse lobe only, light reflected by the specular layer on top is shaded below.
+		if( ! catchingShadows && material.subsurface > 0.0 && RandomValue( rngState ) < material.subsurface ) {
+			vec3 entryF0 = mix( vec3( 0.04 ) * material.specularColor, material.color.rgb, material.metalness ) * material.specularIntensity;
+			vec3 entryFresnel = fresnelSchlick( max( dot( N, - ray.direction ), 0.001 ), entryF0 );
+			float specularLayerPdf = maxComponent( entryFresnel );
+
+			if( RandomValue( rngState ) < specularLayerPdf ) {
+				throughput /= specularLayerPdf;
+				material = getSpecularLayerMaterial( material );
+				hitInfo.material = getSpecularLayerMaterial( hitInfo.material );
+				matSamples.albedo.rgb = material.color.rgb;
+				matSamples.metalness = 1.0;
+				pathState.weightsComputed = false;
+			} else {
+				SubsurfaceResult walk = randomWalkSubsurface( hitInfo.hitPoint, N, material, rngState, stats );
+				if( ! walk.exited ) {
+					break;
+				}
+
+				// Light that is not reflected by the specular layer enters the dielectric part of the surface
+				throughput = heroWavelengthThroughput( throughput * walk.throughput * ( vec3( 1.0 ) - entryFresnel ) * ( 1.0 - material.metalness ) / ( 1.0 - specularLayerPdf ) );
+
+				// Light leaves the exit point diffusely
+				HitInfo exitHit = hitInfo;
+				exitHit.hitPoint = walk.exitPoint;
+				exitHit.normal = walk.exitNormal;
+				exitHit.material = getWhiteDiffuseMaterial( material );
+
+				vec2 exitSample = getRandomSample( gl_FragCoord.xy, rayIndex, bounceIndex, rngState, - 1 );
+				DirectionSample exitSampleDir;
+				exitSampleDir.direction = cosineWeightedSample( walk.exitNormal, exitSample );
+				exitSampleDir.pdf = cosineWeightedPDF( dot( walk.exitNormal, exitSampleDir.direction ) );
+				exitSampleDir.value = vec3( PI_INV );
+
+				vec3 directLight = calculateDirectLightingMIS( exitHit, walk.exitNormal, exitSampleDir, rayIndex, bounceIndex, rngState, stats );
+				radiance += regularizePathContribution( directLight * throughput, throughput, float( bounceIndex ) );
+
+				ray.origin = walk.exitPoint + walk.exitNormal * 0.001;
+				ray.direction = exitSampleDir.direction;
+
+				lastScatterPoint = walk.exitPoint;
+				lastBrdfPdf = exitSampleDir.pdf;
+				pathState.weightsComputed = false;
+				cameraPath = false;
+
+				if( ! handleRussianRoulette( bounceIndex, throughput, exitHit.material, ray.direction, rngState, pathState ) ) {
+					break;
+				}
+				continue;
+			}
+		}
+
 		vec2 randomSample = getRandomSample( gl_FragCoord.xy, rayIndex, bounceIndex, rngState, - 1 );
 
 		vec3 V = - ray.direction; // View direction, negative means pointing towards camera
@@ -389,9 +561,6 @@ vec4 Trace( Ray ray, inout uint rngState, int rayIndex, int pixelIndex ) {
 			brdfSample = generateSampledDirection( V, N, material, randomSample, rngState, pathState );
 		}
 
-        // Add emissive contribution
-		radiance += matSamples.emissive * throughput;
-
         // Get importance sampling info with caching
 		if( ! pathState.weightsComputed || bounceIndex == 0 ) {
 			pathState.samplingInfo = getImportanceSamplingInfo( material, bounceIndex );
@@ -399,16 +568,22 @@ vec4 Trace( Ray ray, inout uint rngState, int rayIndex, int pixelIndex ) {
 
         // Indirect lighting using MIS with cached sampling info
 		IndirectLightingResult indirectResult = calculateIndirectLighting( V, N, material, brdfSample, rayIndex, bounceIndex, rngState, pathState.samplingInfo );
-		throughput *= indirectResult.throughput;
+		throughput = heroWavelengthThroughput( throughput * indirectResult.throughput );
 
         // Add direct lighting contribution with cached material data
-		vec3 directLight = calculateDirectLightingMIS( hitInfo, V, brdfSample, rayIndex, bounceIndex, rngState, stats );
-		radiance += regularizePathContribution( directLight * throughput, throughput, float( bounceIndex ) );
+		if( ! catchingShadows ) {
+			vec3 directLight = calculateDirectLightingMIS( hitInfo, V, brdfSample, rayIndex, bounceIndex, rngState, stats );
+			radiance += regularizePathContribution( directLight * throughput, throughput, float( bounceIndex ) );
+		}
 
         // Prepare for next bounce
 		ray.origin = hitInfo.hitPoint + N * 0.001;
 		ray.direction = indirectResult.direction;
 
+		lastScatterPoint = hitInfo.hitPoint;
+		lastBrdfPdf = catchingShadows || skipDirectLighting( hitInfo.material, bounceIndex ) ? 0.0 : estimateBRDFSamplingPDF( V, ray.direction, hitInfo.normal, hitInfo.material );
+		cameraPath = false;
+
         // Check if path contribution is becoming negligible
 		float maxThroughput = max( max( throughput.r, throughput.g ), throughput.b );
 		if( maxThroughput < 0.001 && bounceIndex > 2 ) {
@@ -445,6 +620,11 @@ vec4 Trace( Ray ray, inout uint rngState, int rayIndex, int pixelIndex ) {
     // }
     // #endif
 
+	// What was gathered after a dispersive event only holds for the hero wavelength
+	if( wavelengthsResolved ) {
+		radiance = unresolvedRadiance + resolveHeroWavelength( radiance - unresolvedRadiance );
+	}
+
 	// Final firefly reduction pass for accumulated radiance
 	if( fireflyThreshold > 0.0 ) {
 		float globalThreshold = fireflyThreshold * 2.0; // More lenient for final result
@@ -548,12 +728,27 @@ void main( ) {
 			vec2 jitter = ( jitterSample - 0.5 ) * doubleInvResolution;
 			vec2 jitteredScreenPosition = screenPosition + jitter;
 
-			Ray ray = generateRayFromCamera( jitteredScreenPosition, seed );
+			// Camera, objects and shadow rays of the path all see the scene at this time
+			rayTime = motionBlur ? RandomValue( seed ) : 0.0;
+
+			if( spectralRendering ) {
+				sampleWavelengths( RandomValue( seed ) );
+			}
+
+			float cameraWeight;
+			bool validCameraRay;
+			Ray ray = generateRayFromCamera( jitteredScreenPosition, seed, cameraWeight, validCameraRay );
+
+			// No point inside the aperture blades was found, the sample is left out of the pixel
+			if( ! validCameraRay ) {
+				continue;
+			}
 
 			if( visMode > 0 ) {
 				_sample = TraceDebugMode( ray.origin, ray.direction );
 			} else {
 				_sample = Trace( ray, seed, rayIndex, pixelIndex );
+				_sample.rgb *= cameraWeight * cameraExposure * whiteBalance;
 			}
 
 			pixel.color += _sample;
@@ -561,7 +756,7 @@ void main( ) {
 
 		}
 
-		pixel.color /= float( pixel.samples );
+		pixel.color /= float( max( pixel.samples, 1 ) );
 
 	} else {
         // For pixels that are not rendered in this frame, use the color from the previous frame
@@ -571,5 +766,6 @@ void main( ) {
     // pixel.color.rgb = applyDithering( pixel.color.rgb, gl_FragCoord.xy / resolution, 0.5 ); // 0.5 is the dithering amount
     // pixel.color.rgb = dithering( pixel.color.rgb, seed );
 
-	fragColor = vec4( pixel.color.rgb, 1.0 );
+	// Alpha is the averaged coverage, the color is premultiplied by it
+	fragColor = pixel.color;
 }
\ No newline at end of file
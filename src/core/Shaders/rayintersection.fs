@@ -1,11 +1,42 @@
 uniform mat4 cameraWorldMatrix;
 uniform mat4 cameraProjectionMatrixInverse;
 
+// Motion blur, every path samples a time in the shutter interval
+uniform bool motionBlur;
+uniform vec3 cameraMotionPosition;   // Camera translation from shutter open to close
+uniform vec4 cameraMotionRotation;   // Camera rotation from shutter open to close as a quaternion
+
 uniform float focusDistance;
 uniform float aperture;
 uniform float focalLength;
 uniform float apertureScale;
 
+// Aperture shape for depth of field, the blades are sampled by rejection
+const int MAX_APERTURE_SAMPLE_TRIES = 16;
+uniform int apertureBlades;       // Regular polygon aperture, fewer than 3 blades is round
+uniform float apertureRotation;   // Radians
+uniform float bladeCurvature;     // 0 straight blades to 1 round
+uniform float anamorphicRatio;    // Horizontal squeeze of the aperture, 1 is a spherical lens
+uniform float catEye;             // Clipping of the aperture by the lens barrel towards the frame edges
+uniform bool useBokehTexture;     // Aperture transmission from an image instead of the blades
+uniform sampler2D bokehTexture;
+
+// Physical camera response, applied to the radiance of camera rays
+uniform float cameraExposure;  // Linear scale from ISO, shutter speed and aperture
+uniform vec3 whiteBalance;     // Per channel gains in linear space
+uniform float vignetting;      // Strength of the natural cos^4 lens falloff
+
+// Projection of camera rays
+const int CAMERA_PROJECTION_PERSPECTIVE = 0;
+const int CAMERA_PROJECTION_ORTHOGRAPHIC = 1;
+const int CAMERA_PROJECTION_EQUIRECTANGULAR = 2;
+const int CAMERA_PROJECTION_EQUIRECTANGULAR_STEREO = 3;
+const int CAMERA_PROJECTION_CUBEMAP = 4;
+
+uniform int cameraProjection;
+uniform float orthographicSize;     // Half height of the orthographic view in scene units
+uniform float stereoEyeSeparation;  // Interpupillary distance of stereo panoramas in scene units
+
 // Calculate the intersection of a ray with a triangle using Möller-Trumbore algorithm
 // Thanks to https://stackoverflow.com/a/42752998
 HitInfo RayTriangle( Ray ray, Triangle tri ) {
@@ -47,6 +78,7 @@ HitInfo RayTriangle( Ray ray, Triangle tri ) {
 
 		// Interpolate UV coordinates
 		result.uv = w * tri.uvA + u * tri.uvB + v * tri.uvC;
+		result.barycentrics = vec2( u, v );
 
 		// Set material index
 		result.material = tri.material;
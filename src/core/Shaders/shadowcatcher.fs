@@ -0,0 +1,60 @@
+// -----------------------------------------------------------------------------
+// Shadow catcher
+// -----------------------------------------------------------------------------
+
+// Lighting at a shadow catcher from the environment, a single sample shared by the occluded and unoccluded estimates
+vec3 sampleShadowCatcherEnvironment( vec3 point, vec3 N, vec2 xi, int bounceIndex, RayTracingMaterial material, inout uint rngState, inout ivec2 stats ) {
+	if( ! enableEnvironmentLight ) {
+		return vec3( 0.0 );
+	}
+
+	vec3 direction;
+	vec3 weight;
+	if( useEnvMapIS ) {
+		EnvMapSample envSample = sampleEnvironmentWithContext( xi, bounceIndex, material, N, N );
+		float NoL = dot( N, envSample.direction );
+		if( NoL <= 0.0 ) {
+			return vec3( 0.0 );
+		}
+		direction = envSample.direction;
+		vec3 envValue = enableGroundProjection ? sampleEnvironment( getEnvironmentLookupDirection( point, direction ) ).rgb : envSample.value;
+		weight = envValue * NoL * PI_INV / max( envSample.pdf, MIN_PDF );
+	} else {
+		// Cosine sampling cancels the diffuse response
+		direction = cosineWeightedSample( N, xi );
+		weight = sampleEnvironment( getEnvironmentLookupDirection( point, direction ) ).rgb;
+	}
+
+	return weight * traceShadowRay( point + N * 0.001, direction, 1000.0, rngState, stats );
+}
+
+// Fraction of the light arriving at a shadow catcher that the rest of the scene blocks. Lights and the
+// environment are sampled twice with the same random numbers, once against the whole scene and once
+// against the shadow catchers only, and the ratio of the two estimates is the shadow.
+float estimateShadowCatcherOcclusion( HitInfo hitInfo, vec3 N, int sampleIndex, int bounceIndex, inout uint rngState, inout ivec2 stats ) {
+	HitInfo catcherHit = hitInfo;
+	catcherHit.normal = N;
+	catcherHit.material = getWhiteDiffuseMaterial( hitInfo.material );
+
+	DirectionSample diffuseSample;
+	diffuseSample.direction = cosineWeightedSample( N, getRandomSample( gl_FragCoord.xy, sampleIndex, bounceIndex, rngState, - 1 ) );
+	diffuseSample.pdf = cosineWeightedPDF( dot( N, diffuseSample.direction ) );
+	diffuseSample.value = vec3( PI_INV );
+	vec2 envXi = getRandomSample( gl_FragCoord.xy, sampleIndex, bounceIndex, rngState, - 1 );
+
+	uint unoccludedRngState = rngState;
+
+	vec3 occluded = calculateDirectLightingMIS( catcherHit, N, diffuseSample, sampleIndex, bounceIndex, rngState, stats );
+	occluded += sampleShadowCatcherEnvironment( hitInfo.hitPoint, N, envXi, bounceIndex, catcherHit.material, rngState, stats );
+
+	shadowRaysCatchersOnly = true;
+	vec3 unoccluded = calculateDirectLightingMIS( catcherHit, N, diffuseSample, sampleIndex, bounceIndex, unoccludedRngState, stats );
+	unoccluded += sampleShadowCatcherEnvironment( hitInfo.hitPoint, N, envXi, bounceIndex, catcherHit.material, unoccludedRngState, stats );
+	shadowRaysCatchersOnly = false;
+
+	float unoccludedLuminance = luminance( unoccluded );
+	if( unoccludedLuminance <= 0.0 ) {
+		return 0.0;
+	}
+	return clamp( 1.0 - luminance( occluded ) / unoccludedLuminance, 0.0, 1.0 );
+}
@@ -0,0 +1,93 @@
+// -----------------------------------------------------------------------------
+// Spectral rendering
+// -----------------------------------------------------------------------------
+
+uniform bool spectralRendering;
+
+// Visible range the wavelengths of a path are drawn from, in nanometers
+const float MIN_WAVELENGTH = 380.0;
+const float MAX_WAVELENGTH = 780.0;
+const float WAVELENGTH_RANGE = MAX_WAVELENGTH - MIN_WAVELENGTH;
+
+// Integrals of the clamped linear Rec.709 color matching functions over the range, one per channel
+const vec3 SPECTRAL_CHANNEL_INTEGRALS = vec3( 176.177, 115.386, 109.318 );
+
+// Wavelengths carried by the current path: the hero wavelength first and three more evenly
+// spaced over the range (Wilkie et al. 2014, "Hero Wavelength Spectral Sampling")
+vec4 pathWavelengths = vec4( 550.0 );
+
+// Set once the path took a wavelength dependent direction, from then on only the hero wavelength is followed
+bool wavelengthsResolved = false;
+
+void sampleWavelengths( float u ) {
+	vec4 offsets = vec4( 0.0, 0.25, 0.5, 0.75 );
+	pathWavelengths = MIN_WAVELENGTH + fract( u + offsets ) * WAVELENGTH_RANGE;
+	wavelengthsResolved = false;
+}
+
+float piecewiseGaussian( float x, float mu, float sigmaLow, float sigmaHigh ) {
+	float t = ( x - mu ) / ( x < mu ? sigmaLow : sigmaHigh );
+	return exp( - 0.5 * t * t );
+}
+
+// CIE 1931 2° color matching functions, multi-lobe fit of Wyman et al. 2013
+vec3 wavelengthToXYZ( float lambda ) {
+	return vec3(
+		1.056 * piecewiseGaussian( lambda, 599.8, 37.9, 31.0 ) + 0.362 * piecewiseGaussian( lambda, 442.0, 16.0, 26.7 ) - 0.065 * piecewiseGaussian( lambda, 501.1, 20.4, 26.2 ),
+		0.821 * piecewiseGaussian( lambda, 568.8, 46.9, 40.5 ) + 0.286 * piecewiseGaussian( lambda, 530.9, 16.3, 31.1 ),
+		1.217 * piecewiseGaussian( lambda, 437.0, 11.8, 36.0 ) + 0.681 * piecewiseGaussian( lambda, 459.0, 26.0, 13.8 )
+	);
+}
+
+// Sensitivity of the working color space channels to a wavelength. Clamped to stay positive,
+// monochromatic light outside of the gamut is mapped onto its nearest edge.
+vec3 wavelengthSensitivity( float lambda ) {
+	return max( XYZ_TO_REC709 * wavelengthToXYZ( lambda ), vec3( 0.0 ) );
+}
+
+// Upsamples an RGB reflectance to its value at a wavelength. Every channel contributes where it
+// is sensitive, so grey stays flat and values stay between those of the channels.
+float upsampleRGB( vec3 rgb, float lambda ) {
+	vec3 weights = wavelengthSensitivity( lambda ) / SPECTRAL_CHANNEL_INTEGRALS;
+	float total = weights.r + weights.g + weights.b;
+	return total > 0.0 ? dot( rgb, weights ) / total : dot( rgb, vec3( 1.0 / 3.0 ) );
+}
+
+vec4 upsampleRGB( vec3 rgb, vec4 lambdas ) {
+	return vec4( upsampleRGB( rgb, lambdas.x ), upsampleRGB( rgb, lambdas.y ), upsampleRGB( rgb, lambdas.z ), upsampleRGB( rgb, lambdas.w ) );
+}
+
+// RGB reflectance of values sampled at the path wavelengths. The samples weighted by the channel
+// sensitivities estimate the spectral integral, normalized by the known integral of each channel.
+vec3 spectrumToRGB( vec4 values ) {
+	if( wavelengthsResolved ) {
+		return vec3( values.x );
+	}
+
+	vec3 weighted = vec3( 0.0 );
+	for( int i = 0; i < 4; i ++ ) {
+		weighted += wavelengthSensitivity( pathWavelengths[ i ] ) * values[ i ];
+	}
+
+	return weighted / ( SPECTRAL_CHANNEL_INTEGRALS / WAVELENGTH_RANGE * 4.0 );
+}
+
+// Path throughput after a scattering event. Once only the hero wavelength is followed the path is
+// monochromatic, its weights are upsampled at the hero wavelength instead of filtering each channel.
+vec3 heroWavelengthThroughput( vec3 throughput ) {
+	return wavelengthsResolved ? vec3( upsampleRGB( throughput, pathWavelengths.x ) ) : throughput;
+}
+
+// Color of radiance that only holds for the hero wavelength. The path throughput is already the value at
+// the hero wavelength, the emitted radiance of every channel is spread over the spectrum in proportion
+// to the channel's sensitivity, so averaged over hero wavelengths a grey path keeps the emitted RGB.
+vec3 resolveHeroWavelength( vec3 radiance ) {
+	return radiance * wavelengthSensitivity( pathWavelengths.x ) / SPECTRAL_CHANNEL_INTEGRALS * WAVELENGTH_RANGE;
+}
+
+// Index of refraction at a wavelength from the glTF dispersion, the Cauchy fit through the d-line IOR
+// with an Abbe number of 20 / dispersion (KHR_materials_dispersion)
+float getDispersiveIOR( float ior, float dispersion, float lambda ) {
+	float abbeNumber = 20.0 / max( dispersion, 1e-4 );
+	return ior + ( ior - 1.0 ) / abbeNumber * ( 523655.0 / ( lambda * lambda ) - 1.5168 );
+}
@@ -47,6 +47,29 @@ struct RayTracingMaterial {
 	float iridescence;
 	float iridescenceIOR;
 	vec2 iridescenceThicknessRange;
+	vec3 multiscatterColor; // Multiple scattering albedo of the volume, black = absorption only
+	float scatterAnisotropy; // Henyey-Greenstein g of the volume
+	float subsurface; // Weight of the random walk subsurface lobe
+	vec3 subsurfaceColor; // Tints the base color inside the surface
+	vec3 subsurfaceRadius; // Mean free path per channel in scene units
+	bool shadowCatcher; // Only shadows and reflections are rendered, the background shows through
+	int transmissionMapIndex; // Layers of the glTF extension maps in extensionMaps, -1 when unused
+	int thicknessMapIndex;
+	int clearcoatMapIndex;
+	int clearcoatRoughnessMapIndex;
+	int clearcoatNormalMapIndex;
+	int sheenColorMapIndex;
+	int sheenRoughnessMapIndex;
+	int specularIntensityMapIndex;
+	int specularColorMapIndex;
+	int iridescenceMapIndex;
+	int iridescenceThicknessMapIndex;
+	int anisotropyMapIndex;
+	vec2 clearcoatNormalScale;
+	vec3 clearcoatNormal; // Shading normal of the clearcoat layer, zero when it follows the surface normal
+	float anisotropy; // KHR_materials_anisotropy strength, stretches the specular lobe along anisotropyDirection
+	float anisotropyRotation; // Radians, counter-clockwise from the tangent
+	vec3 anisotropyDirection; // World space direction of the highlight stretch, resolved at the hit
 };
 
 struct Sphere {
@@ -72,7 +95,11 @@ struct HitInfo {
 	vec3 normal;
 	RayTracingMaterial material;
 	vec2 uv;
+	vec2 barycentrics; // Weights of the second and third vertex
+	vec4 tangent; // World space tangent with the bitangent handedness in w, only resolved for anisotropic materials
 	int materialIndex;
+	int triangleIndex;
+	int instanceIndex;
 };
 
 struct Triangle {
@@ -0,0 +1,58 @@
+// -----------------------------------------------------------------------------
+// Random walk subsurface scattering
+// -----------------------------------------------------------------------------
+
+const int MAX_SUBSURFACE_STEPS = 64;
+
+struct SubsurfaceResult {
+	bool exited;       // False when the walk was absorbed, ran out of steps or escaped open geometry
+	vec3 throughput;   // Weight of the walk, the surface color is folded into the albedo
+	vec3 exitPoint;
+	vec3 exitNormal;   // Points out of the surface at the exit point
+};
+
+// Light enters below the surface with a cosine distribution and performs an isotropic walk through a
+// homogeneous medium until a surface intersection is reached before the next scattering event.
+// The mean free path per channel is the subsurface radius, and the single scattering albedo is chosen
+// so that the multiple scattering color matches the base color.
+SubsurfaceResult randomWalkSubsurface( vec3 entryPoint, vec3 N, RayTracingMaterial material, inout uint rngState, inout ivec2 stats ) {
+	SubsurfaceResult result;
+	result.exited = false;
+	result.throughput = vec3( 1.0 );
+	result.exitPoint = entryPoint;
+	result.exitNormal = N;
+
+	vec3 sigmaT = 1.0 / max( material.subsurfaceRadius, vec3( 1e-4 ) );
+	vec3 albedo = multiscatterToAlbedo( material.color.rgb * material.subsurfaceColor );
+
+	Ray walkRay;
+	walkRay.direction = cosineWeightedSample( - N, vec2( RandomValue( rngState ), RandomValue( rngState ) ) );
+	walkRay.origin = entryPoint + walkRay.direction * 0.001;
+
+	for( int i = 0; i < MAX_SUBSURFACE_STEPS; i ++ ) {
+		HitInfo hit = traverseBVH( walkRay, stats );
+		if( ! hit.didHit ) {
+			return result;
+		}
+
+		MediumSample mediumSample = sampleHomogeneousMedium( sigmaT, albedo, 0.0, hit.dst, rngState );
+		result.throughput *= mediumSample.weight;
+
+		if( ! mediumSample.scattered ) {
+			result.exited = true;
+			result.exitPoint = hit.hitPoint;
+			result.exitNormal = dot( hit.normal, walkRay.direction ) > 0.0 ? hit.normal : - hit.normal;
+			return result;
+		}
+
+		if( maxComponent( result.throughput ) < 0.001 ) {
+			return result;
+		}
+
+		vec2 xi = vec2( RandomValue( rngState ), RandomValue( rngState ) );
+		walkRay.origin += walkRay.direction * mediumSample.t;
+		walkRay.direction = sampleHenyeyGreenstein( walkRay.direction, 0.0, xi );
+	}
+
+	return result;
+}
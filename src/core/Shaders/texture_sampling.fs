@@ -4,6 +4,8 @@ uniform sampler2DArray bumpMaps;
 uniform sampler2DArray metalnessMaps;
 uniform sampler2DArray roughnessMaps;
 uniform sampler2DArray emissiveMaps;
+// Textures of the glTF material extensions share one array to stay within the sampler limit
+uniform sampler2DArray extensionMaps;
 
 // ================================================================================
 // FAST UTILITY FUNCTIONS
@@ -330,6 +332,137 @@ MaterialSamples sampleAllMaterialTextures( RayTracingMaterial material, vec2 uv,
 	return samples;
 }
 
+// ================================================================================
+// GLTF EXTENSION MAPS
+// ================================================================================
+
+// Extension maps in the order of their transforms in the material data
+const int TRANSMISSION_MAP = 0;
+const int THICKNESS_MAP = 1;
+const int CLEARCOAT_MAP = 2;
+const int CLEARCOAT_ROUGHNESS_MAP = 3;
+const int CLEARCOAT_NORMAL_MAP = 4;
+const int SHEEN_COLOR_MAP = 5;
+const int SHEEN_ROUGHNESS_MAP = 6;
+const int SPECULAR_INTENSITY_MAP = 7;
+const int SPECULAR_COLOR_MAP = 8;
+const int IRIDESCENCE_MAP = 9;
+const int IRIDESCENCE_THICKNESS_MAP = 10;
+const int ANISOTROPY_MAP = 11;
+
+bool materialHasExtensionMaps( RayTracingMaterial material ) {
+	return ( material.transmissionMapIndex >= 0 ||
+		material.thicknessMapIndex >= 0 ||
+		material.clearcoatMapIndex >= 0 ||
+		material.clearcoatRoughnessMapIndex >= 0 ||
+		material.clearcoatNormalMapIndex >= 0 ||
+		material.sheenColorMapIndex >= 0 ||
+		material.sheenRoughnessMapIndex >= 0 ||
+		material.specularIntensityMapIndex >= 0 ||
+		material.specularColorMapIndex >= 0 ||
+		material.iridescenceMapIndex >= 0 ||
+		material.iridescenceThicknessMapIndex >= 0 );
+}
+
+vec4 sampleExtensionMap( int materialIndex, int map, int layer, vec2 uv ) {
+	int slot = EXTENSION_MAP_TRANSFORM_SLOT + map * 2;
+	mat3 transform = arrayToMat3(
+		getDatafromDataTexture( materialTexture, materialTexSize, materialIndex, slot, MATERIAL_SLOTS ),
+		getDatafromDataTexture( materialTexture, materialTexSize, materialIndex, slot + 1, MATERIAL_SLOTS )
+	);
+	return texture( extensionMaps, vec3( getTransformedUV( uv, transform ), float( layer ) ) );
+}
+
+// Scales the extension factors by their textures, following the channels of the glTF specification
+void applyExtensionMaps( inout RayTracingMaterial material, int materialIndex, vec2 uv, vec3 geometryNormal ) {
+	if( ! materialHasExtensionMaps( material ) ) {
+		return;
+	}
+
+	if( material.transmissionMapIndex >= 0 ) {
+		material.transmission *= sampleExtensionMap( materialIndex, TRANSMISSION_MAP, material.transmissionMapIndex, uv ).r;
+	}
+
+	if( material.thicknessMapIndex >= 0 ) {
+		material.thickness *= sampleExtensionMap( materialIndex, THICKNESS_MAP, material.thicknessMapIndex, uv ).g;
+	}
+
+	if( material.clearcoatMapIndex >= 0 ) {
+		material.clearcoat *= sampleExtensionMap( materialIndex, CLEARCOAT_MAP, material.clearcoatMapIndex, uv ).r;
+	}
+
+	if( material.clearcoatRoughnessMapIndex >= 0 ) {
+		material.clearcoatRoughness *= sampleExtensionMap( materialIndex, CLEARCOAT_ROUGHNESS_MAP, material.clearcoatRoughnessMapIndex, uv ).g;
+	}
+
+	if( material.clearcoatNormalMapIndex >= 0 ) {
+		vec3 normalMap = sampleExtensionMap( materialIndex, CLEARCOAT_NORMAL_MAP, material.clearcoatNormalMapIndex, uv ).xyz * 2.0 - 1.0;
+		normalMap.xy *= material.clearcoatNormalScale;
+
+		vec3 up = abs( geometryNormal.z ) < 0.999 ? vec3( 0.0, 0.0, 1.0 ) : vec3( 1.0, 0.0, 0.0 );
+		vec3 tangent = normalize( cross( up, geometryNormal ) );
+		vec3 bitangent = cross( geometryNormal, tangent );
+
+		material.clearcoatNormal = normalize( tangent * normalMap.x + bitangent * normalMap.y + geometryNormal * normalMap.z );
+	}
+
+	if( material.sheenColorMapIndex >= 0 ) {
+		vec3 sheenSample = sampleExtensionMap( materialIndex, SHEEN_COLOR_MAP, material.sheenColorMapIndex, uv ).rgb;
+		material.sheenColor *= sheenSample * sheenSample * sqrt( sheenSample );
+	}
+
+	if( material.sheenRoughnessMapIndex >= 0 ) {
+		material.sheenRoughness *= sampleExtensionMap( materialIndex, SHEEN_ROUGHNESS_MAP, material.sheenRoughnessMapIndex, uv ).a;
+	}
+
+	if( material.specularIntensityMapIndex >= 0 ) {
+		material.specularIntensity *= sampleExtensionMap( materialIndex, SPECULAR_INTENSITY_MAP, material.specularIntensityMapIndex, uv ).a;
+	}
+
+	if( material.specularColorMapIndex >= 0 ) {
+		vec3 specularSample = sampleExtensionMap( materialIndex, SPECULAR_COLOR_MAP, material.specularColorMapIndex, uv ).rgb;
+		material.specularColor *= specularSample * specularSample * sqrt( specularSample );
+	}
+
+	if( material.iridescenceMapIndex >= 0 ) {
+		material.iridescence *= sampleExtensionMap( materialIndex, IRIDESCENCE_MAP, material.iridescenceMapIndex, uv ).r;
+	}
+
+	// The thickness map picks a point in the range, collapsing it to that thickness
+	if( material.iridescenceThicknessMapIndex >= 0 ) {
+		float t = sampleExtensionMap( materialIndex, IRIDESCENCE_THICKNESS_MAP, material.iridescenceThicknessMapIndex, uv ).g;
+		material.iridescenceThicknessRange = vec2( mix( material.iridescenceThicknessRange.x, material.iridescenceThicknessRange.y, t ) );
+	}
+}
+
+// Resolves the world space direction of the anisotropic highlight from the tangent frame of the hit.
+// The anisotropy texture holds a tangent space direction in red and green and scales the strength by blue,
+// the rotation turns the direction counter-clockwise (KHR_materials_anisotropy).
+void applyAnisotropy( inout RayTracingMaterial material, int materialIndex, vec2 uv, vec3 normal, vec4 tangent ) {
+	if( material.anisotropy <= 0.0 ) {
+		return;
+	}
+
+	vec2 direction = vec2( 1.0, 0.0 );
+	if( material.anisotropyMapIndex >= 0 ) {
+		vec3 anisotropySample = sampleExtensionMap( materialIndex, ANISOTROPY_MAP, material.anisotropyMapIndex, uv ).rgb;
+		vec2 mapDirection = anisotropySample.rg * 2.0 - 1.0;
+		direction = dot( mapDirection, mapDirection ) > 1e-8 ? normalize( mapDirection ) : direction;
+		material.anisotropy *= anisotropySample.b;
+	}
+
+	float c = cos( material.anisotropyRotation );
+	float s = sin( material.anisotropyRotation );
+	direction = mat2( c, s, - s, c ) * direction;
+
+	// Geometry without UVs has no tangents, any direction in the surface will do
+	vec3 T = tangent.xyz - normal * dot( normal, tangent.xyz );
+	T = dot( T, T ) > 1e-8 ? normalize( T ) : constructTBN( normal )[ 0 ];
+	vec3 B = cross( normal, T ) * tangent.w;
+
+	material.anisotropyDirection = T * direction.x + B * direction.y;
+}
+
 // ================================================================================
 // INDIVIDUAL SAMPLING FUNCTIONS (for compatibility with existing calls)
 // ================================================================================
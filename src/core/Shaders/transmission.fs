@@ -21,6 +21,8 @@ struct Medium {
 	vec3 attenuationColor;
 	float attenuationDistance;
 	float dispersion;
+	vec3 multiscatterColor;
+	float anisotropy;
 };
 
 struct MediumStack {
@@ -127,8 +129,12 @@ MicrofacetTransmissionResult sampleMicrofacetTransmission(
 	float eta = ior;
 	float etaRatio = entering ? ( 1.0 / eta ) : eta;
 
-    // Handle dispersion if enabled
-	if( dispersion > 0.0 ) {
+    // Handle dispersion if enabled, a spectral path refracts at its hero wavelength
+	if( dispersion > 0.0 && spectralRendering ) {
+		eta = getDispersiveIOR( ior, dispersion, pathWavelengths.x );
+		etaRatio = entering ? ( 1.0 / eta ) : eta;
+		wavelengthsResolved = true;
+	} else if( dispersion > 0.0 ) {
 		float randWL = RandomValue( rngState );
 		float B = dispersion * 0.001;
 		float dispersionOffset = B / ( ( randWL < 0.333 ) ? 0.4225 : ( ( randWL < 0.666 ) ? 0.2809 : 0.1936 ) );
@@ -173,6 +179,27 @@ MicrofacetTransmissionResult sampleMicrofacetTransmission(
 	return result;
 }
 
+// Throughput of a direction scattered off a half vector sampled proportional to D * NoH. Directions the
+// microfacets send to the wrong side of the surface are masked, and the energy lost to single scattering
+// is given back with the same albedo table as the GGX lobes, treating reflection plus refraction as F = 1
+float microfacetScatteringWeight( vec3 V, vec3 N, vec3 H, vec3 L, bool didReflect, float roughness ) {
+	float NoL = dot( N, L );
+	if( didReflect ? NoL <= 0.0 : NoL >= 0.0 ) return 0.0;
+
+	float transmissionRoughness = max( 0.05, roughness );
+	float NoV = clamp( dot( N, V ), 0.001, 1.0 );
+	float NoH = clamp( dot( N, H ), 0.001, 1.0 );
+	float VoH = clamp( abs( dot( V, H ) ), 0.001, 1.0 );
+
+	float weight = GeometrySmith( NoV, abs( NoL ), transmissionRoughness ) * VoH / ( NoV * NoH );
+
+	if( energyCompensation ) {
+		weight /= max( sampleGGXEnergy( NoV, transmissionRoughness ).r, 0.01 );
+	}
+
+	return weight;
+}
+
 TransmissionResult handleTransmission(
 	vec3 rayDir,           // Incident ray direction
 	vec3 normal,           // Surface normal
@@ -250,15 +277,16 @@ TransmissionResult handleTransmission(
 
 	if( result.didReflect ) {
         // For reflection, we can either use perfect reflection or microfacet-based
+		result.throughput = material.color.rgb;
 		if( material.roughness > 0.05 ) {
-            // Use microfacet reflection via our shared function
-			MicrofacetTransmissionResult mtResult = sampleMicrofacetTransmission( V, N, material.ior, material.roughness, entering, 0.0, xi, rngState );
-			result.direction = mtResult.direction;
+            // Reflect off a sampled microfacet normal
+			vec3 H = ImportanceSampleGGX( N, max( 0.05, material.roughness ), xi );
+			result.direction = reflect( rayDir, H );
+			result.throughput *= microfacetScatteringWeight( V, N, H, result.direction, true, material.roughness );
 		} else {
             // Perfect mirror reflection for smooth surfaces
 			result.direction = reflect( rayDir, N );
 		}
-		result.throughput = material.color.rgb;
 	} else {
         // For transmission/refraction
 		if( material.roughness > 0.05 || material.dispersion > 0.0 ) {
@@ -273,7 +301,16 @@ TransmissionResult handleTransmission(
 				result.direction = mtResult.direction;
 
                 // Handle dispersion coloring
-				if( material.dispersion > 0.0 ) {
+				if( material.dispersion > 0.0 && spectralRendering ) {
+					// The IOR of the hero wavelength already bent the sampled direction, a smooth surface refracts exactly
+					if( material.roughness <= 0.05 ) {
+						float heroIOR = getDispersiveIOR( material.ior, material.dispersion, pathWavelengths.x );
+						vec3 refracted = refract( rayDir, N, entering ? 1.0 / heroIOR : heroIOR );
+						if( dot( refracted, refracted ) > 0.0 ) {
+							result.direction = refracted;
+						}
+					}
+				} else if( material.dispersion > 0.0 ) {
 					// Calculate wavelength-dependent IOR
 					vec3 wavelengthIOR = calculateDispersiveIOR( material.ior, material.dispersion );
 
@@ -307,6 +344,11 @@ TransmissionResult handleTransmission(
 
 				}
 			}
+
+			// Rough surfaces keep the microfacet sample unless the RGB dispersion refracted its own channel
+			if( material.roughness > 0.05 && ( material.dispersion <= 0.0 || spectralRendering ) ) {
+				result.throughput *= microfacetScatteringWeight( V, N, mtResult.halfVector, result.direction, result.didReflect, material.roughness );
+			}
 		} else {
             // Simple refraction for smooth, non-dispersive surfaces
 			result.direction = refract( rayDir, N, n1 / n2 );
@@ -317,8 +359,8 @@ TransmissionResult handleTransmission(
             // Apply material color blending for transmission
 			result.throughput *= mix( material.color.rgb, vec3( 1.0 ), material.transmission * 0.5 );
 
-            // Apply Beer's law absorption when entering medium
-			if( entering && material.attenuationDistance > 0.0 ) {
+            // Apply Beer's law absorption when entering medium, scattering media are attenuated along the path instead
+			if( entering && material.attenuationDistance > 0.0 && ! isScatteringMedium( material.multiscatterColor ) ) {
 				result.throughput *= calculateBeerLawAbsorption( material.attenuationColor, material.attenuationDistance, material.thickness );
 			}
 
@@ -416,6 +458,8 @@ MaterialInteractionResult handleMaterialTransparency(
 						mediumStack.media[ mediumStack.depth ].attenuationColor = material.attenuationColor;
 						mediumStack.media[ mediumStack.depth ].attenuationDistance = material.attenuationDistance;
 						mediumStack.media[ mediumStack.depth ].dispersion = material.dispersion;
+						mediumStack.media[ mediumStack.depth ].multiscatterColor = material.multiscatterColor;
+						mediumStack.media[ mediumStack.depth ].anisotropy = material.scatterAnisotropy;
 					}
 				} else {
 					// Pop medium from stack
@@ -0,0 +1,224 @@
+// -----------------------------------------------------------------------------
+// Participating media
+// -----------------------------------------------------------------------------
+
+// Global atmospheric fog, a homogeneous medium filling everything below fogHeight
+uniform bool enableFog;
+uniform float fogDensity;
+uniform vec3 fogColor;        // Single scattering albedo
+uniform float fogAnisotropy;
+uniform float fogHeight;
+
+// Heterogeneous medium inside the bounds of a density grid (see VolumeGridParser.js),
+// it shares the albedo and phase function of the fog
+uniform bool enableDensityGrid;
+uniform sampler3D densityGrid;
+uniform vec3 densityGridMin;
+uniform vec3 densityGridMax;
+uniform float densityGridMajorant; // Largest voxel density
+uniform float densityGridScale;
+
+const int MAX_DELTA_TRACKING_STEPS = 128;
+
+struct MediumSample {
+	bool scattered;    // Whether a scattering event happened before the surface
+	float t;           // Distance to the scattering event
+	vec3 weight;       // Throughput multiplier, transmittance over pdf times albedo when scattered
+	float anisotropy;  // Phase function of the medium that scattered
+};
+
+// Henyey-Greenstein phase function, cosTheta between the propagation and scattered directions
+float evaluateHenyeyGreenstein( float cosTheta, float g ) {
+	float denom = max( 1.0 + g * g - 2.0 * g * cosTheta, 1e-6 );
+	return ( 1.0 - g * g ) / ( 4.0 * PI * denom * sqrt( denom ) );
+}
+
+// Samples a scattered direction exactly proportional to evaluateHenyeyGreenstein
+vec3 sampleHenyeyGreenstein( vec3 direction, float g, vec2 xi ) {
+	float cosTheta;
+	if( abs( g ) < 1e-3 ) {
+		cosTheta = 1.0 - 2.0 * xi.x;
+	} else {
+		float sqrTerm = ( 1.0 - g * g ) / ( 1.0 + g - 2.0 * g * xi.x );
+		cosTheta = ( 1.0 + g * g - sqrTerm * sqrTerm ) / ( 2.0 * g );
+	}
+	cosTheta = clamp( cosTheta, - 1.0, 1.0 );
+
+	float sinTheta = sqrt( max( 0.0, 1.0 - cosTheta * cosTheta ) );
+	float phi = TWO_PI * xi.y;
+	return constructTBN( direction ) * vec3( cos( phi ) * sinTheta, sin( phi ) * sinTheta, cosTheta );
+}
+
+// Materials with a multiple scattering color are treated as scattering volumes (KHR_materials_volume_scatter)
+bool isScatteringMedium( vec3 multiscatterColor ) {
+	return any( greaterThan( multiscatterColor, vec3( 0.0 ) ) );
+}
+
+// Single scattering albedo that produces the given multiple scattering color (KHR_materials_volume_scatter)
+vec3 multiscatterToAlbedo( vec3 multiscatterColor ) {
+	vec3 s = 4.09712 + 4.20863 * multiscatterColor - sqrt( 9.59217 + 41.6808 * multiscatterColor + 17.7126 * multiscatterColor * multiscatterColor );
+	return clamp( 1.0 - s * s, 0.0, 1.0 );
+}
+
+// Extinction coefficient from the glTF attenuation color reached after attenuationDistance
+vec3 getMediumExtinction( vec3 attenuationColor, float attenuationDistance ) {
+	return - log( clamp( attenuationColor, vec3( 0.001 ), vec3( 1.0 ) ) ) / attenuationDistance;
+}
+
+// Chromatic homogeneous medium. Distances are sampled with the extinction of a random channel and
+// weighted by the pdf averaged over all channels (spectral MIS), so no channel is left unsampled.
+MediumSample sampleHomogeneousMedium( vec3 sigmaT, vec3 albedo, float anisotropy, float tMax, inout uint rngState ) {
+	MediumSample result;
+	result.scattered = false;
+	result.t = tMax;
+	result.anisotropy = anisotropy;
+
+	float channel = RandomValue( rngState );
+	float sigmaChannel = channel < 1.0 / 3.0 ? sigmaT.r : ( channel < 2.0 / 3.0 ? sigmaT.g : sigmaT.b );
+	float t = sigmaChannel > 0.0 ? - log( 1.0 - RandomValue( rngState ) ) / sigmaChannel : tMax;
+
+	if( t < tMax ) {
+		vec3 transmittance = exp( - sigmaT * t );
+		float pdf = dot( sigmaT * transmittance, vec3( 1.0 / 3.0 ) );
+
+		result.scattered = true;
+		result.t = t;
+		result.weight = pdf > 0.0 ? sigmaT * albedo * transmittance / pdf : vec3( 0.0 );
+	} else {
+		vec3 transmittance = exp( - sigmaT * tMax );
+		float pdf = dot( transmittance, vec3( 1.0 / 3.0 ) );
+		result.weight = pdf > 0.0 ? transmittance / pdf : vec3( 0.0 );
+	}
+
+	return result;
+}
+
+bool hasGlobalMedium( ) {
+	return ( enableFog && fogDensity > 0.0 ) || enableDensityGrid;
+}
+
+// Part of the ray below the fog ceiling, empty when x >= y
+vec2 getFogInterval( vec3 origin, vec3 direction, float tMax ) {
+	if( abs( direction.y ) < 1e-6 ) {
+		return origin.y < fogHeight ? vec2( 0.0, tMax ) : vec2( tMax );
+	}
+
+	float tPlane = ( fogHeight - origin.y ) / direction.y;
+	if( origin.y < fogHeight ) {
+		return vec2( 0.0, direction.y > 0.0 ? min( tPlane, tMax ) : tMax );
+	}
+	return direction.y < 0.0 ? vec2( min( tPlane, tMax ), tMax ) : vec2( tMax );
+}
+
+// Part of the ray inside the bounds of the density grid, empty when x >= y
+vec2 getDensityGridInterval( vec3 origin, vec3 direction, float tMax ) {
+	vec3 invDir = 1.0 / max( abs( direction ), vec3( 1e-8 ) ) * sign( direction );
+	vec3 t0 = ( densityGridMin - origin ) * invDir;
+	vec3 t1 = ( densityGridMax - origin ) * invDir;
+	vec3 tNear = min( t0, t1 );
+	vec3 tFar = max( t0, t1 );
+
+	float tEnter = max( max( max( tNear.x, tNear.y ), tNear.z ), 0.0 );
+	float tExit = min( min( min( tFar.x, tFar.y ), tFar.z ), tMax );
+	return vec2( tEnter, tExit );
+}
+
+float getGridDensity( vec3 position ) {
+	vec3 uvw = ( position - densityGridMin ) / ( densityGridMax - densityGridMin );
+	return texture( densityGrid, uvw ).r * densityGridScale;
+}
+
+// Fog and density grid combined. Each component samples its own free-flight distance (analytic for
+// the fog, delta tracking for the grid) and the closest one scatters. Both are grey, so passing
+// through has unit weight and a scattering event is weighted by the albedo only.
+MediumSample sampleGlobalMedium( Ray ray, float tMax, inout uint rngState ) {
+	MediumSample result;
+	result.scattered = false;
+	result.t = tMax;
+	result.weight = vec3( 1.0 );
+	result.anisotropy = fogAnisotropy;
+
+	float tScatter = tMax;
+
+	if( enableFog && fogDensity > 0.0 ) {
+		vec2 range = getFogInterval( ray.origin, ray.direction, tMax );
+		if( range.x < range.y ) {
+			tScatter = min( tScatter, range.x - log( 1.0 - RandomValue( rngState ) ) / fogDensity );
+		}
+	}
+
+	float majorant = densityGridMajorant * densityGridScale;
+	if( enableDensityGrid && majorant > 0.0 ) {
+		// Collisions behind the fog event can't be the closest one
+		vec2 range = getDensityGridInterval( ray.origin, ray.direction, tScatter );
+		float t = range.x;
+		int steps = 0;
+
+		for( ; steps < MAX_DELTA_TRACKING_STEPS && range.x < range.y; steps ++ ) {
+			t -= log( 1.0 - RandomValue( rngState ) ) / majorant;
+			if( t >= range.y ) {
+				break;
+			}
+
+			// Real collision with probability density / majorant, null collision otherwise
+			if( RandomValue( rngState ) * majorant < getGridDensity( ray.origin + ray.direction * t ) ) {
+				tScatter = t;
+				break;
+			}
+		}
+
+		// A ray still tracking after the step budget is deep in a dense grid, it counts as absorbed
+		if( steps == MAX_DELTA_TRACKING_STEPS ) {
+			result.weight = vec3( 0.0 );
+			return result;
+		}
+	}
+
+	if( tScatter < tMax ) {
+		result.scattered = true;
+		result.t = tScatter;
+		result.weight = fogColor;
+	}
+
+	return result;
+}
+
+// Grey transmittance of the global medium along a shadow ray segment, ratio tracking through the grid
+float getGlobalMediumTransmittance( vec3 origin, vec3 direction, float tMax, inout uint rngState ) {
+	if( ! hasGlobalMedium( ) ) {
+		return 1.0;
+	}
+
+	float transmittance = 1.0;
+
+	if( enableFog && fogDensity > 0.0 ) {
+		vec2 range = getFogInterval( origin, direction, tMax );
+		transmittance *= exp( - fogDensity * max( range.y - range.x, 0.0 ) );
+	}
+
+	float majorant = densityGridMajorant * densityGridScale;
+	if( enableDensityGrid && majorant > 0.0 ) {
+		vec2 range = getDensityGridInterval( origin, direction, tMax );
+		float t = range.x;
+		int steps = 0;
+
+		for( ; steps < MAX_DELTA_TRACKING_STEPS && range.x < range.y; steps ++ ) {
+			t -= log( 1.0 - RandomValue( rngState ) ) / majorant;
+			if( t >= range.y ) {
+				break;
+			}
+
+			transmittance *= 1.0 - getGridDensity( origin + direction * t ) / majorant;
+			if( transmittance < 0.005 ) {
+				return 0.0;
+			}
+		}
+
+		// Same as the free-flight sampling, the light is absorbed when the steps run out
+		if( steps == MAX_DELTA_TRACKING_STEPS ) {
+			return 0.0;
+		}
+	}
+
+	return transmittance;
+}
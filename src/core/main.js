@@ -4,6 +4,9 @@ import {
 	WebGLRenderer,
 	SRGBColorSpace,
 	DirectionalLight,
+	PointLight,
+	SpotLight,
+	RectAreaLight,
 	WebGLRenderTarget,
 	FloatType,
 	Vector2,
@@ -15,11 +18,21 @@ import {
 	MeshBasicMaterial,
 	Raycaster,
 	TextureLoader,
-	RGBAFormat
+	ImageLoader,
+	RGBAFormat,
+	CustomBlending,
+	NoBlending,
+	SrcAlphaFactor,
+	OneFactor,
+	ZeroFactor,
+	Matrix4,
+	MathUtils,
+	Vector3
 } from 'three';
 
 import {
 	OrbitControls,
+	TransformControls,
 	EffectComposer,
 	RenderPass,
 	OutlinePass,
@@ -36,11 +49,16 @@ import { LygiaSmartDenoiserPass } from './Passes/LygiaSmartDenoiserPass';
 import { TileHighlightPass } from './Passes/TileHighlightPass';
 import { OIDNDenoiser } from './Passes/OIDNDenoiser';
 import { ASVGFPass } from './Passes/ASVGFPass';
+import { AutoExposurePass } from './Passes/AutoExposurePass';
 import { updateStats } from './Processor/utils';
-import { HDR_FILES, DEFAULT_STATE } from '../Constants';
+import { HDR_FILES, DEFAULT_STATE, CAMERA_PROJECTIONS } from '../Constants';
 import radialTexture from '../../public/radial-gradient.png';
-import { useStore } from '@/store';
+import { useStore, usePathTracerStore } from '@/store';
 import AssetLoader from './Processor/AssetLoader';
+import { AnimationController } from './Processor/AnimationController';
+import { SkyGenerator, getSunPosition, getSunDirection, SUN_ANGULAR_RADIUS } from './Processor/SkyGenerator';
+import { computeCameraExposure, computeWhiteBalance, createBokehTexture } from './Processor/PhysicalCamera';
+import { saveRender } from '@/utils/database';
 
 class PathTracerApp extends EventDispatcher {
 
@@ -80,6 +98,12 @@ class PathTracerApp extends EventDispatcher {
 		this.currentCameraIndex = 0;
 		this.defaultCamera = this.camera;
 		this.asvgfPass = null;
+		this.animation = new AnimationController();
+		this.isRenderingSequence = false;
+		this.cameraProjection = DEFAULT_STATE.cameraProjection;
+		this.shutterAngle = DEFAULT_STATE.shutterAngle;
+		this.frameRate = DEFAULT_STATE.frameRate;
+		this.bokehImageRequest = 0; // Latest setBokehImage call, older loads that finish later are dropped
 
 	}
 
@@ -125,6 +149,8 @@ class PathTracerApp extends EventDispatcher {
 		} );
 		this.controls.update();
 
+		this.setupTransformControls();
+
 		this.cameras = [ this.defaultCamera ];
 
 		// Setup lighting
@@ -133,6 +159,19 @@ class PathTracerApp extends EventDispatcher {
 		this.directionalLight.name = "Sun Light";
 		this.scene.add( this.directionalLight );
 
+		// Procedural sky, drives the sun light while it is the environment
+		this.skyGenerator = new SkyGenerator();
+		this.environmentSource = DEFAULT_STATE.environmentSource;
+		this.skySettings = {
+			turbidity: DEFAULT_STATE.skyTurbidity,
+			sunIntensity: DEFAULT_STATE.sunIntensity,
+			latitude: DEFAULT_STATE.sunLatitude,
+			longitude: DEFAULT_STATE.sunLongitude,
+			date: DEFAULT_STATE.sunDate,
+			time: DEFAULT_STATE.sunTime,
+			utcOffset: DEFAULT_STATE.sunUtcOffset
+		};
+
 		// Setup composer and passes
 		this.setupComposer();
 		await this.setupFloorPlane();
@@ -179,6 +218,9 @@ class PathTracerApp extends EventDispatcher {
 		}
 
 		this.pauseRendering = false;
+		this.animation.addEventListener( 'timeupdate', () => this.updateShutterMotion() );
+		this.animation.setModel( this.assetLoader.getTargetModel() );
+		window.dispatchEvent( new CustomEvent( 'AnimationsChanged' ) );
 
 		// Start animation loop
 		this.animate();
@@ -193,11 +235,40 @@ class PathTracerApp extends EventDispatcher {
 
 			}
 
+			// A loaded environment map takes over from the procedural sky
+			if ( event.texture && this.environmentSource === 'sky' ) {
+
+				this.environmentSource = 'hdri';
+				this.restoreSunLight();
+				usePathTracerStore.getState().setEnvironmentSource( 'hdri' );
+
+			}
+
+			if ( event.model ) {
+
+				this.animation.setModel( this.assetLoader.getTargetModel() );
+				window.dispatchEvent( new CustomEvent( 'AnimationsChanged' ) );
+
+			}
+
 			// Fire a custom event that UI components can listen for
-			this.dispatchEvent( {
-				type: event.type === 'model' ? 'ModelLoaded' : 'EnvironmentLoaded',
-				data: event
-			} );
+			if ( event.iesProfiles ) {
+
+				this.dispatchEvent( { type: 'IESProfilesLoaded', data: event } );
+				window.dispatchEvent( new CustomEvent( 'IESProfilesLoaded' ) );
+
+			} else if ( event.densityGrid ) {
+
+				this.dispatchEvent( { type: 'DensityGridLoaded', data: event } );
+
+			} else {
+
+				this.dispatchEvent( {
+					type: event.type === 'model' ? 'ModelLoaded' : 'EnvironmentLoaded',
+					data: event
+				} );
+
+			}
 
 			// Set pause state back to false after loading
 			this.pauseRendering = false;
@@ -214,6 +285,31 @@ class PathTracerApp extends EventDispatcher {
 
 	}
 
+	setupTransformControls() {
+
+		// The gizmo lives in its own scene so it is neither path traced nor listed in the outliner
+		this.helperScene = new Scene();
+		this.transformControls = new TransformControls( this.camera, this.canvas );
+		this.transformControls.addEventListener( 'dragging-changed', ( event ) => this.controls.enabled = ! event.value );
+
+		// Lights only need their data texture refreshed and meshes their top-level BVH entry,
+		// the per-mesh BVHs are untouched
+		this.transformControls.addEventListener( 'objectChange', () => {
+
+			this.pathTracingPass.enterInteractionMode();
+			this.pathTracingPass.updateLights();
+			this.pathTracingPass.updateInstances();
+			this.reset();
+			if ( this.transformControls.object.isLight ) window.dispatchEvent( new CustomEvent( 'LightTransformed' ) );
+
+		} );
+
+		// Redraw for gizmo hover highlights once the render is complete
+		this.transformControls.addEventListener( 'change', () => this.pathTracingPass.isComplete && this.refreshFrame() );
+		this.helperScene.add( this.transformControls.getHelper() );
+
+	}
+
 	initStats() {
 
 		this.stats = new Stats( { horizontal: true, trackGPU: true } );
@@ -292,6 +388,9 @@ class PathTracerApp extends EventDispatcher {
 		} );
 		this.composer.addPass( this.accPass );
 
+		this.autoExposurePass = new AutoExposurePass( this.renderer, this.width, this.height );
+		// Not part of the composer chain - it meters the accumulation after each frame
+
 		this.asvgfPass = new ASVGFPass( this.width, this.height );
 		this.asvgfPass.enabled = DEFAULT_STATE.enableASVGF;
 		this.composer.addPass( this.asvgfPass );
@@ -328,6 +427,7 @@ class PathTracerApp extends EventDispatcher {
 		this.bloomPass.strength = DEFAULT_STATE.bloomStrength;
 		this.bloomPass.radius = DEFAULT_STATE.bloomRadius;
 		this.bloomPass.threshold = DEFAULT_STATE.bloomThreshold;
+		this.preserveBloomAlpha( this.bloomPass );
 		this.composer.addPass( this.bloomPass );
 
 		this.denoiser = new OIDNDenoiser( this.denoiserCanvas, this.renderer, this.scene, this.camera, DEFAULT_STATE );
@@ -339,6 +439,22 @@ class PathTracerApp extends EventDispatcher {
 
 	}
 
+	// UnrealBloomPass copies its input with an opaque material and blends the glow into the alpha channel.
+	// Copying as is and adding the glow to the premultiplied colour only keeps the background cut out.
+	preserveBloomAlpha( bloomPass ) {
+
+		bloomPass.basic.transparent = true;
+		bloomPass.basic.blending = NoBlending;
+
+		const blendMaterial = bloomPass.blendMaterial;
+		blendMaterial.blending = CustomBlending;
+		blendMaterial.blendSrc = SrcAlphaFactor;
+		blendMaterial.blendDst = OneFactor;
+		blendMaterial.blendSrcAlpha = ZeroFactor;
+		blendMaterial.blendDstAlpha = OneFactor;
+
+	}
+
 	async setupFloorPlane() {
 
 		const texture = await new TextureLoader().loadAsync( radialTexture );
@@ -351,15 +467,36 @@ class PathTracerApp extends EventDispatcher {
 				metalness: 1,
 				opacity: 1,
 				transmission: 0,
-				map: texture,
-				visible: false
+				map: texture
 			} )
 		);
 		this.floorPlane.name = "Ground";
+		this.floorPlane.material.visible = DEFAULT_STATE.groundMode !== 'hidden';
+		this.floorPlane.material.shadowCatcher = DEFAULT_STATE.groundMode === 'shadowCatcher' ? 1 : 0;
 		this.scene.add( this.floorPlane );
 
 	}
 
+	// The shadow catcher ground is transparent apart from the shadows and reflections it receives
+	setGroundMode( mode ) {
+
+		const material = this.floorPlane.material;
+		material.visible = mode !== 'hidden';
+		material.shadowCatcher = mode === 'shadowCatcher' ? 1 : 0;
+
+		// Before the first scene build the material is read when the textures are created
+		const materialIndex = this.floorPlane.userData.materialIndex;
+		if ( materialIndex !== undefined ) {
+
+			this.pathTracingPass.updateMaterialDataTexture( materialIndex, 'visible', material.visible ? 1 : 0 );
+			this.pathTracingPass.updateMaterialDataTexture( materialIndex, 'shadowCatcher', material.shadowCatcher );
+
+		}
+
+		window.dispatchEvent( new CustomEvent( 'MaterialUpdate' ) );
+
+	}
+
 	refreshFrame = () => {
 
 		this.accPass.iteration -= 1;
@@ -373,6 +510,12 @@ class PathTracerApp extends EventDispatcher {
 
 		if ( this.pauseRendering ) return;
 
+		// Animation playback is previewed at interaction quality
+		if ( this.animation.update() ) this.pathTracingPass.enterInteractionMode();
+
+		// Moved objects only rebuild the top-level BVH before accumulation restarts
+		if ( this.pathTracingPass.updateInstances() ) this.reset();
+
 		const pathtracingUniforms = this.pathTracingPass.material.uniforms;
 
 		if ( this.pathTracingPass.isComplete && pathtracingUniforms.frame.value >= pathtracingUniforms.maxFrames.value ) return;
@@ -380,6 +523,7 @@ class PathTracerApp extends EventDispatcher {
 		if ( ! this.pathTracingPass.isComplete ) {
 
 			this.controls.update();
+			if ( this.cameraProjection === 'orthographic' ) this.updateOrthographicSize();
 
 			this.accPass.updateUniforms( {
 				cameraIsMoving: this.pathTracingPass.interactionMode || false,
@@ -405,6 +549,23 @@ class PathTracerApp extends EventDispatcher {
 			// Render the frame
 			this.composer.render();
 
+			// Meter the new accumulation, the exposure applies from the next frame
+			if ( this.autoExposurePass.enabled ) {
+
+				this.autoExposurePass.update( this.accPass.previousAccumulation.texture, this.pathTracingPass.interactionMode );
+				this.renderer.toneMappingExposure = this.autoExposurePass.exposure;
+
+			}
+
+			// Draw the transform gizmo on top of the path traced image
+			if ( this.transformControls.object ) {
+
+				this.renderer.autoClear = false;
+				this.renderer.render( this.helperScene, this.camera );
+				this.renderer.autoClear = true;
+
+			}
+
 			// For the first frame, initialize temporal statistics with the current frame
 			if ( this.adaptiveSamplingPass.enabled && pathtracingUniforms.frame.value === 1 ) {
 
@@ -462,6 +623,7 @@ class PathTracerApp extends EventDispatcher {
 		// Update camera-dependent passes
 		if ( this.pathTracingPass ) this.pathTracingPass.camera = this.camera;
 		if ( this.outlinePass ) this.outlinePass.camera = this.camera;
+		if ( this.transformControls ) this.transformControls.camera = this.camera;
 		if ( this.denoiser ) this.denoiser.mapGenerator.camera = this.camera;
 
 		this.onResize();
@@ -475,6 +637,101 @@ class PathTracerApp extends EventDispatcher {
 
 	}
 
+	// 'hdri' uses the loaded environment map, 'sky' the procedural sky and sun
+	setEnvironmentSource( source ) {
+
+		if ( source === this.environmentSource ) return;
+		this.environmentSource = source;
+
+		const sun = this.directionalLight;
+		if ( source === 'sky' ) {
+
+			// Remember the HDRI and the sun light as the user left them
+			this.hdriEnvironment = this.scene.environment;
+			this.sunLightState = {
+				color: sun.color.clone(),
+				intensity: sun.intensity,
+				position: sun.position.clone(),
+				angularRadius: sun.userData.angularRadius
+			};
+			this.updateSky();
+
+		} else {
+
+			if ( this.hdriEnvironment ) this.assetLoader.applyEnvironmentToScene( this.hdriEnvironment );
+			this.restoreSunLight();
+
+		}
+
+	}
+
+	restoreSunLight() {
+
+		if ( this.sunLightState ) {
+
+			const sun = this.directionalLight;
+			sun.color.copy( this.sunLightState.color );
+			sun.intensity = this.sunLightState.intensity;
+			sun.position.copy( this.sunLightState.position );
+			sun.userData.angularRadius = this.sunLightState.angularRadius;
+
+		}
+
+		this.pathTracingPass.updateLights();
+		window.dispatchEvent( new CustomEvent( 'LightsChanged' ) );
+
+	}
+
+	setSkyParameters( params ) {
+
+		Object.assign( this.skySettings, params );
+		if ( this.environmentSource === 'sky' ) this.updateSky();
+
+	}
+
+	// Sun direction in the environment frame for the current place and time
+	getSkySunDirection() {
+
+		const { latitude, longitude, date, time, utcOffset } = this.skySettings;
+		const [ year, month, day ] = date.split( '-' ).map( Number );
+		const moment = new Date( Date.UTC( year, month - 1, day ) + ( time - utcOffset ) * 3600000 );
+		const { elevation, azimuth } = getSunPosition( latitude, longitude, moment );
+		return getSunDirection( elevation, azimuth );
+
+	}
+
+	updateSky() {
+
+		const sunDirection = this.getSkySunDirection();
+		const sky = this.skyGenerator.generate( sunDirection, this.skySettings.turbidity );
+		this.assetLoader.applyEnvironmentToScene( sky );
+		this.updateSunLight();
+
+	}
+
+	// Points the sun light at the sky's sun, tinted and dimmed by the atmosphere it crosses
+	updateSunLight() {
+
+		const sunDirection = this.getSkySunDirection();
+		const transmittance = this.skyGenerator.getSunTransmittance( sunDirection, this.skySettings.turbidity );
+		const peak = Math.max( ...transmittance );
+
+		const sun = this.directionalLight;
+		if ( peak > 0 ) sun.color.setRGB( transmittance[ 0 ] / peak, transmittance[ 1 ] / peak, transmittance[ 2 ] / peak );
+		sun.intensity = this.skySettings.sunIntensity * peak;
+		sun.userData.angularRadius = SUN_ANGULAR_RADIUS;
+
+		// Environment rotation turns the sky, and its sun with it
+		const toWorld = new Matrix4().copy( this.pathTracingPass.environmentRotationMatrix ).transpose();
+		const distance = sun.position.distanceTo( sun.target.position ) || 1;
+		sun.position.copy( sun.target.position ).addScaledVector( sunDirection.transformDirection( toWorld ), distance );
+
+		this.pathTracingPass.updateLights();
+		window.dispatchEvent( new CustomEvent( 'LightsChanged' ) );
+		this.reset();
+
+	}
+
 	async loadExampleModels( index ) {
 
 		return await this.assetLoader.loadExampleModels( index ).then( () => this.pauseRendering = false );
@@ -505,29 +762,230 @@ class PathTracerApp extends EventDispatcher {
 
 		this.outlinePass.selectedObjects = object ? [ object ] : [];
 
+		// Lights and objects can be moved and rotated without rebuilding the per-mesh BVHs
+		if ( object && ! object.isScene ) {
+
+			this.transformControls.attach( object );
+
+		} else {
+
+			this.transformControls.detach();
+
+		}
+
 	}
 
-	takeScreenshot() {
+	setTransformMode( mode ) {
+
+		this.transformControls.setMode( mode );
+		this.refreshFrame();
+
+	}
+
+	addLight( type ) {
+
+		const sceneScale = this.assetLoader.getSceneScale();
+		let light, label;
+
+		switch ( type ) {
+
+			case 'DirectionalLight': light = new DirectionalLight( 0xffffff, 1 ); label = 'Directional Light'; break;
+			case 'PointLight': light = new PointLight( 0xffffff, 100, 0, 2 ); label = 'Point Light'; break;
+			case 'SpotLight': light = new SpotLight( 0xffffff, 100, 0, Math.PI / 6, 0.2, 2 ); label = 'Spot Light'; break;
+			case 'RectAreaLight': light = new RectAreaLight( 0xffffff, 100, sceneScale * 0.5, sceneScale * 0.5 ); label = 'Area Light'; break;
+			default: throw new Error( `Unsupported light type: ${type}` );
+
+		}
+
+		// Directional and spot lights aim along their local -Z axis, like glTF lights,
+		// so rotating them with the gizmo changes where they point
+		if ( light.isDirectionalLight || light.isSpotLight ) {
+
+			light.target.position.set( 0, 0, - 1 );
+			light.add( light.target );
+			light.rotation.x = - Math.PI / 2;
+
+		} else if ( light.isRectAreaLight ) {
+
+			// Area lights emit along the normal of their u/v plane (local +Z)
+			light.rotation.x = Math.PI / 2;
+
+		}
+
+		const count = this.scene.getObjectsByProperty( 'type', type ).length;
+		light.name = `${label} ${count + 1}`;
+		light.position.set( 0, sceneScale, 0 );
+		this.scene.add( light );
+
+		this.pathTracingPass.updateLights();
+		this.reset();
+		window.dispatchEvent( new CustomEvent( 'LightsChanged' ) );
+
+		return light;
+
+	}
+
+	removeLight( uuid ) {
+
+		const light = this.scene.getObjectByProperty( 'uuid', uuid );
+		if ( ! light?.isLight ) return;
+
+		if ( this.transformControls.object === light ) this.selectObject( null );
+		if ( useStore.getState().selectedObject === light ) useStore.getState().setSelectedObject( null );
+
+		light.removeFromParent();
+		light.dispose();
+
+		this.pathTracingPass.updateLights();
+		this.reset();
+		window.dispatchEvent( new CustomEvent( 'LightsChanged' ) );
+
+	}
+
+	renameLight( uuid, name ) {
+
+		const light = this.scene.getObjectByProperty( 'uuid', uuid );
+		if ( ! light?.isLight ) return;
+
+		light.name = name;
+		window.dispatchEvent( new CustomEvent( 'LightsChanged' ) );
+
+	}
+
+	getRenderDataURL() {
 
-		let screenshot;
 		// Check if denoising is active and completed
 		if ( this.denoiser.enabled && this.denoiser.output && this.pathTracingPass.isComplete ) {
 
-			screenshot = this.denoiser.output.toDataURL( 'image/png' );
+			return this.denoiser.output.toDataURL( 'image/png' );
 
-		} else {
+		}
 
-			screenshot = this.renderer.domElement.toDataURL( 'image/png' );
+		return this.renderer.domElement.toDataURL( 'image/png' );
 
-		}
+	}
+
+	downloadImage( dataURL, filename ) {
 
 		const link = document.createElement( 'a' );
-		link.href = screenshot;
-		link.download = 'screenshot.png';
+		link.href = dataURL;
+		link.download = filename;
 		link.click();
 
 	}
 
+	takeScreenshot() {
+
+		this.downloadImage( this.getRenderDataURL(), 'screenshot.png' );
+
+	}
+
+	// Resolves once accumulation reaches maxFrames and any denoising of that frame has finished
+	waitForRenderComplete() {
+
+		return new Promise( resolve => {
+
+			const onComplete = () => {
+
+				this.removeEventListener( 'RenderComplete', onComplete );
+				this.removeEventListener( 'SequenceCancelled', onComplete );
+
+				if ( ! this.denoiser.state.isDenoising ) return resolve();
+
+				const onDenoised = () => {
+
+					this.denoiser.removeEventListener( 'end', onDenoised );
+					resolve();
+
+				};
+
+				this.denoiser.addEventListener( 'end', onDenoised );
+
+			};
+
+			this.addEventListener( 'RenderComplete', onComplete );
+			this.addEventListener( 'SequenceCancelled', onComplete );
+
+		} );
+
+	}
+
+	/**
+	 * Render frames of the active animation clip one after another, each accumulated to maxFrames
+	 * @param {Object} options - Sequence settings
+	 * @param {number} options.fps - Frames per second of animation time
+	 * @param {number} options.startFrame - First frame to render
+	 * @param {number} options.endFrame - Last frame to render, defaults to the end of the clip
+	 * @param {boolean} options.denoise - Whether to run OIDN on every frame
+	 * @param {string} options.output - 'png' to download a numbered PNG sequence, 'results' to save into the Results database
+	 * @returns {Promise<number>} - Number of frames rendered
+	 */
+	async renderSequence( { fps = 24, startFrame = 0, endFrame = Math.floor( this.animation.duration * fps ), denoise = false, output = 'png' } = {} ) {
+
+		if ( ! this.animation.action || this.isRenderingSequence ) return 0;
+
+		const denoiserEnabled = this.denoiser.enabled;
+		const total = endFrame - startFrame + 1;
+		let rendered = 0;
+
+		this.isRenderingSequence = true;
+		this.frameRate = fps;
+		this.animation.pause();
+		this.denoiser.enabled = denoise;
+
+		try {
+
+			for ( let frame = startFrame; frame <= endFrame && this.isRenderingSequence; frame ++ ) {
+
+				// Pose and restart accumulation here so frames without motion still render
+				this.animation.setTime( frame / fps );
+				this.pathTracingPass.updateInstances();
+				this.reset();
+
+				await this.waitForRenderComplete();
+				if ( ! this.isRenderingSequence ) break;
+
+				const image = this.getRenderDataURL();
+				if ( output === 'results' ) {
+
+					const id = await saveRender( {
+						image,
+						colorCorrection: { brightness: 0, contrast: 0, saturation: 0, hue: 0, exposure: 0 }
+					} );
+					window.dispatchEvent( new CustomEvent( 'render-saved', { detail: { id } } ) );
+
+				} else {
+
+					this.downloadImage( image, `frame_${String( frame ).padStart( 4, '0' )}.png` );
+
+				}
+
+				rendered ++;
+				this.dispatchEvent( { type: 'SequenceFrameRendered', frame, rendered, total } );
+
+			}
+
+		} finally {
+
+			this.isRenderingSequence = false;
+			this.denoiser.enabled = denoiserEnabled;
+			this.dispatchEvent( { type: 'SequenceFinished', rendered, total } );
+
+		}
+
+		return rendered;
+
+	}
+
+	cancelRenderSequence() {
+
+		if ( ! this.isRenderingSequence ) return;
+
+		this.isRenderingSequence = false;
+		this.dispatchEvent( { type: 'SequenceCancelled' } );
+
+	}
+
 	onResize() {
 
 		this.width = this.canvas.width;
@@ -540,6 +998,7 @@ class PathTracerApp extends EventDispatcher {
 		this.denoiser.setSize( this.width, this.height );
 		this.temporalStatsPass.setSize( this.width, this.height );
 		this.asvgfPass.setSize( this.width, this.height );
+		this.autoExposurePass.setSize( this.width, this.height );
 
 		this.reset();
 
@@ -547,6 +1006,25 @@ class PathTracerApp extends EventDispatcher {
 
 	}
 
+	setAutoExposureEnabled( enabled ) {
+
+		this.autoExposurePass.enabled = enabled;
+		if ( enabled ) {
+
+			// Restored when metering is switched off again
+			this.manualExposure = this.renderer.toneMappingExposure;
+			this.autoExposurePass.reset();
+
+		} else if ( this.manualExposure !== undefined ) {
+
+			this.renderer.toneMappingExposure = this.manualExposure;
+
+		}
+
+		this.reset();
+
+	}
+
 	setASVGFEnabled( enabled ) {
 
 		if ( this.asvgfPass ) {
@@ -678,6 +1156,133 @@ class PathTracerApp extends EventDispatcher {
 
 	}
 
+	// With the physical camera off exposure stays 1 and aperture only affects depth of field
+	setCameraExposure( { physicalCamera, aperture, shutterSpeed, iso } ) {
+
+		this.pathTracingPass.material.uniforms.cameraExposure.value = physicalCamera
+			? computeCameraExposure( aperture, shutterSpeed, iso )
+			: 1;
+
+	}
+
+	setWhiteBalance( temperature, tint ) {
+
+		computeWhiteBalance( temperature, tint, this.pathTracingPass.material.uniforms.whiteBalance.value );
+
+	}
+
+	// Image of the aperture used as the bokeh shape, white is open. Without an image the blades shape it.
+	async setBokehImage( url ) {
+
+		const request = ++ this.bokehImageRequest;
+		const uniforms = this.pathTracingPass.material.uniforms;
+		const image = url ? await new ImageLoader().loadAsync( url ) : null;
+		if ( request !== this.bokehImageRequest ) return;
+
+		const texture = image ? createBokehTexture( image ) : null;
+
+		uniforms.bokehTexture.value?.dispose();
+		uniforms.bokehTexture.value = texture;
+		uniforms.useBokehTexture.value = texture !== null;
+		this.reset();
+
+	}
+
+	// Shutter angle in degrees of the frame duration, 0 turns motion blur off
+	setShutterAngle( angle ) {
+
+		this.shutterAngle = angle;
+		this.updateShutterMotion();
+		this.pathTracingPass.updateInstances();
+		this.reset();
+
+	}
+
+	// Motion blur poses the animation at shutter close and the scene moves from the current pose to that
+	// one while the shutter is open. Only transforms move, skinned and morphed meshes deform unblurred.
+	updateShutterMotion() {
+
+		const tlas = this.pathTracingPass?.sdfs.tlas;
+		if ( ! tlas ) return;
+
+		const shutterTime = this.shutterAngle / 360 / this.frameRate;
+		if ( shutterTime <= 0 || ! this.animation.action ) {
+
+			tlas.clearMotion();
+			this.setCameraMotion( null );
+			return;
+
+		}
+
+		this.scene.updateMatrixWorld();
+		const openCamera = this.camera.matrixWorld.clone();
+
+		this.animation.pose( this.animation.time + shutterTime );
+		this.scene.updateMatrixWorld();
+		tlas.setMotionEnd();
+		const closeCamera = this.camera.matrixWorld.clone();
+
+		this.animation.pose( this.animation.time );
+		this.scene.updateMatrixWorld();
+
+		this.setCameraMotion( closeCamera.multiply( openCamera.invert() ) );
+
+	}
+
+	// Rigid transform that takes the camera from shutter open to shutter close, null when it stands still
+	setCameraMotion( motion ) {
+
+		const uniforms = this.pathTracingPass.material.uniforms;
+		const scale = new Vector3();
+
+		if ( motion ) {
+
+			motion.decompose( uniforms.cameraMotionPosition.value, uniforms.cameraMotionRotation.value, scale );
+
+		} else {
+
+			uniforms.cameraMotionPosition.value.set( 0, 0, 0 );
+			uniforms.cameraMotionRotation.value.identity();
+
+		}
+
+		uniforms.motionBlur.value = motion !== null;
+
+	}
+
+	// Panoramic projections change the canvas to their aspect ratio, so tiles, accumulation and
+	// saved images cover the whole panorama
+	setCameraProjection( projection ) {
+
+		const mode = CAMERA_PROJECTIONS[ projection ] ?? CAMERA_PROJECTIONS.perspective;
+		this.cameraProjection = projection;
+		this.pathTracingPass.material.uniforms.cameraProjection.value = mode.index;
+		if ( projection === 'orthographic' ) this.updateOrthographicSize();
+
+		const width = this.renderer.getSize( new Vector2() ).x;
+		const height = Math.round( width / mode.aspect );
+		this.renderer.setSize( width, height, false );
+		this.composer.setSize( width, height );
+		this.accPass.setImageCells( ...mode.cells );
+		this.onResize();
+
+	}
+
+	// Half height that frames the orbit target like the perspective view does
+	updateOrthographicSize() {
+
+		const distance = this.camera.position.distanceTo( this.controls.target );
+		this.pathTracingPass.material.uniforms.orthographicSize.value = distance * Math.tan( MathUtils.degToRad( this.camera.fov ) / 2 ) / this.camera.zoom;
+
+	}
+
+	setStereoEyeSeparation( separation ) {
+
+		this.pathTracingPass.material.uniforms.stereoEyeSeparation.value = separation * this.assetLoader.getSceneScale();
+		this.reset();
+
+	}
+
 	// Show a visual indicator at the focus point
 	showFocusPoint( point ) {
 
@@ -764,6 +1369,10 @@ class PathTracerApp extends EventDispatcher {
 		if ( this.accPass ) this.accPass.dispose();
 		if ( this.temporalStatsPass ) this.temporalStatsPass.dispose();
 		if ( this.asvgfPass ) this.asvgfPass.dispose();
+		if ( this.autoExposurePass ) this.autoExposurePass.dispose();
+		this.skyGenerator.dispose();
+		this.pathTracingPass?.material.uniforms.bokehTexture.value?.dispose();
+		this.animation.dispose();
 
 
 	}
@@ -1,4 +1,5 @@
 import { create } from 'zustand';
+import { Color } from 'three';
 import { DEFAULT_STATE, CAMERA_PRESETS } from '@/Constants';
 
 const handleChange = ( setter, appUpdater, needsReset = true ) => value => {
@@ -149,6 +150,22 @@ const usePathTracerStore = create( ( set, get ) => ( {
 	...DEFAULT_STATE,
 	GIIntensity: DEFAULT_STATE.globalIlluminationIntensity,
 	backgroundIntensity: DEFAULT_STATE.backgroundIntensity,
+	groundMode: DEFAULT_STATE.groundMode,
+	enableGroundProjection: DEFAULT_STATE.enableGroundProjection,
+	groundProjectionHeight: DEFAULT_STATE.groundProjectionHeight,
+	groundProjectionRadius: DEFAULT_STATE.groundProjectionRadius,
+	environmentSource: DEFAULT_STATE.environmentSource,
+	autoExposure: DEFAULT_STATE.autoExposure,
+	autoExposureMetering: DEFAULT_STATE.autoExposureMetering,
+	exposureCompensation: DEFAULT_STATE.exposureCompensation,
+	autoExposureSpeed: DEFAULT_STATE.autoExposureSpeed,
+	skyTurbidity: DEFAULT_STATE.skyTurbidity,
+	sunIntensity: DEFAULT_STATE.sunIntensity,
+	sunLatitude: DEFAULT_STATE.sunLatitude,
+	sunLongitude: DEFAULT_STATE.sunLongitude,
+	sunDate: DEFAULT_STATE.sunDate,
+	sunTime: DEFAULT_STATE.sunTime,
+	sunUtcOffset: DEFAULT_STATE.sunUtcOffset,
 	performanceModeAdaptive: 'medium',
 
 	// State setters
@@ -169,6 +186,14 @@ const usePathTracerStore = create( ( set, get ) => ( {
 	setEarlyTerminationThreshold: ( value ) => set( { earlyTerminationThreshold: value } ),
 	setShowAdaptiveSamplingHelper: ( value ) => set( { showAdaptiveSamplingHelper: value } ),
 	setFireflyThreshold: ( value ) => set( { fireflyThreshold: value } ),
+	setSpectralRendering: ( value ) => set( { spectralRendering: value } ),
+	setEnergyCompensation: ( value ) => set( { energyCompensation: value } ),
+	setEnableFog: ( value ) => set( { enableFog: value } ),
+	setFogDensity: ( value ) => set( { fogDensity: value } ),
+	setFogColor: ( value ) => set( { fogColor: value } ),
+	setFogAnisotropy: ( value ) => set( { fogAnisotropy: value } ),
+	setFogHeight: ( value ) => set( { fogHeight: value } ),
+	setDensityGridScale: ( value ) => set( { densityGridScale: value } ),
 	setRenderMode: ( value ) => set( { renderMode: value } ),
 	setTiles: ( value ) => set( { tiles: value } ),
 	setTilesHelper: ( value ) => set( { tilesHelper: value } ),
@@ -192,6 +217,22 @@ const usePathTracerStore = create( ( set, get ) => ( {
 	setUseImportanceSampledEnvironment: ( value ) => set( { useImportanceSampledEnvironment: value } ),
 	setShowBackground: ( value ) => set( { showBackground: value } ),
 	setBackgroundIntensity: ( value ) => set( { backgroundIntensity: value } ),
+	setGroundMode: ( value ) => set( { groundMode: value } ),
+	setEnableGroundProjection: ( value ) => set( { enableGroundProjection: value } ),
+	setGroundProjectionHeight: ( value ) => set( { groundProjectionHeight: value } ),
+	setGroundProjectionRadius: ( value ) => set( { groundProjectionRadius: value } ),
+	setEnvironmentSource: ( value ) => set( { environmentSource: value } ),
+	setAutoExposure: ( value ) => set( { autoExposure: value } ),
+	setAutoExposureMetering: ( value ) => set( { autoExposureMetering: value } ),
+	setExposureCompensation: ( value ) => set( { exposureCompensation: value } ),
+	setAutoExposureSpeed: ( value ) => set( { autoExposureSpeed: value } ),
+	setSkyTurbidity: ( value ) => set( { skyTurbidity: value } ),
+	setSunIntensity: ( value ) => set( { sunIntensity: value } ),
+	setSunLatitude: ( value ) => set( { sunLatitude: value } ),
+	setSunLongitude: ( value ) => set( { sunLongitude: value } ),
+	setSunDate: ( value ) => set( { sunDate: value } ),
+	setSunTime: ( value ) => set( { sunTime: value } ),
+	setSunUtcOffset: ( value ) => set( { sunUtcOffset: value } ),
 	setEnvironmentIntensity: ( value ) => set( { environmentIntensity: value } ),
 	setEnvironmentRotation: ( value ) => set( { environmentRotation: value } ),
 	setGIIntensity: ( value ) => set( { GIIntensity: value } ),
@@ -331,6 +372,46 @@ const usePathTracerStore = create( ( set, get ) => ( {
 		value => window.pathTracerApp.pathTracingPass.material.uniforms.fireflyThreshold.value = value[ 0 ]
 	),
 
+	handleSpectralRenderingChange: handleChange(
+		( value ) => set( { spectralRendering: value } ),
+		value => window.pathTracerApp.pathTracingPass.material.uniforms.spectralRendering.value = value
+	),
+
+	handleEnergyCompensationChange: handleChange(
+		( value ) => set( { energyCompensation: value } ),
+		value => window.pathTracerApp.pathTracingPass.material.uniforms.energyCompensation.value = value
+	),
+
+	handleEnableFogChange: handleChange(
+		( value ) => set( { enableFog: value } ),
+		value => window.pathTracerApp.pathTracingPass.material.uniforms.enableFog.value = value
+	),
+
+	handleFogDensityChange: handleChange(
+		( value ) => set( { fogDensity: value } ),
+		value => window.pathTracerApp.pathTracingPass.material.uniforms.fogDensity.value = value[ 0 ]
+	),
+
+	handleFogColorChange: handleChange(
+		( value ) => set( { fogColor: value } ),
+		value => window.pathTracerApp.pathTracingPass.material.uniforms.fogColor.value.set( value )
+	),
+
+	handleFogAnisotropyChange: handleChange(
+		( value ) => set( { fogAnisotropy: value } ),
+		value => window.pathTracerApp.pathTracingPass.material.uniforms.fogAnisotropy.value = value[ 0 ]
+	),
+
+	handleFogHeightChange: handleChange(
+		( value ) => set( { fogHeight: value } ),
+		value => window.pathTracerApp.pathTracingPass.material.uniforms.fogHeight.value = value[ 0 ]
+	),
+
+	handleDensityGridScaleChange: handleChange(
+		( value ) => set( { densityGridScale: value } ),
+		value => window.pathTracerApp.pathTracingPass.material.uniforms.densityGridScale.value = value[ 0 ]
+	),
+
 	handleRenderModeChange: handleChange(
 		( value ) => set( { renderMode: value } ),
 		value => window.pathTracerApp.pathTracingPass.material.uniforms.renderMode.value = parseInt( value )
@@ -458,6 +539,26 @@ const usePathTracerStore = create( ( set, get ) => ( {
 		}
 	),
 
+	handleAutoExposureChange: handleChange(
+		( value ) => set( { autoExposure: value } ),
+		value => window.pathTracerApp.setAutoExposureEnabled( value )
+	),
+
+	handleAutoExposureMeteringChange: handleChange(
+		( value ) => set( { autoExposureMetering: value } ),
+		value => window.pathTracerApp.autoExposurePass.setMeteringMode( value )
+	),
+
+	handleExposureCompensationChange: handleChange(
+		( value ) => set( { exposureCompensation: value } ),
+		value => window.pathTracerApp.autoExposurePass.compensation = value[ 0 ]
+	),
+
+	handleAutoExposureSpeedChange: handleChange(
+		( value ) => set( { autoExposureSpeed: value } ),
+		value => window.pathTracerApp.autoExposurePass.adaptationSpeed = value[ 0 ]
+	),
+
 	handleEnableEnvironmentChange: handleChange(
 		( value ) => set( { enableEnvironment: value } ),
 		value => {
@@ -500,6 +601,66 @@ const usePathTracerStore = create( ( set, get ) => ( {
 		}
 	),
 
+	handleGroundModeChange: handleChange(
+		( value ) => set( { groundMode: value } ),
+		value => window.pathTracerApp.setGroundMode( value )
+	),
+
+	handleEnableGroundProjectionChange: handleChange(
+		( value ) => set( { enableGroundProjection: value } ),
+		value => window.pathTracerApp.pathTracingPass.material.uniforms.enableGroundProjection.value = value
+	),
+
+	handleGroundProjectionHeightChange: handleChange(
+		( value ) => set( { groundProjectionHeight: value } ),
+		value => window.pathTracerApp.pathTracingPass.material.uniforms.groundProjectionHeight.value = value[ 0 ]
+	),
+
+	handleGroundProjectionRadiusChange: handleChange(
+		( value ) => set( { groundProjectionRadius: value } ),
+		value => window.pathTracerApp.pathTracingPass.material.uniforms.groundProjectionRadius.value = value[ 0 ]
+	),
+
+	handleEnvironmentSourceChange: handleChange(
+		( value ) => set( { environmentSource: value } ),
+		value => window.pathTracerApp.setEnvironmentSource( value )
+	),
+
+	handleSkyTurbidityChange: handleChange(
+		( value ) => set( { skyTurbidity: value } ),
+		value => window.pathTracerApp.setSkyParameters( { turbidity: value[ 0 ] } )
+	),
+
+	handleSunIntensityChange: handleChange(
+		( value ) => set( { sunIntensity: value } ),
+		value => window.pathTracerApp.setSkyParameters( { sunIntensity: value[ 0 ] } )
+	),
+
+	handleSunLatitudeChange: handleChange(
+		( value ) => set( { sunLatitude: value } ),
+		value => window.pathTracerApp.setSkyParameters( { latitude: value[ 0 ] } )
+	),
+
+	handleSunLongitudeChange: handleChange(
+		( value ) => set( { sunLongitude: value } ),
+		value => window.pathTracerApp.setSkyParameters( { longitude: value[ 0 ] } )
+	),
+
+	handleSunDateChange: handleChange(
+		( value ) => set( { sunDate: value } ),
+		value => value && window.pathTracerApp.setSkyParameters( { date: value } )
+	),
+
+	handleSunTimeChange: handleChange(
+		( value ) => set( { sunTime: value } ),
+		value => window.pathTracerApp.setSkyParameters( { time: value[ 0 ] } )
+	),
+
+	handleSunUtcOffsetChange: handleChange(
+		( value ) => set( { sunUtcOffset: value } ),
+		value => window.pathTracerApp.setSkyParameters( { utcOffset: value[ 0 ] } )
+	),
+
 	handleEnvironmentIntensityChange: handleChange(
 		( value ) => set( { environmentIntensity: value } ),
 		value => {
@@ -516,6 +677,7 @@ const usePathTracerStore = create( ( set, get ) => ( {
 		value => {
 
 			window.pathTracerApp.pathTracingPass.setEnvironmentRotation( value[ 0 ] );
+			window.pathTracerApp.environmentSource === 'sky' && window.pathTracerApp.updateSunLight();
 			window.pathTracerApp.reset();
 
 		}
@@ -783,6 +945,7 @@ const useLightStore = create( ( set ) => ( {
 const useCameraStore = create( ( set, get ) => ( {
 	...DEFAULT_STATE,
 	activePreset: "custom",
+	bokehImage: null,
 	cameraNames: [],
 	selectedCameraIndex: 0,
 	focusMode: false,
@@ -795,6 +958,20 @@ const useCameraStore = create( ( set, get ) => ( {
 	setFocusDistance: ( value ) => set( { focusDistance: value, activePreset: "custom" } ),
 	setAperture: ( value ) => set( { aperture: value, activePreset: "custom" } ),
 	setFocalLength: ( value ) => set( { focalLength: value, activePreset: "custom" } ),
+	setPhysicalCamera: ( value ) => set( { physicalCamera: value } ),
+	setIso: ( value ) => set( { iso: value, activePreset: "custom" } ),
+	setShutterSpeed: ( value ) => set( { shutterSpeed: value, activePreset: "custom" } ),
+	setWhiteBalanceTemperature: ( value ) => set( { whiteBalanceTemperature: value } ),
+	setWhiteBalanceTint: ( value ) => set( { whiteBalanceTint: value } ),
+	setVignetting: ( value ) => set( { vignetting: value, activePreset: "custom" } ),
+	setApertureBlades: ( value ) => set( { apertureBlades: value, activePreset: "custom" } ),
+	setApertureRotation: ( value ) => set( { apertureRotation: value } ),
+	setBladeCurvature: ( value ) => set( { bladeCurvature: value, activePreset: "custom" } ),
+	setAnamorphicRatio: ( value ) => set( { anamorphicRatio: value, activePreset: "custom" } ),
+	setCatEye: ( value ) => set( { catEye: value, activePreset: "custom" } ),
+	setShutterAngle: ( value ) => set( { shutterAngle: value } ),
+	setCameraProjection: ( value ) => set( { cameraProjection: value } ),
+	setStereoEyeSeparation: ( value ) => set( { stereoEyeSeparation: value } ),
 	setPreset: ( presetKey ) => {
 
 		if ( presetKey === "custom" ) return;
@@ -804,6 +981,13 @@ const useCameraStore = create( ( set, get ) => ( {
 			focusDistance: preset.focusDistance,
 			aperture: preset.aperture,
 			focalLength: preset.focalLength,
+			iso: preset.iso,
+			shutterSpeed: preset.shutterSpeed,
+			vignetting: preset.vignetting,
+			apertureBlades: preset.apertureBlades,
+			bladeCurvature: preset.bladeCurvature,
+			anamorphicRatio: preset.anamorphicRatio,
+			catEye: preset.catEye,
 			activePreset: presetKey,
 		} );
 
@@ -851,6 +1035,13 @@ const useCameraStore = create( ( set, get ) => ( {
 			focusDistance: preset.focusDistance,
 			aperture: preset.aperture,
 			focalLength: preset.focalLength,
+			iso: preset.iso,
+			shutterSpeed: preset.shutterSpeed,
+			vignetting: preset.vignetting,
+			apertureBlades: preset.apertureBlades,
+			bladeCurvature: preset.bladeCurvature,
+			anamorphicRatio: preset.anamorphicRatio,
+			catEye: preset.catEye,
 			activePreset: presetKey,
 		} );
 
@@ -866,6 +1057,12 @@ const useCameraStore = create( ( set, get ) => ( {
 			window.pathTracerApp.pathTracingPass.material.uniforms.focusDistance.value = preset.focusDistance * sceneScale;
 			window.pathTracerApp.pathTracingPass.material.uniforms.aperture.value = preset.aperture;
 			window.pathTracerApp.pathTracingPass.material.uniforms.focalLength.value = preset.focalLength;
+			window.pathTracerApp.pathTracingPass.material.uniforms.vignetting.value = preset.vignetting;
+			window.pathTracerApp.pathTracingPass.material.uniforms.apertureBlades.value = preset.apertureBlades;
+			window.pathTracerApp.pathTracingPass.material.uniforms.bladeCurvature.value = preset.bladeCurvature;
+			window.pathTracerApp.pathTracingPass.material.uniforms.anamorphicRatio.value = preset.anamorphicRatio;
+			window.pathTracerApp.pathTracingPass.material.uniforms.catEye.value = preset.catEye;
+			window.pathTracerApp.setCameraExposure( get() );
 
 			window.pathTracerApp.reset();
 
@@ -892,6 +1089,7 @@ const useCameraStore = create( ( set, get ) => ( {
 		if ( window.pathTracerApp ) {
 
 			window.pathTracerApp.pathTracingPass.material.uniforms.aperture.value = value;
+			window.pathTracerApp.setCameraExposure( get() );
 			window.pathTracerApp.reset();
 
 		}
@@ -918,6 +1116,186 @@ const useCameraStore = create( ( set, get ) => ( {
 
 	},
 
+	handlePhysicalCameraChange: ( value ) => {
+
+		set( { physicalCamera: value } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.setCameraExposure( get() );
+			window.pathTracerApp.reset();
+
+		}
+
+	},
+
+	handleIsoChange: ( value ) => {
+
+		set( { iso: parseFloat( value ), activePreset: "custom" } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.setCameraExposure( get() );
+			window.pathTracerApp.reset();
+
+		}
+
+	},
+
+	handleShutterSpeedChange: ( value ) => {
+
+		set( { shutterSpeed: parseFloat( value ), activePreset: "custom" } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.setCameraExposure( get() );
+			window.pathTracerApp.reset();
+
+		}
+
+	},
+
+	handleWhiteBalanceTemperatureChange: ( value ) => {
+
+		set( { whiteBalanceTemperature: value } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.setWhiteBalance( value, get().whiteBalanceTint );
+			window.pathTracerApp.reset();
+
+		}
+
+	},
+
+	handleWhiteBalanceTintChange: ( value ) => {
+
+		set( { whiteBalanceTint: value } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.setWhiteBalance( get().whiteBalanceTemperature, value );
+			window.pathTracerApp.reset();
+
+		}
+
+	},
+
+	handleVignettingChange: ( value ) => {
+
+		set( { vignetting: value, activePreset: "custom" } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.pathTracingPass.material.uniforms.vignetting.value = value;
+			window.pathTracerApp.reset();
+
+		}
+
+	},
+
+	handleShutterAngleChange: ( value ) => {
+
+		set( { shutterAngle: value } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.setShutterAngle( value );
+
+		}
+
+	},
+
+	handleApertureBladesChange: ( value ) => {
+
+		set( { apertureBlades: value, activePreset: "custom" } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.pathTracingPass.material.uniforms.apertureBlades.value = value;
+			window.pathTracerApp.reset();
+
+		}
+
+	},
+
+	handleApertureRotationChange: ( value ) => {
+
+		set( { apertureRotation: value } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.pathTracingPass.material.uniforms.apertureRotation.value = value * Math.PI / 180;
+			window.pathTracerApp.reset();
+
+		}
+
+	},
+
+	handleBladeCurvatureChange: ( value ) => {
+
+		set( { bladeCurvature: value, activePreset: "custom" } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.pathTracingPass.material.uniforms.bladeCurvature.value = value;
+			window.pathTracerApp.reset();
+
+		}
+
+	},
+
+	handleAnamorphicRatioChange: ( value ) => {
+
+		set( { anamorphicRatio: parseFloat( value ), activePreset: "custom" } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.pathTracingPass.material.uniforms.anamorphicRatio.value = parseFloat( value );
+			window.pathTracerApp.reset();
+
+		}
+
+	},
+
+	handleCatEyeChange: ( value ) => {
+
+		set( { catEye: value, activePreset: "custom" } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.pathTracingPass.material.uniforms.catEye.value = value;
+			window.pathTracerApp.reset();
+
+		}
+
+	},
+
+	// A null file goes back to the blade shaped aperture
+	handleBokehImageChange: ( file ) => {
+
+		set( { bokehImage: file ? file.name : null } );
+		if ( window.pathTracerApp ) {
+
+			const url = file ? URL.createObjectURL( file ) : null;
+			window.pathTracerApp.setBokehImage( url )
+				.catch( error => console.error( 'Failed to load bokeh image:', error ) )
+				.finally( () => url && URL.revokeObjectURL( url ) );
+
+		}
+
+	},
+
+	handleCameraProjectionChange: ( value ) => {
+
+		set( { cameraProjection: value } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.setCameraProjection( value );
+
+		}
+
+	},
+
+	handleStereoEyeSeparationChange: ( value ) => {
+
+		set( { stereoEyeSeparation: value } );
+		if ( window.pathTracerApp ) {
+
+			window.pathTracerApp.setStereoEyeSeparation( value );
+
+		}
+
+	},
+
 	handleCameraMove: ( point ) => {
 
 		if ( ! window.pathTracerApp || ! window.pathTracerApp.controls ) return;
@@ -985,10 +1363,10 @@ const useCameraStore = create( ( set, get ) => ( {
 
 // Material store for handling material property updates
 const useMaterialStore = create( ( set, get ) => ( {
-	// Material property update handler
-	updateMaterialProperty: ( property, value ) => {
+	// Material property update handler, applies to the selected object unless another mesh is given
+	updateMaterialProperty: ( property, value, object ) => {
 
-		const selectedObject = useStore.getState().selectedObject;
+		const selectedObject = object ?? useStore.getState().selectedObject;
 		if ( ! selectedObject?.isMesh || ! selectedObject.material ) return;
 
 		try {
@@ -1209,6 +1587,18 @@ const useMaterialStore = create( ( set, get ) => ( {
 
 	},
 
+	handleAnisotropyChange: ( value ) => {
+
+		get().updateMaterialProperty( 'anisotropy', value[ 0 ] );
+
+	},
+
+	handleAnisotropyRotationChange: ( value ) => {
+
+		get().updateMaterialProperty( 'anisotropyRotation', value[ 0 ] );
+
+	},
+
 	handleIridescenceChange: ( value ) => {
 
 		get().updateMaterialProperty( 'iridescence', value[ 0 ] );
@@ -1227,6 +1617,53 @@ const useMaterialStore = create( ( set, get ) => ( {
 
 	},
 
+	handleSubsurfaceChange: ( value ) => {
+
+		get().updateMaterialProperty( 'subsurface', value[ 0 ] );
+
+	},
+
+	// Subsurface colors are not part of the three.js materials, they are created on first edit
+	handleSubsurfaceColorChange: ( value ) => {
+
+		const selectedObject = useStore.getState().selectedObject;
+		if ( selectedObject?.material ) {
+
+			selectedObject.material.subsurfaceColor ??= new Color();
+			selectedObject.material.subsurfaceColor.set( value );
+			get().updateMaterialProperty( 'subsurfaceColor', selectedObject.material.subsurfaceColor );
+
+		}
+
+	},
+
+	handleSubsurfaceRadiusChange: ( value ) => {
+
+		const selectedObject = useStore.getState().selectedObject;
+		if ( selectedObject?.material ) {
+
+			selectedObject.material.subsurfaceRadius ??= new Color();
+			selectedObject.material.subsurfaceRadius.set( value );
+			get().updateMaterialProperty( 'subsurfaceRadius', selectedObject.material.subsurfaceRadius );
+
+		}
+
+	},
+
+	handleSubsurfaceScaleChange: ( value ) => {
+
+		get().updateMaterialProperty( 'subsurfaceScale', value[ 0 ] );
+
+	},
+
+	handleShadowCatcherChange: ( value, object ) => {
+
+		get().updateMaterialProperty( 'shadowCatcher', value ? 1 : 0, object );
+		// Keeps the outliner and the material tab in sync
+		window.dispatchEvent( new CustomEvent( 'MaterialUpdate' ) );
+
+	},
+
 	handleVisibleChange: ( value ) => {
 
 		const selectedObject = useStore.getState().selectedObject;
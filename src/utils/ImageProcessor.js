@@ -132,7 +132,8 @@ const ColorAdjustmentShader = {
 			// Encode back to gamma space using the gamma value
 			vec3 finalColor = linearToGamma(colorWithExposure, gamma);
 			
-			gl_FragColor = vec4(finalColor, texel.a);
+			// Premultiplied for the canvas, so cut out renders keep their transparency
+			gl_FragColor = vec4(finalColor * texel.a, texel.a);
 		}
     `
 };
@@ -155,6 +156,7 @@ export class ImageProcessorComposer {
 		this.renderer = new THREE.WebGLRenderer( {
 			canvas: this.outputCanvas,
 			preserveDrawingBuffer: true,
+			alpha: true,
 		} );
 		this.renderer.setSize( this.width, this.height, false );
 
@@ -167,7 +169,8 @@ export class ImageProcessorComposer {
 		texture.minFilter = THREE.LinearFilter;
 		texture.magFilter = THREE.LinearFilter;
 
-		const material = new THREE.MeshBasicMaterial( { map: texture } );
+		// Transparent without blending writes the image alpha unchanged
+		const material = new THREE.MeshBasicMaterial( { map: texture, transparent: true, blending: THREE.NoBlending } );
 		this.quad = new THREE.Mesh( geometry, material );
 		this.scene.add( this.quad );
 